@@ -1,5 +1,6 @@
 import sqlite3 from 'sqlite3';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -20,6 +21,19 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
 // Enable foreign keys
 db.run('PRAGMA foreign_keys = ON');
 
+// Each change to what an exam's calendar event shows bumps exams.revision,
+// whichever query made it; iCalendar exports use it as the event SEQUENCE
+export const createExamRevisionTrigger = `
+  CREATE TRIGGER IF NOT EXISTS exams_revision
+  AFTER UPDATE OF course_code, course_name, date, time, venue, duration, status ON exams
+  WHEN OLD.course_code IS NOT NEW.course_code OR OLD.course_name IS NOT NEW.course_name
+    OR OLD.date IS NOT NEW.date OR OLD.time IS NOT NEW.time OR OLD.venue IS NOT NEW.venue
+    OR OLD.duration IS NOT NEW.duration OR OLD.status IS NOT NEW.status
+  BEGIN
+    UPDATE exams SET revision = revision + 1 WHERE id = NEW.id;
+  END;
+`;
+
 // Database initialization function
 export async function initializeDatabase() {
   return new Promise((resolve, reject) => {
@@ -32,15 +46,18 @@ export async function initializeDatabase() {
         first_name TEXT NOT NULL,
         last_name TEXT NOT NULL,
         role TEXT NOT NULL CHECK (role IN ('student', 'lecturer', 'admin')),
+        student_number TEXT UNIQUE,
         is_active BOOLEAN DEFAULT 1,
         google_tokens TEXT,
         google_connected BOOLEAN DEFAULT 0,
+        email_verified_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `;
 
-    // Create exams table
+    // Create exams table (revision counts the changes calendars show, and is
+    // bumped by createExamRevisionTrigger)
     const createExamsTable = `
       CREATE TABLE IF NOT EXISTS exams (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -49,12 +66,102 @@ export async function initializeDatabase() {
         date DATE NOT NULL,
         time TIME NOT NULL,
         venue TEXT NOT NULL,
+        venue_id INTEGER,
         duration INTEGER NOT NULL CHECK (duration > 0),
-        status TEXT DEFAULT 'upcoming' CHECK (status IN ('upcoming', 'ongoing', 'completed', 'cancelled')),
+        status TEXT DEFAULT 'upcoming' CHECK (status IN ('draft', 'upcoming', 'ongoing', 'completed', 'cancelled')),
+        timetable_id INTEGER,
+        source_exam_id INTEGER,
+        original_exam_id INTEGER,
+        deleted_at DATETIME,
+        deleted_by INTEGER,
+        deleted_status TEXT,
+        revision INTEGER NOT NULL DEFAULT 0,
         created_by INTEGER NOT NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (created_by) REFERENCES users (id)
+        FOREIGN KEY (created_by) REFERENCES users (id),
+        FOREIGN KEY (venue_id) REFERENCES venues (id),
+        FOREIGN KEY (timetable_id) REFERENCES timetables (id)
+      )
+    `;
+
+    // Create timetables table (timetable versions; their exams stay in
+    // 'draft' status until the version is published). A version with
+    // replaces_live set revises the live exams in its period, which draft
+    // exams point back to through exams.source_exam_id. Alternate sittings
+    // created by approved exam requests point back to the exam they replace
+    // through exams.original_exam_id. Deleted exams are kept as cancelled
+    // exams with deleted_at set (deleted_status is the status a restore puts
+    // back) until the purge job removes them.
+    const createTimetablesTable = `
+      CREATE TABLE IF NOT EXISTS timetables (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'under_review', 'published', 'archived')),
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        replaces_live BOOLEAN DEFAULT 0,
+        seed INTEGER,
+        settings TEXT,
+        report TEXT,
+        created_by INTEGER NOT NULL,
+        submitted_by INTEGER,
+        submitted_at DATETIME,
+        review_note TEXT,
+        published_by INTEGER,
+        published_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id),
+        FOREIGN KEY (submitted_by) REFERENCES users (id),
+        FOREIGN KEY (published_by) REFERENCES users (id)
+      )
+    `;
+
+    // Create venues table (features is a JSON array, e.g. ["computers", "wheelchair_access"])
+    // exam_capacity is the number of seats usable with exam spacing; layout is
+    // the seating grid as JSON (rows, seatsPerRow, spacing and designated seats)
+    const createVenuesTable = `
+      CREATE TABLE IF NOT EXISTS venues (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        building TEXT,
+        room TEXT,
+        capacity INTEGER CHECK (capacity > 0),
+        exam_capacity INTEGER CHECK (exam_capacity > 0),
+        features TEXT DEFAULT '[]',
+        layout TEXT,
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create courses table
+    const createCoursesTable = `
+      CREATE TABLE IF NOT EXISTS courses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        department TEXT,
+        lecturer_id INTEGER,
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (lecturer_id) REFERENCES users (id)
+      )
+    `;
+
+    // Create enrollments table linking students to the courses they sit exams for
+    const createEnrollmentsTable = `
+      CREATE TABLE IF NOT EXISTS enrollments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        course_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (course_id, user_id),
+        FOREIGN KEY (course_id) REFERENCES courses (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
       )
     `;
 
@@ -67,23 +174,300 @@ export async function initializeDatabase() {
         message TEXT NOT NULL,
         type TEXT NOT NULL CHECK (type IN ('reminder', 'warning', 'success', 'info')),
         is_read BOOLEAN DEFAULT 0,
+        deliver_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users (id)
       )
     `;
 
+    // Create notification preferences table (events maps each event type to
+    // the channels it is delivered on; users without a row get the defaults).
+    // Notifications created during quiet hours are held until deliver_at.
+    const createNotificationPreferencesTable = `
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INTEGER PRIMARY KEY,
+        events TEXT NOT NULL DEFAULT '{}',
+        quiet_hours_start TEXT,
+        quiet_hours_end TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `;
+
     // Create exam conflicts table for tracking scheduling conflicts
+    // exam1_id is always the lower exam ID so each pair/type has a single row
     const createConflictsTable = `
       CREATE TABLE IF NOT EXISTS exam_conflicts (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         exam1_id INTEGER NOT NULL,
         exam2_id INTEGER NOT NULL,
-        conflict_type TEXT NOT NULL CHECK (conflict_type IN ('time_overlap', 'venue_conflict', 'both')),
+        conflict_type TEXT NOT NULL CHECK (conflict_type IN ('time_overlap', 'venue_conflict', 'both', 'student_clash', 'back_to_back')),
+        severity TEXT DEFAULT 'warning' CHECK (severity IN ('warning', 'error')),
+        date DATE,
         description TEXT,
+        affected_students TEXT,
+        acknowledged BOOLEAN DEFAULT 0,
+        acknowledged_by INTEGER,
+        acknowledged_at DATETIME,
         resolved BOOLEAN DEFAULT 0,
+        resolution_type TEXT CHECK (resolution_type IN ('auto', 'manual')),
+        resolution_note TEXT,
+        resolved_by INTEGER,
+        resolved_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (exam1_id, exam2_id, conflict_type),
+        FOREIGN KEY (exam1_id) REFERENCES exams (id) ON DELETE CASCADE,
+        FOREIGN KEY (exam2_id) REFERENCES exams (id) ON DELETE CASCADE,
+        FOREIGN KEY (acknowledged_by) REFERENCES users (id),
+        FOREIGN KEY (resolved_by) REFERENCES users (id)
+      )
+    `;
+
+    // Create exam reminders table (one row per exam, recipient and offset,
+    // keyed on the exam start so a rescheduled exam gets fresh reminders;
+    // skipped rows are offsets that were overtaken while the server was down)
+    const createRemindersTable = `
+      CREATE TABLE IF NOT EXISTS exam_reminders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        exam_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        offset_minutes INTEGER NOT NULL,
+        exam_start TEXT NOT NULL,
+        skipped BOOLEAN DEFAULT 0,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (exam_id, user_id, offset_minutes, exam_start),
+        FOREIGN KEY (exam_id) REFERENCES exams (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `;
+
+    // Create email queue table (outbound notification emails with delivery
+    // status; failed sends are retried with backoff until max attempts)
+    const createEmailQueueTable = `
+      CREATE TABLE IF NOT EXISTS email_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        notification_id INTEGER,
+        event TEXT,
+        to_address TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        text_body TEXT NOT NULL,
+        html_body TEXT NOT NULL,
+        status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        message_id TEXT,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (notification_id) REFERENCES notifications (id) ON DELETE SET NULL
+      )
+    `;
+
+    // Create live events table (the replay log behind the event stream).
+    // audience decides who receives an event: one user, everyone who can see
+    // the course's exams, or staff only.
+    const createLiveEventsTable = `
+      CREATE TABLE IF NOT EXISTS live_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        audience TEXT NOT NULL CHECK (audience IN ('user', 'course', 'staff')),
+        user_id INTEGER,
+        course_code TEXT,
+        data TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create calendar feeds table (secret per-user iCalendar subscription tokens)
+    const createCalendarFeedsTable = `
+      CREATE TABLE IF NOT EXISTS calendar_feeds (
+        user_id INTEGER PRIMARY KEY,
+        token TEXT UNIQUE NOT NULL,
+        last_accessed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `;
+
+    // Create invigilator assignments table (lecturers/admins supervising an
+    // exam; source records whether the allocator or an admin made it)
+    const createInvigilatorAssignmentsTable = `
+      CREATE TABLE IF NOT EXISTS invigilator_assignments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        exam_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        source TEXT DEFAULT 'manual' CHECK (source IN ('manual', 'auto')),
+        assigned_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (exam_id, user_id),
+        FOREIGN KEY (exam_id) REFERENCES exams (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (assigned_by) REFERENCES users (id)
+      )
+    `;
+
+    // Create staff unavailability table (windows in local "YYYY-MM-DD HH:MM"
+    // time during which a staff member cannot invigilate)
+    const createStaffUnavailabilityTable = `
+      CREATE TABLE IF NOT EXISTS staff_unavailability (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        start_at TEXT NOT NULL,
+        end_at TEXT NOT NULL,
+        reason TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users (id)
+      )
+    `;
+
+    // Create blackout dates table (institution-wide days with no exams, such
+    // as public holidays; policy 'block' refuses exams, 'warn' only flags them)
+    const createBlackoutDatesTable = `
+      CREATE TABLE IF NOT EXISTS blackout_dates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        category TEXT DEFAULT 'other' CHECK (category IN ('public_holiday', 'religious_observance', 'institution_closure', 'other')),
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        policy TEXT DEFAULT 'block' CHECK (policy IN ('block', 'warn')),
+        notes TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id)
+      )
+    `;
+
+    // Create access arrangements table (approved accommodations for a student:
+    // one of a venue's designated seats, extra time as a percentage of each
+    // exam's duration, or sitting in a separate room)
+    const createAccessArrangementsTable = `
+      CREATE TABLE IF NOT EXISTS access_arrangements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER UNIQUE NOT NULL,
+        description TEXT NOT NULL,
+        designated_seat BOOLEAN DEFAULT 1,
+        extra_time_percent INTEGER DEFAULT 0 CHECK (extra_time_percent BETWEEN 0 AND 100),
+        separate_room BOOLEAN DEFAULT 0,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users (id)
+      )
+    `;
+
+    // Create seat allocations table (a generated seating plan: one seat per
+    // student per exam, labelled by row letter and seat number, e.g. "C7")
+    const createSeatAllocationsTable = `
+      CREATE TABLE IF NOT EXISTS seat_allocations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        exam_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        venue_id INTEGER NOT NULL,
+        seat_label TEXT NOT NULL,
+        seat_row INTEGER NOT NULL,
+        seat_number INTEGER NOT NULL,
+        access_seat BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (exam_id, user_id),
+        FOREIGN KEY (exam_id) REFERENCES exams (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (venue_id) REFERENCES venues (id)
+      )
+    `;
+
+    // Create exam requests table (a student's request to reschedule or defer
+    // one of their exams; approving it moves them to the alternate sitting in
+    // alternate_exam_id). attachments is a JSON array of file metadata.
+    const createExamRequestsTable = `
+      CREATE TABLE IF NOT EXISTS exam_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        exam_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        request_type TEXT NOT NULL CHECK (request_type IN ('reschedule', 'deferral')),
+        reason TEXT NOT NULL,
+        preferred_date DATE,
+        preferred_time TIME,
+        attachments TEXT,
+        status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'withdrawn')),
+        review_note TEXT,
+        reviewed_by INTEGER,
+        reviewed_at DATETIME,
+        alternate_exam_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (exam_id) REFERENCES exams (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (reviewed_by) REFERENCES users (id),
+        FOREIGN KEY (alternate_exam_id) REFERENCES exams (id) ON DELETE SET NULL
+      )
+    `;
+
+    // Create exam audit log table (append-only history of every exam
+    // mutation). exam_id and actor_id have no foreign keys so entries outlive
+    // deleted exams and users; changes is a JSON object of { field: { from, to } }.
+    const createExamAuditLogTable = `
+      CREATE TABLE IF NOT EXISTS exam_audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        exam_id INTEGER NOT NULL,
+        course_code TEXT,
+        action TEXT NOT NULL CHECK (action IN ('created', 'updated', 'deleted')),
+        source TEXT NOT NULL,
+        actor_id INTEGER,
+        changes TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create auth sessions table (one per login; revoking it signs out every
+    // access and refresh token issued for that login)
+    const createAuthSessionsTable = `
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        user_agent TEXT,
+        ip_address TEXT,
+        expires_at DATETIME NOT NULL,
+        last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        revoked_at DATETIME,
+        revoked_reason TEXT CHECK (revoked_reason IN ('logout', 'logout_all', 'revoked', 'reuse_detected', 'password_reset')),
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (exam1_id) REFERENCES exams (id),
-        FOREIGN KEY (exam2_id) REFERENCES exams (id)
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `;
+
+    // Create refresh tokens table (the rotating token family of a session;
+    // only a SHA-256 hash is stored, and used_at marks tokens already rotated)
+    const createRefreshTokensTable = `
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES auth_sessions (id) ON DELETE CASCADE
+      )
+    `;
+
+    // Create user tokens table (single-use links emailed for password resets
+    // and email verification; only a SHA-256 hash is stored)
+    const createUserTokensTable = `
+      CREATE TABLE IF NOT EXISTS user_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        purpose TEXT NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
       )
     `;
 
@@ -108,6 +492,31 @@ export async function initializeDatabase() {
       CREATE INDEX IF NOT EXISTS idx_exams_course_code ON exams(course_code);
       CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
       CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(is_read);
+      CREATE INDEX IF NOT EXISTS idx_enrollments_user_id ON enrollments(user_id);
+      CREATE INDEX IF NOT EXISTS idx_enrollments_course_id ON enrollments(course_id);
+      CREATE INDEX IF NOT EXISTS idx_exam_conflicts_resolved ON exam_conflicts(resolved);
+      CREATE INDEX IF NOT EXISTS idx_email_queue_status ON email_queue(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_live_events_created_at ON live_events(created_at);
+      CREATE INDEX IF NOT EXISTS idx_invigilator_assignments_user_id ON invigilator_assignments(user_id);
+      CREATE INDEX IF NOT EXISTS idx_staff_unavailability_user_id ON staff_unavailability(user_id, start_at);
+      CREATE INDEX IF NOT EXISTS idx_blackout_dates_range ON blackout_dates(start_date, end_date);
+      CREATE INDEX IF NOT EXISTS idx_seat_allocations_user_id ON seat_allocations(user_id);
+      CREATE INDEX IF NOT EXISTS idx_exam_requests_user_id ON exam_requests(user_id, status);
+      CREATE INDEX IF NOT EXISTS idx_exam_requests_exam_id ON exam_requests(exam_id);
+      CREATE INDEX IF NOT EXISTS idx_exam_audit_log_exam_id ON exam_audit_log(exam_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_exam_audit_log_created_at ON exam_audit_log(created_at);
+      CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON auth_sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+      CREATE INDEX IF NOT EXISTS idx_user_tokens_user_id ON user_tokens(user_id, purpose);
+      CREATE TRIGGER IF NOT EXISTS exam_audit_log_no_update BEFORE UPDATE ON exam_audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'exam_audit_log is append-only');
+      END;
+      CREATE TRIGGER IF NOT EXISTS exam_audit_log_no_delete BEFORE DELETE ON exam_audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'exam_audit_log is append-only');
+      END;
+      ${createExamRevisionTrigger}
     `;
 
     // Execute all table creations in sequence
@@ -130,6 +539,42 @@ export async function initializeDatabase() {
         console.log('✅ Exams table ready');
       });
 
+      db.run(createVenuesTable, (err) => {
+        if (err) {
+          console.error('Error creating venues table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Venues table ready');
+      });
+
+      db.run(createTimetablesTable, (err) => {
+        if (err) {
+          console.error('Error creating timetables table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Timetables table ready');
+      });
+
+      db.run(createCoursesTable, (err) => {
+        if (err) {
+          console.error('Error creating courses table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Courses table ready');
+      });
+
+      db.run(createEnrollmentsTable, (err) => {
+        if (err) {
+          console.error('Error creating enrollments table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Enrollments table ready');
+      });
+
       db.run(createNotificationsTable, (err) => {
         if (err) {
           console.error('Error creating notifications table:', err.message);
@@ -139,6 +584,15 @@ export async function initializeDatabase() {
         console.log('✅ Notifications table ready');
       });
 
+      db.run(createNotificationPreferencesTable, (err) => {
+        if (err) {
+          console.error('Error creating notification preferences table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Notification preferences table ready');
+      });
+
       db.run(createConflictsTable, (err) => {
         if (err) {
           console.error('Error creating conflicts table:', err.message);
@@ -148,6 +602,132 @@ export async function initializeDatabase() {
         console.log('✅ Conflicts table ready');
       });
 
+      db.run(createRemindersTable, (err) => {
+        if (err) {
+          console.error('Error creating reminders table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Reminders table ready');
+      });
+
+      db.run(createEmailQueueTable, (err) => {
+        if (err) {
+          console.error('Error creating email queue table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Email queue table ready');
+      });
+
+      db.run(createLiveEventsTable, (err) => {
+        if (err) {
+          console.error('Error creating live events table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Live events table ready');
+      });
+
+      db.run(createCalendarFeedsTable, (err) => {
+        if (err) {
+          console.error('Error creating calendar feeds table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Calendar feeds table ready');
+      });
+
+      db.run(createInvigilatorAssignmentsTable, (err) => {
+        if (err) {
+          console.error('Error creating invigilator assignments table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Invigilator assignments table ready');
+      });
+
+      db.run(createStaffUnavailabilityTable, (err) => {
+        if (err) {
+          console.error('Error creating staff unavailability table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Staff unavailability table ready');
+      });
+
+      db.run(createBlackoutDatesTable, (err) => {
+        if (err) {
+          console.error('Error creating blackout dates table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Blackout dates table ready');
+      });
+
+      db.run(createAccessArrangementsTable, (err) => {
+        if (err) {
+          console.error('Error creating access arrangements table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Access arrangements table ready');
+      });
+
+      db.run(createSeatAllocationsTable, (err) => {
+        if (err) {
+          console.error('Error creating seat allocations table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Seat allocations table ready');
+      });
+
+      db.run(createExamRequestsTable, (err) => {
+        if (err) {
+          console.error('Error creating exam requests table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Exam requests table ready');
+      });
+
+      db.run(createExamAuditLogTable, (err) => {
+        if (err) {
+          console.error('Error creating exam audit log table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Exam audit log table ready');
+      });
+
+      db.run(createAuthSessionsTable, (err) => {
+        if (err) {
+          console.error('Error creating auth sessions table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Auth sessions table ready');
+      });
+
+      db.run(createRefreshTokensTable, (err) => {
+        if (err) {
+          console.error('Error creating refresh tokens table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ Refresh tokens table ready');
+      });
+
+      db.run(createUserTokensTable, (err) => {
+        if (err) {
+          console.error('Error creating user tokens table:', err.message);
+          reject(err);
+          return;
+        }
+        console.log('✅ User tokens table ready');
+      });
+
       db.run(createOfflineChangesTable, (err) => {
         if (err) {
           console.error('Error creating offline changes table:', err.message);
@@ -157,7 +737,8 @@ export async function initializeDatabase() {
         console.log('✅ Offline changes table ready');
       });
 
-      db.run(createIndexes, (err) => {
+      // exec (not run) so every statement in the batch is applied
+      db.exec(createIndexes, (err) => {
         if (err) {
           console.error('Error creating indexes:', err.message);
           reject(err);
@@ -170,8 +751,60 @@ export async function initializeDatabase() {
   });
 }
 
+// The whole app shares one connection, so a transaction would also take in
+// the queries other requests make while it is open. Queries made outside the
+// running transaction wait for it to finish instead, and transactions run
+// one at a time (see withTransaction).
+const transactionContext = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+let activeTransaction = null;
+
+async function waitForTransaction() {
+  while (activeTransaction && !transactionContext.getStore()) {
+    await activeTransaction;
+  }
+}
+
+// Run work (an async function) in a transaction: committed when it resolves,
+// rolled back when it throws. Its queries are the only ones the connection
+// runs until it ends. Called from within a transaction, work simply joins it.
+export function withTransaction(work) {
+  if (transactionContext.getStore()) {
+    return work();
+  }
+
+  const run = transactionQueue.then(async () => {
+    await waitForTransaction();
+
+    let finish;
+    activeTransaction = new Promise(resolve => { finish = resolve; });
+
+    try {
+      return await transactionContext.run(true, async () => {
+        await runQuery('BEGIN TRANSACTION');
+        try {
+          const result = await work();
+          await runQuery('COMMIT');
+          return result;
+        } catch (error) {
+          await runQuery('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      activeTransaction = null;
+      finish();
+    }
+  });
+
+  transactionQueue = run.catch(() => {});
+  return run;
+}
+
 // Helper function to run database queries as promises
-export function runQuery(sql, params = []) {
+export async function runQuery(sql, params = []) {
+  await waitForTransaction();
+
   return new Promise((resolve, reject) => {
     db.run(sql, params, function(err) {
       if (err) {
@@ -184,7 +817,9 @@ export function runQuery(sql, params = []) {
 }
 
 // Helper function to get single row
-export function getRow(sql, params = []) {
+export async function getRow(sql, params = []) {
+  await waitForTransaction();
+
   return new Promise((resolve, reject) => {
     db.get(sql, params, (err, row) => {
       if (err) {
@@ -197,7 +832,9 @@ export function getRow(sql, params = []) {
 }
 
 // Helper function to get all rows
-export function getAllRows(sql, params = []) {
+export async function getAllRows(sql, params = []) {
+  await waitForTransaction();
+
   return new Promise((resolve, reject) => {
     db.all(sql, params, (err, rows) => {
       if (err) {
@@ -4,11 +4,31 @@ export const config = {
   PORT: parseInt(process.env.PORT) || 5000,
   DB_PATH: process.env.DB_PATH || './data/exam-sync.db',
   JWT_SECRET: process.env.JWT_SECRET || 'default-secret-change-in-production',
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d',
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
+  REFRESH_TOKEN_DAYS: parseInt(process.env.REFRESH_TOKEN_DAYS) || 30,
+  PASSWORD_RESET_EXPIRES_MINUTES: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60,
+  EMAIL_VERIFICATION_EXPIRES_HOURS: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48,
   FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000',
   BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS) || 12,
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000,
   RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  MAX_EXAMS_PER_STUDENT_PER_DAY: parseInt(process.env.MAX_EXAMS_PER_STUDENT_PER_DAY) || 2,
+  BACK_TO_BACK_GAP_MINUTES: parseInt(process.env.BACK_TO_BACK_GAP_MINUTES) || 30,
+  STUDENTS_PER_INVIGILATOR: parseInt(process.env.STUDENTS_PER_INVIGILATOR) || 30,
+  MIN_INVIGILATORS_PER_EXAM: parseInt(process.env.MIN_INVIGILATORS_PER_EXAM) || 1,
+  REMINDERS_ENABLED: process.env.REMINDERS_ENABLED !== 'false',
+  REMINDER_OFFSETS_MINUTES: (process.env.REMINDER_OFFSETS_MINUTES || '10080,1440,60')
+    .split(',')
+    .map(offset => parseInt(offset))
+    .filter(offset => offset > 0),
+  REMINDER_INTERVAL_MS: parseInt(process.env.REMINDER_INTERVAL_MS) || 60000,
+  EMAIL_QUEUE_INTERVAL_MS: parseInt(process.env.EMAIL_QUEUE_INTERVAL_MS) || 30000,
+  EMAIL_MAX_ATTEMPTS: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5,
+  LIVE_EVENT_RETENTION_HOURS: parseInt(process.env.LIVE_EVENT_RETENTION_HOURS) || 24,
+  EXAM_RESTORE_DAYS: parseInt(process.env.EXAM_RESTORE_DAYS) || 30,
+  EXAM_PURGE_INTERVAL_MS: parseInt(process.env.EXAM_PURGE_INTERVAL_MS) || 3600000,
+  INSTITUTION_NAME: process.env.INSTITUTION_NAME || 'ExamSync',
+  PUBLIC_API_URL: process.env.PUBLIC_API_URL || null,
 };
 
 // Validate critical configuration
@@ -0,0 +1,56 @@
+import nodemailer from 'nodemailer';
+
+// Outbound email transport. Configured from the SMTP_* environment variables
+// when first used; point SMTP_HOST/SMTP_PORT at a local SMTP sink to test.
+// MAIL_TRANSPORT=console prints emails to the server log instead (for
+// development). Without either the email channel is switched off and
+// nothing is queued.
+let transport = null;
+
+const consoleTransport = {
+  sendMail: async (mail) => {
+    console.log(`📧 Email to ${mail.to}: ${mail.subject}\n${mail.text}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+export function isMailConfigured() {
+  return transport !== null || Boolean(process.env.SMTP_HOST) || process.env.MAIL_TRANSPORT === 'console';
+}
+
+// Where emails go, for log messages: the console, the SMTP host or a custom transport
+export function describeMailTransport() {
+  if (transport === consoleTransport || (!transport && process.env.MAIL_TRANSPORT === 'console')) {
+    return 'console transport';
+  }
+
+  return process.env.SMTP_HOST ? `SMTP host ${process.env.SMTP_HOST}` : 'custom transport';
+}
+
+export function getMailTransport() {
+  if (!transport && process.env.MAIL_TRANSPORT === 'console') {
+    transport = consoleTransport;
+  }
+
+  if (!transport && process.env.SMTP_HOST) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return transport;
+}
+
+// Swap in another nodemailer-compatible transport (anything with sendMail)
+export function setMailTransport(customTransport) {
+  transport = customTransport;
+}
+
+export function getMailFrom() {
+  return process.env.MAIL_FROM || 'ExamSync <no-reply@examsync.local>';
+}
@@ -3,10 +3,26 @@ import { config } from '../config/environment.js';
 import { getRow } from '../config/database.js';
 
 /**
- * JWT Authentication Middleware
- * Verifies JWT token and attaches user info to request
+ * Whether the login session an access token belongs to is still signed in.
+ * Tokens issued before sessions existed carry no sessionId and are refused.
  */
-export const authenticateToken = async (req, res, next) => {
+export const isSessionActive = async (decoded) => {
+  if (!decoded.sessionId) return false;
+
+  const session = await getRow(
+    'SELECT id FROM auth_sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [decoded.sessionId, decoded.userId]
+  );
+  return Boolean(session);
+};
+
+// Requests an unverified account may still make
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Verify the access token and attach its user to the request. Unless
+// allowUnverified is set, accounts that have not verified their email are
+// limited to reading.
+const authenticate = ({ allowUnverified }) => async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -24,7 +40,7 @@ export const authenticateToken = async (req, res, next) => {
 
     // Get current user info from database
     const user = await getRow(
-      'SELECT id, email, first_name, last_name, role, is_active FROM users WHERE id = ?',
+      'SELECT id, email, first_name, last_name, role, is_active, email_verified_at FROM users WHERE id = ?',
       [decoded.userId]
     );
 
@@ -42,13 +58,29 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({
+        error: 'Session expired',
+        message: 'This session has been signed out. Please login again.'
+      });
+    }
+
+    if (!user.email_verified_at && !allowUnverified && !READ_ONLY_METHODS.includes(req.method)) {
+      return res.status(403).json({
+        error: 'Email not verified',
+        message: 'Verify your email address to make changes. A new link can be sent from /api/auth/resend-verification.'
+      });
+    }
+
     // Attach user info to request object
     req.user = {
       id: user.id,
       email: user.email,
       firstName: user.first_name,
       lastName: user.last_name,
-      role: user.role
+      role: user.role,
+      emailVerified: Boolean(user.email_verified_at),
+      sessionId: decoded.sessionId
     };
 
     next();
@@ -75,6 +107,19 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * JWT Authentication Middleware
+ * Verifies JWT token and attaches user info to request. Accounts that have
+ * not verified their email can only read until they do.
+ */
+export const authenticateToken = authenticate({ allowUnverified: false });
+
+/**
+ * Authentication for the few changes an unverified account may still make
+ * (signing out, asking for a new verification email)
+ */
+export const authenticateUnverified = authenticate({ allowUnverified: true });
+
 /**
  * Role-based authorization middleware factory
  * Creates middleware that checks if user has required role(s)
@@ -118,17 +163,19 @@ export const optionalAuth = async (req, res, next) => {
     const decoded = jwt.verify(token, config.JWT_SECRET);
 
     const user = await getRow(
-      'SELECT id, email, first_name, last_name, role, is_active FROM users WHERE id = ?',
+      'SELECT id, email, first_name, last_name, role, is_active, email_verified_at FROM users WHERE id = ?',
       [decoded.userId]
     );
 
-    if (user && user.is_active) {
+    if (user && user.is_active && await isSessionActive(decoded)) {
       req.user = {
         id: user.id,
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
-        role: user.role
+        role: user.role,
+        emailVerified: Boolean(user.email_verified_at),
+        sessionId: decoded.sessionId
       };
     } else {
       req.user = null;
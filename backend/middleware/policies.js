@@ -0,0 +1,58 @@
+import { getAllRows } from '../config/database.js';
+
+/**
+ * Authorization policies
+ * One rule per resource and action. Every path that changes a resource
+ * (REST routes, offline sync, bulk updates, imports) asks the same policy,
+ * so a user can do the same things whichever way the change arrives.
+ */
+
+/**
+ * Policy context for a user: the user plus the course codes they teach
+ * (upper case). Load it once per request and pass it to can().
+ */
+export const loadPolicyContext = async (user) => {
+  if (!user || user.role !== 'lecturer') {
+    return { user, taughtCourses: new Set() };
+  }
+
+  const courses = await getAllRows('SELECT code FROM courses WHERE lecturer_id = ?', [user.id]);
+  return { user, taughtCourses: new Set(courses.map(course => course.code.toUpperCase())) };
+};
+
+// Admins manage any exam, lecturers the exams of courses they teach,
+// students none
+const managesExam = ({ user, taughtCourses }, exam) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  return user.role === 'lecturer'
+    && Boolean(exam.course_code)
+    && taughtCourses.has(String(exam.course_code).toUpperCase());
+};
+
+export const policies = {
+  exam: {
+    create: (context, exam) => managesExam(context, exam),
+    // Moving an exam to another course needs that course too
+    update: (context, exam, changes = {}) => managesExam(context, exam) && managesExam(context, { ...exam, ...changes }),
+    delete: (context, exam) => managesExam(context, exam)
+  },
+  examRequest: {
+    // Approving or rejecting a request, which may add an alternate sitting
+    review: (context, request) => managesExam(context, { course_code: request.course_code })
+  }
+};
+
+/**
+ * Whether the policy for a resource and action allows it
+ */
+export const can = (context, resource, action, ...args) => policies[resource][action](context, ...args);
+
+/**
+ * 403 response body for a refused policy
+ */
+export const policyDeniedResponse = (action, noun = 'exams') => ({
+  error: 'Insufficient permissions',
+  message: `Lecturers can only ${action} ${noun} for courses they teach`
+});
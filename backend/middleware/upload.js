@@ -0,0 +1,37 @@
+import multer from 'multer';
+
+// Uploaded files are only parsed, never stored, so keep them in memory
+const storage = multer.memoryStorage();
+
+/**
+ * Single file upload middleware factory
+ * Accepts one file in the given form field and rejects anything larger than maxSizeMb
+ */
+export const uploadSingleFile = (fieldName = 'file', maxSizeMb = 5) => {
+  const upload = multer({
+    storage,
+    limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 }
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          error: 'File upload failed',
+          message: err.code === 'LIMIT_FILE_SIZE'
+            ? `File must be ${maxSizeMb}MB or smaller`
+            : err.message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'File required',
+          message: `Please upload a file in the "${fieldName}" form field`
+        });
+      }
+
+      next();
+    });
+  };
+};
@@ -1,9 +1,62 @@
 // Validation middleware for API requests
 
+// Shared field formats
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const studentNumberRegex = /^[A-Za-z0-9-]{3,20}$/;
+
+// Room features a venue can advertise
+export const VENUE_FEATURES = [
+  'computers',
+  'wheelchair_access',
+  'hearing_loop',
+  'accessible_toilets',
+  'projector',
+  'air_conditioning'
+];
+
+// Seat labels in a venue layout: row letter (A at the front) and seat number
+const seatLabelRegex = /^([A-Z])([1-9]\d*)$/;
+
+// Kinds of institution-wide blackout date
+export const BLACKOUT_CATEGORIES = ['public_holiday', 'religious_observance', 'institution_closure', 'other'];
+
+// Kinds of exam request a student can file
+export const EXAM_REQUEST_TYPES = ['reschedule', 'deferral'];
+
+// Notification event types users can opt in or out of, and where they are delivered
+export const NOTIFICATION_EVENTS = ['created', 'updated', 'cancelled', 'reminder', 'conflict', 'sync', 'request'];
+export const NOTIFICATION_CHANNELS = ['in_app', 'email'];
+
 // Exam validation schema
 export const validateExamData = (req, res, next) => {
   const { courseCode, courseName, date, time, venue, duration, status } = req.body;
 
+  const errors = getExamDataErrors(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors,
+      received: {
+        courseCode: courseCode?.substring(0, 50),
+        courseName: courseName?.substring(0, 50),
+        date,
+        time,
+        venue: venue?.substring(0, 50),
+        duration,
+        status
+      }
+    });
+  }
+
+  next();
+};
+
+// Exam field rules (also applied per row by the timetable import, so it
+// returns the error list instead of responding)
+export const getExamDataErrors = (exam) => {
+  const { courseCode, courseName, date, time, venue, venueId, duration, status, timetableId } = exam;
+
   const errors = [];
 
   // Required fields validation
@@ -40,9 +93,13 @@ export const validateExamData = (req, res, next) => {
     }
   }
 
-  // Venue validation
-  if (!venue || typeof venue !== 'string' || venue.trim().length === 0) {
-    errors.push('venue is required and must be a non-empty string');
+  // Venue validation (a registered venueId or a free-text venue name)
+  if (venueId !== undefined && venueId !== null) {
+    if (!Number.isInteger(venueId) || venueId < 1) {
+      errors.push('venueId must be a positive integer');
+    }
+  } else if (!venue || typeof venue !== 'string' || venue.trim().length === 0) {
+    errors.push('venue or venueId is required; venue must be a non-empty string');
   }
 
   // Duration validation
@@ -57,6 +114,11 @@ export const validateExamData = (req, res, next) => {
     errors.push('status must be one of: upcoming, ongoing, completed, cancelled');
   }
 
+  // Timetable validation (if provided, the exam is added to that draft version)
+  if (timetableId !== undefined && timetableId !== null && (!Number.isInteger(timetableId) || timetableId < 1)) {
+    errors.push('timetableId must be a positive integer');
+  }
+
   // Length validations
   if (courseCode && courseCode.length > 20) {
     errors.push('courseCode must be 20 characters or less');
@@ -70,25 +132,322 @@ export const validateExamData = (req, res, next) => {
     errors.push('venue must be 100 characters or less');
   }
 
+  return errors;
+};
+
+// Venue validation
+export const validateVenueData = (req, res, next) => {
+  const { name, building, room, capacity, examCapacity, features, layout } = req.body;
+
+  const errors = [];
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push('name is required and must be a non-empty string');
+  }
+
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    errors.push('capacity is required and must be a positive integer');
+  }
+
+  if (examCapacity !== undefined && examCapacity !== null) {
+    if (!Number.isInteger(examCapacity) || examCapacity < 1) {
+      errors.push('examCapacity must be a positive integer');
+    } else if (Number.isInteger(capacity) && examCapacity > capacity) {
+      errors.push('examCapacity cannot exceed capacity');
+    }
+  }
+
+  if (features !== undefined) {
+    if (!Array.isArray(features)) {
+      errors.push('features must be an array');
+    } else {
+      const unknown = features.filter(feature => !VENUE_FEATURES.includes(feature));
+      if (unknown.length > 0) {
+        errors.push(`features must be any of: ${VENUE_FEATURES.join(', ')}`);
+      }
+    }
+  }
+
+  // Length validations (name matches the exam venue limit)
+  if (name && name.length > 100) {
+    errors.push('name must be 100 characters or less');
+  }
+
+  if (building && (typeof building !== 'string' || building.length > 100)) {
+    errors.push('building must be a string of 100 characters or less');
+  }
+
+  if (room && (typeof room !== 'string' || room.length > 50)) {
+    errors.push('room must be a string of 50 characters or less');
+  }
+
+  if (layout !== undefined && layout !== null) {
+    errors.push(...getVenueLayoutErrors(layout));
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       error: 'Validation failed',
-      details: errors,
-      received: {
-        courseCode: courseCode?.substring(0, 50),
-        courseName: courseName?.substring(0, 50),
-        date,
-        time,
-        venue: venue?.substring(0, 50),
-        duration,
-        status
-      }
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Venue seating layout: a grid of up to 26 lettered rows. seatSpacing and
+// rowSpacing are the empty seats and rows left between candidates;
+// accessibleSeats are designated seats for students with access arrangements.
+const getVenueLayoutErrors = (layout) => {
+  if (typeof layout !== 'object' || Array.isArray(layout)) {
+    return ['layout must be an object'];
+  }
+
+  const { rows, seatsPerRow, seatSpacing, rowSpacing, accessibleSeats, unavailableSeats } = layout;
+  const errors = [];
+
+  if (!Number.isInteger(rows) || rows < 1 || rows > 26) {
+    errors.push('layout.rows must be an integer between 1 and 26');
+  }
+
+  if (!Number.isInteger(seatsPerRow) || seatsPerRow < 1 || seatsPerRow > 100) {
+    errors.push('layout.seatsPerRow must be an integer between 1 and 100');
+  }
+
+  for (const [field, value] of [['seatSpacing', seatSpacing], ['rowSpacing', rowSpacing]]) {
+    if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > 5)) {
+      errors.push(`layout.${field} must be an integer between 0 and 5`);
+    }
+  }
+
+  for (const [field, value] of [['accessibleSeats', accessibleSeats], ['unavailableSeats', unavailableSeats]]) {
+    if (value === undefined) continue;
+
+    if (!Array.isArray(value)) {
+      errors.push(`layout.${field} must be an array of seat labels`);
+      continue;
+    }
+
+    const outside = value.filter(label => {
+      const match = seatLabelRegex.exec(label);
+      return !match || match[1].charCodeAt(0) - 64 > rows || Number(match[2]) > seatsPerRow;
+    });
+    if (outside.length > 0) {
+      errors.push(`layout.${field} must be seats in the grid, like "A1" (invalid: ${outside.join(', ')})`);
+    }
+  }
+
+  return errors;
+};
+
+// Access arrangement validation (a student's designated seat, extra time
+// percentage and separate room)
+export const validateAccessArrangement = (req, res, next) => {
+  const { description, designatedSeat, extraTimePercent, separateRoom } = req.body;
+
+  const errors = [];
+
+  if (!description || typeof description !== 'string' || description.trim().length === 0) {
+    errors.push('description is required and must be a non-empty string');
+  } else if (description.length > 200) {
+    errors.push('description must be 200 characters or less');
+  }
+
+  for (const [field, value] of [['designatedSeat', designatedSeat], ['separateRoom', separateRoom]]) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+  }
+
+  if (extraTimePercent !== undefined && (!Number.isInteger(extraTimePercent) || extraTimePercent < 0 || extraTimePercent > 100)) {
+    errors.push('extraTimePercent must be an integer between 0 and 100');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Timetable generation / version request validation
+export const validateTimetableRequest = (req, res, next) => {
+  const {
+    name, startDate, endDate, courseCodes, venueIds, slots, duration, durations,
+    excludedDates, includeWeekends, maxExamsPerDay, seed, copyLive
+  } = req.body;
+
+  const errors = [];
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  const isDuration = (value) => Number.isInteger(value) && value >= 30 && value <= 300;
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push('name is required and must be a non-empty string');
+  } else if (name.length > 100) {
+    errors.push('name must be 100 characters or less');
+  }
+
+  if (!startDate || !dateRegex.test(startDate)) {
+    errors.push('startDate is required in YYYY-MM-DD format');
+  }
+
+  if (!endDate || !dateRegex.test(endDate)) {
+    errors.push('endDate is required in YYYY-MM-DD format');
+  }
+
+  if (dateRegex.test(startDate) && dateRegex.test(endDate)) {
+    const days = (new Date(endDate) - new Date(startDate)) / 86400000;
+    if (isNaN(days) || days < 0) {
+      errors.push('startDate must be before or equal to endDate');
+    } else if (days > 90) {
+      errors.push('exam period cannot be longer than 90 days');
+    }
+  }
+
+  if (courseCodes !== undefined && (!Array.isArray(courseCodes) || courseCodes.length === 0 ||
+      courseCodes.some(code => typeof code !== 'string' || code.trim().length === 0))) {
+    errors.push('courseCodes must be a non-empty array of course codes');
+  }
+
+  if (venueIds !== undefined && (!Array.isArray(venueIds) || venueIds.length === 0 ||
+      venueIds.some(id => !Number.isInteger(id) || id < 1))) {
+    errors.push('venueIds must be a non-empty array of venue IDs');
+  }
+
+  if (slots !== undefined && (!Array.isArray(slots) || slots.length === 0 ||
+      slots.some(slot => typeof slot !== 'string' || !timeRegex.test(slot)))) {
+    errors.push('slots must be a non-empty array of HH:MM start times');
+  }
+
+  if (duration !== undefined && !isDuration(duration)) {
+    errors.push('duration must be a number between 30 and 300 minutes');
+  }
+
+  if (durations !== undefined && (typeof durations !== 'object' || durations === null || Array.isArray(durations) ||
+      Object.values(durations).some(value => !isDuration(value)))) {
+    errors.push('durations must map course codes to minutes between 30 and 300');
+  }
+
+  if (excludedDates !== undefined && (!Array.isArray(excludedDates) ||
+      excludedDates.some(date => typeof date !== 'string' || !dateRegex.test(date)))) {
+    errors.push('excludedDates must be an array of YYYY-MM-DD dates');
+  }
+
+  if (includeWeekends !== undefined && typeof includeWeekends !== 'boolean') {
+    errors.push('includeWeekends must be a boolean');
+  }
+
+  if (maxExamsPerDay !== undefined && (!Number.isInteger(maxExamsPerDay) || maxExamsPerDay < 1)) {
+    errors.push('maxExamsPerDay must be a positive integer');
+  }
+
+  if (seed !== undefined && (!Number.isInteger(seed) || seed < 0)) {
+    errors.push('seed must be a non-negative integer');
+  }
+
+  if (copyLive !== undefined && typeof copyLive !== 'boolean') {
+    errors.push('copyLive must be a boolean');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
     });
   }
 
   next();
 };
 
+// Course validation
+export const validateCourseData = (req, res, next) => {
+  const { code, name, department, lecturerId } = req.body;
+
+  const errors = [];
+
+  if (!code || typeof code !== 'string' || code.trim().length === 0) {
+    errors.push('code is required and must be a non-empty string');
+  }
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push('name is required and must be a non-empty string');
+  }
+
+  if (department !== undefined && department !== null && typeof department !== 'string') {
+    errors.push('department must be a string');
+  }
+
+  if (lecturerId !== undefined && lecturerId !== null && typeof lecturerId !== 'number') {
+    errors.push('lecturerId must be a number');
+  }
+
+  // Length validations (code matches the exam courseCode limit)
+  if (code && code.length > 20) {
+    errors.push('code must be 20 characters or less');
+  }
+
+  if (name && name.length > 100) {
+    errors.push('name must be 100 characters or less');
+  }
+
+  if (department && department.length > 100) {
+    errors.push('department must be 100 characters or less');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Enrollment validation (single userId or a userIds array)
+export const validateEnrollment = (req, res, next) => {
+  const { userId, userIds } = req.body;
+
+  const ids = userIds !== undefined ? userIds : [userId];
+
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'number')) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: ['userId must be a number or userIds must be a non-empty array of numbers']
+    });
+  }
+
+  next();
+};
+
+// Registry enrolment row validation (used per row by the bulk import, so it
+// returns the error list instead of responding)
+export const getEnrollmentRowErrors = (row) => {
+  const { studentNumber, email, courseCode } = row;
+
+  const errors = [];
+
+  if (!studentNumber || !studentNumberRegex.test(studentNumber)) {
+    errors.push('studentNumber is required and must be 3-20 letters, digits or dashes');
+  }
+
+  if (!email || !emailRegex.test(email)) {
+    errors.push('Valid email is required');
+  }
+
+  if (!courseCode || courseCode.trim().length === 0) {
+    errors.push('courseCode is required');
+  } else if (courseCode.length > 20) {
+    errors.push('courseCode must be 20 characters or less');
+  }
+
+  return errors;
+};
+
 // User registration validation
 export const validateUserRegistration = (req, res, next) => {
   const { email, password, firstName, lastName, role } = req.body;
@@ -96,7 +455,6 @@ export const validateUserRegistration = (req, res, next) => {
   const errors = [];
 
   // Email validation
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   if (!email || !emailRegex.test(email)) {
     errors.push('Valid email is required');
   }
@@ -200,6 +558,197 @@ export const validateNotification = (req, res, next) => {
   next();
 };
 
+// Notification preferences validation (partial updates: any subset of events,
+// and quietHours as { start, end } or null to switch them off)
+export const validateNotificationPreferences = (req, res, next) => {
+  const { events, quietHours } = req.body;
+  const timeRegex = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+  const errors = [];
+
+  if (events === undefined && quietHours === undefined) {
+    errors.push('events or quietHours is required');
+  }
+
+  if (events !== undefined) {
+    if (typeof events !== 'object' || events === null || Array.isArray(events)) {
+      errors.push('events must map event types to arrays of channels');
+    } else {
+      for (const [event, channels] of Object.entries(events)) {
+        if (!NOTIFICATION_EVENTS.includes(event)) {
+          errors.push(`Unknown event type: ${event} (must be one of: ${NOTIFICATION_EVENTS.join(', ')})`);
+        } else if (!Array.isArray(channels) || channels.some(channel => !NOTIFICATION_CHANNELS.includes(channel))) {
+          errors.push(`${event} channels must be an array containing any of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+        }
+      }
+    }
+  }
+
+  if (quietHours !== undefined && quietHours !== null) {
+    if (typeof quietHours !== 'object' || !timeRegex.test(quietHours.start) || !timeRegex.test(quietHours.end)) {
+      errors.push('quietHours must have start and end times in HH:MM format (24-hour), or be null');
+    } else if (quietHours.start === quietHours.end) {
+      errors.push('quietHours start and end must differ');
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Staff unavailability validation (local "YYYY-MM-DD HH:MM" times; a T
+// separator is accepted too)
+export const validateUnavailability = (req, res, next) => {
+  const { startAt, endAt, reason, userId } = req.body;
+  const dateTimeRegex = /^\d{4}-\d{2}-\d{2}[T ]([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+  const errors = [];
+
+  if (!startAt || !dateTimeRegex.test(startAt)) {
+    errors.push('startAt is required in YYYY-MM-DD HH:MM format');
+  }
+
+  if (!endAt || !dateTimeRegex.test(endAt)) {
+    errors.push('endAt is required in YYYY-MM-DD HH:MM format');
+  }
+
+  if (errors.length === 0 && endAt.replace('T', ' ') <= startAt.replace('T', ' ')) {
+    errors.push('endAt must be after startAt');
+  }
+
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 200)) {
+    errors.push('reason must be a string of 200 characters or less');
+  }
+
+  if (userId !== undefined && (!Number.isInteger(userId) || userId < 1)) {
+    errors.push('userId must be a positive integer');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Blackout date validation (endDate defaults to startDate for a single day)
+export const validateBlackoutDate = (req, res, next) => {
+  const { name, category, startDate, endDate, policy, notes } = req.body;
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+  const errors = [];
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push('name is required and must be a non-empty string');
+  } else if (name.length > 100) {
+    errors.push('name must be 100 characters or less');
+  }
+
+  if (!startDate || !dateRegex.test(startDate) || isNaN(new Date(startDate).getTime())) {
+    errors.push('startDate is required in YYYY-MM-DD format');
+  }
+
+  if (endDate !== undefined && endDate !== null) {
+    if (!dateRegex.test(endDate) || isNaN(new Date(endDate).getTime())) {
+      errors.push('endDate must be in YYYY-MM-DD format');
+    } else if (startDate && endDate < startDate) {
+      errors.push('endDate must be on or after startDate');
+    }
+  }
+
+  if (category !== undefined && !BLACKOUT_CATEGORIES.includes(category)) {
+    errors.push(`category must be one of: ${BLACKOUT_CATEGORIES.join(', ')}`);
+  }
+
+  if (policy !== undefined && !['block', 'warn'].includes(policy)) {
+    errors.push('policy must be one of: block, warn');
+  }
+
+  if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > 500)) {
+    errors.push('notes must be a string of 500 characters or less');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Exam request validation (reschedule or deferral). Attachments are metadata
+// only (name, mimeType, size and an optional url); files are stored elsewhere.
+export const validateExamRequest = (req, res, next) => {
+  const { examId, type, reason, preferredDate, preferredTime, attachments } = req.body;
+
+  const errors = [];
+
+  if (!Number.isInteger(examId) || examId < 1) {
+    errors.push('examId must be a positive integer');
+  }
+
+  if (!EXAM_REQUEST_TYPES.includes(type)) {
+    errors.push(`type must be one of: ${EXAM_REQUEST_TYPES.join(', ')}`);
+  }
+
+  if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+    errors.push('reason is required and must be a non-empty string');
+  } else if (reason.length > 2000) {
+    errors.push('reason must be 2000 characters or less');
+  }
+
+  if (preferredDate !== undefined && preferredDate !== null &&
+    (!/^\d{4}-\d{2}-\d{2}$/.test(preferredDate) || isNaN(new Date(preferredDate).getTime()))) {
+    errors.push('preferredDate must be in YYYY-MM-DD format');
+  }
+
+  if (preferredTime !== undefined && preferredTime !== null && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(preferredTime)) {
+    errors.push('preferredTime must be in HH:MM format (24-hour)');
+  }
+
+  if (attachments !== undefined) {
+    if (!Array.isArray(attachments) || attachments.length > 5) {
+      errors.push('attachments must be an array of at most 5 items');
+    } else {
+      attachments.forEach((attachment, index) => {
+        const { name, mimeType, size, url } = attachment || {};
+        if (!name || typeof name !== 'string' || name.length > 255) {
+          errors.push(`attachments[${index}].name is required and must be 255 characters or less`);
+        }
+        if (mimeType !== undefined && (typeof mimeType !== 'string' || mimeType.length > 100)) {
+          errors.push(`attachments[${index}].mimeType must be a string of 100 characters or less`);
+        }
+        if (size !== undefined && (!Number.isInteger(size) || size < 0)) {
+          errors.push(`attachments[${index}].size must be a non-negative integer (bytes)`);
+        }
+        if (url !== undefined && (typeof url !== 'string' || !/^https?:\/\//.test(url))) {
+          errors.push(`attachments[${index}].url must be an http(s) URL`);
+        }
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
 // Generic pagination validation
 export const validatePagination = (req, res, next) => {
   const { page, limit } = req.query;
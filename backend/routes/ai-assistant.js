@@ -2,6 +2,7 @@ import express from 'express';
 import { getAllRows, getRow } from '../config/database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { createNotification } from './notifications.js';
+import { getExamVisibilityFilter } from './courses.js';
 
 const router = express.Router();
 
@@ -156,7 +157,7 @@ async function analyzeMessage(message, userId, userRole) {
   const entities = extractEntities(lowerMessage);
 
   // Get relevant data based on intent
-  const relevantData = await getRelevantData(intent, entities, userId);
+  const relevantData = await getRelevantData(intent, entities, { id: userId, role: userRole });
 
   return {
     intent,
@@ -195,8 +196,9 @@ function extractEntities(message) {
 }
 
 // Get relevant data based on intent
-async function getRelevantData(intent, entities, userId) {
+async function getRelevantData(intent, entities, user) {
   const data = {};
+  const scope = getExamVisibilityFilter(user);
 
   // Get upcoming exams
   if (intent.schedule || intent.weekly || intent.today || intent.tomorrow) {
@@ -207,9 +209,10 @@ async function getRelevantData(intent, entities, userId) {
       FROM exams e
       LEFT JOIN users u ON e.created_by = u.id
       WHERE e.status = 'upcoming'
+      AND ${scope.clause}
     `;
 
-    const params = [];
+    const params = [...scope.params];
 
     // Filter by date
     if (entities.date === 'today') {
@@ -243,6 +246,9 @@ async function getRelevantData(intent, entities, userId) {
 
   // Get conflict information
   if (intent.conflict) {
+    const scope1 = getExamVisibilityFilter(user, 'e1');
+    const scope2 = getExamVisibilityFilter(user, 'e2');
+
     const conflicts = await getAllRows(`
       SELECT
         e1.course_code as exam1_code, e1.course_name as exam1_name,
@@ -252,9 +258,10 @@ async function getRelevantData(intent, entities, userId) {
       JOIN exams e1 ON ec.exam1_id = e1.id
       JOIN exams e2 ON ec.exam2_id = e2.id
       WHERE ec.resolved = 0
+      AND (${scope1.clause} OR ${scope2.clause})
       ORDER BY ec.created_at DESC
       LIMIT 5
-    `);
+    `, [...scope1.params, ...scope2.params]);
 
     data.conflicts = conflicts;
   }
@@ -263,11 +270,12 @@ async function getRelevantData(intent, entities, userId) {
   if (intent.stats) {
     const stats = await getRow(`
       SELECT
-        COUNT(CASE WHEN date >= date('now') AND status = 'upcoming' THEN 1 END) as upcoming,
-        COUNT(CASE WHEN date = date('now') THEN 1 END) as today,
-        COUNT(CASE WHEN date >= date('now') AND date <= date('now', '+6 days') AND status = 'upcoming' THEN 1 END) as this_week
-      FROM exams
-    `);
+        COUNT(CASE WHEN e.date >= date('now') AND e.status = 'upcoming' THEN 1 END) as upcoming,
+        COUNT(CASE WHEN e.date = date('now') THEN 1 END) as today,
+        COUNT(CASE WHEN e.date >= date('now') AND e.date <= date('now', '+6 days') AND e.status = 'upcoming' THEN 1 END) as this_week
+      FROM exams e
+      WHERE ${scope.clause}
+    `, scope.params);
 
     data.stats = stats;
   }
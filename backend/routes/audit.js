@@ -0,0 +1,193 @@
+import express from 'express';
+import { getAllRows, getRow, runQuery } from '../config/database.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { validatePagination } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Exam columns whose changes are recorded (timestamps and created_by are not)
+export const AUDITED_FIELDS = [
+  'course_code', 'course_name', 'date', 'time', 'venue', 'venue_id',
+  'duration', 'status', 'timetable_id', 'original_exam_id'
+];
+
+// Where a change came from
+export const AUDIT_SOURCES = [
+  'api', 'offline_sync', 'bulk_status', 'import', 'timetable_publish',
+  'exam_request', 'course_update', 'venue_update', 'purge'
+];
+
+const AUDIT_ACTIONS = ['created', 'updated', 'deleted'];
+
+const AUDIT_SELECT = `
+  SELECT
+    l.*,
+    u.first_name || ' ' || u.last_name as actor_name,
+    u.role as actor_role
+  FROM exam_audit_log l
+  LEFT JOIN users u ON l.actor_id = u.id
+`;
+
+// Field-level differences between two versions of an exam row, as
+// { field: { from, to } }. A missing row (creation or deletion) counts as
+// every field being null.
+export function diffExam(before, after) {
+  const changes = {};
+
+  for (const field of AUDITED_FIELDS) {
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+// Append an entry to the audit log. Pass the exam row as it was before the
+// change (null for a creation) and as it is afterwards (null for a deletion).
+// A soft delete keeps the row, so it passes both rows and action 'deleted'.
+// Updates that leave every audited field unchanged are not recorded.
+export async function recordExamChange({ before = null, after = null, actorId = null, source = 'api', action: forcedAction = null }) {
+  const action = forcedAction || (!before ? 'created' : (after ? 'updated' : 'deleted'));
+  const changes = diffExam(before, after);
+
+  if (action === 'updated' && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const exam = after || before;
+  const result = await runQuery(`
+    INSERT INTO exam_audit_log (exam_id, course_code, action, source, actor_id, changes)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [exam.id, exam.course_code, action, source, actorId, JSON.stringify(changes)]);
+
+  return result.lastID;
+}
+
+function formatAuditEntry(entry) {
+  return { ...entry, changes: JSON.parse(entry.changes) };
+}
+
+// An exam's change history, oldest first. Students get the entries without
+// who made each change.
+export async function getExamHistory(examId, { includeActor = true } = {}) {
+  const entries = await getAllRows(`
+    ${AUDIT_SELECT}
+    WHERE l.exam_id = ?
+    ORDER BY l.created_at ASC, l.id ASC
+  `, [examId]);
+
+  return entries.map(entry => {
+    const formatted = formatAuditEntry(entry);
+    if (!includeActor) {
+      delete formatted.actor_id;
+      delete formatted.actor_name;
+      delete formatted.actor_role;
+    }
+    return formatted;
+  });
+}
+
+// Search the exam audit log (admin only). Filters: examId, actorId, source,
+// action, courseCode, field (entries that changed that field) and from/to
+// (dates, inclusive). Newest entries first.
+router.get('/exams', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { examId, actorId, source, action, courseCode, field, from, to, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (source && !AUDIT_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `source must be one of: ${AUDIT_SOURCES.join(', ')}` });
+    }
+
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+    }
+
+    if (field && !AUDITED_FIELDS.includes(field)) {
+      return res.status(400).json({ error: `field must be one of: ${AUDITED_FIELDS.join(', ')}` });
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return res.status(400).json({ error: `${name} must be a date (YYYY-MM-DD)` });
+      }
+    }
+
+    if (examId) {
+      conditions.push('l.exam_id = ?');
+      params.push(examId);
+    }
+
+    if (actorId) {
+      conditions.push('l.actor_id = ?');
+      params.push(actorId);
+    }
+
+    if (source) {
+      conditions.push('l.source = ?');
+      params.push(source);
+    }
+
+    if (action) {
+      conditions.push('l.action = ?');
+      params.push(action);
+    }
+
+    if (courseCode) {
+      conditions.push('l.course_code = ? COLLATE NOCASE');
+      params.push(courseCode);
+    }
+
+    if (field) {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(l.changes) WHERE json_each.key = ?)');
+      params.push(field);
+    }
+
+    if (from) {
+      conditions.push('date(l.created_at) >= ?');
+      params.push(from);
+    }
+
+    if (to) {
+      conditions.push('date(l.created_at) <= ?');
+      params.push(to);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const entries = await getAllRows(`
+      ${AUDIT_SELECT}
+      ${whereClause}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const totalCount = await getRow(`
+      SELECT COUNT(*) as count FROM exam_audit_log l ${whereClause}
+    `, params);
+
+    res.json({
+      success: true,
+      data: entries.map(formatAuditEntry),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: totalCount.count,
+        pages: Math.ceil(totalCount.count / limit)
+      },
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('Error searching audit log:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -1,11 +1,20 @@
 import express from 'express';
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import { getRow, runQuery } from '../config/database.js';
+import { getAllRows, getRow, runQuery } from '../config/database.js';
 import { config } from '../config/environment.js';
+import { isMailConfigured } from '../config/mailer.js';
+import { authenticateToken, authenticateUnverified, isSessionActive } from '../middleware/auth.js';
+import { sendEmailNow } from './email.js';
+import { closeSessionStreams } from './events.js';
 
 const router = express.Router();
 
+// Expired sessions are pruned at most this often
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPrunedAt = 0;
+
 // Input validation helper
 function validateEmail(email) {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -16,6 +25,130 @@ function validatePassword(password) {
   return password && password.length >= 6;
 }
 
+// Refresh tokens are only stored hashed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived access token (JWT_EXPIRES_IN) for a session
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    sessionId: sessionId
+  },
+  config.JWT_SECRET,
+  { expiresIn: config.JWT_EXPIRES_IN }
+);
+
+// Add the next refresh token of a session's rotating family
+async function issueRefreshToken(sessionId) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  await runQuery(
+    'INSERT INTO refresh_tokens (session_id, token_hash) VALUES (?, ?)',
+    [sessionId, hashToken(refreshToken)]
+  );
+  return refreshToken;
+}
+
+async function pruneSessions() {
+  if (Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = Date.now();
+
+  await runQuery("DELETE FROM auth_sessions WHERE expires_at < datetime('now')");
+}
+
+// Start a session for a login and issue its first access and refresh tokens
+async function startSession(user, req) {
+  await pruneSessions();
+
+  const result = await runQuery(`
+    INSERT INTO auth_sessions (user_id, user_agent, ip_address, expires_at)
+    VALUES (?, ?, ?, datetime('now', ?))
+  `, [user.id, req.get('user-agent') || null, req.ip || null, `+${config.REFRESH_TOKEN_DAYS} days`]);
+
+  return {
+    token: signAccessToken(user, result.lastID),
+    refreshToken: await issueRefreshToken(result.lastID),
+    expiresIn: config.JWT_EXPIRES_IN
+  };
+}
+
+// Emails carrying a single-use account token: how long the token lasts and
+// the email that delivers its link
+const ACCOUNT_EMAILS = {
+  password_reset: {
+    lifetime: () => `+${config.PASSWORD_RESET_EXPIRES_MINUTES} minutes`,
+    email: (token) => ({
+      title: 'Reset your password',
+      message: `Someone asked to reset the password of your ExamSync account. To choose a new password, open this link within ${config.PASSWORD_RESET_EXPIRES_MINUTES} minutes: ${config.FRONTEND_URL}/reset-password?token=${token} If this was not you, ignore this email and your password stays the same.`
+    })
+  },
+  email_verification: {
+    lifetime: () => `+${config.EMAIL_VERIFICATION_EXPIRES_HOURS} hours`,
+    email: (token) => ({
+      title: 'Verify your email address',
+      message: `Welcome to ExamSync. To confirm this is your email address, open this link within ${config.EMAIL_VERIFICATION_EXPIRES_HOURS} hours: ${config.FRONTEND_URL}/verify-email?token=${token}`
+    })
+  }
+};
+
+// Issue a single-use token for purpose, replacing any unused one, and email
+// its link. The email bypasses the email queue so the raw token is never
+// stored, and is sent in the background.
+async function sendAccountEmail(userId, purpose) {
+  const { lifetime, email } = ACCOUNT_EMAILS[purpose];
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await runQuery('DELETE FROM user_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL', [userId, purpose]);
+  await runQuery(`
+    INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+    VALUES (?, ?, ?, datetime('now', ?))
+  `, [userId, purpose, hashToken(token), lifetime()]);
+
+  sendEmailNow(userId, email(token))
+    .catch(error => console.error('Error sending account email:', error));
+}
+
+// Use up a token from an account email. Returns the user it was issued to,
+// or null when it is unknown, already used, expired or the account is
+// deactivated.
+async function redeemAccountToken(token, purpose) {
+  const stored = await getRow(`
+    SELECT t.id, t.user_id
+    FROM user_tokens t
+    JOIN users u ON t.user_id = u.id
+    WHERE t.token_hash = ? AND t.purpose = ? AND t.used_at IS NULL
+      AND t.expires_at > datetime('now') AND u.is_active = 1
+  `, [hashToken(token), purpose]);
+
+  if (!stored) return null;
+
+  const spent = await runQuery(
+    'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+    [stored.id]
+  );
+  return spent.changes === 1 ? stored.user_id : null;
+}
+
+// Revoke a user's active sessions (all of them, or just sessionId). Their
+// access tokens stop working at once, their live event streams are closed
+// and their refresh tokens are refused. Returns how many sessions were revoked.
+export async function revokeSessions(userId, reason, { sessionId = null } = {}) {
+  const result = await runQuery(`
+    UPDATE auth_sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE user_id = ? AND revoked_at IS NULL${sessionId ? ' AND id = ?' : ''}
+  `, sessionId ? [reason, userId, sessionId] : [reason, userId]);
+
+  if (result.changes > 0) {
+    closeSessionStreams(userId, { sessionId });
+  }
+
+  return result.changes;
+}
+
 // Register endpoint
 router.post('/register', async (req, res) => {
   try {
@@ -56,35 +189,35 @@ router.post('/register', async (req, res) => {
     const saltRounds = config.BCRYPT_ROUNDS;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Create user
+    // Create user. Without a mail transport no verification email could
+    // arrive, so the address is taken as verified.
+    const mailConfigured = isMailConfigured();
     const result = await runQuery(
-      'INSERT INTO users (email, password_hash, first_name, last_name, role) VALUES (?, ?, ?, ?, ?)',
+      `INSERT INTO users (email, password_hash, first_name, last_name, role, email_verified_at)
+       VALUES (?, ?, ?, ?, ?, ${mailConfigured ? 'NULL' : 'CURRENT_TIMESTAMP'})`,
       [email, hashedPassword, firstName, lastName, role]
     );
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        userId: result.lastID,
-        email: email,
-        role: role,
-        firstName: firstName,
-        lastName: lastName
-      },
-      config.JWT_SECRET,
-      { expiresIn: config.JWT_EXPIRES_IN }
-    );
+    const newUser = {
+      id: result.lastID,
+      email: email,
+      firstName: firstName,
+      lastName: lastName,
+      role: role,
+      emailVerified: !mailConfigured
+    };
+
+    if (mailConfigured) {
+      await sendAccountEmail(newUser.id, 'email_verification');
+    }
+
+    // Sign the new user in
+    const tokens = await startSession(newUser, req);
 
     res.status(201).json({
       message: 'User registered successfully',
-      token: token,
-      user: {
-        id: result.lastID,
-        email: email,
-        firstName: firstName,
-        lastName: lastName,
-        role: role
-      }
+      ...tokens,
+      user: newUser
     });
 
   } catch (error) {
@@ -105,7 +238,7 @@ router.post('/login', async (req, res) => {
 
     // Find user
     const user = await getRow(
-      'SELECT id, email, password_hash, first_name, last_name, role, is_active FROM users WHERE email = ?',
+      'SELECT id, email, password_hash, first_name, last_name, role, is_active, email_verified_at FROM users WHERE email = ?',
       [email]
     );
 
@@ -123,29 +256,21 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-        role: user.role,
-        firstName: user.first_name,
-        lastName: user.last_name
-      },
-      config.JWT_SECRET,
-      { expiresIn: config.JWT_EXPIRES_IN }
-    );
+    const loggedInUser = {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role,
+      emailVerified: Boolean(user.email_verified_at)
+    };
+
+    const tokens = await startSession(loggedInUser, req);
 
     res.json({
       message: 'Login successful',
-      token: token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role
-      }
+      ...tokens,
+      user: loggedInUser
     });
 
   } catch (error) {
@@ -169,7 +294,7 @@ router.get('/verify', async (req, res) => {
 
     // Get current user info
     const user = await getRow(
-      'SELECT id, email, first_name, last_name, role, is_active FROM users WHERE id = ?',
+      'SELECT id, email, first_name, last_name, role, is_active, email_verified_at FROM users WHERE id = ?',
       [decoded.userId]
     );
 
@@ -177,6 +302,10 @@ router.get('/verify', async (req, res) => {
       return res.status(401).json({ error: 'User not found or deactivated' });
     }
 
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({ error: 'Session has been signed out' });
+    }
+
     res.json({
       valid: true,
       user: {
@@ -184,7 +313,8 @@ router.get('/verify', async (req, res) => {
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
-        role: user.role
+        role: user.role,
+        emailVerified: Boolean(user.email_verified_at)
       }
     });
 
@@ -201,4 +331,260 @@ router.get('/verify', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token and refresh token. Each
+// refresh token works once: presenting one that was already rotated means it
+// leaked, so the whole session (token family) is revoked.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const stored = await getRow(`
+      SELECT
+        rt.id, rt.used_at, rt.session_id,
+        s.revoked_at, s.expires_at > datetime('now') as unexpired,
+        u.id as user_id, u.email, u.first_name, u.last_name, u.role, u.is_active
+      FROM refresh_tokens rt
+      JOIN auth_sessions s ON rt.session_id = s.id
+      JOIN users u ON s.user_id = u.id
+      WHERE rt.token_hash = ?
+    `, [hashToken(refreshToken)]);
+
+    if (!stored) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    if (stored.revoked_at || !stored.unexpired) {
+      return res.status(401).json({
+        error: 'Session expired',
+        message: 'Your session has ended. Please login again.'
+      });
+    }
+
+    if (!stored.is_active) {
+      return res.status(401).json({ error: 'Account is deactivated' });
+    }
+
+    // Spend the token; a second use (even a concurrent one) is reuse
+    const spent = stored.used_at ? { changes: 0 } : await runQuery(
+      'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+      [stored.id]
+    );
+
+    if (spent.changes === 0) {
+      await revokeSessions(stored.user_id, 'reuse_detected', { sessionId: stored.session_id });
+      console.warn(`⚠️ Refresh token reuse detected for user ${stored.user_id}, session ${stored.session_id} revoked`);
+      return res.status(401).json({
+        error: 'Refresh token reuse detected',
+        message: 'This session has been signed out for your security. Please login again.'
+      });
+    }
+
+    await runQuery(`
+      UPDATE auth_sessions
+      SET last_used_at = CURRENT_TIMESTAMP, expires_at = datetime('now', ?)
+      WHERE id = ?
+    `, [`+${config.REFRESH_TOKEN_DAYS} days`, stored.session_id]);
+
+    const user = {
+      id: stored.user_id,
+      email: stored.email,
+      firstName: stored.first_name,
+      lastName: stored.last_name,
+      role: stored.role
+    };
+
+    res.json({
+      message: 'Token refreshed',
+      token: signAccessToken(user, stored.session_id),
+      refreshToken: await issueRefreshToken(stored.session_id),
+      expiresIn: config.JWT_EXPIRES_IN
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Internal server error during token refresh' });
+  }
+});
+
+// Sign out the current session
+router.post('/logout', authenticateUnverified, async (req, res) => {
+  try {
+    await revokeSessions(req.user.id, 'logout', { sessionId: req.user.sessionId });
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error during logout' });
+  }
+});
+
+// Sign out every session of the current user, this one included
+router.post('/logout-all', authenticateUnverified, async (req, res) => {
+  try {
+    const count = await revokeSessions(req.user.id, 'logout_all');
+
+    res.json({
+      message: `Logged out of ${count} session(s)`,
+      count: count
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error during logout' });
+  }
+});
+
+// The current user's active sessions, most recently used first
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await getAllRows(`
+      SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+      FROM auth_sessions
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+      ORDER BY last_used_at DESC, id DESC
+    `, [req.user.id]);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({ ...session, current: session.id === req.user.sessionId })),
+      count: sessions.length
+    });
+  } catch (error) {
+    console.error('Error getting sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign out one of the current user's sessions (e.g. a lost device)
+router.delete('/sessions/:id', authenticateUnverified, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.user.id, 'revoked', { sessionId: req.params.id });
+
+    if (revoked === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Look up the account and email it a reset link, if it exists
+async function requestPasswordReset(email) {
+  const user = await getRow('SELECT id FROM users WHERE email = ? AND is_active = 1', [email]);
+  if (user) {
+    await sendAccountEmail(user.id, 'password_reset');
+  }
+}
+
+// Email a password reset link. The response is the same, and sent before the
+// account is looked up, whether or not the address has an account, so neither
+// its content nor its timing shows who is registered.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    if (!isMailConfigured()) {
+      return res.status(503).json({ error: 'Password reset by email is not available' });
+    }
+
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+
+    requestPasswordReset(email).catch(error => console.error('Forgot password error:', error));
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a new password with the token from a reset email. Every session is
+// signed out, and the email address counts as verified.
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Reset token is required' });
+    }
+
+    if (!validatePassword(password)) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    const userId = await redeemAccountToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, config.BCRYPT_ROUNDS);
+    await runQuery(`
+      UPDATE users
+      SET password_hash = ?, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [hashedPassword, userId]);
+    await revokeSessions(userId, 'password_reset');
+
+    res.json({ message: 'Password has been reset. Please login with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Verify an email address with the token from the verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const userId = await redeemAccountToken(token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    await runQuery(`
+      UPDATE users
+      SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [userId]);
+
+    res.json({ message: 'Email address verified' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', authenticateUnverified, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(409).json({ error: 'Email is already verified' });
+    }
+
+    if (!isMailConfigured()) {
+      return res.status(503).json({ error: 'Email verification is not available' });
+    }
+
+    await sendAccountEmail(req.user.id, 'email_verification');
+
+    res.json({ message: `Verification email sent to ${req.user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export default router;
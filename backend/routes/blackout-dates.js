@@ -0,0 +1,212 @@
+import express from 'express';
+import { getAllRows, getRow, runQuery } from '../config/database.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { validateBlackoutDate } from '../middleware/validation.js';
+import { getExamWindow } from './conflicts.js';
+
+const router = express.Router();
+
+// Get blackout dates (?from= and ?to= limit them to those overlapping a period)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const blackouts = await getAllRows(`
+      SELECT * FROM blackout_dates
+      WHERE end_date >= ? AND start_date <= ?
+      ORDER BY start_date ASC, name ASC
+    `, [from || '0000-01-01', to || '9999-12-31']);
+
+    res.json({
+      success: true,
+      data: blackouts,
+      count: blackouts.length
+    });
+  } catch (error) {
+    console.error('Error fetching blackout dates:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a blackout date (admin only). Upcoming exams already scheduled in
+// it are returned so they can be moved.
+router.post('/', authenticateToken, requireAdmin, validateBlackoutDate, async (req, res) => {
+  try {
+    const { name, category = 'other', startDate, endDate, policy = 'block', notes } = req.body;
+
+    const result = await runQuery(`
+      INSERT INTO blackout_dates (name, category, start_date, end_date, policy, notes, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [name.trim(), category, startDate, endDate || startDate, policy, notes || null, req.user.id]);
+
+    const blackout = await getRow('SELECT * FROM blackout_dates WHERE id = ?', [result.lastID]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Blackout date created successfully',
+      data: blackout,
+      affectedExams: await getExamsInBlackout(blackout)
+    });
+  } catch (error) {
+    console.error('Error creating blackout date:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a blackout date (admin only)
+router.put('/:id', authenticateToken, requireAdmin, validateBlackoutDate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, category = 'other', startDate, endDate, policy = 'block', notes } = req.body;
+
+    const existing = await getRow('SELECT id FROM blackout_dates WHERE id = ?', [id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Blackout date not found' });
+    }
+
+    await runQuery(`
+      UPDATE blackout_dates
+      SET name = ?, category = ?, start_date = ?, end_date = ?, policy = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [name.trim(), category, startDate, endDate || startDate, policy, notes || null, id]);
+
+    const blackout = await getRow('SELECT * FROM blackout_dates WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Blackout date updated successfully',
+      data: blackout,
+      affectedExams: await getExamsInBlackout(blackout)
+    });
+  } catch (error) {
+    console.error('Error updating blackout date:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a blackout date (admin only)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await runQuery('DELETE FROM blackout_dates WHERE id = ?', [req.params.id]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Blackout date not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Blackout date deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting blackout date:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const getExamsInBlackout = (blackout) => getAllRows(`
+  SELECT id, course_code, course_name, date, time, venue
+  FROM exams
+  WHERE status = 'upcoming' AND date BETWEEN ? AND ?
+  ORDER BY date ASC, time ASC
+`, [blackout.start_date, blackout.end_date]);
+
+// Unavailability windows are stored as local "YYYY-MM-DD HH:MM" strings
+export const toWindowDate = (value) => new Date(value.replace(' ', 'T'));
+
+// Calendar rules for exams: sitting on a blackout date, or at a time when the
+// course lecturer or an assigned invigilator is unavailable. Exams need
+// course_code, date, time and duration; an id adds its invigilators.
+// Returns one array of conflicts per exam. Blackouts with the 'block' policy
+// are errors and marked blocking; everything else is a warning.
+export const detectCalendarConflicts = async (exams) => {
+  if (exams.length === 0) return [];
+
+  const dates = exams.map(exam => exam.date).sort();
+  const firstDate = dates[0];
+  const lastDate = dates[dates.length - 1];
+
+  const blackouts = await getAllRows(
+    'SELECT * FROM blackout_dates WHERE start_date <= ? AND end_date >= ? ORDER BY start_date ASC',
+    [lastDate, firstDate]
+  );
+
+  const codes = [...new Set(exams.map(exam => exam.course_code).filter(Boolean))];
+  const lecturers = codes.length === 0 ? [] : await getAllRows(`
+    SELECT c.code, u.id, u.first_name || ' ' || u.last_name as name
+    FROM courses c
+    JOIN users u ON c.lecturer_id = u.id
+    WHERE c.code IN (${codes.map(() => '?').join(',')})
+  `, codes);
+
+  const examIds = exams.map(exam => exam.id).filter(Boolean);
+  const invigilators = examIds.length === 0 ? [] : await getAllRows(`
+    SELECT ia.exam_id, u.id, u.first_name || ' ' || u.last_name as name
+    FROM invigilator_assignments ia
+    JOIN users u ON ia.user_id = u.id
+    WHERE ia.exam_id IN (${examIds.map(() => '?').join(',')})
+  `, examIds);
+
+  const staffIds = [...new Set([...lecturers, ...invigilators].map(member => member.id))];
+  const windows = staffIds.length === 0 ? [] : await getAllRows(`
+    SELECT * FROM staff_unavailability
+    WHERE user_id IN (${staffIds.map(() => '?').join(',')}) AND start_at <= ? AND end_at >= ?
+  `, [...staffIds, `${lastDate} 23:59`, `${firstDate} 00:00`]);
+
+  return exams.map(exam => {
+    const conflicts = [];
+
+    for (const blackout of blackouts) {
+      if (exam.date < blackout.start_date || exam.date > blackout.end_date) continue;
+
+      const blocking = blackout.policy === 'block';
+      conflicts.push({
+        conflictType: 'blackout_date',
+        severity: blocking ? 'error' : 'warning',
+        blocking: blocking,
+        description: `${exam.course_code || 'Exam'} falls on ${blackout.name}` +
+          (blackout.start_date === blackout.end_date ? '' : ` (${blackout.start_date} to ${blackout.end_date})`),
+        blackout: {
+          id: blackout.id,
+          name: blackout.name,
+          category: blackout.category,
+          startDate: blackout.start_date,
+          endDate: blackout.end_date,
+          policy: blackout.policy
+        }
+      });
+    }
+
+    // The lecturer is listed first so they keep that role if they also invigilate
+    const staff = new Map();
+    for (const lecturer of lecturers.filter(row => row.code === exam.course_code)) {
+      staff.set(lecturer.id, { id: lecturer.id, name: lecturer.name, role: 'lecturer' });
+    }
+    for (const invigilator of invigilators.filter(row => row.exam_id === exam.id)) {
+      if (!staff.has(invigilator.id)) {
+        staff.set(invigilator.id, { id: invigilator.id, name: invigilator.name, role: 'invigilator' });
+      }
+    }
+
+    const { start, end } = getExamWindow(exam);
+
+    for (const member of staff.values()) {
+      const window = windows.find(row => (
+        row.user_id === member.id && start < toWindowDate(row.end_at) && end > toWindowDate(row.start_at)
+      ));
+      if (!window) continue;
+
+      conflicts.push({
+        conflictType: 'staff_unavailable',
+        severity: 'warning',
+        blocking: false,
+        description: `${member.name} (${member.role}) is unavailable from ${window.start_at} to ${window.end_at}` +
+          (window.reason ? ` (${window.reason})` : ''),
+        staff: member
+      });
+    }
+
+    return conflicts;
+  });
+};
+
+export default router;
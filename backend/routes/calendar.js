@@ -1,11 +1,19 @@
 import express from 'express';
+import crypto from 'crypto';
 import { google } from 'googleapis';
 import { getAllRows, getRow, runQuery } from '../config/database.js';
+import { config } from '../config/environment.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { createNotification } from './notifications.js';
+import { getExamVisibilityFilter } from './courses.js';
+import { getExamAccommodation, getStudentExamWindow } from './conflicts.js';
+import { getStudentArrangement } from './seating.js';
 
 const router = express.Router();
 
+// Calendar reminders before each exam, in minutes (Google overrides and iCalendar alarms)
+const EXAM_REMINDER_MINUTES = [60, 1440];
+
 // Google Calendar OAuth configuration
 const oauth2Client = new google.auth.OAuth2(
   process.env.GOOGLE_CLIENT_ID,
@@ -54,7 +62,7 @@ router.get('/oauth/callback', async (req, res) => {
     );
 
     // Create notification
-    await createNotification(userId, 'google_connected', null, 'Google Calendar connected successfully!');
+    await createNotification(userId, 'Google Calendar Connected', 'Google Calendar connected successfully!', 'success', { event: 'sync' });
 
     res.json({
       success: true,
@@ -102,27 +110,31 @@ router.post('/sync', authenticateToken, async (req, res) => {
 
     // Get exams to sync
     let exams;
+    const scope = getExamVisibilityFilter(req.user);
+
     if (syncAll) {
       exams = await getAllRows(`
-        SELECT * FROM exams
-        WHERE status = 'upcoming'
-        ORDER BY date ASC, time ASC
-      `);
+        SELECT * FROM exams e
+        WHERE e.status = 'upcoming'
+        AND ${scope.clause}
+        ORDER BY e.date ASC, e.time ASC
+      `, scope.params);
     } else if (examIds && examIds.length > 0) {
       const placeholders = examIds.map(() => '?').join(',');
       exams = await getAllRows(
-        `SELECT * FROM exams WHERE id IN (${placeholders})`,
-        examIds
+        `SELECT * FROM exams e WHERE e.id IN (${placeholders}) AND ${scope.clause}`,
+        [...examIds, ...scope.params]
       );
     } else {
       return res.status(400).json({ error: 'No exams specified for sync' });
     }
 
     // Sync each exam to Google Calendar
+    const arrangement = await getStudentArrangement(userId);
     const syncResults = [];
     for (const exam of exams) {
       try {
-        const result = await syncExamToCalendar(calendar, calendarId, exam, userId);
+        const result = await syncExamToCalendar(calendar, calendarId, exam, userId, arrangement);
         syncResults.push(result);
       } catch (error) {
         console.error(`Failed to sync exam ${exam.id}:`, error);
@@ -140,9 +152,10 @@ router.post('/sync', authenticateToken, async (req, res) => {
     // Create notification
     await createNotification(
       userId,
-      'calendar_sync',
-      null,
-      `Calendar sync completed: ${successCount} success, ${failureCount} failed`
+      'Calendar Sync',
+      `Calendar sync completed: ${successCount} success, ${failureCount} failed`,
+      failureCount > 0 ? 'warning' : 'success',
+      { event: 'sync' }
     );
 
     res.json({
@@ -173,7 +186,7 @@ router.delete('/disconnect', authenticateToken, async (req, res) => {
     );
 
     // Create notification
-    await createNotification(userId, 'google_disconnected', null, 'Google Calendar disconnected');
+    await createNotification(userId, 'Google Calendar Disconnected', 'Google Calendar disconnected', 'info', { event: 'sync' });
 
     res.json({
       success: true,
@@ -204,6 +217,116 @@ router.get('/status', authenticateToken, async (req, res) => {
   }
 });
 
+// Download the user's exams as an iCalendar (.ics) file
+router.get('/ics', authenticateToken, async (req, res) => {
+  try {
+    const { dateRange = 'all' } = req.query;
+    const exams = await loadCalendarExams(req.user, dateRange);
+    const arrangement = await getStudentArrangement(req.user.id);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=examsync-exams-${new Date().toISOString().split('T')[0]}.ics`);
+    res.send(generateICalendar(exams, { arrangement }));
+
+  } catch (error) {
+    console.error('iCalendar export error:', error);
+    res.status(500).json({ error: 'Failed to export calendar' });
+  }
+});
+
+// Get the user's secret calendar subscription URL, creating it on first use
+router.get('/feed', authenticateToken, async (req, res) => {
+  try {
+    let feed = await getRow('SELECT * FROM calendar_feeds WHERE user_id = ?', [req.user.id]);
+
+    if (!feed) {
+      await runQuery(
+        'INSERT INTO calendar_feeds (user_id, token) VALUES (?, ?)',
+        [req.user.id, crypto.randomBytes(24).toString('hex')]
+      );
+      feed = await getRow('SELECT * FROM calendar_feeds WHERE user_id = ?', [req.user.id]);
+    }
+
+    res.json({
+      success: true,
+      data: formatFeed(req, feed)
+    });
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to get calendar feed' });
+  }
+});
+
+// Replace the subscription URL; the old one stops working immediately
+router.post('/feed/rotate', authenticateToken, async (req, res) => {
+  try {
+    await runQuery(`
+      INSERT INTO calendar_feeds (user_id, token) VALUES (?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET
+        token = excluded.token, last_accessed_at = NULL, created_at = CURRENT_TIMESTAMP
+    `, [req.user.id, crypto.randomBytes(24).toString('hex')]);
+
+    const feed = await getRow('SELECT * FROM calendar_feeds WHERE user_id = ?', [req.user.id]);
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL replaced. Update your calendar subscriptions.',
+      data: formatFeed(req, feed)
+    });
+
+  } catch (error) {
+    console.error('Calendar feed rotate error:', error);
+    res.status(500).json({ error: 'Failed to replace calendar feed' });
+  }
+});
+
+// Turn the subscription URL off
+router.delete('/feed', authenticateToken, async (req, res) => {
+  try {
+    await runQuery('DELETE FROM calendar_feeds WHERE user_id = ?', [req.user.id]);
+
+    res.json({
+      success: true,
+      message: 'Calendar feed disabled'
+    });
+
+  } catch (error) {
+    console.error('Calendar feed delete error:', error);
+    res.status(500).json({ error: 'Failed to disable calendar feed' });
+  }
+});
+
+// Live iCalendar feed for calendar apps. The secret token in the URL is the
+// only credential, since subscribing clients cannot send a JWT.
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await getRow(`
+      SELECT u.id, u.role
+      FROM calendar_feeds f
+      JOIN users u ON f.user_id = u.id
+      WHERE f.token = ? AND u.is_active = 1
+    `, [req.params.token]);
+
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    await runQuery('UPDATE calendar_feeds SET last_accessed_at = CURRENT_TIMESTAMP WHERE user_id = ?', [user.id]);
+
+    const exams = await loadCalendarExams(user, 'all');
+    const arrangement = await getStudentArrangement(user.id);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(generateICalendar(exams, { arrangement }));
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to load calendar feed' });
+  }
+});
+
 // Auto-sync exams when they are created/updated (optional webhook-style)
 router.post('/webhook/sync', async (req, res) => {
   try {
@@ -215,6 +338,11 @@ router.post('/webhook/sync', async (req, res) => {
       return res.status(404).json({ error: 'Exam not found' });
     }
 
+    // Draft exams reach calendars when their timetable is published
+    if (exam.status === 'draft') {
+      return res.status(400).json({ error: 'Draft exams cannot be synced until their timetable is published' });
+    }
+
     // Get all users with Google Calendar connected
     const users = await getAllRows(
       'SELECT id, google_tokens FROM users WHERE google_connected = 1'
@@ -236,7 +364,8 @@ router.post('/webhook/sync', async (req, res) => {
           calendar,
           calendarResponse.data.id,
           exam,
-          user.id
+          user.id,
+          await getStudentArrangement(user.id)
         );
         results.push({ userId: user.id, ...result });
       } catch (error) {
@@ -261,8 +390,101 @@ router.post('/webhook/sync', async (req, res) => {
   }
 });
 
-// Helper function to sync a single exam to Google Calendar
-async function syncExamToCalendar(calendar, calendarId, exam, userId) {
+// Sync a batch of exams to every connected calendar in one pass, each user
+// receiving only the exams they can see (used when a timetable is published,
+// and when an exam is deleted or restored)
+export async function syncExamsToCalendars(examIds) {
+  if (examIds.length === 0) {
+    return [];
+  }
+
+  const users = await getAllRows(
+    'SELECT id, role, google_tokens FROM users WHERE google_connected = 1 AND is_active = 1'
+  );
+  const placeholders = examIds.map(() => '?').join(',');
+
+  const results = [];
+  for (const user of users) {
+    try {
+      const scope = getExamVisibilityFilter(user, 'e', { includeDeleted: true });
+      const exams = await getAllRows(
+        `SELECT * FROM exams e WHERE e.id IN (${placeholders}) AND ${scope.clause}`,
+        [...examIds, ...scope.params]
+      );
+      if (exams.length === 0) continue;
+
+      oauth2Client.setCredentials(JSON.parse(user.google_tokens));
+
+      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+      const calendarResponse = await calendar.calendars.get({
+        calendarId: 'primary'
+      });
+
+      const arrangement = await getStudentArrangement(user.id);
+      for (const exam of exams) {
+        await syncExamToCalendar(calendar, calendarResponse.data.id, exam, user.id, arrangement);
+      }
+      results.push({ userId: user.id, success: true, synced: exams.length });
+    } catch (error) {
+      console.error(`Failed to sync exams for user ${user.id}:`, error);
+      results.push({
+        userId: user.id,
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  return results;
+}
+
+// Remove purged exams' events from every connected calendar. Users whose
+// calendar cannot be reached are reported and skipped.
+export async function removeExamsFromCalendars(examIds) {
+  if (examIds.length === 0) {
+    return [];
+  }
+
+  const users = await getAllRows(
+    'SELECT id, google_tokens FROM users WHERE google_connected = 1'
+  );
+
+  const results = [];
+  for (const user of users) {
+    try {
+      oauth2Client.setCredentials(JSON.parse(user.google_tokens));
+
+      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+      let removed = 0;
+      for (const examId of examIds) {
+        const existingEvents = await calendar.events.list({
+          calendarId: 'primary',
+          q: `ExamSync-${examId}`,
+          singleEvents: true
+        });
+
+        for (const event of existingEvents.data.items) {
+          await calendar.events.delete({ calendarId: 'primary', eventId: event.id });
+          removed++;
+        }
+      }
+      results.push({ userId: user.id, success: true, removed });
+    } catch (error) {
+      console.error(`Failed to remove exams from calendar for user ${user.id}:`, error);
+      results.push({
+        userId: user.id,
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  return results;
+}
+
+// Helper function to sync a single exam to Google Calendar. A student's
+// access arrangement extends the event to their own end time.
+async function syncExamToCalendar(calendar, calendarId, exam, userId, arrangement = null) {
   // Check if event already exists (by exam ID in description)
   const existingEvents = await calendar.events.list({
     calendarId: calendarId,
@@ -271,12 +493,11 @@ async function syncExamToCalendar(calendar, calendarId, exam, userId) {
   });
 
   // Prepare event data
-  const startDateTime = new Date(`${exam.date}T${exam.time}`);
-  const endDateTime = new Date(startDateTime.getTime() + (exam.duration * 60000));
+  const { start: startDateTime, end: endDateTime } = getStudentExamWindow(exam, arrangement);
 
   const eventData = {
-    summary: `${exam.course_code} - ${exam.course_name}`,
-    description: `ExamSync-${exam.id}\n\nCourse: ${exam.course_code} - ${exam.course_name}\nVenue: ${exam.venue}\nDuration: ${exam.duration} minutes\n\nCreated by ExamSync`,
+    summary: `${exam.status === 'cancelled' ? 'CANCELLED: ' : ''}${exam.course_code} - ${exam.course_name}`,
+    description: `ExamSync-${exam.id}\n\n${describeExamEvent(exam, arrangement)}`,
     location: exam.venue,
     start: {
       dateTime: startDateTime.toISOString(),
@@ -288,10 +509,7 @@ async function syncExamToCalendar(calendar, calendarId, exam, userId) {
     },
     reminders: {
       useDefault: false,
-      overrides: [
-        { method: 'popup', minutes: 60 }, // 1 hour before
-        { method: 'popup', minutes: 1440 } // 1 day before
-      ]
+      overrides: EXAM_REMINDER_MINUTES.map(minutes => ({ method: 'popup', minutes }))
     },
     colorId: getExamColor(exam.status)
   };
@@ -330,6 +548,138 @@ async function syncExamToCalendar(calendar, calendarId, exam, userId) {
   }
 }
 
+// Exams a user can see, for iCalendar output. Cancelled exams (deleted ones
+// too, until they are purged) are kept so calendar apps mark them cancelled
+// instead of silently dropping them.
+async function loadCalendarExams(user, dateRange) {
+  const scope = getExamVisibilityFilter(user, 'e', { includeDeleted: true });
+
+  return getAllRows(`
+    SELECT e.* FROM exams e
+    WHERE ${scope.clause}
+    ${dateRange === 'upcoming' ? "AND e.date >= date('now')" : ''}
+    ORDER BY e.date ASC, e.time ASC
+  `, scope.params);
+}
+
+const formatFeed = (req, feed) => {
+  const baseUrl = config.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${baseUrl}/api/calendar/feed/${feed.token}.ics`;
+
+  return {
+    url,
+    webcalUrl: url.replace(/^https?:/, 'webcal:'),
+    createdAt: feed.created_at,
+    lastAccessedAt: feed.last_accessed_at
+  };
+};
+
+// UTC date-time in iCalendar form, e.g. 20240610T090000Z
+const formatICalDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+const parseTimestamp = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+const escapeICalText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldICalLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Event description shared by Google Calendar and iCalendar exports
+const describeExamEvent = (exam, arrangement) => {
+  const accommodation = getExamAccommodation(exam, arrangement);
+  const lines = [
+    `Course: ${exam.course_code} - ${exam.course_name}`,
+    `Venue: ${exam.venue}`,
+    `Duration: ${exam.duration} minutes`
+  ];
+
+  if (accommodation && accommodation.extraTimeMinutes > 0) {
+    lines.push(`Extra time: ${accommodation.extraTimeMinutes} minutes (ends ${accommodation.endTime})`);
+  }
+  if (accommodation && accommodation.separateRoom) {
+    lines.push('Room: Separate room');
+  }
+
+  return `${lines.join('\n')}\n\nCreated by ExamSync`;
+};
+
+// Build an iCalendar document for the given exams. UIDs are derived from the
+// exam ID so re-imports and feed refreshes update events in place. SEQUENCE
+// is the exam's revision, which goes up with every change to the event. A
+// student's access arrangement moves DTEND to their extended end time.
+export function generateICalendar(exams, { arrangement = null, now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ExamSync//Exam Timetable//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(`${config.INSTITUTION_NAME} Exams`)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  for (const exam of exams) {
+    const { start, end } = getStudentExamWindow(exam, arrangement);
+    const created = exam.created_at ? parseTimestamp(exam.created_at) : now;
+    const updated = exam.updated_at ? parseTimestamp(exam.updated_at) : created;
+    const cancelled = exam.status === 'cancelled';
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:exam-${exam.id}@examsync`,
+      `DTSTAMP:${formatICalDate(now)}`,
+      `CREATED:${formatICalDate(created)}`,
+      `LAST-MODIFIED:${formatICalDate(updated)}`,
+      `SEQUENCE:${exam.revision || 0}`,
+      `DTSTART:${formatICalDate(start)}`,
+      `DTEND:${formatICalDate(end)}`,
+      `SUMMARY:${escapeICalText(`${cancelled ? 'CANCELLED: ' : ''}${exam.course_code} - ${exam.course_name}`)}`,
+      `LOCATION:${escapeICalText(exam.venue)}`,
+      `DESCRIPTION:${escapeICalText(describeExamEvent(exam, arrangement))}`,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      'TRANSP:OPAQUE'
+    );
+
+    if (!cancelled) {
+      for (const minutes of EXAM_REMINDER_MINUTES) {
+        lines.push(
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `DESCRIPTION:${escapeICalText(`${exam.course_code} exam`)}`,
+          `TRIGGER:-PT${minutes}M`,
+          'END:VALARM'
+        );
+      }
+    }
+
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
 // Get color ID based on exam status
 function getExamColor(status) {
   const colors = {
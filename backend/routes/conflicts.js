@@ -0,0 +1,579 @@
+import express from 'express';
+import { getAllRows, getRow, runQuery } from '../config/database.js';
+import { config } from '../config/environment.js';
+import { authenticateToken, requireAdmin, requireLecturerOrAdmin } from '../middleware/auth.js';
+import { validatePagination } from '../middleware/validation.js';
+import { createExamNotification } from './notifications.js';
+import { publishEvent } from './events.js';
+
+const router = express.Router();
+
+const CONFLICT_SELECT = `
+  SELECT
+    ec.*,
+    e1.course_code as exam1_code, e1.course_name as exam1_name, e1.time as exam1_time, e1.venue as exam1_venue,
+    e2.course_code as exam2_code, e2.course_name as exam2_name, e2.time as exam2_time, e2.venue as exam2_venue,
+    ack.first_name || ' ' || ack.last_name as acknowledged_by_name,
+    res.first_name || ' ' || res.last_name as resolved_by_name
+  FROM exam_conflicts ec
+  JOIN exams e1 ON ec.exam1_id = e1.id
+  JOIN exams e2 ON ec.exam2_id = e2.id
+  LEFT JOIN users ack ON ec.acknowledged_by = ack.id
+  LEFT JOIN users res ON ec.resolved_by = res.id
+`;
+
+// List stored conflicts (requires lecturer or admin)
+router.get('/', authenticateToken, requireLecturerOrAdmin, validatePagination, async (req, res) => {
+  try {
+    const { status = 'unresolved', type, examId, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (status === 'unresolved') {
+      conditions.push('ec.resolved = 0');
+    } else if (status === 'resolved') {
+      conditions.push('ec.resolved = 1');
+    } else if (status === 'acknowledged') {
+      conditions.push('ec.resolved = 0 AND ec.acknowledged = 1');
+    } else if (status !== 'all') {
+      return res.status(400).json({
+        error: 'status must be one of: unresolved, acknowledged, resolved, all'
+      });
+    }
+
+    if (type) {
+      conditions.push('ec.conflict_type = ?');
+      params.push(type);
+    }
+
+    if (examId) {
+      conditions.push('(ec.exam1_id = ? OR ec.exam2_id = ?)');
+      params.push(examId, examId);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const conflicts = await getAllRows(`
+      ${CONFLICT_SELECT}
+      ${whereClause}
+      ORDER BY ec.resolved ASC, ec.date ASC, ec.created_at DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const totalCount = await getRow(`
+      SELECT COUNT(*) as count FROM exam_conflicts ec ${whereClause}
+    `, params);
+
+    res.json({
+      success: true,
+      data: conflicts,
+      pagination: {
+        page: page,
+        limit: limit,
+        total: totalCount.count,
+        pages: Math.ceil(totalCount.count / limit)
+      },
+      count: conflicts.length
+    });
+  } catch (error) {
+    console.error('Error fetching conflicts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Recompute stored conflicts for every upcoming exam (admin only)
+router.post('/recompute', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const exams = await getAllRows('SELECT id FROM exams ORDER BY id ASC');
+
+    for (const exam of exams) {
+      await refreshExamConflicts(exam.id, { notify: false });
+    }
+
+    const unresolved = await getRow('SELECT COUNT(*) as count FROM exam_conflicts WHERE resolved = 0');
+
+    res.json({
+      success: true,
+      message: `Recomputed conflicts for ${exams.length} exams`,
+      unresolvedConflicts: unresolved.count || 0
+    });
+  } catch (error) {
+    console.error('Error recomputing conflicts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get single conflict
+router.get('/:id', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const conflict = await getRow(`${CONFLICT_SELECT} WHERE ec.id = ?`, [req.params.id]);
+
+    if (!conflict) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+
+    res.json({
+      success: true,
+      data: conflict
+    });
+  } catch (error) {
+    console.error('Error fetching conflict:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Acknowledge a conflict (seen, still being worked on)
+router.put('/:id/acknowledge', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const conflict = await getRow('SELECT id, resolved FROM exam_conflicts WHERE id = ?', [id]);
+    if (!conflict) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+
+    if (conflict.resolved) {
+      return res.status(400).json({ error: 'Conflict is already resolved' });
+    }
+
+    await runQuery(`
+      UPDATE exam_conflicts
+      SET acknowledged = 1, acknowledged_by = ?, acknowledged_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [req.user.id, id]);
+
+    const updatedConflict = await getRow(`${CONFLICT_SELECT} WHERE ec.id = ?`, [id]);
+    await publishConflictEvent('conflict.acknowledged', updatedConflict);
+
+    res.json({
+      success: true,
+      message: 'Conflict acknowledged',
+      data: updatedConflict
+    });
+  } catch (error) {
+    console.error('Error acknowledging conflict:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Manually resolve a conflict with a resolution note
+router.put('/:id/resolve', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    if (!note || typeof note !== 'string' || note.trim().length === 0) {
+      return res.status(400).json({ error: 'A resolution note is required' });
+    }
+
+    if (note.length > 500) {
+      return res.status(400).json({ error: 'Resolution note must be 500 characters or less' });
+    }
+
+    const conflict = await getRow('SELECT id, resolved FROM exam_conflicts WHERE id = ?', [id]);
+    if (!conflict) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+
+    if (conflict.resolved) {
+      return res.status(400).json({ error: 'Conflict is already resolved' });
+    }
+
+    await runQuery(`
+      UPDATE exam_conflicts
+      SET resolved = 1, resolution_type = 'manual', resolution_note = ?, resolved_by = ?,
+          resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [note.trim(), req.user.id, id]);
+
+    const updatedConflict = await getRow(`${CONFLICT_SELECT} WHERE ec.id = ?`, [id]);
+    await publishConflictEvent('conflict.resolved', updatedConflict);
+
+    res.json({
+      success: true,
+      message: 'Conflict resolved',
+      data: updatedConflict
+    });
+  } catch (error) {
+    console.error('Error resolving conflict:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start and end of an exam sitting as Date objects
+export const getExamWindow = (exam) => {
+  const start = new Date(`${exam.date}T${exam.time}`);
+  const end = new Date(start.getTime() + exam.duration * 60000);
+  return { start, end };
+};
+
+// Minutes added to an exam for a student with an extra-time arrangement
+export const getExtraTimeMinutes = (exam, student) => (
+  Math.ceil(exam.duration * ((student && student.extraTimePercent) || 0) / 100)
+);
+
+// An exam sitting for one student: extra time moves their end time
+export const getStudentExamWindow = (exam, student) => {
+  const { start, end } = getExamWindow(exam);
+  return { start, end: new Date(end.getTime() + getExtraTimeMinutes(exam, student) * 60000) };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// How a student's access arrangement changes an exam for them, or null when
+// it changes nothing. endTime is local "HH:MM", like exams.time.
+export const getExamAccommodation = (exam, student) => {
+  if (!student || (!student.extraTimePercent && !student.separateRoom)) return null;
+
+  const extraTimeMinutes = getExtraTimeMinutes(exam, student);
+  const { end } = getStudentExamWindow(exam, student);
+
+  return {
+    extraTimeMinutes: extraTimeMinutes,
+    duration: exam.duration + extraTimeMinutes,
+    endTime: `${pad(end.getHours())}:${pad(end.getMinutes())}`,
+    separateRoom: Boolean(student.separateRoom)
+  };
+};
+
+// Compare two exams and describe the clash between them, if any.
+// Only overlapping sittings clash; sharing a venue makes it an error.
+export const detectPairConflict = (exam1, exam2) => {
+  if (exam1.date !== exam2.date) return null;
+
+  const { start: start1, end: end1 } = getExamWindow(exam1);
+  const { start: start2, end: end2 } = getExamWindow(exam2);
+
+  if (!(start1 < end2 && end1 > start2)) return null;
+
+  const sameVenue = exam1.venue === exam2.venue;
+
+  return {
+    conflictType: sameVenue ? 'both' : 'time_overlap',
+    severity: sameVenue ? 'error' : 'warning',
+    description: sameVenue
+      ? `${exam1.course_code} and ${exam2.course_code} overlap in ${exam1.venue}`
+      : `${exam1.course_code} and ${exam2.course_code} overlap on ${exam1.date}`
+  };
+};
+
+// Load the students enrolled in each of the given courses, with their extra
+// time and separate room arrangements.
+// Returns Map<courseCode, Map<userId, student>>.
+export const loadCourseStudents = async (courseCodes) => {
+  const codes = [...new Set(courseCodes)].filter(Boolean);
+  const studentsByCourse = new Map(codes.map(code => [code, new Map()]));
+
+  if (codes.length === 0) return studentsByCourse;
+
+  const placeholders = codes.map(() => '?').join(',');
+  const rows = await getAllRows(`
+    SELECT
+      c.code as course_code,
+      u.id, u.email, u.student_number,
+      u.first_name || ' ' || u.last_name as name,
+      aa.extra_time_percent, aa.separate_room
+    FROM enrollments en
+    JOIN courses c ON en.course_id = c.id
+    JOIN users u ON en.user_id = u.id
+    LEFT JOIN access_arrangements aa ON aa.user_id = u.id
+    WHERE c.code IN (${placeholders}) AND u.role = 'student'
+  `, codes);
+
+  for (const row of rows) {
+    studentsByCourse.get(row.course_code).set(row.id, {
+      id: row.id,
+      name: row.name,
+      email: row.email,
+      studentNumber: row.student_number,
+      extraTimePercent: row.extra_time_percent || 0,
+      separateRoom: Boolean(row.separate_room)
+    });
+  }
+
+  return studentsByCourse;
+};
+
+// Approved exam requests move students off an exam and onto an alternate
+// sitting. Returns { movedOut, movedIn } for the given exams, each a
+// Map<examId, Set<userId>>.
+export const loadSittingChanges = async (examIds) => {
+  const movedOut = new Map();
+  const movedIn = new Map();
+
+  if (examIds.length === 0) return { movedOut, movedIn };
+
+  const placeholders = examIds.map(() => '?').join(',');
+  const rows = await getAllRows(`
+    SELECT exam_id, alternate_exam_id, user_id FROM exam_requests
+    WHERE status = 'approved' AND (exam_id IN (${placeholders}) OR alternate_exam_id IN (${placeholders}))
+  `, [...examIds, ...examIds]);
+
+  const add = (map, examId, userId) => {
+    if (!map.has(examId)) map.set(examId, new Set());
+    map.get(examId).add(userId);
+  };
+
+  for (const row of rows) {
+    add(movedOut, row.exam_id, row.user_id);
+    if (row.alternate_exam_id) add(movedIn, row.alternate_exam_id, row.user_id);
+  }
+
+  return { movedOut, movedIn };
+};
+
+// The students sitting an exam, from its course's students and the sitting
+// changes returned by loadSittingChanges
+export const getSittingStudents = (exam, studentsByCourse, { movedOut, movedIn }) => {
+  const students = [...(studentsByCourse.get(exam.course_code)?.values() || [])];
+
+  return exam.original_exam_id
+    ? students.filter(student => movedIn.get(exam.id)?.has(student.id))
+    : students.filter(student => !movedOut.get(exam.id)?.has(student.id));
+};
+
+// Find students sitting more than the allowed number of exams on one day.
+// Alternate sittings are left out: they are checked for their students when
+// the request is approved.
+export const detectStudentOverloads = (exams, studentsByCourse, maxPerDay = config.MAX_EXAMS_PER_STUDENT_PER_DAY) => {
+  const byStudentDay = new Map();
+
+  for (const exam of exams) {
+    const students = studentsByCourse.get(exam.course_code);
+    if (!students || exam.original_exam_id) continue;
+
+    for (const student of students.values()) {
+      const key = `${student.id}|${exam.date}`;
+      if (!byStudentDay.has(key)) {
+        byStudentDay.set(key, { student, date: exam.date, exams: [] });
+      }
+      byStudentDay.get(key).exams.push(exam);
+    }
+  }
+
+  return [...byStudentDay.values()]
+    .filter(entry => entry.exams.length > maxPerDay)
+    .map(entry => ({
+      student: entry.student,
+      date: entry.date,
+      examCount: entry.exams.length,
+      maxPerDay: maxPerDay,
+      exams: entry.exams.map(exam => ({ id: exam.id, courseCode: exam.course_code, time: exam.time }))
+    }));
+};
+
+// Student-level rules for one exam against other exams: a shared student
+// sitting two overlapping exams is an error, too short a gap between two of
+// their exams is a back-to-back warning. Each student's own end times are
+// used, so extra time can cause either. Alternate sittings are skipped, as
+// in detectStudentOverloads. Pass the sitting changes from loadSittingChanges
+// to leave out students an approved request moved off either exam.
+export const detectStudentConflicts = (exam, others, studentsByCourse, { movedOut = new Map() } = {}) => {
+  const conflicts = [];
+  const students = studentsByCourse.get(exam.course_code);
+
+  if (!students || students.size === 0 || exam.original_exam_id) return conflicts;
+
+  for (const other of others) {
+    if (other.date !== exam.date || other.course_code === exam.course_code || other.original_exam_id) continue;
+
+    const otherStudents = studentsByCourse.get(other.course_code);
+    if (!otherStudents) continue;
+
+    const shared = [...students.values()].filter(student => otherStudents.has(student.id) &&
+      !movedOut.get(exam.id)?.has(student.id) && !movedOut.get(other.id)?.has(student.id));
+    if (shared.length === 0) continue;
+
+    const clashing = [];
+    const tight = [];
+    let gapMinutes = Infinity;
+
+    for (const student of shared) {
+      const { start, end } = getStudentExamWindow(exam, student);
+      const { start: otherStart, end: otherEnd } = getStudentExamWindow(other, student);
+
+      if (start < otherEnd && end > otherStart) {
+        clashing.push(student);
+        continue;
+      }
+
+      const gap = Math.round((start >= otherEnd ? start - otherEnd : otherStart - end) / 60000);
+      if (gap < config.BACK_TO_BACK_GAP_MINUTES) {
+        tight.push(student);
+        gapMinutes = Math.min(gapMinutes, gap);
+      }
+    }
+
+    if (clashing.length > 0) {
+      const sitting = getExamWindow(exam);
+      const otherSitting = getExamWindow(other);
+      const extraTimeOnly = !(sitting.start < otherSitting.end && sitting.end > otherSitting.start);
+      conflicts.push({
+        other,
+        conflictType: 'student_clash',
+        severity: 'error',
+        description: `${clashing.length} student(s) sit ${exam.course_code} and ${other.course_code} at overlapping times` +
+          (extraTimeOnly ? ' once extra time is included' : ''),
+        students: clashing
+      });
+    }
+
+    if (tight.length > 0) {
+      conflicts.push({
+        other,
+        conflictType: 'back_to_back',
+        severity: 'warning',
+        description: `${tight.length} student(s) have only ${gapMinutes} minutes between ${exam.course_code} and ${other.course_code}`,
+        students: tight,
+        gapMinutes: gapMinutes
+      });
+    }
+  }
+
+  return conflicts;
+};
+
+// Recompute the stored conflicts involving one exam after it is created,
+// updated or deleted. New clashes are upserted, clashes that no longer exist
+// are marked resolved automatically. Manually resolved rows stay resolved.
+export const refreshExamConflicts = async (examId, { notify = true } = {}) => {
+  const exam = await getRow('SELECT * FROM exams WHERE id = ?', [examId]);
+
+  const detected = [];
+  if (exam && exam.status === 'upcoming') {
+    const others = await getAllRows(`
+      SELECT * FROM exams
+      WHERE date = ? AND id != ? AND status = 'upcoming'
+    `, [exam.date, exam.id]);
+
+    for (const other of others) {
+      const conflict = detectPairConflict(exam, other);
+      if (conflict) {
+        detected.push({ other, ...conflict });
+      }
+    }
+
+    const studentsByCourse = await loadCourseStudents([exam.course_code, ...others.map(other => other.course_code)]);
+    const sittingChanges = await loadSittingChanges([exam.id, ...others.map(other => other.id)]);
+    detected.push(...detectStudentConflicts(exam, others, studentsByCourse, sittingChanges));
+  }
+
+  const activeKeys = new Set();
+  const notifiedPairs = new Set();
+
+  for (const conflict of detected) {
+    const exam1Id = Math.min(exam.id, conflict.other.id);
+    const exam2Id = Math.max(exam.id, conflict.other.id);
+    activeKeys.add(`${exam1Id}-${exam2Id}-${conflict.conflictType}`);
+
+    const existing = await getRow(`
+      SELECT id, resolved, resolution_type FROM exam_conflicts
+      WHERE exam1_id = ? AND exam2_id = ? AND conflict_type = ?
+    `, [exam1Id, exam2Id, conflict.conflictType]);
+
+    const affectedStudents = conflict.students
+      ? JSON.stringify(conflict.students.map(student => student.id))
+      : null;
+
+    if (!existing) {
+      const inserted = await runQuery(`
+        INSERT INTO exam_conflicts (exam1_id, exam2_id, conflict_type, severity, date, description, affected_students)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [exam1Id, exam2Id, conflict.conflictType, conflict.severity, exam.date, conflict.description, affectedStudents]);
+      await publishConflictEvent('conflict.detected', inserted.lastID);
+
+      // One notification per exam pair even when several rules match
+      if (notify && !notifiedPairs.has(conflict.other.id)) {
+        notifiedPairs.add(conflict.other.id);
+        await notifyConflict(exam, conflict.other);
+      }
+    } else {
+      // A clash that was auto-resolved and has come back is reopened
+      const reopen = existing.resolved && existing.resolution_type === 'auto';
+
+      await runQuery(`
+        UPDATE exam_conflicts
+        SET severity = ?, date = ?, description = ?, affected_students = ?, updated_at = CURRENT_TIMESTAMP
+          ${reopen ? `, resolved = 0, resolution_type = NULL, resolution_note = NULL,
+            resolved_by = NULL, resolved_at = NULL, acknowledged = 0, acknowledged_by = NULL, acknowledged_at = NULL` : ''}
+        WHERE id = ?
+      `, [conflict.severity, exam.date, conflict.description, affectedStudents, existing.id]);
+
+      if (reopen) {
+        await publishConflictEvent('conflict.detected', existing.id);
+      }
+    }
+  }
+
+  const openConflicts = await getAllRows(`
+    SELECT id, exam1_id, exam2_id, conflict_type FROM exam_conflicts
+    WHERE (exam1_id = ? OR exam2_id = ?) AND resolved = 0
+  `, [examId, examId]);
+
+  for (const open of openConflicts) {
+    if (activeKeys.has(`${open.exam1_id}-${open.exam2_id}-${open.conflict_type}`)) continue;
+
+    await runQuery(`
+      UPDATE exam_conflicts
+      SET resolved = 1, resolution_type = 'auto', resolution_note = 'Conflict no longer detected',
+          resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [open.id]);
+    await publishConflictEvent('conflict.resolved', open.id);
+  }
+
+  return detected.length;
+};
+
+// Push a conflict change to staff event streams (takes the row or its id)
+async function publishConflictEvent(type, conflictOrId) {
+  try {
+    const conflict = typeof conflictOrId === 'object'
+      ? conflictOrId
+      : await getRow('SELECT * FROM exam_conflicts WHERE id = ?', [conflictOrId]);
+
+    await publishEvent(type, {
+      id: conflict.id,
+      exam1Id: conflict.exam1_id,
+      exam2Id: conflict.exam2_id,
+      conflictType: conflict.conflict_type,
+      severity: conflict.severity,
+      date: conflict.date,
+      description: conflict.description,
+      acknowledged: Boolean(conflict.acknowledged),
+      resolved: Boolean(conflict.resolved),
+      resolutionType: conflict.resolution_type
+    }, { audience: 'staff' });
+  } catch (error) {
+    // Conflict tracking must not fail because a live event could not be sent
+    console.error('Error publishing conflict event:', error);
+  }
+}
+
+// Tell the owners of both exams about a newly detected clash
+async function notifyConflict(exam, other) {
+  try {
+    if (exam.created_by) {
+      await createExamNotification(
+        { courseCode: other.course_code, courseName: other.course_name },
+        'conflict',
+        [exam.created_by]
+      );
+    }
+
+    if (other.created_by && other.created_by !== exam.created_by) {
+      await createExamNotification(
+        { courseCode: exam.course_code, courseName: exam.course_name },
+        'conflict',
+        [other.created_by]
+      );
+    }
+  } catch (error) {
+    // Conflict tracking must not fail because a notification could not be sent
+    console.error('Error sending conflict notification:', error);
+  }
+}
+
+export default router;
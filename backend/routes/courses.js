@@ -0,0 +1,590 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { parse } from 'csv-parse/sync';
+import { getAllRows, getRow, runQuery } from '../config/database.js';
+import { config } from '../config/environment.js';
+import { authenticateToken, requireAdmin, requireLecturerOrAdmin } from '../middleware/auth.js';
+import { validateCourseData, validateEnrollment, getEnrollmentRowErrors } from '../middleware/validation.js';
+import { uploadSingleFile } from '../middleware/upload.js';
+import { publishExamEvent } from './events.js';
+import { recordExamChange } from './audit.js';
+import { refreshExamConflicts } from './conflicts.js';
+
+const router = express.Router();
+
+// Get all courses (students can pass ?mine=true to list only their enrolments)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { mine = 'false' } = req.query;
+
+    let query = `
+      SELECT
+        c.*,
+        u.first_name || ' ' || u.last_name as lecturer_name,
+        (SELECT COUNT(*) FROM enrollments en WHERE en.course_id = c.id) as enrollment_count
+      FROM courses c
+      LEFT JOIN users u ON c.lecturer_id = u.id
+    `;
+    const params = [];
+
+    if (mine === 'true') {
+      query += ' WHERE c.id IN (SELECT course_id FROM enrollments WHERE user_id = ?)';
+      params.push(req.user.id);
+    }
+
+    query += ' ORDER BY c.code ASC';
+
+    const courses = await getAllRows(query, params);
+
+    res.json({
+      success: true,
+      data: courses,
+      count: courses.length
+    });
+  } catch (error) {
+    console.error('Error fetching courses:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Bulk enrol students from a registry CSV (admin only)
+// Columns: student number, email, course code (optional first/last name).
+// Pass ?dryRun=true to preview the per-row report without writing anything.
+router.post('/enrollments/import', authenticateToken, requireAdmin, uploadSingleFile('file'), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+
+    let records;
+    try {
+      records = parse(req.file.buffer, {
+        columns: (header) => header.map(normalizeImportHeader),
+        skip_empty_lines: true,
+        trim: true,
+        bom: true
+      });
+    } catch (parseError) {
+      return res.status(400).json({
+        error: 'Invalid CSV file',
+        message: parseError.message
+      });
+    }
+
+    if (records.length === 0) {
+      return res.status(400).json({ error: 'CSV file contains no enrolment rows' });
+    }
+
+    const missingColumns = ['studentNumber', 'email', 'courseCode']
+      .filter(column => !(column in records[0]));
+    if (missingColumns.length > 0) {
+      return res.status(400).json({
+        error: 'CSV file is missing required columns',
+        details: missingColumns
+      });
+    }
+
+    const rows = await importEnrollmentRows(records, dryRun);
+    if (!dryRun) {
+      await refreshCourseConflicts(rows.filter(row => row.courseId).map(row => row.courseId));
+    }
+
+    const summary = {
+      total: rows.length,
+      created: rows.filter(r => r.status === 'created').length,
+      enrolled: rows.filter(r => r.status === 'enrolled').length,
+      skipped: rows.filter(r => r.status === 'skipped').length,
+      rejected: rows.filter(r => r.status === 'rejected').length
+    };
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun: dryRun,
+      message: dryRun
+        ? 'Dry run complete - no changes were saved'
+        : `Imported ${summary.created + summary.enrolled} enrolment(s)`,
+      summary: summary,
+      rows: rows
+    });
+  } catch (error) {
+    console.error('Error importing enrollments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get single course by ID
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await getRow(`
+      SELECT
+        c.*,
+        u.first_name || ' ' || u.last_name as lecturer_name,
+        (SELECT COUNT(*) FROM enrollments en WHERE en.course_id = c.id) as enrollment_count
+      FROM courses c
+      LEFT JOIN users u ON c.lecturer_id = u.id
+      WHERE c.id = ?
+    `, [id]);
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    res.json({
+      success: true,
+      data: course
+    });
+  } catch (error) {
+    console.error('Error fetching course:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create new course (admin only)
+router.post('/', authenticateToken, requireAdmin, validateCourseData, async (req, res) => {
+  try {
+    const { code, name, department = null, lecturerId = null } = req.body;
+
+    const existingCourse = await getRow('SELECT id FROM courses WHERE code = ?', [code]);
+    if (existingCourse) {
+      return res.status(409).json({ error: 'Course with this code already exists' });
+    }
+
+    if (lecturerId && !(await isStaffUser(lecturerId))) {
+      return res.status(400).json({ error: 'lecturerId must reference an active lecturer or admin' });
+    }
+
+    const result = await runQuery(`
+      INSERT INTO courses (code, name, department, lecturer_id)
+      VALUES (?, ?, ?, ?)
+    `, [code, name, department, lecturerId]);
+
+    const newCourse = await getRow('SELECT * FROM courses WHERE id = ?', [result.lastID]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Course created successfully',
+      data: newCourse
+    });
+  } catch (error) {
+    console.error('Error creating course:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update course (admin only)
+router.put('/:id', authenticateToken, requireAdmin, validateCourseData, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { code, name, department, lecturerId, isActive } = req.body;
+
+    const existingCourse = await getRow('SELECT * FROM courses WHERE id = ?', [id]);
+    if (!existingCourse) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    // A course keeps its department, lecturer and active state unless they
+    // are sent (null clears the department or lecturer)
+    const nextDepartment = department === undefined ? existingCourse.department : department;
+    const nextLecturerId = lecturerId === undefined ? existingCourse.lecturer_id : lecturerId;
+    const active = isActive === undefined ? existingCourse.is_active : (isActive ? 1 : 0);
+
+    const duplicate = await getRow('SELECT id FROM courses WHERE code = ? AND id != ?', [code, id]);
+    if (duplicate) {
+      return res.status(409).json({ error: 'Course with this code already exists' });
+    }
+
+    if (lecturerId && !(await isStaffUser(lecturerId))) {
+      return res.status(400).json({ error: 'lecturerId must reference an active lecturer or admin' });
+    }
+
+    await runQuery(`
+      UPDATE courses
+      SET code = ?, name = ?, department = ?, lecturer_id = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [code, name, nextDepartment, nextLecturerId, active, id]);
+
+    // Exams are linked to courses by code, so keep them attached on a rename
+    if (existingCourse.code !== code) {
+      await runQuery(`
+        UPDATE exams
+        SET course_code = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE course_code = ?
+      `, [code, existingCourse.code]);
+
+      const renamed = await getAllRows('SELECT * FROM exams WHERE course_code = ?', [code]);
+      for (const exam of renamed) {
+        await recordExamChange({
+          before: { ...exam, course_code: existingCourse.code },
+          after: exam,
+          actorId: req.user.id,
+          source: 'course_update'
+        });
+        await publishExamEvent('updated', exam);
+      }
+    }
+
+    const updatedCourse = await getRow('SELECT * FROM courses WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Course updated successfully',
+      data: updatedCourse
+    });
+  } catch (error) {
+    console.error('Error updating course:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete course (admin only)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingCourse = await getRow('SELECT id FROM courses WHERE id = ?', [id]);
+    if (!existingCourse) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    await runQuery('DELETE FROM enrollments WHERE course_id = ?', [id]);
+    // The course's exams lose their students, so their clashes go too (while
+    // the course row still links them)
+    await refreshCourseConflicts([id]);
+    await runQuery('DELETE FROM courses WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Course deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting course:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get students enrolled in a course (requires lecturer or admin)
+router.get('/:id/enrollments', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const course = await getRow('SELECT id FROM courses WHERE id = ?', [id]);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const enrollments = await getAllRows(`
+      SELECT
+        en.id, en.user_id, en.created_at,
+        u.email, u.first_name, u.last_name, u.role
+      FROM enrollments en
+      JOIN users u ON en.user_id = u.id
+      WHERE en.course_id = ?
+      ORDER BY u.last_name ASC, u.first_name ASC
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: enrollments,
+      count: enrollments.length
+    });
+  } catch (error) {
+    console.error('Error fetching enrollments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Enrol one or more users in a course (admin only)
+router.post('/:id/enrollments', authenticateToken, requireAdmin, validateEnrollment, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, userIds } = req.body;
+    const ids = userIds !== undefined ? userIds : [userId];
+
+    const course = await getRow('SELECT id FROM courses WHERE id = ?', [id]);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const enrolled = [];
+    const skipped = [];
+
+    for (const targetId of ids) {
+      const user = await getRow('SELECT id FROM users WHERE id = ?', [targetId]);
+      if (!user) {
+        skipped.push({ userId: targetId, reason: 'User not found' });
+        continue;
+      }
+
+      const result = await runQuery(`
+        INSERT OR IGNORE INTO enrollments (course_id, user_id)
+        VALUES (?, ?)
+      `, [id, targetId]);
+
+      if (result.changes > 0) {
+        enrolled.push(targetId);
+      } else {
+        skipped.push({ userId: targetId, reason: 'Already enrolled' });
+      }
+    }
+
+    if (enrolled.length > 0) {
+      await refreshCourseConflicts([course.id]);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Enrolled ${enrolled.length} user(s)`,
+      enrolled: enrolled,
+      skipped: skipped
+    });
+  } catch (error) {
+    console.error('Error creating enrollments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a user from a course (admin only)
+router.delete('/:id/enrollments/:userId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const result = await runQuery(
+      'DELETE FROM enrollments WHERE course_id = ? AND user_id = ?',
+      [id, userId]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+
+    await refreshCourseConflicts([id]);
+
+    res.json({
+      success: true,
+      message: 'Enrollment removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing enrollment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Map registry CSV headers ("Student Number", "student_no", ...) onto row fields
+function normalizeImportHeader(header) {
+  const key = header.toLowerCase().replace(/[^a-z]/g, '');
+  const aliases = {
+    studentnumber: 'studentNumber',
+    studentno: 'studentNumber',
+    studentid: 'studentNumber',
+    email: 'email',
+    emailaddress: 'email',
+    coursecode: 'courseCode',
+    course: 'courseCode',
+    firstname: 'firstName',
+    lastname: 'lastName'
+  };
+  return aliases[key] || header;
+}
+
+// Create or link users and enrol them, returning one report entry per CSV row.
+// In dry-run mode the same decisions are made but nothing is written.
+async function importEnrollmentRows(records, dryRun) {
+  const report = [];
+  const courses = new Map();
+  const batchUsers = new Map(); // email -> user created earlier in this file
+  const seen = new Set();
+
+  // Imported accounts get an unguessable password and must reset it before
+  // logging in; one hash per import keeps large files fast.
+  const placeholderHash = dryRun
+    ? null
+    : await bcrypt.hash(crypto.randomBytes(32).toString('hex'), config.BCRYPT_ROUNDS);
+
+  for (const [index, record] of records.entries()) {
+    const entry = {
+      row: index + 2, // line 1 is the header
+      studentNumber: record.studentNumber || '',
+      email: (record.email || '').toLowerCase(),
+      courseCode: record.courseCode || ''
+    };
+
+    const errors = getEnrollmentRowErrors(entry);
+    if (errors.length > 0) {
+      report.push({ ...entry, status: 'rejected', reason: errors.join('; ') });
+      continue;
+    }
+
+    if (!courses.has(entry.courseCode.toUpperCase())) {
+      courses.set(
+        entry.courseCode.toUpperCase(),
+        await getRow('SELECT id, code FROM courses WHERE code = ? COLLATE NOCASE', [entry.courseCode])
+      );
+    }
+    const course = courses.get(entry.courseCode.toUpperCase());
+    if (!course) {
+      report.push({ ...entry, status: 'rejected', reason: `Unknown course code: ${entry.courseCode}` });
+      continue;
+    }
+
+    const rowKey = `${entry.email}|${course.id}`;
+    if (seen.has(rowKey)) {
+      report.push({ ...entry, status: 'skipped', reason: 'Duplicate row in file' });
+      continue;
+    }
+    seen.add(rowKey);
+
+    const byEmail = batchUsers.get(entry.email) || await getRow(
+      'SELECT id, role, student_number FROM users WHERE email = ?',
+      [entry.email]
+    );
+    const byNumber = [...batchUsers.values()].find(u => u.student_number === entry.studentNumber) ||
+      await getRow('SELECT id, email FROM users WHERE student_number = ?', [entry.studentNumber]);
+
+    if (byNumber && (!byEmail || byNumber.id !== byEmail.id)) {
+      report.push({ ...entry, status: 'rejected', reason: 'Student number already belongs to another account' });
+      continue;
+    }
+
+    if (byEmail && byEmail.student_number && byEmail.student_number !== entry.studentNumber) {
+      report.push({ ...entry, status: 'rejected', reason: 'Email is registered with a different student number' });
+      continue;
+    }
+
+    if (byEmail && byEmail.role !== 'student') {
+      report.push({ ...entry, status: 'rejected', reason: `Account belongs to a ${byEmail.role}, not a student` });
+      continue;
+    }
+
+    let user = byEmail;
+    let userCreated = false;
+
+    if (!user) {
+      const firstName = record.firstName || entry.email.split('@')[0];
+      const lastName = record.lastName || '';
+      let id = `new:${entry.email}`;
+
+      if (!dryRun) {
+        const result = await runQuery(`
+          INSERT INTO users (email, password_hash, first_name, last_name, role, student_number)
+          VALUES (?, ?, ?, ?, 'student', ?)
+        `, [entry.email, placeholderHash, firstName, lastName, entry.studentNumber]);
+        id = result.lastID;
+      }
+
+      user = { id, role: 'student', student_number: entry.studentNumber, isNew: true };
+      batchUsers.set(entry.email, user);
+      userCreated = true;
+    } else if (!user.student_number) {
+      // Link an existing self-registered account to its registry record
+      if (!dryRun) {
+        await runQuery(
+          'UPDATE users SET student_number = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [entry.studentNumber, user.id]
+        );
+      }
+      user = { ...user, student_number: entry.studentNumber };
+      batchUsers.set(entry.email, user);
+    }
+
+    if (!user.isNew) {
+      const existing = await getRow(
+        'SELECT id FROM enrollments WHERE course_id = ? AND user_id = ?',
+        [course.id, user.id]
+      );
+      if (existing) {
+        report.push({ ...entry, status: 'skipped', reason: 'Already enrolled', userId: user.id });
+        continue;
+      }
+    }
+
+    if (!dryRun) {
+      await runQuery(
+        'INSERT OR IGNORE INTO enrollments (course_id, user_id) VALUES (?, ?)',
+        [course.id, user.id]
+      );
+    }
+
+    report.push({
+      ...entry,
+      status: userCreated ? 'created' : 'enrolled',
+      userId: dryRun && user.isNew ? null : user.id,
+      courseId: course.id
+    });
+  }
+
+  return report;
+}
+
+// Student clashes follow enrolments, so the stored conflicts of the courses'
+// upcoming exams are recomputed after their enrolments change
+async function refreshCourseConflicts(courseIds) {
+  const ids = [...new Set(courseIds)];
+  if (ids.length === 0) return;
+
+  const exams = await getAllRows(`
+    SELECT e.id FROM exams e
+    JOIN courses c ON c.code = e.course_code
+    WHERE c.id IN (${ids.map(() => '?').join(',')}) AND e.status = 'upcoming'
+  `, ids);
+
+  for (const exam of exams) {
+    await refreshExamConflicts(exam.id);
+  }
+}
+
+// Check that a user can be assigned as a course lecturer
+async function isStaffUser(userId) {
+  const user = await getRow(
+    "SELECT id FROM users WHERE id = ? AND is_active = 1 AND role IN ('lecturer', 'admin')",
+    [userId]
+  );
+  return !!user;
+}
+
+// SQL condition for a student sitting an exam. Students sit the exams of the
+// courses they are enrolled in, except those an approved exam request moved
+// them off; an alternate sitting (original_exam_id set) is only sat by the
+// students moved onto it. user is a column reference or '?', which must then
+// be bound three times.
+export const getSittingCondition = (alias, user) => `((
+    ${alias}.original_exam_id IS NULL
+    AND ${alias}.course_code IN (
+      SELECT c.code FROM courses c
+      JOIN enrollments en ON en.course_id = c.id
+      WHERE en.user_id = ${user}
+    )
+    AND ${alias}.id NOT IN (
+      SELECT r.exam_id FROM exam_requests r
+      WHERE r.user_id = ${user} AND r.status = 'approved'
+    )
+  ) OR ${alias}.id IN (
+    SELECT r.alternate_exam_id FROM exam_requests r
+    WHERE r.user_id = ${user} AND r.status = 'approved'
+  ))`;
+
+// Build the SQL condition restricting exams to those a user may see.
+// Draft exams from unpublished timetables are hidden from every listing
+// (staff review them through /api/timetables), and so are deleted exams
+// unless includeDeleted is set (calendars keep them as cancelled events).
+// Students only see the exams they sit (see getSittingCondition) and staff
+// the full timetable. Anonymous callers see no exams, so leaving out the
+// token never shows a student more than signing in does.
+export const getExamVisibilityFilter = (user, alias = 'e', { includeDeleted = false } = {}) => {
+  const published = `${alias}.status != 'draft'` + (includeDeleted ? '' : ` AND ${alias}.deleted_at IS NULL`);
+
+  if (!user) {
+    return { clause: '1 = 0', params: [] };
+  }
+
+  if (user.role !== 'student') {
+    return { clause: published, params: [] };
+  }
+
+  return {
+    clause: `${published} AND ${getSittingCondition(alias, '?')}`,
+    params: [user.id, user.id, user.id]
+  };
+};
+
+export default router;
@@ -1,6 +1,9 @@
 import express from 'express';
 import { getAllRows, getRow } from '../config/database.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { getExamVisibilityFilter } from './courses.js';
+import { getInvigilatorDuties } from './invigilators.js';
+import { DELIVERED } from './notifications.js';
 
 const router = express.Router();
 
@@ -11,14 +14,17 @@ router.get('/', authenticateToken, async (req, res) => {
     const userRole = req.user.role;
 
     // Get dashboard statistics
-    const stats = await getDashboardStats(userRole);
+    const stats = await getDashboardStats(req.user);
 
     // Get upcoming exams (next 3)
-    const upcomingExams = await getUpcomingExams(3);
+    const upcomingExams = await getUpcomingExams(req.user, 3);
 
     // Get recent notifications (last 5)
     const recentNotifications = await getRecentNotifications(userId, 5);
 
+    // Get my next invigilation duties (staff only)
+    const myDuties = userRole === 'student' ? [] : await getMyDuties(userId, 5);
+
     // Get quick actions based on user role
     const quickActions = getQuickActions(userRole);
 
@@ -37,6 +43,7 @@ router.get('/', authenticateToken, async (req, res) => {
         stats: stats,
         upcomingExams: upcomingExams,
         recentNotifications: recentNotifications,
+        myDuties: myDuties,
         quickActions: quickActions,
         systemOverview: systemOverview,
         lastUpdated: new Date().toISOString()
@@ -52,36 +59,43 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get dashboard statistics
-async function getDashboardStats(userRole) {
+async function getDashboardStats(user) {
+  const userRole = user.role;
+
   try {
+    const scope = getExamVisibilityFilter(user);
+
     // Total upcoming exams
     const totalUpcoming = await getRow(`
       SELECT COUNT(*) as count
-      FROM exams
-      WHERE date >= date('now') AND status = 'upcoming'
-    `);
+      FROM exams e
+      WHERE e.date >= date('now') AND e.status = 'upcoming'
+      AND ${scope.clause}
+    `, scope.params);
 
     // Exams this week
     const thisWeek = await getRow(`
       SELECT COUNT(*) as count
-      FROM exams
-      WHERE date >= date('now')
-      AND date <= date('now', '+6 days')
-      AND status = 'upcoming'
-    `);
+      FROM exams e
+      WHERE e.date >= date('now')
+      AND e.date <= date('now', '+6 days')
+      AND e.status = 'upcoming'
+      AND ${scope.clause}
+    `, scope.params);
 
     // Today's exams
     const today = await getRow(`
       SELECT COUNT(*) as count
-      FROM exams
-      WHERE date = date('now') AND status = 'upcoming'
-    `);
+      FROM exams e
+      WHERE e.date = date('now') AND e.status = 'upcoming'
+      AND ${scope.clause}
+    `, scope.params);
 
     // Total notifications (unread)
     const unreadNotifications = await getRow(`
       SELECT COUNT(*) as count
       FROM notifications
-      WHERE is_read = 0
+      WHERE is_read = 0 AND ${DELIVERED}
     `);
 
     // Role-specific stats
@@ -126,8 +140,10 @@ async function getDashboardStats(userRole) {
 }
 
 // Get upcoming exams for dashboard
-async function getUpcomingExams(limit = 3) {
+async function getUpcomingExams(user, limit = 3) {
   try {
+    const scope = getExamVisibilityFilter(user);
+
     const exams = await getAllRows(`
       SELECT
         e.*,
@@ -147,6 +163,7 @@ async function getUpcomingExams(limit = 3) {
       FROM exams e
       LEFT JOIN users u ON e.created_by = u.id
       WHERE e.date >= date('now') AND e.status = 'upcoming'
+      AND ${scope.clause}
       ORDER BY
         CASE
           WHEN e.date = date('now') THEN 1
@@ -156,7 +173,7 @@ async function getUpcomingExams(limit = 3) {
         e.date ASC,
         e.time ASC
       LIMIT ?
-    `, [limit]);
+    `, [...scope.params, limit]);
 
     return exams.map(exam => ({
       id: exam.id,
@@ -191,7 +208,7 @@ async function getRecentNotifications(userId, limit = 5) {
           ELSE strftime('%Y-%m-%d %H:%M', n.created_at)
         END as time_ago
       FROM notifications n
-      WHERE n.user_id = ?
+      WHERE n.user_id = ? AND ${DELIVERED}
       ORDER BY n.created_at DESC
       LIMIT ?
     `, [userId, limit]);
@@ -203,6 +220,16 @@ async function getRecentNotifications(userId, limit = 5) {
   }
 }
 
+// Get upcoming invigilation duties for dashboard
+async function getMyDuties(userId, limit = 5) {
+  try {
+    return await getInvigilatorDuties(userId, { limit });
+  } catch (error) {
+    console.error('Error fetching invigilation duties:', error);
+    return [];
+  }
+}
+
 // Get quick actions based on user role
 function getQuickActions(userRole) {
   const commonActions = [
@@ -246,6 +273,15 @@ function getQuickActions(userRole) {
       modal: 'conflicts',
       color: 'red'
     },
+    {
+      id: 'my_duties',
+      title: 'My Duties',
+      description: 'See the exams you are invigilating',
+      icon: '🧑‍🏫',
+      action: 'navigate',
+      path: '/duties',
+      color: 'orange'
+    },
     {
       id: 'export_data',
       title: 'Export Data',
@@ -0,0 +1,373 @@
+import express from 'express';
+import { getAllRows, getRow, runQuery } from '../config/database.js';
+import { config } from '../config/environment.js';
+import { getMailFrom, getMailTransport, isMailConfigured } from '../config/mailer.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Queue worker state, reported by GET /api/email/queue
+const worker = {
+  timer: null,
+  activeRun: null,
+  lastRunAt: null,
+  lastResult: null,
+  lastError: null
+};
+
+// List queued emails with delivery status (admin only)
+router.get('/queue', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let whereClause = '';
+    const params = [];
+
+    if (status) {
+      whereClause = 'WHERE q.status = ?';
+      params.push(status);
+    }
+
+    const emails = await getAllRows(`
+      SELECT
+        q.id, q.user_id, q.notification_id, q.event, q.to_address, q.subject,
+        q.status, q.attempts, q.last_error, q.message_id,
+        q.next_attempt_at, q.sent_at, q.created_at, q.updated_at
+      FROM email_queue q
+      ${whereClause}
+      ORDER BY q.created_at DESC, q.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), offset]);
+
+    const totalCount = await getRow(`
+      SELECT COUNT(*) as count FROM email_queue q ${whereClause}
+    `, params);
+
+    const statusCounts = await getAllRows(`
+      SELECT status, COUNT(*) as count FROM email_queue GROUP BY status
+    `);
+
+    res.json({
+      success: true,
+      data: emails,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount.count,
+        pages: Math.ceil(totalCount.count / parseInt(limit))
+      },
+      stats: Object.fromEntries(statusCounts.map(row => [row.status, row.count])),
+      worker: {
+        configured: isMailConfigured(),
+        running: worker.timer !== null,
+        lastRunAt: worker.lastRunAt,
+        lastResult: worker.lastResult,
+        lastError: worker.lastError
+      },
+      count: emails.length
+    });
+  } catch (error) {
+    console.error('Error fetching email queue:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Put a failed email back in the queue with a fresh set of attempts (admin only)
+router.post('/queue/:id/retry', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const email = await getRow('SELECT * FROM email_queue WHERE id = ?', [req.params.id]);
+
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    if (email.status !== 'failed') {
+      return res.status(409).json({
+        error: 'Email has not failed',
+        message: `Only failed emails can be retried (this one is ${email.status})`
+      });
+    }
+
+    await runQuery(`
+      UPDATE email_queue
+      SET status = 'pending', attempts = 0, last_error = NULL,
+          next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [email.id]);
+
+    res.json({
+      success: true,
+      message: 'Email queued for retry'
+    });
+  } catch (error) {
+    console.error('Error retrying email:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a test email to the signed-in admin and report how delivery went
+router.post('/test', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!isMailConfigured()) {
+      return res.status(503).json({
+        error: 'Email not configured',
+        message: 'Set SMTP_HOST to enable the email channel'
+      });
+    }
+
+    const emailId = await queueEmail(req.user.id, {
+      title: 'Test Email',
+      message: 'Email delivery from ExamSync is working.'
+    });
+
+    await runEmailQueue();
+
+    const email = await getRow(`
+      SELECT id, to_address, subject, status, attempts, last_error, message_id, sent_at
+      FROM email_queue WHERE id = ?
+    `, [emailId]);
+
+    res.json({
+      success: email.status === 'sent',
+      message: email.status === 'sent' ? `Test email sent to ${email.to_address}` : 'Test email could not be sent',
+      data: email
+    });
+  } catch (error) {
+    console.error('Error sending test email:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Per-event wording for emails about an exam; other emails lead with the notification title
+const EMAIL_TEMPLATES = {
+  created: {
+    heading: 'A new exam has been scheduled',
+    intro: 'The following exam has been added to your timetable.'
+  },
+  updated: {
+    heading: 'An exam has changed',
+    intro: 'The details of this exam have been updated. Please check the new arrangements.'
+  },
+  cancelled: {
+    heading: 'An exam has been cancelled',
+    intro: 'The following exam has been cancelled and removed from your timetable.'
+  },
+  reminder: {
+    heading: 'Exam reminder',
+    intro: 'This is a reminder about your upcoming exam.'
+  },
+  conflict: {
+    heading: 'Schedule conflict detected',
+    intro: 'An exam on your timetable overlaps with another commitment.'
+  }
+};
+
+// Build the subject and plain-text/HTML bodies for a notification email
+export const renderEmail = ({ event = null, title, message, exam = null }) => {
+  const template = (exam && EMAIL_TEMPLATES[event]) || { heading: title, intro: null };
+
+  const details = exam
+    ? [
+      ['Course', exam.courseName && exam.courseCode ? `${exam.courseName} (${exam.courseCode})` : exam.courseName || exam.courseCode],
+      ['Date', exam.date],
+      ['Time', exam.time],
+      ['Venue', exam.venue],
+      ['Duration', exam.duration ? `${exam.duration} minutes` : null],
+      ['Your end time', exam.accommodation && exam.accommodation.extraTimeMinutes > 0 ? exam.accommodation.endTime : null],
+      ['Room', exam.accommodation && exam.accommodation.separateRoom ? 'Separate room' : null]
+    ].filter(([, value]) => value)
+    : [];
+
+  const text = [
+    template.heading,
+    '',
+    ...(template.intro ? [template.intro, ''] : []),
+    message,
+    ...(details.length > 0 ? ['', ...details.map(([label, value]) => `${label}: ${value}`)] : []),
+    '',
+    '-- ',
+    'ExamSync. You can change which emails you receive in your notification preferences.'
+  ].join('\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2933;">
+    <h2>${escapeHtml(template.heading)}</h2>
+    ${template.intro ? `<p>${escapeHtml(template.intro)}</p>` : ''}
+    <p>${escapeHtml(message)}</p>
+    ${details.length > 0 ? `<table cellpadding="4">
+      ${details.map(([label, value]) => `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n      ')}
+    </table>` : ''}
+    <p style="font-size: 12px; color: #7b8794;">ExamSync. You can change which emails you receive in your notification preferences.</p>
+  </body>
+</html>`;
+
+  return {
+    subject: `[ExamSync] ${title}`,
+    text,
+    html
+  };
+};
+
+const toTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+// Queue an email for an active user. sendAt holds it back (e.g. until quiet
+// hours end). Returns the queue id, or null when the user cannot be emailed.
+export const queueEmail = async (userId, { notificationId = null, event = null, title, message, exam = null, sendAt = null }) => {
+  const user = await getRow('SELECT email FROM users WHERE id = ? AND is_active = 1', [userId]);
+
+  if (!user || !user.email) return null;
+
+  const { subject, text, html } = renderEmail({ event, title, message, exam });
+
+  const result = await runQuery(`
+    INSERT INTO email_queue (user_id, notification_id, event, to_address, subject, text_body, html_body, next_attempt_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [userId, notificationId, event, user.email, subject, text, html, toTimestamp(sendAt || new Date())]);
+
+  return result.lastID;
+};
+
+// Send an email to an active user straight away, without queueing it. For
+// mail whose body must never be stored, such as links carrying account
+// tokens; there is no retry. Returns the message id, or null when the user
+// cannot be emailed.
+export const sendEmailNow = async (userId, { title, message }) => {
+  const transport = getMailTransport();
+  const user = await getRow('SELECT email FROM users WHERE id = ? AND is_active = 1', [userId]);
+
+  if (!transport || !user || !user.email) return null;
+
+  const { subject, text, html } = renderEmail({ title, message });
+  const info = await transport.sendMail({ from: getMailFrom(), to: user.email, subject, text, html });
+
+  return info.messageId || null;
+};
+
+// Delay before the next attempt after a failure: 1, 2, 4, 8... minutes, capped at an hour
+const retryDelayMs = (attempts) => Math.min(2 ** (attempts - 1), 60) * 60000;
+
+// Send every pending email that is due. Each row is claimed (pending ->
+// sending) before it is sent so overlapping runs never send it twice. Failed
+// sends go back to pending with a backoff until EMAIL_MAX_ATTEMPTS is reached.
+export const processEmailQueue = async (now = new Date()) => {
+  const result = { sent: 0, retrying: 0, failed: 0 };
+  const transport = getMailTransport();
+
+  if (!transport) return result;
+
+  const due = await getAllRows(`
+    SELECT * FROM email_queue
+    WHERE status = 'pending' AND next_attempt_at <= ?
+    ORDER BY next_attempt_at ASC, id ASC
+    LIMIT 50
+  `, [toTimestamp(now)]);
+
+  for (const email of due) {
+    const claimed = await runQuery(`
+      UPDATE email_queue SET status = 'sending', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `, [email.id]);
+
+    if (claimed.changes === 0) continue;
+
+    const attempts = email.attempts + 1;
+
+    try {
+      const info = await transport.sendMail({
+        from: getMailFrom(),
+        to: email.to_address,
+        subject: email.subject,
+        text: email.text_body,
+        html: email.html_body
+      });
+
+      await runQuery(`
+        UPDATE email_queue
+        SET status = 'sent', attempts = ?, last_error = NULL, message_id = ?,
+            sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [attempts, info.messageId || null, email.id]);
+      result.sent++;
+    } catch (error) {
+      const failed = attempts >= config.EMAIL_MAX_ATTEMPTS;
+
+      await runQuery(`
+        UPDATE email_queue
+        SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [
+        failed ? 'failed' : 'pending',
+        attempts,
+        error.message,
+        toTimestamp(new Date(now.getTime() + retryDelayMs(attempts))),
+        email.id
+      ]);
+      result[failed ? 'failed' : 'retrying']++;
+    }
+  }
+
+  return result;
+};
+
+// Run a queue pass, sharing the in-flight run if one is already going
+export const runEmailQueue = () => {
+  if (!worker.activeRun) {
+    worker.activeRun = processEmailQueue()
+      .then((result) => {
+        worker.lastRunAt = new Date().toISOString();
+        worker.lastResult = result;
+        worker.lastError = null;
+        return result;
+      })
+      .catch((error) => {
+        worker.lastRunAt = new Date().toISOString();
+        worker.lastError = error.message;
+        throw error;
+      })
+      .finally(() => {
+        worker.activeRun = null;
+      });
+  }
+
+  return worker.activeRun;
+};
+
+// Start the background email worker. Rows left in 'sending' by a crash are
+// put back in the queue first; the transport may or may not have accepted
+// them, so this can resend an email rather than silently drop it.
+export const startEmailQueue = async ({ intervalMs = config.EMAIL_QUEUE_INTERVAL_MS } = {}) => {
+  if (worker.timer) return;
+
+  await runQuery(`
+    UPDATE email_queue SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'sending'
+  `);
+
+  const tick = () => runEmailQueue()
+    .then((result) => {
+      if (result.sent > 0 || result.failed > 0) {
+        console.log(`📧 Sent ${result.sent} email(s), ${result.failed} failed permanently`);
+      }
+    })
+    .catch(error => console.error('Error processing email queue:', error));
+
+  worker.timer = setInterval(tick, intervalMs);
+  worker.timer.unref();
+  tick();
+};
+
+export const stopEmailQueue = () => {
+  clearInterval(worker.timer);
+  worker.timer = null;
+};
+
+export default router;
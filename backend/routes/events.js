@@ -0,0 +1,296 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { getAllRows, getRow, runQuery } from '../config/database.js';
+import { config } from '../config/environment.js';
+import { authenticateToken, isSessionActive } from '../middleware/auth.js';
+import { getSittingCondition } from './courses.js';
+
+const router = express.Router();
+
+// Open event streams, each { user, res, heartbeat, expiresAt, backlog,
+// replayedUpTo }. backlog buffers live events while the connection is still
+// replaying missed ones.
+const connections = new Set();
+
+// Comment line sent periodically so proxies keep idle streams open. Each
+// heartbeat also re-checks the token and login session of the stream.
+const HEARTBEAT_MS = 25000;
+
+// Old events are pruned at most this often
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPrunedAt = 0;
+
+// EventSource cannot set headers, so browsers may pass the same JWT as
+// ?access_token= instead of an Authorization header
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Server-Sent Events stream of exam changes, notifications and conflict
+// changes for the signed-in user. Reconnecting clients send Last-Event-ID
+// (or ?lastEventId=) and receive everything they missed first. The stream is
+// closed with a session_expired event when its access token expires or its
+// session is signed out; the client then refreshes and reconnects.
+router.get('/stream', acceptQueryToken, authenticateToken, async (req, res) => {
+  const { exp } = jwt.decode(req.headers.authorization.substring(7)) || {};
+  const connection = {
+    user: req.user,
+    res,
+    heartbeat: null,
+    expiresAt: exp ? exp * 1000 : Infinity,
+    backlog: [],
+    replayedUpTo: 0
+  };
+
+  try {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    // Register before replaying so nothing published meanwhile is lost
+    connections.add(connection);
+
+    connection.heartbeat = setInterval(() => {
+      checkConnection(connection).catch(error => console.error('Error checking event stream:', error));
+    }, HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(connection.heartbeat);
+      connections.delete(connection);
+    });
+
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId);
+
+    if (Number.isInteger(lastEventId) && lastEventId >= 0) {
+      if (await isReplayIncomplete(lastEventId)) {
+        // Tell the client to re-fetch its data; the events it missed are gone
+        writeEvent(res, { id: null, type: 'resync', data: { reason: 'Missed events are no longer available' } });
+      }
+
+      const scope = getEventVisibilityFilter(req.user);
+      const missed = await getAllRows(`
+        SELECT * FROM live_events
+        WHERE id > ? AND ${scope.clause}
+        ORDER BY id ASC
+      `, [lastEventId, ...scope.params]);
+
+      for (const event of missed) {
+        writeEvent(res, formatEvent(event));
+        connection.replayedUpTo = event.id;
+      }
+    }
+
+    const backlog = connection.backlog;
+    connection.backlog = null;
+    for (const event of backlog) {
+      sendEvent(connection, event);
+    }
+
+    writeEvent(res, { id: null, type: 'ready', data: { userId: req.user.id } });
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    connections.delete(connection);
+    res.end();
+  }
+});
+
+// Course events are about an exam (its id is data.id). Students receive them
+// for the exams they sit (see getSittingCondition), so a student moved to an
+// alternate sitting follows that sitting rather than the original one.
+// user is a column reference or '?', which must then be bound three times.
+const sitsEventExam = (examId, user) => `EXISTS (
+  SELECT 1 FROM exams e WHERE e.id = ${examId} AND ${getSittingCondition('e', user)}
+)`;
+
+// Build the SQL condition restricting live events to those a user may receive.
+// Mirrors getExamVisibilityFilter: students only get course events for the
+// exams they sit, and staff-only events are for lecturers/admins.
+const getEventVisibilityFilter = (user) => {
+  if (user.role !== 'student') {
+    return {
+      clause: "(audience != 'user' OR user_id = ?)",
+      params: [user.id]
+    };
+  }
+
+  return {
+    clause: `((audience = 'user' AND user_id = ?) OR (audience = 'course' AND ${sitsEventExam("json_extract(live_events.data, '$.id')", '?')}))`,
+    params: [user.id, user.id, user.id, user.id]
+  };
+};
+
+// End a stream, telling the client why so it can refresh its token and
+// reconnect instead of retrying with the same one
+const closeConnection = (connection, reason) => {
+  clearInterval(connection.heartbeat);
+  connections.delete(connection);
+  writeEvent(connection.res, { id: null, type: 'session_expired', data: { reason } });
+  connection.res.end();
+};
+
+// Heartbeat: close the stream once its access token has expired or its login
+// session was signed out, otherwise keep it open
+async function checkConnection(connection) {
+  if (Date.now() >= connection.expiresAt) {
+    return closeConnection(connection, 'token_expired');
+  }
+
+  const active = await isSessionActive({ userId: connection.user.id, sessionId: connection.user.sessionId });
+  if (!active) {
+    return closeConnection(connection, 'signed_out');
+  }
+
+  connection.res.write(': heartbeat\n\n');
+}
+
+// Close the open streams of signed-out sessions straight away: every stream of
+// the user, or only those of sessionId
+export const closeSessionStreams = (userId, { sessionId = null } = {}) => {
+  for (const connection of connections) {
+    if (connection.user.id === userId && (!sessionId || connection.user.sessionId === Number(sessionId))) {
+      closeConnection(connection, 'signed_out');
+    }
+  }
+};
+
+// Whether events after lastEventId have been pruned (or the log was reset),
+// so replaying from the log would leave a gap
+async function isReplayIncomplete(lastEventId) {
+  const log = await getRow(`
+    SELECT
+      (SELECT MIN(id) FROM live_events) as oldest,
+      (SELECT seq FROM sqlite_sequence WHERE name = 'live_events') as latest
+  `);
+  const latest = log.latest || 0;
+
+  return lastEventId > latest || (log.oldest ?? latest + 1) > lastEventId + 1;
+}
+
+const formatEvent = (row) => ({
+  id: row.id,
+  type: row.type,
+  data: JSON.parse(row.data)
+});
+
+const writeEvent = (res, { id, type, data }) => {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Deliver a live event, skipping any the connection already got from replay.
+// A stream whose token has expired is closed instead.
+const sendEvent = (connection, event) => {
+  if (!connections.has(connection)) {
+    return;
+  } else if (Date.now() >= connection.expiresAt) {
+    closeConnection(connection, 'token_expired');
+  } else if (connection.backlog) {
+    connection.backlog.push(event);
+  } else if (event.id > connection.replayedUpTo) {
+    writeEvent(connection.res, event);
+  }
+};
+
+// The open streams that should receive an event. Course events for students
+// are checked against the exams they currently sit, in one query per event.
+async function findRecipients(row, examId) {
+  const recipients = [];
+  const students = [];
+
+  for (const connection of connections) {
+    if (row.audience === 'user') {
+      if (row.user_id === connection.user.id) recipients.push(connection);
+    } else if (connection.user.role !== 'student') {
+      recipients.push(connection);
+    } else if (row.audience === 'course') {
+      students.push(connection);
+    }
+  }
+
+  if (students.length > 0 && examId) {
+    const studentIds = [...new Set(students.map(connection => connection.user.id))];
+    const sitting = await getAllRows(`
+      SELECT u.id FROM users u
+      WHERE u.id IN (${studentIds.map(() => '?').join(', ')})
+      AND ${sitsEventExam('?', 'u.id')}
+    `, [...studentIds, examId]);
+
+    const sittingIds = new Set(sitting.map(user => user.id));
+    recipients.push(...students.filter(connection => sittingIds.has(connection.user.id)));
+  }
+
+  return recipients;
+}
+
+async function pruneEvents() {
+  if (Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = Date.now();
+
+  await runQuery(
+    "DELETE FROM live_events WHERE created_at < datetime('now', ?)",
+    [`-${config.LIVE_EVENT_RETENTION_HOURS} hours`]
+  );
+}
+
+// Record an event in the replay log and push it to every open stream that
+// may receive it. audience is 'user' (with userId), 'course' (with
+// courseCode, for an exam event whose data.id is the exam) or 'staff'.
+// Publishing never fails the change that caused it.
+export const publishEvent = async (type, data, { audience, userId = null, courseCode = null }) => {
+  try {
+    const result = await runQuery(`
+      INSERT INTO live_events (type, audience, user_id, course_code, data)
+      VALUES (?, ?, ?, ?, ?)
+    `, [type, audience, userId, courseCode, JSON.stringify(data)]);
+
+    const row = { id: result.lastID, type, audience, user_id: userId, course_code: courseCode };
+    const event = { id: result.lastID, type, data };
+
+    for (const connection of await findRecipients(row, data.id)) {
+      sendEvent(connection, event);
+    }
+
+    await pruneEvents();
+  } catch (error) {
+    console.error('Error publishing live event:', error);
+  }
+};
+
+// Publish exam.created / exam.updated / exam.cancelled for a live exam.
+// Takes the exam row or its id; pass the row for deleted exams. Drafts are
+// not published (they go live through the timetable publish).
+export const publishExamEvent = async (action, examOrId) => {
+  try {
+    const exam = typeof examOrId === 'object'
+      ? examOrId
+      : await getRow('SELECT * FROM exams WHERE id = ?', [examOrId]);
+
+    if (!exam || exam.status === 'draft') return;
+
+    const type = action === 'deleted' || exam.status === 'cancelled'
+      ? 'exam.cancelled'
+      : `exam.${action}`;
+
+    await publishEvent(type, {
+      id: exam.id,
+      courseCode: exam.course_code,
+      courseName: exam.course_name,
+      date: exam.date,
+      time: exam.time,
+      venue: exam.venue,
+      venueId: exam.venue_id,
+      duration: exam.duration,
+      status: exam.status,
+      deleted: action === 'deleted'
+    }, { audience: 'course', courseCode: exam.course_code });
+  } catch (error) {
+    console.error('Error publishing exam event:', error);
+  }
+};
+
+export default router;
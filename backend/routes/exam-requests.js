@@ -0,0 +1,463 @@
+import express from 'express';
+import { getAllRows, getRow, runQuery, withTransaction } from '../config/database.js';
+import { authenticateToken, requireLecturerOrAdmin } from '../middleware/auth.js';
+import { can, loadPolicyContext, policyDeniedResponse } from '../middleware/policies.js';
+import { EXAM_REQUEST_TYPES, getExamDataErrors, validateExamRequest } from '../middleware/validation.js';
+import { getExamVisibilityFilter, getSittingCondition } from './courses.js';
+import { getExamWindow, getStudentExamWindow, refreshExamConflicts } from './conflicts.js';
+import { checkVenueCapacity, resolveExamVenue } from './venues.js';
+import { detectCalendarConflicts } from './blackout-dates.js';
+import { getStudentArrangement } from './seating.js';
+import { createNotification } from './notifications.js';
+import { recordExamChange } from './audit.js';
+
+const router = express.Router();
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+
+const requestQuery = `
+  SELECT
+    r.*,
+    e.course_code, e.course_name, e.date as exam_date, e.time as exam_time, e.venue as exam_venue,
+    u.first_name || ' ' || u.last_name as student_name, u.student_number,
+    rv.first_name || ' ' || rv.last_name as reviewed_by_name,
+    a.date as alternate_date, a.time as alternate_time, a.venue as alternate_venue, a.duration as alternate_duration
+  FROM exam_requests r
+  JOIN exams e ON r.exam_id = e.id
+  JOIN users u ON r.user_id = u.id
+  LEFT JOIN users rv ON r.reviewed_by = rv.id
+  LEFT JOIN exams a ON r.alternate_exam_id = a.id
+`;
+
+const formatRequest = (row) => ({
+  ...row,
+  attachments: row.attachments ? JSON.parse(row.attachments) : []
+});
+
+const loadRequest = async (id) => {
+  const row = await getRow(`${requestQuery} WHERE r.id = ?`, [id]);
+  return row ? formatRequest(row) : null;
+};
+
+// List exam requests. Students see their own, lecturers those for the courses
+// they teach and admins every request, filtered by ?status=, ?type= and ?examId=.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status, type, examId } = req.query;
+
+    if (status && !REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REQUEST_STATUSES.join(', ')}` });
+    }
+
+    if (type && !EXAM_REQUEST_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${EXAM_REQUEST_TYPES.join(', ')}` });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (req.user.role === 'student') {
+      conditions.push('r.user_id = ?');
+      params.push(req.user.id);
+    } else if (req.user.role === 'lecturer') {
+      const { taughtCourses } = await loadPolicyContext(req.user);
+      if (taughtCourses.size === 0) {
+        conditions.push('1 = 0');
+      } else {
+        conditions.push(`UPPER(e.course_code) IN (${[...taughtCourses].map(() => '?').join(', ')})`);
+        params.push(...taughtCourses);
+      }
+    }
+    if (status) {
+      conditions.push('r.status = ?');
+      params.push(status);
+    }
+    if (type) {
+      conditions.push('r.request_type = ?');
+      params.push(type);
+    }
+    if (examId) {
+      conditions.push('r.exam_id = ?');
+      params.push(examId);
+    }
+
+    const rows = await getAllRows(`
+      ${requestQuery}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY r.created_at DESC, r.id DESC
+    `, params);
+
+    res.json({
+      success: true,
+      data: rows.map(formatRequest),
+      count: rows.length
+    });
+  } catch (error) {
+    console.error('Error fetching exam requests:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get one exam request (its student, or whoever may review it)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const request = await loadRequest(req.params.id);
+
+    const visible = request && (req.user.role === 'student'
+      ? request.user_id === req.user.id
+      : can(await loadPolicyContext(req.user), 'examRequest', 'review', request));
+
+    if (!visible) {
+      return res.status(404).json({ error: 'Exam request not found' });
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    console.error('Error fetching exam request:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// File a reschedule or deferral request for one of your upcoming exams (students)
+router.post('/', authenticateToken, validateExamRequest, async (req, res) => {
+  try {
+    const { examId, type, reason, preferredDate, preferredTime, attachments = [] } = req.body;
+
+    if (req.user.role !== 'student') {
+      return res.status(403).json({ error: 'Only students can file exam requests' });
+    }
+
+    const scope = getExamVisibilityFilter(req.user);
+    const exam = await getRow(`SELECT * FROM exams e WHERE e.id = ? AND ${scope.clause}`, [examId, ...scope.params]);
+    if (!exam) {
+      return res.status(404).json({ error: 'Exam not found' });
+    }
+
+    if (exam.status !== 'upcoming' || getExamWindow(exam).start <= new Date()) {
+      return res.status(409).json({ error: 'Requests can only be filed for exams that have not started' });
+    }
+
+    if (exam.original_exam_id) {
+      return res.status(409).json({
+        error: 'Exam is an alternate sitting',
+        message: 'Alternate sittings cannot be rescheduled again; contact the course lecturer'
+      });
+    }
+
+    const open = await getRow(`
+      SELECT id, status FROM exam_requests
+      WHERE exam_id = ? AND user_id = ? AND status IN ('pending', 'approved')
+    `, [exam.id, req.user.id]);
+    if (open) {
+      return res.status(409).json({
+        error: 'A request for this exam is already open',
+        details: { requestId: open.id, status: open.status }
+      });
+    }
+
+    const result = await runQuery(`
+      INSERT INTO exam_requests (exam_id, user_id, request_type, reason, preferred_date, preferred_time, attachments)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      exam.id, req.user.id, type, reason.trim(), preferredDate || null, preferredTime || null,
+      JSON.stringify(attachments.map(({ name, mimeType, size, url }) => ({ name, mimeType, size, url })))
+    ]);
+
+    const request = await loadRequest(result.lastID);
+    await notifyRequestParties(request, 'filed', req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Exam request filed successfully',
+      data: request
+    });
+  } catch (error) {
+    console.error('Error filing exam request:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve a pending request (lecturer of the course/admin). The body gives the alternate
+// sitting (date, time, venue or venueId, and optionally duration, which
+// defaults to the original exam's). Students approved onto the same slot
+// share one alternate sitting.
+router.post('/:id/approve', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const request = await loadRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Exam request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(409).json({ error: `Request is already ${request.status}` });
+    }
+
+    if (!can(await loadPolicyContext(req.user), 'examRequest', 'review', request)) {
+      return res.status(403).json(policyDeniedResponse('review', 'requests'));
+    }
+
+    const exam = await getRow('SELECT * FROM exams WHERE id = ?', [request.exam_id]);
+    if (exam.deleted_at) {
+      return res.status(409).json({ error: 'Exam has been deleted' });
+    }
+
+    const { date, time, venue, venueId, duration = exam.duration, note } = req.body;
+
+    const errors = getExamDataErrors({
+      courseCode: exam.course_code, courseName: exam.course_name, date, time, venue, venueId, duration
+    });
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 1000)) {
+      errors.push('note must be a string of 1000 characters or less');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const sitting = { course_code: exam.course_code, date, time, duration };
+    if (getExamWindow(sitting).start <= new Date()) {
+      return res.status(400).json({ error: 'The alternate sitting must be in the future' });
+    }
+
+    if (request.request_type === 'deferral' && date <= exam.date) {
+      return res.status(400).json({ error: 'A deferred sitting must be after the original exam date' });
+    }
+
+    const { venue: registeredVenue, error: venueError } = await resolveExamVenue({ venueId, venue });
+    if (venueError) {
+      return res.status(400).json({ error: venueError });
+    }
+    const venueName = registeredVenue ? registeredVenue.name : venue.trim();
+
+    const [calendarConflicts] = await detectCalendarConflicts([sitting]);
+    const blocking = calendarConflicts.filter(conflict => conflict.blocking);
+    if (blocking.length > 0) {
+      return res.status(409).json({
+        error: 'Exam falls on a blackout date',
+        message: blocking.map(conflict => conflict.description).join('; '),
+        details: blocking
+      });
+    }
+
+    // The student must be free for the whole sitting, extra time included
+    const arrangement = await getStudentArrangement(request.user_id);
+    const { start, end } = getStudentExamWindow(sitting, arrangement);
+    const clashes = (await getAllRows(`
+      SELECT e.id, e.course_code, e.course_name, e.date, e.time, e.duration
+      FROM exams e
+      WHERE e.date = ? AND e.status = 'upcoming' AND e.id != ? AND ${getSittingCondition('e', '?')}
+    `, [date, exam.id, request.user_id, request.user_id, request.user_id])).filter(other => {
+      const { start: otherStart, end: otherEnd } = getStudentExamWindow(other, arrangement);
+      return start < otherEnd && end > otherStart;
+    });
+    if (clashes.length > 0) {
+      return res.status(409).json({
+        error: 'Alternate sitting clashes with another of the student\'s exams',
+        message: clashes.map(other => `${other.course_code} at ${other.time}`).join('; '),
+        details: clashes
+      });
+    }
+
+    const existing = await getRow(`
+      SELECT
+        e.*,
+        (SELECT COUNT(*) FROM exam_requests r WHERE r.alternate_exam_id = e.id AND r.status = 'approved') as moved_in
+      FROM exams e
+      WHERE e.original_exam_id = ? AND e.date = ? AND e.time = ? AND e.venue = ? AND e.duration = ? AND e.status = 'upcoming'
+    `, [exam.id, date, time, venueName, duration]);
+
+    if (registeredVenue) {
+      const capacity = await checkVenueCapacity(registeredVenue, {
+        ...sitting, id: existing ? existing.id : null, students: existing ? existing.moved_in + 1 : 1
+      });
+      if (capacity && capacity.exceeded) {
+        return res.status(409).json({
+          error: 'Venue capacity exceeded',
+          message: `${capacity.venue} seats ${capacity.capacity} for exams and ${capacity.alreadyBooked} are already booked at that time`,
+          details: capacity
+        });
+      }
+    }
+
+    let alternateId = existing ? existing.id : null;
+
+    await withTransaction(async () => {
+      if (!alternateId) {
+        const inserted = await runQuery(`
+          INSERT INTO exams (course_code, course_name, date, time, venue, venue_id, duration, status, original_exam_id, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?, 'upcoming', ?, ?)
+        `, [
+          exam.course_code, exam.course_name, date, time, venueName,
+          registeredVenue ? registeredVenue.id : null, duration, exam.id, req.user.id
+        ]);
+        alternateId = inserted.lastID;
+
+        await recordExamChange({
+          after: await getRow('SELECT * FROM exams WHERE id = ?', [alternateId]),
+          actorId: req.user.id,
+          source: 'exam_request'
+        });
+      }
+
+      await runQuery(`
+        UPDATE exam_requests
+        SET status = 'approved', review_note = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP,
+            alternate_exam_id = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [note || null, req.user.id, alternateId, request.id]);
+
+      // The student no longer sits the original exam
+      await runQuery('DELETE FROM seat_allocations WHERE exam_id = ? AND user_id = ?', [exam.id, request.user_id]);
+    });
+
+    // The student's clashes move with them: record those of the alternate
+    // sitting and drop the ones they had on the original exam
+    await refreshExamConflicts(alternateId);
+    await refreshExamConflicts(exam.id);
+
+    const approved = await loadRequest(request.id);
+    await notifyRequestParties(approved, 'approved', req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Exam request approved',
+      data: approved,
+      alternateSitting: await getRow('SELECT * FROM exams WHERE id = ?', [alternateId]),
+      warnings: calendarConflicts
+    });
+  } catch (error) {
+    console.error('Error approving exam request:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reject a pending request with a note for the student (lecturer of the
+// course/admin)
+router.post('/:id/reject', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (!note || typeof note !== 'string' || note.trim().length === 0 || note.length > 1000) {
+      return res.status(400).json({ error: 'A note of up to 1000 characters explaining the rejection is required' });
+    }
+
+    const request = await loadRequest(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: 'Exam request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(409).json({ error: `Request is already ${request.status}` });
+    }
+
+    if (!can(await loadPolicyContext(req.user), 'examRequest', 'review', request)) {
+      return res.status(403).json(policyDeniedResponse('review', 'requests'));
+    }
+
+    await runQuery(`
+      UPDATE exam_requests
+      SET status = 'rejected', review_note = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [note.trim(), req.user.id, request.id]);
+
+    const rejected = await loadRequest(request.id);
+    await notifyRequestParties(rejected, 'rejected', req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Exam request rejected',
+      data: rejected
+    });
+  } catch (error) {
+    console.error('Error rejecting exam request:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Withdraw your own pending request (students)
+router.post('/:id/withdraw', authenticateToken, async (req, res) => {
+  try {
+    const request = await loadRequest(req.params.id);
+    if (!request || request.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Exam request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(409).json({ error: `Request is already ${request.status}` });
+    }
+
+    await runQuery(`
+      UPDATE exam_requests
+      SET status = 'withdrawn', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [request.id]);
+
+    const withdrawn = await loadRequest(request.id);
+    await notifyRequestParties(withdrawn, 'withdrawn', req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Exam request withdrawn',
+      data: withdrawn
+    });
+  } catch (error) {
+    console.error('Error withdrawing exam request:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tell everyone involved in a request about a change, except whoever made
+// it: the student, and the course lecturer (or every admin when the course
+// has no active lecturer). Students make only the changes they already know
+// about, so they have no message for those.
+async function notifyRequestParties(request, change, actorId) {
+  const lecturer = await getRow(`
+    SELECT u.id FROM courses c
+    JOIN users u ON c.lecturer_id = u.id
+    WHERE c.code = ? AND u.is_active = 1
+  `, [request.course_code]);
+  const staff = lecturer
+    ? [lecturer.id]
+    : (await getAllRows("SELECT id FROM users WHERE role = 'admin' AND is_active = 1")).map(admin => admin.id);
+
+  const kind = request.request_type === 'deferral' ? 'deferral' : 'reschedule';
+  const exam = `${request.course_name} (${request.course_code}) on ${request.exam_date}`;
+  const messages = {
+    filed: {
+      staff: ['New Exam Request', `${request.student_name} has requested a ${kind} of ${exam}`, 'info']
+    },
+    approved: {
+      student: ['Exam Request Approved', `Your ${kind} request for ${exam} was approved. You will sit it on ${request.alternate_date} at ${request.alternate_time} in ${request.alternate_venue}`, 'success'],
+      staff: ['Exam Request Approved', `${request.student_name}'s ${kind} request for ${exam} was approved: alternate sitting on ${request.alternate_date} at ${request.alternate_time}`, 'info']
+    },
+    rejected: {
+      student: ['Exam Request Rejected', `Your ${kind} request for ${exam} was rejected: ${request.review_note}`, 'warning'],
+      staff: ['Exam Request Rejected', `${request.student_name}'s ${kind} request for ${exam} was rejected`, 'info']
+    },
+    withdrawn: {
+      staff: ['Exam Request Withdrawn', `${request.student_name} withdrew their ${kind} request for ${exam}`, 'info']
+    }
+  }[change];
+
+  const recipients = [
+    [request.user_id, messages.student],
+    ...staff.map(userId => [userId, messages.staff])
+  ];
+
+  for (const [userId, content] of recipients) {
+    if (userId === actorId || !content) continue;
+
+    const [title, message, type] = content;
+
+    try {
+      await createNotification(userId, title, message, type, { event: 'request' });
+    } catch (error) {
+      // The request has changed; a failed notification must not undo that
+      console.error(`Error notifying user ${userId} about exam request ${request.id}:`, error);
+    }
+  }
+}
+
+export default router;
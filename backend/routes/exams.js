@@ -1,22 +1,47 @@
 import express from 'express';
-import { getAllRows, getRow, runQuery } from '../config/database.js';
+import ExcelJS from 'exceljs';
+import { parse } from 'csv-parse/sync';
+import { getAllRows, getRow, runQuery, withTransaction } from '../config/database.js';
 import { config } from '../config/environment.js';
-import { authenticateToken, requireLecturerOrAdmin } from '../middleware/auth.js';
-import { validateExamData, validateDateRange, validateSearchQuery } from '../middleware/validation.js';
+import { authenticateToken, optionalAuth, requireAdmin, requireLecturerOrAdmin } from '../middleware/auth.js';
+import { validateExamData, validateDateRange, validateSearchQuery, getExamDataErrors } from '../middleware/validation.js';
+import { uploadSingleFile } from '../middleware/upload.js';
+import { can, loadPolicyContext, policyDeniedResponse } from '../middleware/policies.js';
+import { getExamVisibilityFilter } from './courses.js';
+import {
+  detectPairConflict,
+  detectStudentConflicts,
+  getExamAccommodation,
+  detectStudentOverloads,
+  loadCourseStudents,
+  loadSittingChanges,
+  refreshExamConflicts
+} from './conflicts.js';
+import { checkVenueCapacity, resolveExamVenue } from './venues.js';
+import { publishExamEvent } from './events.js';
+import { detectCalendarConflicts } from './blackout-dates.js';
+import { getStudentArrangement, getStudentSeat } from './seating.js';
+import { getExamHistory, recordExamChange } from './audit.js';
+import { removeExamsFromCalendars, syncExamsToCalendars } from './calendar.js';
+import { createExamNotification } from './notifications.js';
+import { loadReminderRecipients } from './reminders.js';
 
 const router = express.Router();
 
-// Get all exams (public - no auth required)
-router.get('/', async (req, res) => {
+// Get all exams (public - students only see their enrolled courses)
+router.get('/', optionalAuth, async (req, res) => {
   try {
+    const scope = getExamVisibilityFilter(req.user);
+
     const exams = await getAllRows(`
       SELECT
         e.*,
         u.first_name || ' ' || u.last_name as created_by_name
       FROM exams e
       LEFT JOIN users u ON e.created_by = u.id
+      WHERE ${scope.clause}
       ORDER BY e.date ASC, e.time ASC
-    `);
+    `, scope.params);
 
     res.json({
       success: true,
@@ -29,10 +54,36 @@ router.get('/', async (req, res) => {
   }
 });
 
+// List deleted exams waiting to be purged (admin only)
+router.get('/deleted', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const exams = await getAllRows(`
+      SELECT
+        e.*,
+        u.first_name || ' ' || u.last_name as deleted_by_name,
+        datetime(e.deleted_at, ?) as restorable_until
+      FROM exams e
+      LEFT JOIN users u ON e.deleted_by = u.id
+      WHERE e.deleted_at IS NOT NULL
+      ORDER BY e.deleted_at DESC, e.id DESC
+    `, [`+${config.EXAM_RESTORE_DAYS} days`]);
+
+    res.json({
+      success: true,
+      data: exams,
+      count: exams.length
+    });
+  } catch (error) {
+    console.error('Error fetching deleted exams:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get single exam by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
+    const scope = getExamVisibilityFilter(req.user);
 
     const exam = await getRow(`
       SELECT
@@ -40,13 +91,20 @@ router.get('/:id', async (req, res) => {
         u.first_name || ' ' || u.last_name as created_by_name
       FROM exams e
       LEFT JOIN users u ON e.created_by = u.id
-      WHERE e.id = ?
-    `, [id]);
+      WHERE e.id = ? AND ${scope.clause}
+    `, [id, ...scope.params]);
 
     if (!exam) {
       return res.status(404).json({ error: 'Exam not found' });
     }
 
+    // Students see their own seat once a seating plan has been generated, and
+    // the end time and room their access arrangement gives them
+    if (req.user && req.user.role === 'student') {
+      exam.seat = await getStudentSeat(exam.id, req.user.id);
+      exam.accommodation = getExamAccommodation(exam, await getStudentArrangement(req.user.id));
+    }
+
     res.json({
       success: true,
       data: exam
@@ -57,18 +115,157 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create new exam (requires lecturer or admin)
+// Get an exam's change history. Lecturers and admins can also see the history
+// of deleted exams; students only see exams visible to them, without who made
+// each change.
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isStaff = ['lecturer', 'admin'].includes(req.user.role);
+
+    if (!isStaff) {
+      const scope = getExamVisibilityFilter(req.user);
+      const exam = await getRow(`SELECT e.id FROM exams e WHERE e.id = ? AND ${scope.clause}`, [id, ...scope.params]);
+      if (!exam) {
+        return res.status(404).json({ error: 'Exam not found' });
+      }
+    }
+
+    const history = await getExamHistory(id, { includeActor: isStaff });
+    if (history.length === 0 && !(await getRow('SELECT id FROM exams WHERE id = ?', [id]))) {
+      return res.status(404).json({ error: 'Exam not found' });
+    }
+
+    res.json({
+      success: true,
+      data: history,
+      count: history.length
+    });
+  } catch (error) {
+    console.error('Error fetching exam history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Error body for a booking that would put more students in a venue than it seats
+const capacityExceededResponse = (capacity) => ({
+  error: 'Venue capacity exceeded',
+  message: `${capacity.venue} seats ${capacity.capacity} for exams; ${capacity.required} enrolled student(s) need seats` +
+    (capacity.alreadyBooked > 0 ? ` and ${capacity.alreadyBooked} are already booked at that time` : ''),
+  details: capacity
+});
+
+// Error body for an exam on a blackout date whose policy refuses exams
+const blackoutDateResponse = (conflicts) => ({
+  error: 'Exam falls on a blackout date',
+  message: conflicts.map(conflict => conflict.description).join('; '),
+  details: conflicts
+});
+
+// Checks every write of an exam's schedule goes through (POST and PUT /:id,
+// offline sync): the venue must resolve, a live exam must fit in it, and a new
+// exam or one moved to another date must not fall on a blocking blackout
+// date. existing is the stored exam for updates; status is the one being
+// written. Returns { venue, warnings } (the registered venue or null, and the
+// calendar conflicts that only warn) or { refusal: { status, body } }.
+export async function checkExamWrite(data, { existing = null, status = 'upcoming' } = {}) {
+  const { courseCode, date, time, duration } = data;
+
+  const { venue: registeredVenue, error: venueError } = await resolveExamVenue(data);
+  if (venueError) {
+    return { refusal: { status: 400, body: { error: venueError } } };
+  }
+
+  const exam = { id: existing ? existing.id : undefined, course_code: courseCode, date, time, duration };
+
+  if (registeredVenue && status === 'upcoming') {
+    const capacity = await checkVenueCapacity(registeredVenue, exam);
+    if (capacity && capacity.exceeded) {
+      return { refusal: { status: 409, body: capacityExceededResponse(capacity) } };
+    }
+  }
+
+  // Only moving an exam onto a blocking blackout date is refused, so exams
+  // scheduled before the blackout was declared can still be edited
+  const [calendarConflicts] = status === 'cancelled' ? [[]] : await detectCalendarConflicts([exam]);
+  const blocking = calendarConflicts.filter(conflict => conflict.blocking);
+  if (blocking.length > 0 && (!existing || date !== existing.date)) {
+    return { refusal: { status: 409, body: blackoutDateResponse(blocking) } };
+  }
+
+  return { venue: registeredVenue, warnings: calendarConflicts };
+}
+
+// Draft exams can only be changed while their timetable version is still a draft
+export const isTimetableLocked = async (exam) => {
+  if (exam.status !== 'draft' || !exam.timetable_id) return false;
+
+  const timetable = await getRow('SELECT status FROM timetables WHERE id = ?', [exam.timetable_id]);
+  return Boolean(timetable && timetable.status !== 'draft');
+};
+
+export const timetableLockedResponse = {
+  error: 'Timetable is under review',
+  message: 'Exams in a timetable that has been submitted for review cannot be changed'
+};
+
+// Create new exam (requires lecturer of the course or admin)
+// With a timetableId the exam is added to that draft version instead of going live.
 router.post('/', authenticateToken, requireLecturerOrAdmin, validateExamData, async (req, res) => {
   try {
-    const { courseCode, courseName, date, time, venue, duration } = req.body;
+    const { courseCode, courseName, date, time, venue, duration, timetableId } = req.body;
 
     // Get user ID from authenticated user
     const createdBy = req.user.id;
 
+    const policy = await loadPolicyContext(req.user);
+    if (!can(policy, 'exam', 'create', { course_code: courseCode })) {
+      return res.status(403).json(policyDeniedResponse('create'));
+    }
+
+    if (timetableId) {
+      const timetable = await getRow('SELECT id, status, start_date, end_date FROM timetables WHERE id = ?', [timetableId]);
+      if (!timetable) {
+        return res.status(404).json({ error: 'Timetable not found' });
+      }
+
+      if (timetable.status !== 'draft') {
+        return res.status(409).json({
+          error: 'Timetable is not a draft',
+          message: 'Exams can only be added to draft timetables'
+        });
+      }
+
+      if (date < timetable.start_date || date > timetable.end_date) {
+        return res.status(400).json({
+          error: 'Exam date is outside the timetable period',
+          message: `The timetable covers ${timetable.start_date} to ${timetable.end_date}`
+        });
+      }
+    }
+
+    // Other calendar conflicts (warn-only blackouts, unavailable staff) are
+    // returned as warnings
+    const { venue: registeredVenue, warnings: calendarConflicts, refusal } = await checkExamWrite(req.body, {
+      status: timetableId ? 'draft' : 'upcoming'
+    });
+    if (refusal) {
+      return res.status(refusal.status).json(refusal.body);
+    }
+
     const result = await runQuery(`
-      INSERT INTO exams (course_code, course_name, date, time, venue, duration, created_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `, [courseCode, courseName, date, time, venue, duration, createdBy]);
+      INSERT INTO exams (course_code, course_name, date, time, venue, venue_id, duration, status, timetable_id, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      courseCode, courseName, date, time,
+      registeredVenue ? registeredVenue.name : venue,
+      registeredVenue ? registeredVenue.id : null,
+      duration, timetableId ? 'draft' : 'upcoming', timetableId || null, createdBy
+    ]);
+
+    // Record any clashes the new exam introduces
+    const conflictCount = await refreshExamConflicts(result.lastID);
+    await publishExamEvent('created', result.lastID);
 
     // Fetch the created exam
     const newExam = await getRow(`
@@ -79,11 +276,14 @@ router.post('/', authenticateToken, requireLecturerOrAdmin, validateExamData, as
       LEFT JOIN users u ON e.created_by = u.id
       WHERE e.id = ?
     `, [result.lastID]);
+    await recordExamChange({ after: newExam, actorId: createdBy });
 
     res.status(201).json({
       success: true,
       message: 'Exam created successfully',
-      data: newExam
+      data: newExam,
+      conflictCount: conflictCount,
+      warnings: calendarConflicts
     });
   } catch (error) {
     console.error('Error creating exam:', error);
@@ -91,24 +291,50 @@ router.post('/', authenticateToken, requireLecturerOrAdmin, validateExamData, as
   }
 });
 
-// Update exam (requires lecturer or admin)
+// Update exam (requires lecturer of the course or admin)
 router.put('/:id', authenticateToken, requireLecturerOrAdmin, validateExamData, async (req, res) => {
   try {
     const { id } = req.params;
     const { courseCode, courseName, date, time, venue, duration, status } = req.body;
 
     // Check if exam exists
-    const existingExam = await getRow('SELECT id FROM exams WHERE id = ?', [id]);
+    const existingExam = await getRow('SELECT * FROM exams WHERE id = ? AND deleted_at IS NULL', [id]);
     if (!existingExam) {
       return res.status(404).json({ error: 'Exam not found' });
     }
 
+    const policy = await loadPolicyContext(req.user);
+    if (!can(policy, 'exam', 'update', existingExam, { course_code: courseCode })) {
+      return res.status(403).json(policyDeniedResponse('update'));
+    }
+
+    if (await isTimetableLocked(existingExam)) {
+      return res.status(409).json(timetableLockedResponse);
+    }
+
+    // Exams in a draft timetable stay drafts until the timetable is published
+    const nextStatus = existingExam.status === 'draft' ? 'draft' : (status || 'upcoming');
+
+    const { venue: registeredVenue, warnings: calendarConflicts, refusal } = await checkExamWrite(req.body, {
+      existing: existingExam,
+      status: nextStatus
+    });
+    if (refusal) {
+      return res.status(refusal.status).json(refusal.body);
+    }
+
     // Update exam
     await runQuery(`
       UPDATE exams
-      SET course_code = ?, course_name = ?, date = ?, time = ?, venue = ?, duration = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+      SET course_code = ?, course_name = ?, date = ?, time = ?, venue = ?, venue_id = ?, duration = ?, status = ?,
+          updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
-    `, [courseCode, courseName, date, time, venue, duration, status || 'upcoming', id]);
+    `, [
+      courseCode, courseName, date, time,
+      registeredVenue ? registeredVenue.name : venue,
+      registeredVenue ? registeredVenue.id : null,
+      duration, nextStatus, id
+    ]);
 
     // Fetch updated exam
     const updatedExam = await getRow(`
@@ -119,11 +345,16 @@ router.put('/:id', authenticateToken, requireLecturerOrAdmin, validateExamData,
       LEFT JOIN users u ON e.created_by = u.id
       WHERE e.id = ?
     `, [id]);
+    await recordExamChange({ before: existingExam, after: updatedExam, actorId: req.user.id });
+
+    const conflictCount = await applyExamUpdate(existingExam, updatedExam, req.user.id);
 
     res.json({
       success: true,
       message: 'Exam updated successfully',
-      data: updatedExam
+      data: updatedExam,
+      conflictCount: conflictCount,
+      warnings: calendarConflicts
     });
   } catch (error) {
     console.error('Error updating exam:', error);
@@ -131,23 +362,33 @@ router.put('/:id', authenticateToken, requireLecturerOrAdmin, validateExamData,
   }
 });
 
-// Delete exam (requires lecturer or admin)
+// Delete exam (requires lecturer of the course or admin). Live exams are
+// soft-deleted (see deleteExam) and can be restored by an admin until they
+// are purged.
 router.delete('/:id', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if exam exists
-    const existingExam = await getRow('SELECT id FROM exams WHERE id = ?', [id]);
+    const existingExam = await getRow('SELECT * FROM exams WHERE id = ? AND deleted_at IS NULL', [id]);
     if (!existingExam) {
       return res.status(404).json({ error: 'Exam not found' });
     }
 
-    // Delete exam
-    await runQuery('DELETE FROM exams WHERE id = ?', [id]);
+    if (!can(await loadPolicyContext(req.user), 'exam', 'delete', existingExam)) {
+      return res.status(403).json(policyDeniedResponse('delete'));
+    }
+
+    if (await isTimetableLocked(existingExam)) {
+      return res.status(409).json(timetableLockedResponse);
+    }
+
+    const deleted = await deleteExam(existingExam, req.user.id);
 
     res.json({
       success: true,
-      message: 'Exam deleted successfully'
+      message: 'Exam deleted successfully',
+      data: deleted
     });
   } catch (error) {
     console.error('Error deleting exam:', error);
@@ -155,10 +396,193 @@ router.delete('/:id', authenticateToken, requireLecturerOrAdmin, async (req, res
   }
 });
 
+// Restore a deleted exam to the status it had (admin only). Only possible
+// within EXAM_RESTORE_DAYS of the deletion, and refused like PUT when the
+// exam would now overfill its venue or fall on a blocking blackout date.
+router.post('/:id/restore', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const exam = await getRow(`
+      SELECT *, datetime(deleted_at, ?) > datetime('now') as restorable
+      FROM exams
+      WHERE id = ? AND deleted_at IS NOT NULL
+    `, [`+${config.EXAM_RESTORE_DAYS} days`, id]);
+    if (!exam) {
+      return res.status(404).json({ error: 'Deleted exam not found' });
+    }
+
+    if (!exam.restorable) {
+      return res.status(409).json({
+        error: 'Restore window has passed',
+        message: `Deleted exams can only be restored for ${config.EXAM_RESTORE_DAYS} days`
+      });
+    }
+
+    const status = exam.deleted_status || 'upcoming';
+
+    if (status === 'upcoming') {
+      const [calendarConflicts] = await detectCalendarConflicts([exam]);
+      const blocking = calendarConflicts.filter(conflict => conflict.blocking);
+      if (blocking.length > 0) {
+        return res.status(409).json(blackoutDateResponse(blocking));
+      }
+
+      const venue = exam.venue_id ? await getRow('SELECT * FROM venues WHERE id = ?', [exam.venue_id]) : null;
+      const capacity = venue ? await checkVenueCapacity(venue, exam) : null;
+      if (capacity && capacity.exceeded) {
+        return res.status(409).json(capacityExceededResponse(capacity));
+      }
+    }
+
+    await runQuery(`
+      UPDATE exams
+      SET status = ?, deleted_at = NULL, deleted_by = NULL, deleted_status = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [status, id]);
+
+    const restored = await getRow('SELECT * FROM exams WHERE id = ?', [id]);
+    await recordExamChange({ before: exam, after: restored, actorId: req.user.id });
+
+    const conflictCount = await refreshExamConflicts(id);
+    await publishExamEvent('updated', restored);
+    await notifyExamParticipants(restored, 'restored', req.user.id);
+    await syncExamsToCalendars([restored.id]);
+
+    res.json({
+      success: true,
+      message: 'Exam restored successfully',
+      data: restored,
+      conflictCount: conflictCount
+    });
+  } catch (error) {
+    console.error('Error restoring exam:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete an exam. Draft exams of an unpublished timetable are working copies
+// and are removed outright. Live exams are soft-deleted: the row is kept as a
+// cancelled exam, hidden from listings, with the status a restore puts back.
+// Its clashes are resolved, its seats released, and the students, lecturer
+// and invigilators are told; calendars show it as cancelled until the purge.
+export async function deleteExam(exam, actorId, source = 'api') {
+  if (exam.status === 'draft') {
+    await runQuery('DELETE FROM exams WHERE id = ?', [exam.id]);
+    await recordExamChange({ before: exam, actorId, source });
+    return null;
+  }
+
+  await runQuery(`
+    UPDATE exams
+    SET status = 'cancelled', deleted_status = ?, deleted_at = CURRENT_TIMESTAMP, deleted_by = ?,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [exam.status, actorId, exam.id]);
+  await runQuery('DELETE FROM seat_allocations WHERE exam_id = ?', [exam.id]);
+
+  const deleted = await getRow('SELECT * FROM exams WHERE id = ?', [exam.id]);
+  await recordExamChange({ before: exam, after: deleted, actorId, source, action: 'deleted' });
+
+  await refreshExamConflicts(exam.id);
+  await publishExamEvent('deleted', deleted);
+  await notifyExamParticipants(deleted, 'deleted', actorId);
+  await syncExamsToCalendars([exam.id]);
+
+  return deleted;
+}
+
+// Exam fields whose change students are told about and calendars re-synced for
+const SCHEDULE_FIELDS = ['course_name', 'date', 'time', 'venue', 'duration', 'status'];
+
+// Follow-up of an update to an exam, shared by PUT /:id and imports. A seating
+// plan no longer applies once the exam moves or is cancelled, and clashes are
+// reopened, updated or auto-resolved. When a live exam's schedule changed, its
+// students, lecturer and invigilators are told and calendars re-synced.
+// Returns the number of open clashes the exam is part of.
+export async function applyExamUpdate(before, after, actorId, { notifyConflicts = true } = {}) {
+  const moved = ['date', 'time', 'venue_id'].some(field => after[field] !== before[field]);
+  if (moved || after.status === 'cancelled') {
+    await runQuery('DELETE FROM seat_allocations WHERE exam_id = ?', [after.id]);
+  }
+
+  const conflictCount = await refreshExamConflicts(after.id, { notify: notifyConflicts });
+  await publishExamEvent('updated', after);
+
+  if (after.status !== 'draft' && SCHEDULE_FIELDS.some(field => after[field] !== before[field])) {
+    const cancelled = after.status === 'cancelled' && before.status !== 'cancelled';
+    await notifyExamParticipants(after, cancelled ? 'deleted' : 'updated', actorId);
+    await syncExamsToCalendars([after.id]);
+  }
+
+  return conflictCount;
+}
+
+// Notify everyone who would be reminded of an exam, except whoever acted
+async function notifyExamParticipants(exam, eventType, actorId) {
+  const { recipients } = await loadReminderRecipients([exam]);
+  const userIds = (recipients.get(exam.id) || []).filter(userId => userId !== actorId);
+  if (userIds.length === 0) return;
+
+  await createExamNotification({
+    courseCode: exam.course_code,
+    courseName: exam.course_name,
+    date: exam.date,
+    time: exam.time
+  }, eventType, userIds);
+}
+
+// Permanently delete exams whose restore window has passed. Their conflicts,
+// reminders, seats, invigilator duties and requests go with them (ON DELETE
+// CASCADE); their audit history is kept and their calendar events removed.
+export const purgeDeletedExams = async () => {
+  const expired = await getAllRows(`
+    SELECT * FROM exams
+    WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)
+  `, [`-${config.EXAM_RESTORE_DAYS} days`]);
+
+  for (const exam of expired) {
+    await runQuery('DELETE FROM exams WHERE id = ?', [exam.id]);
+    await recordExamChange({ before: exam, source: 'purge' });
+  }
+
+  if (expired.length > 0) {
+    await removeExamsFromCalendars(expired.map(exam => exam.id));
+  }
+
+  return { purged: expired.length };
+};
+
+let purgeTimer = null;
+
+// Start the background purge of deleted exams. The first pass runs
+// immediately so exams that expired while the server was down go too.
+export const startExamPurgeJob = ({ intervalMs = config.EXAM_PURGE_INTERVAL_MS } = {}) => {
+  if (purgeTimer) return;
+
+  const tick = () => purgeDeletedExams()
+    .then((result) => {
+      if (result.purged > 0) {
+        console.log(`🗑️ Purged ${result.purged} deleted exam(s)`);
+      }
+    })
+    .catch(error => console.error('Error purging deleted exams:', error));
+
+  purgeTimer = setInterval(tick, intervalMs);
+  purgeTimer.unref();
+  tick();
+};
+
+export const stopExamPurgeJob = () => {
+  clearInterval(purgeTimer);
+  purgeTimer = null;
+};
+
 // Get exams for a specific date range
-router.get('/range/:startDate/:endDate', validateDateRange, async (req, res) => {
+router.get('/range/:startDate/:endDate', optionalAuth, validateDateRange, async (req, res) => {
   try {
     const { startDate, endDate } = req.params;
+    const scope = getExamVisibilityFilter(req.user);
 
     const exams = await getAllRows(`
       SELECT
@@ -167,8 +591,9 @@ router.get('/range/:startDate/:endDate', validateDateRange, async (req, res) =>
       FROM exams e
       LEFT JOIN users u ON e.created_by = u.id
       WHERE e.date BETWEEN ? AND ?
+      AND ${scope.clause}
       ORDER BY e.date ASC, e.time ASC
-    `, [startDate, endDate]);
+    `, [startDate, endDate, ...scope.params]);
 
     res.json({
       success: true,
@@ -182,8 +607,10 @@ router.get('/range/:startDate/:endDate', validateDateRange, async (req, res) =>
 });
 
 // Get upcoming exams (next 3 exams for dashboard)
-router.get('/upcoming/dashboard', async (req, res) => {
+router.get('/upcoming/dashboard', optionalAuth, async (req, res) => {
   try {
+    const scope = getExamVisibilityFilter(req.user);
+
     const exams = await getAllRows(`
       SELECT
         e.*,
@@ -191,9 +618,10 @@ router.get('/upcoming/dashboard', async (req, res) => {
       FROM exams e
       LEFT JOIN users u ON e.created_by = u.id
       WHERE e.date >= date('now')
+      AND ${scope.clause}
       ORDER BY e.date ASC, e.time ASC
       LIMIT 3
-    `);
+    `, scope.params);
 
     res.json({
       success: true,
@@ -207,7 +635,7 @@ router.get('/upcoming/dashboard', async (req, res) => {
 });
 
 // Get exams for a specific month (for calendar view)
-router.get('/calendar/:year/:month', async (req, res) => {
+router.get('/calendar/:year/:month', optionalAuth, async (req, res) => {
   try {
     const { year, month } = req.params;
     const yearNum = parseInt(year);
@@ -222,14 +650,17 @@ router.get('/calendar/:year/:month', async (req, res) => {
     const startDate = `${year}-${monthStr}-01`;
     const endDate = new Date(yearNum, monthNum + 1, 0).toISOString().split('T')[0]; // Last day of month
 
+    const scope = getExamVisibilityFilter(req.user);
+
     const exams = await getAllRows(`
       SELECT
         e.id, e.course_code, e.date, e.time, e.venue, e.status,
         e.course_name, e.duration
       FROM exams e
       WHERE e.date BETWEEN ? AND ?
+      AND ${scope.clause}
       ORDER BY e.date ASC, e.time ASC
-    `, [startDate, endDate]);
+    `, [startDate, endDate, ...scope.params]);
 
     // Get first day of month and days in month for calendar calculation
     const firstDay = new Date(yearNum, monthNum, 1).getDay();
@@ -315,23 +746,27 @@ router.get('/calendar-nav/:year/:month', async (req, res) => {
 });
 
 // Get dashboard statistics
-router.get('/stats/dashboard', async (req, res) => {
+router.get('/stats/dashboard', optionalAuth, async (req, res) => {
   try {
+    const scope = getExamVisibilityFilter(req.user);
+
     // Get total upcoming exams
     const totalUpcoming = await getRow(`
       SELECT COUNT(*) as count
-      FROM exams
-      WHERE date >= date('now') AND status = 'upcoming'
-    `);
+      FROM exams e
+      WHERE e.date >= date('now') AND e.status = 'upcoming'
+      AND ${scope.clause}
+    `, scope.params);
 
     // Get exams this week
     const thisWeek = await getRow(`
       SELECT COUNT(*) as count
-      FROM exams
-      WHERE date >= date('now')
-      AND date <= date('now', '+6 days')
-      AND status = 'upcoming'
-    `);
+      FROM exams e
+      WHERE e.date >= date('now')
+      AND e.date <= date('now', '+6 days')
+      AND e.status = 'upcoming'
+      AND ${scope.clause}
+    `, scope.params);
 
     res.json({
       success: true,
@@ -347,10 +782,11 @@ router.get('/stats/dashboard', async (req, res) => {
 });
 
 // Search exams by course code or name
-router.get('/search/:query', validateSearchQuery, async (req, res) => {
+router.get('/search/:query', optionalAuth, validateSearchQuery, async (req, res) => {
   try {
     const { query } = req.params;
     const searchTerm = `%${query}%`;
+    const scope = getExamVisibilityFilter(req.user);
 
     const exams = await getAllRows(`
       SELECT
@@ -358,9 +794,10 @@ router.get('/search/:query', validateSearchQuery, async (req, res) => {
         u.first_name || ' ' || u.last_name as created_by_name
       FROM exams e
       LEFT JOIN users u ON e.created_by = u.id
-      WHERE e.course_code LIKE ? OR e.course_name LIKE ?
+      WHERE (e.course_code LIKE ? OR e.course_name LIKE ?)
+      AND ${scope.clause}
       ORDER BY e.date ASC, e.time ASC
-    `, [searchTerm, searchTerm]);
+    `, [searchTerm, searchTerm, ...scope.params]);
 
     res.json({
       success: true,
@@ -375,10 +812,19 @@ router.get('/search/:query', validateSearchQuery, async (req, res) => {
 });
 
 // Get exams by venue
-router.get('/venue/:venue', async (req, res) => {
+router.get('/venue/:venue', optionalAuth, async (req, res) => {
   try {
     const { venue } = req.params;
+    const scope = getExamVisibilityFilter(req.user);
+
+    // A numeric parameter is a registered venue ID, anything else is matched
+    // against exam venue names and registered buildings/rooms
+    const byId = /^\d+$/.test(venue);
     const venuePattern = `%${venue}%`;
+    const venueClause = byId
+      ? 'e.venue_id = ?'
+      : '(e.venue LIKE ? OR v.building LIKE ? OR v.room LIKE ?)';
+    const venueParams = byId ? [venue] : [venuePattern, venuePattern, venuePattern];
 
     const exams = await getAllRows(`
       SELECT
@@ -386,9 +832,11 @@ router.get('/venue/:venue', async (req, res) => {
         u.first_name || ' ' || u.last_name as created_by_name
       FROM exams e
       LEFT JOIN users u ON e.created_by = u.id
-      WHERE e.venue LIKE ?
+      LEFT JOIN venues v ON e.venue_id = v.id
+      WHERE ${venueClause}
+      AND ${scope.clause}
       ORDER BY e.date ASC, e.time ASC
-    `, [venuePattern]);
+    `, [...venueParams, ...scope.params]);
 
     res.json({
       success: true,
@@ -402,12 +850,15 @@ router.get('/venue/:venue', async (req, res) => {
   }
 });
 
+// Student names are only shown to staff; everyone else gets counts
+const canSeeAffectedStudents = (user) => Boolean(user && ['lecturer', 'admin'].includes(user.role));
+
 // Check for conflicts before creating/updating exam
-router.post('/check-conflicts', async (req, res) => {
+router.post('/check-conflicts', optionalAuth, async (req, res) => {
   try {
-    const { courseCode, courseName, date, time, venue, duration, excludeId } = req.body;
+    const { courseCode, courseName, date, time, venue: requestedVenue, venueId, duration, excludeId } = req.body;
 
-    if (!date || !time || !venue || !duration) {
+    if (!date || !time || (!requestedVenue && !venueId) || !duration) {
       return res.status(400).json({
         error: 'Date, time, venue, and duration are required for conflict check'
       });
@@ -419,12 +870,19 @@ router.post('/check-conflicts', async (req, res) => {
       return res.status(400).json({ error: 'Invalid date or time format' });
     }
 
+    const { venue: registeredVenue, error: venueError } = await resolveExamVenue({ venueId, venue: requestedVenue });
+    if (venueError) {
+      return res.status(400).json({ error: venueError });
+    }
+
+    const venue = registeredVenue ? registeredVenue.name : requestedVenue;
+
     const examEnd = new Date(examStart.getTime() + duration * 60000);
 
     // Find potential conflicts
     let conflictQuery = `
       SELECT
-        e.id, e.course_code, e.course_name, e.date, e.time, e.venue, e.duration,
+        e.id, e.course_code, e.course_name, e.date, e.time, e.venue, e.duration, e.original_exam_id,
         u.first_name || ' ' || u.last_name as created_by_name
       FROM exams e
       LEFT JOIN users u ON e.created_by = u.id
@@ -498,8 +956,89 @@ router.post('/check-conflicts', async (req, res) => {
       }
     }
 
+    // Student-level checks need to know which course is being examined
+    const studentConflicts = [];
+    const overloadedStudents = [];
+    const affectedStudentIds = new Set();
+    const showStudents = canSeeAffectedStudents(req.user);
+
+    if (courseCode) {
+      const checkedExam = { id: excludeId ? Number(excludeId) : null, course_code: courseCode, date, time, duration };
+      const studentsByCourse = await loadCourseStudents([courseCode, ...potentialConflicts.map(exam => exam.course_code)]);
+
+      for (const conflict of detectStudentConflicts(checkedExam, potentialConflicts, studentsByCourse)) {
+        conflict.students.forEach(student => affectedStudentIds.add(student.id));
+        studentConflicts.push({
+          id: conflict.other.id,
+          courseCode: conflict.other.course_code,
+          courseName: conflict.other.course_name,
+          time: conflict.other.time,
+          venue: conflict.other.venue,
+          conflictType: conflict.conflictType,
+          severity: conflict.severity,
+          message: conflict.description,
+          gapMinutes: conflict.gapMinutes,
+          affectedStudentCount: conflict.students.length,
+          affectedStudents: showStudents ? conflict.students : undefined
+        });
+      }
+
+      const overloads = detectStudentOverloads([checkedExam, ...potentialConflicts], studentsByCourse)
+        .filter(overload => overload.exams.some(exam => exam.courseCode === courseCode));
+
+      for (const overload of overloads) {
+        affectedStudentIds.add(overload.student.id);
+        overloadedStudents.push({
+          ...overload,
+          student: showStudents ? overload.student : undefined
+        });
+      }
+    }
+
+    // Blackout dates and unavailable staff (whose details only lecturers and
+    // admins see)
+    const [detectedCalendarConflicts] = await detectCalendarConflicts([
+      { id: excludeId ? Number(excludeId) : null, course_code: courseCode, date, time, duration }
+    ]);
+    const calendarConflicts = detectedCalendarConflicts
+      .filter(conflict => showStudents || conflict.conflictType !== 'staff_unavailable')
+      .map(conflict => ({
+        conflictType: conflict.conflictType,
+        severity: conflict.severity,
+        blocking: conflict.blocking,
+        message: conflict.description,
+        blackout: conflict.blackout,
+        staff: conflict.staff
+      }));
+
+    const venueCapacity = registeredVenue && courseCode
+      ? await checkVenueCapacity(registeredVenue, {
+        id: excludeId ? Number(excludeId) : null, course_code: courseCode, date, time, duration
+      })
+      : null;
+
     // Provide recommendations
     const recommendations = [];
+    if (venueCapacity && venueCapacity.exceeded) {
+      recommendations.push(`Choose a larger venue: ${venueCapacity.required} seats are needed but only ${venueCapacity.available} are free`);
+    }
+    if (studentConflicts.some(c => c.conflictType === 'student_clash')) {
+      recommendations.push('Some students are enrolled in overlapping exams; choose a slot that keeps their exams apart');
+    }
+    if (studentConflicts.some(c => c.conflictType === 'back_to_back')) {
+      recommendations.push('Leave a longer break between exams that share students');
+    }
+    if (overloadedStudents.length > 0) {
+      recommendations.push('Move the exam to another day to keep students within the daily exam limit');
+    }
+    if (calendarConflicts.some(c => c.conflictType === 'blackout_date')) {
+      recommendations.push(calendarConflicts.some(c => c.blocking)
+        ? 'Choose another date: exams cannot be scheduled on this blackout date'
+        : 'Avoid scheduling on blackout dates where possible');
+    }
+    if (calendarConflicts.some(c => c.conflictType === 'staff_unavailable')) {
+      recommendations.push('Choose a time when the course staff are available, or arrange cover');
+    }
     if (conflicts.length > 0) {
       if (hasVenueConflict) {
         recommendations.push('Consider using a different venue to avoid conflicts');
@@ -511,16 +1050,29 @@ router.post('/check-conflicts', async (req, res) => {
       recommendations.push('Review existing exams in the timetable before scheduling');
     }
 
+    const allConflicts = [...conflicts, ...studentConflicts, ...calendarConflicts];
+
     res.json({
       success: true,
-      hasConflicts: conflicts.length > 0,
+      hasConflicts: allConflicts.length > 0 || overloadedStudents.length > 0 || Boolean(venueCapacity && venueCapacity.exceeded),
       conflicts: conflicts,
+      studentConflicts: studentConflicts,
+      calendarConflicts: calendarConflicts,
+      overloadedStudents: overloadedStudents,
+      venueCapacity: venueCapacity,
       count: conflicts.length,
       summary: {
-        totalConflicts: conflicts.length,
+        totalConflicts: allConflicts.length,
         timeConflicts: conflicts.filter(c => c.conflictType === 'time_overlap' || c.conflictType === 'both').length,
         venueConflicts: conflicts.filter(c => c.conflictType === 'venue_conflict' || c.conflictType === 'both').length,
-        severity: conflicts.some(c => c.severity === 'error') ? 'error' : 'warning'
+        studentClashes: studentConflicts.filter(c => c.conflictType === 'student_clash').length,
+        backToBack: studentConflicts.filter(c => c.conflictType === 'back_to_back').length,
+        blackoutDates: calendarConflicts.filter(c => c.conflictType === 'blackout_date').length,
+        staffUnavailable: calendarConflicts.filter(c => c.conflictType === 'staff_unavailable').length,
+        overloadedStudents: overloadedStudents.length,
+        affectedStudents: affectedStudentIds.size,
+        capacityExceeded: Boolean(venueCapacity && venueCapacity.exceeded),
+        severity: allConflicts.some(c => c.severity === 'error') || (venueCapacity && venueCapacity.exceeded) ? 'error' : 'warning'
       },
       recommendations: recommendations,
       checkedExam: {
@@ -529,6 +1081,7 @@ router.post('/check-conflicts', async (req, res) => {
         date: date,
         time: time,
         venue: venue,
+        venueId: registeredVenue ? registeredVenue.id : null,
         duration: duration
       }
     });
@@ -539,11 +1092,11 @@ router.post('/check-conflicts', async (req, res) => {
 });
 
 // Get all conflicts in the system
-router.get('/conflicts/all', async (req, res) => {
+router.get('/conflicts/all', optionalAuth, async (req, res) => {
   try {
     // Find all exam pairs that have conflicts
     const allExams = await getAllRows(`
-      SELECT e.id, e.course_code, e.course_name, e.date, e.time, e.venue, e.duration
+      SELECT e.id, e.course_code, e.course_name, e.date, e.time, e.venue, e.duration, e.original_exam_id
       FROM exams e
       WHERE e.status = 'upcoming'
       ORDER BY e.date, e.time
@@ -556,35 +1109,78 @@ router.get('/conflicts/all', async (req, res) => {
         const exam1 = allExams[i];
         const exam2 = allExams[j];
 
-        // Only check exams on the same date
-        if (exam1.date !== exam2.date) continue;
-
-        const start1 = new Date(`${exam1.date}T${exam1.time}`);
-        const end1 = new Date(start1.getTime() + exam1.duration * 60000);
-        const start2 = new Date(`${exam2.date}T${exam2.time}`);
-        const end2 = new Date(start2.getTime() + exam2.duration * 60000);
-
-        // Check for overlap
-        if (start1 < end2 && end1 > start2) {
+        const conflict = detectPairConflict(exam1, exam2);
+        if (conflict) {
           conflicts.push({
             exam1: exam1,
             exam2: exam2,
-            conflictType: exam1.venue === exam2.venue ? 'both' : 'time_overlap',
+            conflictType: conflict.conflictType,
             date: exam1.date,
-            severity: exam1.venue === exam2.venue ? 'error' : 'warning'
+            severity: conflict.severity
           });
         }
       }
     }
 
+    // Per-student clashes, back-to-back sittings and daily overloads
+    const studentsByCourse = await loadCourseStudents(allExams.map(exam => exam.course_code));
+    const sittingChanges = await loadSittingChanges(allExams.map(exam => exam.id));
+    const showStudents = canSeeAffectedStudents(req.user);
+    const affectedStudentIds = new Set();
+
+    for (let i = 0; i < allExams.length; i++) {
+      for (const conflict of detectStudentConflicts(allExams[i], allExams.slice(i + 1), studentsByCourse, sittingChanges)) {
+        conflict.students.forEach(student => affectedStudentIds.add(student.id));
+        conflicts.push({
+          exam1: allExams[i],
+          exam2: conflict.other,
+          conflictType: conflict.conflictType,
+          date: allExams[i].date,
+          severity: conflict.severity,
+          message: conflict.description,
+          affectedStudentCount: conflict.students.length,
+          affectedStudents: showStudents ? conflict.students : undefined
+        });
+      }
+    }
+
+    // Blackout dates and unavailable staff concern single exams
+    const calendarConflicts = await detectCalendarConflicts(allExams);
+    allExams.forEach((exam, index) => {
+      for (const conflict of calendarConflicts[index]) {
+        if (conflict.conflictType === 'staff_unavailable' && !showStudents) continue;
+
+        conflicts.push({
+          exam1: exam,
+          exam2: null,
+          conflictType: conflict.conflictType,
+          date: exam.date,
+          severity: conflict.severity,
+          message: conflict.description
+        });
+      }
+    });
+
+    const overloadedStudents = detectStudentOverloads(allExams, studentsByCourse).map(overload => {
+      affectedStudentIds.add(overload.student.id);
+      return { ...overload, student: showStudents ? overload.student : undefined };
+    });
+
     res.json({
       success: true,
       conflicts: conflicts,
+      overloadedStudents: overloadedStudents,
       count: conflicts.length,
       summary: {
         totalConflicts: conflicts.length,
         venueConflicts: conflicts.filter(c => c.conflictType === 'both').length,
-        timeConflicts: conflicts.filter(c => c.conflictType === 'time_overlap').length
+        timeConflicts: conflicts.filter(c => c.conflictType === 'time_overlap').length,
+        studentClashes: conflicts.filter(c => c.conflictType === 'student_clash').length,
+        backToBack: conflicts.filter(c => c.conflictType === 'back_to_back').length,
+        blackoutDates: conflicts.filter(c => c.conflictType === 'blackout_date').length,
+        staffUnavailable: conflicts.filter(c => c.conflictType === 'staff_unavailable').length,
+        overloadedStudents: overloadedStudents.length,
+        affectedStudents: affectedStudentIds.size
       }
     });
   } catch (error) {
@@ -593,7 +1189,9 @@ router.get('/conflicts/all', async (req, res) => {
   }
 });
 
-// Bulk operations for exams
+// Bulk operations for exams. The whole update is refused when it includes an
+// exam the user may not update. Ids of missing, draft and deleted exams are
+// skipped; the response lists the exams actually updated.
 router.post('/bulk/status', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
   try {
     const { examIds, status } = req.body;
@@ -607,16 +1205,43 @@ router.post('/bulk/status', authenticateToken, requireLecturerOrAdmin, async (re
     }
 
     const placeholders = examIds.map(() => '?').join(',');
-    await runQuery(`
-      UPDATE exams
-      SET status = ?, updated_at = CURRENT_TIMESTAMP
-      WHERE id IN (${placeholders})
-    `, [status, ...examIds]);
+    const before = await getAllRows(`
+      SELECT * FROM exams WHERE id IN (${placeholders}) AND status != 'draft' AND deleted_at IS NULL
+    `, examIds);
+
+    const policy = await loadPolicyContext(req.user);
+    const refused = before.filter(exam => !can(policy, 'exam', 'update', exam));
+    if (refused.length > 0) {
+      return res.status(403).json({
+        ...policyDeniedResponse('update'),
+        details: refused.map(exam => ({ id: exam.id, course_code: exam.course_code }))
+      });
+    }
+
+    const updatedIds = before.map(exam => exam.id);
+
+    if (updatedIds.length > 0) {
+      await runQuery(`
+        UPDATE exams
+        SET status = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (${updatedIds.map(() => '?').join(',')})
+      `, [status, ...updatedIds]);
+    }
+
+    // Each exam then gets the follow-up of PUT /:id: cancelled exams lose their
+    // seats, participants are told and calendars re-synced, and exams that are
+    // no longer upcoming stop clashing (and vice versa)
+    for (const exam of before) {
+      const after = await getRow('SELECT * FROM exams WHERE id = ?', [exam.id]);
+      await recordExamChange({ before: exam, after, actorId: req.user.id, source: 'bulk_status' });
+      await applyExamUpdate(exam, after, req.user.id);
+    }
 
     res.json({
       success: true,
-      message: `Updated ${examIds.length} exams to status: ${status}`,
-      updatedCount: examIds.length
+      message: `Updated ${updatedIds.length} exams to status: ${status}`,
+      updatedCount: updatedIds.length,
+      updatedIds: updatedIds
     });
   } catch (error) {
     console.error('Error in bulk status update:', error);
@@ -624,4 +1249,377 @@ router.post('/bulk/status', authenticateToken, requireLecturerOrAdmin, async (re
   }
 });
 
+// Import a timetable from CSV or XLSX (requires lecturer or admin). Accepts
+// the column layout of /api/export/csv and the Timetable sheet of
+// /api/export/xlsx. Every row is validated and checked for clashes; valid
+// rows are then saved in one transaction. Pass ?dryRun=true for the per-row
+// preview only, and ?upsert=true to update a course's existing exam instead
+// of adding another one. Rows for courses the lecturer does not teach are
+// rejected.
+router.post('/import', authenticateToken, requireLecturerOrAdmin, uploadSingleFile('file'), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const upsert = req.query.upsert === 'true';
+    const isXlsx = /\.xlsx$/i.test(req.file.originalname) || req.file.mimetype === XLSX_MIME_TYPE;
+
+    let file;
+    try {
+      file = isXlsx ? await readXlsxImport(req.file.buffer) : readCsvImport(req.file.buffer);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: `Invalid ${isXlsx ? 'XLSX' : 'CSV'} file`,
+        message: parseError.message
+      });
+    }
+
+    if (file.records.length === 0) {
+      return res.status(400).json({ error: 'File contains no exam rows' });
+    }
+
+    const missingColumns = ['courseCode', 'courseName', 'date', 'time', 'venue', 'duration']
+      .filter(column => !file.columns.includes(column));
+    if (missingColumns.length > 0) {
+      return res.status(400).json({
+        error: 'File is missing required columns',
+        details: missingColumns
+      });
+    }
+
+    const policy = await loadPolicyContext(req.user);
+    const { report, writes } = await planExamImport(file.records, upsert, policy);
+    await findImportConflicts(writes);
+
+    if (!dryRun && writes.length > 0) {
+      await withTransaction(async () => {
+        for (const write of writes) {
+          const { values } = write;
+
+          if (write.existing) {
+            await runQuery(`
+              UPDATE exams
+              SET course_name = ?, date = ?, time = ?, venue = ?, venue_id = ?, duration = ?, status = ?,
+                  updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?
+            `, [values.course_name, values.date, values.time, values.venue, values.venue_id, values.duration, values.status, write.existing.id]);
+          } else {
+            const result = await runQuery(`
+              INSERT INTO exams (course_code, course_name, date, time, venue, venue_id, duration, status, created_by)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [values.course_code, values.course_name, values.date, values.time, values.venue, values.venue_id, values.duration, values.status, req.user.id]);
+            write.entry.examId = result.lastID;
+          }
+
+          write.saved = await getRow('SELECT * FROM exams WHERE id = ?', [write.entry.examId]);
+          await recordExamChange({ before: write.existing, after: write.saved, actorId: req.user.id, source: 'import' });
+        }
+      });
+
+      // Updated exams get the same follow-up as PUT /:id
+      for (const write of writes) {
+        if (write.existing) {
+          await applyExamUpdate(write.existing, write.saved, req.user.id, { notifyConflicts: false });
+        } else {
+          await refreshExamConflicts(write.entry.examId, { notify: false });
+          await publishExamEvent('created', write.saved);
+        }
+      }
+    }
+
+    const summary = {
+      total: report.length,
+      created: report.filter(r => r.status === 'created').length,
+      updated: report.filter(r => r.status === 'updated').length,
+      unchanged: report.filter(r => r.status === 'unchanged').length,
+      skipped: report.filter(r => r.status === 'skipped').length,
+      rejected: report.filter(r => r.status === 'rejected').length,
+      withConflicts: report.filter(r => r.conflicts && r.conflicts.length > 0).length
+    };
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun: dryRun,
+      upsert: upsert,
+      message: dryRun
+        ? 'Dry run complete - no changes were saved'
+        : `Imported ${summary.created + summary.updated} exam(s)`,
+      summary: summary,
+      rows: report
+    });
+  } catch (error) {
+    console.error('Error importing exams:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Map export headers ("Course Code", "Start", "Duration (min)", ...) onto exam fields
+function normalizeExamImportHeader(header) {
+  const key = String(header).toLowerCase().replace(/[^a-z]/g, '');
+  const aliases = {
+    coursecode: 'courseCode',
+    code: 'courseCode',
+    coursename: 'courseName',
+    course: 'courseName',
+    date: 'date',
+    examdate: 'date',
+    time: 'time',
+    start: 'time',
+    starttime: 'time',
+    venue: 'venue',
+    room: 'venue',
+    duration: 'duration',
+    durationmin: 'duration',
+    durationminutes: 'duration',
+    status: 'status'
+  };
+  return aliases[key] || header;
+}
+
+function readCsvImport(buffer) {
+  let columns = [];
+  const records = parse(buffer, {
+    columns: (header) => (columns = header.map(normalizeExamImportHeader)),
+    skip_empty_lines: true,
+    trim: true,
+    bom: true
+  });
+
+  // line 1 is the header
+  return { columns, records: records.map((record, index) => ({ row: index + 2, record })) };
+}
+
+// Read the Timetable sheet (or the first sheet) of a workbook. Date and time
+// cells keep their raw values so typed Excel dates survive.
+async function readXlsxImport(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.getWorksheet('Timetable') || workbook.worksheets[0];
+  if (!sheet) return { columns: [], records: [] };
+
+  const columns = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    columns[col] = normalizeExamImportHeader(cell.text);
+  });
+
+  const records = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const record = {};
+    row.eachCell((cell, col) => {
+      const field = columns[col];
+      if (!field) return;
+
+      const value = cell.value && cell.value.result !== undefined ? cell.value.result : cell.value;
+      record[field] = field === 'date' || field === 'time' ? value : cell.text.trim();
+    });
+    records.push({ row: rowNumber, record });
+  });
+
+  return { columns: columns.filter(Boolean), records };
+}
+
+// Import cell values as the strings/numbers POST /api/exams accepts
+const toImportDate = (value) => {
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  return String(value ?? '').trim();
+};
+
+const toImportTime = (value) => {
+  let minutes = null;
+  if (value instanceof Date) {
+    minutes = value.getUTCHours() * 60 + value.getUTCMinutes();
+  } else if (typeof value === 'number') {
+    minutes = Math.round(value * 1440) % 1440; // Excel time as a fraction of a day
+  }
+
+  if (minutes !== null) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  const time = String(value ?? '').trim();
+  return /^\d:\d{2}$/.test(time) ? `0${time}` : time;
+};
+
+const toImportExam = (record) => ({
+  courseCode: String(record.courseCode ?? '').trim(),
+  courseName: String(record.courseName ?? '').trim(),
+  date: toImportDate(record.date),
+  time: toImportTime(record.time),
+  venue: String(record.venue ?? '').trim(),
+  duration: record.duration === undefined || record.duration === '' ? undefined : Number(record.duration),
+  status: String(record.status ?? '').trim().toLowerCase() || undefined
+});
+
+// Decide what happens to each import row, returning one report entry per row
+// and the rows that need writing. Without upsert a row matching an exam of
+// the same course at the same date and time is skipped. With upsert it
+// updates the course's exam: its only live (non-draft) exam, or its one
+// upcoming or ongoing exam when older sittings exist too. Rows the policy
+// refuses are rejected.
+async function planExamImport(records, upsert, policy) {
+  const report = [];
+  const writes = [];
+  const seen = new Set();
+
+  for (const { row, record } of records) {
+    const exam = toImportExam(record);
+    const entry = {
+      row: row,
+      courseCode: exam.courseCode,
+      date: exam.date,
+      time: exam.time,
+      venue: exam.venue
+    };
+    report.push(entry);
+
+    const errors = getExamDataErrors(exam);
+    if (errors.length > 0) {
+      Object.assign(entry, { status: 'rejected', reason: errors.join('; ') });
+      continue;
+    }
+
+    const rowKey = upsert
+      ? exam.courseCode.toUpperCase()
+      : `${exam.courseCode.toUpperCase()}|${exam.date}|${exam.time}`;
+    if (seen.has(rowKey)) {
+      Object.assign(entry, upsert
+        ? { status: 'rejected', reason: 'Course code appears more than once in file' }
+        : { status: 'skipped', reason: 'Duplicate row in file' });
+      continue;
+    }
+    seen.add(rowKey);
+
+    let existing = null;
+    if (upsert) {
+      let matches = await getAllRows(
+        "SELECT * FROM exams WHERE course_code = ? COLLATE NOCASE AND status != 'draft' AND deleted_at IS NULL",
+        [exam.courseCode]
+      );
+      if (matches.length > 1) {
+        matches = matches.filter(match => ['upcoming', 'ongoing'].includes(match.status));
+        if (matches.length !== 1) {
+          Object.assign(entry, { status: 'rejected', reason: `More than one exam is scheduled for ${exam.courseCode}` });
+          continue;
+        }
+      }
+      existing = matches[0] || null;
+    } else {
+      const duplicate = await getRow(
+        "SELECT id FROM exams WHERE course_code = ? COLLATE NOCASE AND date = ? AND time = ? AND status != 'draft' AND deleted_at IS NULL",
+        [exam.courseCode, exam.date, exam.time]
+      );
+      if (duplicate) {
+        Object.assign(entry, { status: 'skipped', reason: 'Exam is already scheduled', examId: duplicate.id });
+        continue;
+      }
+    }
+
+    const allowed = existing
+      ? can(policy, 'exam', 'update', existing)
+      : can(policy, 'exam', 'create', { course_code: exam.courseCode });
+    if (!allowed) {
+      Object.assign(entry, { status: 'rejected', reason: policyDeniedResponse(existing ? 'update' : 'create').message });
+      continue;
+    }
+
+    const { venue: registeredVenue, error: venueError } = await resolveExamVenue(exam);
+    if (venueError) {
+      Object.assign(entry, { status: 'rejected', reason: venueError });
+      continue;
+    }
+
+    const values = {
+      course_code: existing ? existing.course_code : exam.courseCode,
+      course_name: exam.courseName,
+      date: exam.date,
+      time: exam.time,
+      venue: registeredVenue ? registeredVenue.name : exam.venue,
+      venue_id: registeredVenue ? registeredVenue.id : null,
+      duration: exam.duration,
+      status: exam.status || (existing ? existing.status : 'upcoming')
+    };
+    entry.venue = values.venue;
+
+    if (existing && Object.keys(values).every(field => values[field] === existing[field])) {
+      Object.assign(entry, { status: 'unchanged', examId: existing.id });
+      continue;
+    }
+
+    // Seats are checked against the live timetable, as for POST /api/exams
+    if (registeredVenue && values.status === 'upcoming') {
+      const capacity = await checkVenueCapacity(registeredVenue, {
+        id: existing ? existing.id : undefined,
+        course_code: values.course_code,
+        date: values.date,
+        time: values.time,
+        duration: values.duration
+      });
+      if (capacity && capacity.exceeded) {
+        Object.assign(entry, { status: 'rejected', reason: capacityExceededResponse(capacity).message });
+        continue;
+      }
+    }
+
+    // Blocking blackout dates refuse rows as they refuse POST and PUT
+    if (values.status !== 'cancelled' && (!existing || existing.date !== values.date)) {
+      const [calendarConflicts] = await detectCalendarConflicts([values]);
+      const blocking = calendarConflicts.filter(conflict => conflict.blocking);
+      if (blocking.length > 0) {
+        Object.assign(entry, { status: 'rejected', reason: blackoutDateResponse(blocking).message });
+        continue;
+      }
+    }
+
+    Object.assign(entry, existing
+      ? { status: 'updated', examId: existing.id }
+      : { status: 'created' });
+    writes.push({ entry, existing, values });
+  }
+
+  return { report, writes };
+}
+
+// Attach the clashes each imported upcoming exam would have with the live
+// timetable and with the other rows of the file, as it will be after import
+async function findImportConflicts(writes) {
+  const upcoming = writes.filter(write => write.values.status === 'upcoming');
+  if (upcoming.length === 0) return;
+
+  const dates = [...new Set(upcoming.map(write => write.values.date))];
+  const replaced = new Set(writes.filter(write => write.existing).map(write => write.existing.id));
+
+  const live = (await getAllRows(`
+    SELECT id, course_code, date, time, venue, duration, original_exam_id FROM exams
+    WHERE status = 'upcoming' AND date IN (${dates.map(() => '?').join(',')})
+  `, dates)).filter(exam => !replaced.has(exam.id));
+
+  const imported = upcoming.map(write => ({ ...write.values, id: write.entry.examId, row: write.entry.row, write }));
+  const timetable = [...live, ...imported];
+  const studentsByCourse = await loadCourseStudents(timetable.map(exam => exam.course_code));
+
+  for (const exam of imported) {
+    const others = timetable.filter(other => other !== exam);
+    const clashes = [
+      ...others
+        .map(other => ({ other, ...detectPairConflict(exam, other) }))
+        .filter(clash => clash.conflictType),
+      ...detectStudentConflicts(exam, others, studentsByCourse)
+    ];
+
+    exam.write.entry.conflicts = clashes.map(({ other, conflictType, severity, description }) => ({
+      courseCode: other.course_code,
+      date: other.date,
+      time: other.time,
+      venue: other.venue,
+      ...(other.row ? { row: other.row } : { examId: other.id }),
+      conflictType: conflictType,
+      severity: severity,
+      description: description
+    }));
+  }
+}
+
 export default router;
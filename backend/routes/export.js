@@ -1,7 +1,11 @@
 import express from 'express';
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
 import { getAllRows, getRow } from '../config/database.js';
+import { config } from '../config/environment.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { createExamNotification } from './notifications.js';
+import { getExamVisibilityFilter } from './courses.js';
 
 const router = express.Router();
 
@@ -10,6 +14,7 @@ router.get('/pdf', authenticateToken, async (req, res) => {
   try {
     const { format = 'detailed', dateRange = 'all' } = req.query;
     const userId = req.user.id;
+    const scope = getExamVisibilityFilter(req.user);
 
     // Get exam data based on date range
     let exams;
@@ -28,8 +33,9 @@ router.get('/pdf', authenticateToken, async (req, res) => {
         FROM exams e
         LEFT JOIN users u ON e.created_by = u.id
         WHERE e.status = 'upcoming'
+        AND ${scope.clause}
         ORDER BY e.date ASC, e.time ASC
-      `);
+      `, scope.params);
     } else {
       exams = await getAllRows(`
         SELECT
@@ -38,20 +44,20 @@ router.get('/pdf', authenticateToken, async (req, res) => {
           strftime('%Y-%m-%d', e.date) as formatted_date
         FROM exams e
         LEFT JOIN users u ON e.created_by = u.id
+        WHERE ${scope.clause}
         ORDER BY e.date ASC, e.time ASC
-      `);
+      `, scope.params);
     }
 
-    // Generate PDF content
-    const pdfContent = generatePDFContent(exams, format, req.user, dateRange);
+    // Generate PDF document
+    const pdf = await generateTimetablePDF(exams, format, req.user, dateRange);
 
     // Set headers for PDF download
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename=examsync-timetable-${new Date().toISOString().split('T')[0]}.pdf`);
+    res.setHeader('Content-Length', pdf.length);
 
-    // For now, return HTML that can be converted to PDF
-    // In a production app, you'd use a proper PDF library
-    res.send(pdfContent);
+    res.send(pdf);
 
     // Create notification
     await createExamNotification(null, 'export', [userId]);
@@ -66,6 +72,7 @@ router.get('/pdf', authenticateToken, async (req, res) => {
 router.get('/csv', authenticateToken, async (req, res) => {
   try {
     const { includeCreator = 'true', dateRange = 'all' } = req.query;
+    const scope = getExamVisibilityFilter(req.user);
 
     // Get exam data
     let query = `
@@ -86,15 +93,16 @@ router.get('/csv', authenticateToken, async (req, res) => {
     query += `
       FROM exams e
       LEFT JOIN users u ON e.created_by = u.id
+      WHERE ${scope.clause}
     `;
 
     if (dateRange === 'upcoming') {
-      query += ` WHERE e.status = 'upcoming'`;
+      query += ` AND e.status = 'upcoming'`;
     }
 
     query += ` ORDER BY e.date ASC, e.time ASC`;
 
-    const exams = await getAllRows(query);
+    const exams = await getAllRows(query, scope.params);
 
     // Generate CSV content
     const csvContent = generateCSVContent(exams, includeCreator === 'true');
@@ -111,13 +119,61 @@ router.get('/csv', authenticateToken, async (req, res) => {
   }
 });
 
+// Export timetable as an Excel workbook: the timetable, one schedule per
+// venue, open conflicts (lecturers/admins) and statistics
+router.get('/xlsx', authenticateToken, async (req, res) => {
+  try {
+    const { dateRange = 'all' } = req.query;
+    const scope = getExamVisibilityFilter(req.user);
+
+    const exams = await getAllRows(`
+      SELECT
+        e.*,
+        u.first_name || ' ' || u.last_name as created_by_name
+      FROM exams e
+      LEFT JOIN users u ON e.created_by = u.id
+      WHERE ${scope.clause}
+      ${dateRange === 'upcoming' ? "AND e.status = 'upcoming'" : ''}
+      ORDER BY e.date ASC, e.time ASC
+    `, scope.params);
+
+    // Conflicts are only listed for staff, matching /api/conflicts
+    const conflicts = req.user.role === 'student' ? null : await getAllRows(`
+      SELECT
+        ec.*,
+        e1.course_code as exam1_code, e1.time as exam1_time, e1.venue as exam1_venue,
+        e2.course_code as exam2_code, e2.time as exam2_time, e2.venue as exam2_venue
+      FROM exam_conflicts ec
+      JOIN exams e1 ON ec.exam1_id = e1.id
+      JOIN exams e2 ON ec.exam2_id = e2.id
+      WHERE ec.resolved = 0
+      ${dateRange === 'upcoming' ? "AND ec.date >= date('now')" : ''}
+      ORDER BY ec.date ASC, ec.severity ASC
+    `);
+
+    const stats = await getExportStats(req.user);
+
+    const workbook = await generateTimetableWorkbook({ exams, conflicts, stats, user: req.user, dateRange });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=examsync-timetable-${new Date().toISOString().split('T')[0]}.xlsx`);
+    res.setHeader('Content-Length', workbook.length);
+
+    res.send(workbook);
+
+  } catch (error) {
+    console.error('Error generating XLSX:', error);
+    res.status(500).json({ error: 'Failed to generate Excel export' });
+  }
+});
+
 // Export exam statistics
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
     const { format = 'json' } = req.query;
 
     // Get various statistics
-    const stats = await getExportStats();
+    const stats = await getExportStats(req.user);
 
     if (format === 'csv') {
       const csvStats = generateStatsCSV(stats);
@@ -138,103 +194,285 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
-// Generate PDF content (HTML format that can be converted to PDF)
-function generatePDFContent(exams, format, user, dateRange) {
+// Table columns per PDF format. width is a share of the usable page width.
+const PDF_COLUMNS = {
+  detailed: [
+    { label: 'Date', width: 0.12, value: exam => exam.relative_date && exam.relative_date !== exam.date ? `${exam.date}\n${exam.relative_date}` : exam.date },
+    { label: 'Time', width: 0.08, value: exam => exam.time },
+    { label: 'Course', width: 0.26, value: exam => `${exam.course_code} - ${exam.course_name}` },
+    { label: 'Venue', width: 0.15, value: exam => exam.venue },
+    { label: 'Duration', width: 0.09, value: exam => `${exam.duration} min` },
+    { label: 'Status', width: 0.1, value: exam => exam.status },
+    { label: 'Created by', width: 0.2, value: exam => exam.created_by_name || '' }
+  ],
+  compact: [
+    { label: 'Date', width: 0.16, value: exam => exam.date },
+    { label: 'Time', width: 0.1, value: exam => exam.time },
+    { label: 'Course', width: 0.14, value: exam => exam.course_code },
+    { label: 'Venue', width: 0.44, value: exam => exam.venue },
+    { label: 'Duration', width: 0.16, value: exam => `${exam.duration} min` }
+  ]
+};
+
+const STATUS_COLORS = {
+  upcoming: '#10B981',
+  completed: '#6B7280',
+  cancelled: '#EF4444'
+};
+
+// Render the timetable as a PDF and resolve with its bytes. Rows flow across
+// pages with the column headings repeated at the top of each page; every page
+// carries the institution header and a numbered footer.
+export function generateTimetablePDF(exams, format, user, dateRange) {
   const title = dateRange === 'upcoming' ? 'Upcoming Exams' : 'Complete Timetable';
-  const generatedDate = new Date().toLocaleDateString();
-
-  let html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="UTF-8">
-        <title>ExamSync - ${title}</title>
-        <style>
-            body { font-family: Arial, sans-serif; margin: 20px; }
-            .header { text-align: center; margin-bottom: 30px; border-bottom: 2px solid #3B82F6; padding-bottom: 20px; }
-            .exam-card { border: 1px solid #ddd; margin: 10px 0; padding: 15px; border-radius: 5px; }
-            .exam-header { background-color: #f5f5f5; padding: 10px; margin: -15px -15px 15px -15px; border-radius: 5px 5px 0 0; }
-            .exam-details { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-top: 10px; }
-            .detail-item { display: flex; justify-content: space-between; }
-            .status-upcoming { color: #10B981; font-weight: bold; }
-            .status-completed { color: #6B7280; font-weight: bold; }
-            .status-cancelled { color: #EF4444; font-weight: bold; }
-            .footer { margin-top: 40px; text-align: center; font-size: 12px; color: #666; }
-            @media print { body { margin: 0; } }
-        </style>
-    </head>
-    <body>
-        <div class="header">
-            <h1>ExamSync</h1>
-            <h2>${title}</h2>
-            <p>Generated for: ${user.firstName} ${user.lastName} (${user.role})</p>
-            <p>Generated on: ${generatedDate}</p>
-        </div>
-
-        <div class="content">
-  `;
+  const columns = PDF_COLUMNS[format] || PDF_COLUMNS.detailed;
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: 80, bottom: 60, left: 40, right: 40 },
+    bufferPages: true,
+    info: { Title: `${config.INSTITUTION_NAME} - ${title}`, Author: 'ExamSync' }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const padding = 4;
+  const fontSize = format === 'compact' ? 8 : 9;
+
+  const drawPageHeader = () => {
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#111827')
+      .text(config.INSTITUTION_NAME, left, 30, { width: tableWidth, lineBreak: false });
+    doc.font('Helvetica').fontSize(9).fillColor('#6B7280')
+      .text(`Examination Timetable - ${title}`, left, 48, { width: tableWidth, lineBreak: false });
+    doc.moveTo(left, 64).lineTo(left + tableWidth, 64).lineWidth(1).strokeColor('#3B82F6').stroke();
+    doc.x = left;
+    doc.y = doc.page.margins.top;
+  };
+
+  // Draws one row; a row that does not fit starts a new page first
+  const drawRow = (cells, { header = false, color = null } = {}) => {
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+
+    const widths = columns.map(column => column.width * tableWidth);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell), { width: widths[i] - padding * 2 }))) + padding * 2;
+
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      if (!header) drawRow(columns.map(column => column.label), { header: true });
+      doc.font('Helvetica').fontSize(fontSize);
+    }
+
+    const y = doc.y;
+    if (header) {
+      doc.rect(left, y, tableWidth, height).fill('#E5E7EB');
+    }
+
+    let x = left;
+    cells.forEach((cell, i) => {
+      const isStatus = columns[i].label === 'Status';
+      doc.fillColor(isStatus && color ? color : '#111827')
+        .text(String(cell), x + padding, y + padding, { width: widths[i] - padding * 2 });
+      x += widths[i];
+    });
+
+    doc.moveTo(left, y + height).lineTo(left + tableWidth, y + height).lineWidth(0.5).strokeColor('#D1D5DB').stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  doc.on('pageAdded', drawPageHeader);
+  drawPageHeader();
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#111827').text(title);
+  doc.font('Helvetica').fontSize(10).fillColor('#374151')
+    .text(`Generated for: ${user.firstName} ${user.lastName} (${user.role})`)
+    .text(`Generated on: ${new Date().toLocaleDateString()}`);
+  doc.moveDown();
 
   if (exams.length === 0) {
-    html += '<p>No exams found for the selected criteria.</p>';
+    doc.text('No exams found for the selected criteria.');
   } else {
-    exams.forEach((exam, index) => {
-      const statusClass = `status-${exam.status}`;
-      const relativeDate = exam.relative_date || exam.formatted_date;
-
-      html += `
-        <div class="exam-card">
-            <div class="exam-header">
-                <h3>${exam.course_code} - ${exam.course_name}</h3>
-                <span class="${statusClass}">${exam.status.toUpperCase()}</span>
-            </div>
-
-            <div class="exam-details">
-                <div class="detail-item">
-                    <strong>Date:</strong>
-                    <span>${new Date(exam.date).toLocaleDateString()}</span>
-                </div>
-                <div class="detail-item">
-                    <strong>Time:</strong>
-                    <span>${exam.time} (${exam.duration} minutes)</span>
-                </div>
-                <div class="detail-item">
-                    <strong>Venue:</strong>
-                    <span>${exam.venue}</span>
-                </div>
-                <div class="detail-item">
-                    <strong>Created by:</strong>
-                    <span>${exam.created_by_name}</span>
-                </div>
-      `;
-
-      if (format === 'detailed' && exam.relative_date) {
-        html += `
-                <div class="detail-item">
-                    <strong>Relative:</strong>
-                    <span>${exam.relative_date}</span>
-                </div>
-        `;
-      }
-
-      html += `
-            </div>
-        </div>
-      `;
-    });
+    drawRow(columns.map(column => column.label), { header: true });
+
+    for (const exam of exams) {
+      drawRow(columns.map(column => column.value(exam) ?? ''), { color: STATUS_COLORS[exam.status] });
+    }
   }
 
-  html += `
-        </div>
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827').text(`Total Exams: ${exams.length}`, left);
+
+  // Footers go on once the page count is known
+  const pages = doc.bufferedPageRange();
+  for (let i = 0; i < pages.count; i++) {
+    doc.switchToPage(pages.start + i);
+
+    // Writing into the bottom margin would otherwise start a new page
+    const marginBottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
 
-        <div class="footer">
-            <p>Total Exams: ${exams.length}</p>
-            <p>Generated by ExamSync - Smart Examination Management</p>
-        </div>
-    </body>
-    </html>
-  `;
+    const footerY = doc.page.height - 40;
+    doc.moveTo(left, footerY - 6).lineTo(left + tableWidth, footerY - 6).lineWidth(0.5).strokeColor('#D1D5DB').stroke();
+    doc.font('Helvetica').fontSize(8).fillColor('#6B7280')
+      .text('Generated by ExamSync - Smart Examination Management', left, footerY, { width: tableWidth, align: 'left', lineBreak: false })
+      .text(`Page ${i + 1} of ${pages.count}`, left, footerY, { width: tableWidth, align: 'right', lineBreak: false });
 
-  return html;
+    doc.page.margins.bottom = marginBottom;
+  }
+
+  doc.end();
+  return done;
+}
+
+// Exam dates and times as typed Excel values: dates as Date cells (UTC
+// midnight, so no timezone shift), times as fractions of a day
+const toExcelDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const toExcelTime = (time, addMinutes = 0) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return (hours * 60 + minutes + addMinutes) / 1440;
+};
+
+const EXAM_SHEET_COLUMNS = [
+  { header: 'Date', key: 'date', width: 12, style: { numFmt: 'yyyy-mm-dd' } },
+  { header: 'Start', key: 'start', width: 8, style: { numFmt: 'hh:mm' } },
+  { header: 'End', key: 'end', width: 8, style: { numFmt: 'hh:mm' } },
+  { header: 'Course Code', key: 'courseCode', width: 14 },
+  { header: 'Course Name', key: 'courseName', width: 36 },
+  { header: 'Venue', key: 'venue', width: 24 },
+  { header: 'Duration (min)', key: 'duration', width: 14 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Created By', key: 'createdBy', width: 22 }
+];
+
+// Excel sheet names: at most 31 characters, none of : \ / ? * [ ], unique
+const toSheetName = (name, taken) => {
+  const base = name.replace(/[:\\/?*[\]]/g, '-').slice(0, 28) || 'Sheet';
+  let candidate = base;
+  for (let i = 2; taken.has(candidate.toLowerCase()); i++) {
+    candidate = `${base} ${i}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+};
+
+// Add a sheet with a bold, frozen, filterable header row
+const addTableSheet = (workbook, name, columns) => {
+  const sheet = workbook.addWorksheet(name, {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+  sheet.columns = columns;
+
+  const header = sheet.getRow(1);
+  header.font = { bold: true };
+  header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE5E7EB' } };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+  return sheet;
+};
+
+const toExamRow = (exam) => ({
+  date: toExcelDate(exam.date),
+  start: toExcelTime(exam.time),
+  end: toExcelTime(exam.time, exam.duration),
+  courseCode: exam.course_code,
+  courseName: exam.course_name,
+  venue: exam.venue,
+  duration: exam.duration,
+  status: exam.status,
+  createdBy: exam.created_by_name || ''
+});
+
+// Build the XLSX workbook and resolve with its bytes. conflicts is null when
+// the user may not see conflicts, which leaves that sheet out.
+export async function generateTimetableWorkbook({ exams, conflicts, stats, user, dateRange }) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'ExamSync';
+  workbook.created = new Date();
+  workbook.title = dateRange === 'upcoming' ? 'Upcoming Exams' : 'Complete Timetable';
+
+  const taken = new Set(['timetable', 'conflicts', 'statistics']);
+
+  const timetable = addTableSheet(workbook, 'Timetable', EXAM_SHEET_COLUMNS);
+  exams.forEach(exam => timetable.addRow(toExamRow(exam)));
+
+  // One schedule per venue, in venue order
+  const byVenue = new Map();
+  for (const exam of exams) {
+    const venue = exam.venue || 'No venue';
+    if (!byVenue.has(venue)) byVenue.set(venue, []);
+    byVenue.get(venue).push(exam);
+  }
+
+  for (const venue of [...byVenue.keys()].sort((a, b) => a.localeCompare(b))) {
+    const sheet = addTableSheet(workbook, toSheetName(`Venue - ${venue}`, taken), EXAM_SHEET_COLUMNS.filter(column => column.key !== 'venue'));
+    byVenue.get(venue).forEach(exam => sheet.addRow(toExamRow(exam)));
+  }
+
+  if (conflicts) {
+    const sheet = addTableSheet(workbook, 'Conflicts', [
+      { header: 'Date', key: 'date', width: 12, style: { numFmt: 'yyyy-mm-dd' } },
+      { header: 'Type', key: 'type', width: 14 },
+      { header: 'Severity', key: 'severity', width: 10 },
+      { header: 'Exam 1', key: 'exam1', width: 14 },
+      { header: 'Exam 1 Start', key: 'exam1Start', width: 12, style: { numFmt: 'hh:mm' } },
+      { header: 'Exam 1 Venue', key: 'exam1Venue', width: 22 },
+      { header: 'Exam 2', key: 'exam2', width: 14 },
+      { header: 'Exam 2 Start', key: 'exam2Start', width: 12, style: { numFmt: 'hh:mm' } },
+      { header: 'Exam 2 Venue', key: 'exam2Venue', width: 22 },
+      { header: 'Description', key: 'description', width: 60 },
+      { header: 'Acknowledged', key: 'acknowledged', width: 14 }
+    ]);
+
+    conflicts.forEach(conflict => sheet.addRow({
+      date: toExcelDate(conflict.date),
+      type: conflict.conflict_type,
+      severity: conflict.severity,
+      exam1: conflict.exam1_code,
+      exam1Start: toExcelTime(conflict.exam1_time),
+      exam1Venue: conflict.exam1_venue,
+      exam2: conflict.exam2_code,
+      exam2Start: toExcelTime(conflict.exam2_time),
+      exam2Venue: conflict.exam2_venue,
+      description: conflict.description,
+      acknowledged: Boolean(conflict.acknowledged)
+    }));
+  }
+
+  // Statistics from getExportStats as category/metric/value rows
+  const statistics = addTableSheet(workbook, 'Statistics', [
+    { header: 'Category', key: 'category', width: 14 },
+    { header: 'Metric', key: 'metric', width: 30 },
+    { header: 'Value', key: 'value', width: 16 }
+  ]);
+
+  const summary = stats.summary || {};
+  [
+    ['Total Exams', summary.totalExams],
+    ['Upcoming Exams', summary.upcomingExams],
+    ['Completed Exams', summary.completedExams],
+    ['Cancelled Exams', summary.cancelledExams]
+  ].forEach(([metric, value]) => statistics.addRow({ category: 'Summary', metric, value: value || 0 }));
+  (stats.examsByMonth || []).forEach(item => statistics.addRow({ category: 'Monthly', metric: item.month, value: item.count }));
+  (stats.popularVenues || []).forEach(item => statistics.addRow({ category: 'Venues', metric: item.venue, value: item.count }));
+  (stats.activeCreators || []).forEach(item => statistics.addRow({ category: 'Creators', metric: item.creator_name, value: item.exams_created }));
+
+  statistics.addRow({});
+  statistics.addRow({ category: 'Generated', metric: `${user.firstName} ${user.lastName} (${user.role})`, value: new Date() })
+    .getCell('value').numFmt = 'yyyy-mm-dd hh:mm';
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
 }
 
 // Generate CSV content
@@ -269,32 +507,36 @@ function generateCSVContent(exams, includeCreator) {
 }
 
 // Get export statistics
-async function getExportStats() {
+async function getExportStats(user) {
   try {
-    const totalExams = await getRow('SELECT COUNT(*) as count FROM exams');
-    const upcomingExams = await getRow('SELECT COUNT(*) as count FROM exams WHERE status = "upcoming"');
-    const completedExams = await getRow('SELECT COUNT(*) as count FROM exams WHERE status = "completed"');
-    const cancelledExams = await getRow('SELECT COUNT(*) as count FROM exams WHERE status = "cancelled"');
+    const scope = getExamVisibilityFilter(user);
+
+    const totalExams = await getRow(`SELECT COUNT(*) as count FROM exams e WHERE ${scope.clause}`, scope.params);
+    const upcomingExams = await getRow(`SELECT COUNT(*) as count FROM exams e WHERE e.status = 'upcoming' AND ${scope.clause}`, scope.params);
+    const completedExams = await getRow(`SELECT COUNT(*) as count FROM exams e WHERE e.status = 'completed' AND ${scope.clause}`, scope.params);
+    const cancelledExams = await getRow(`SELECT COUNT(*) as count FROM exams e WHERE e.status = 'cancelled' AND ${scope.clause}`, scope.params);
 
     // Exams by month
     const examsByMonth = await getAllRows(`
       SELECT
-        strftime('%Y-%m', date) as month,
+        strftime('%Y-%m', e.date) as month,
         COUNT(*) as count
-      FROM exams
-      GROUP BY strftime('%Y-%m', date)
+      FROM exams e
+      WHERE ${scope.clause}
+      GROUP BY strftime('%Y-%m', e.date)
       ORDER BY month DESC
       LIMIT 12
-    `);
+    `, scope.params);
 
     // Most popular venues
     const popularVenues = await getAllRows(`
-      SELECT venue, COUNT(*) as count
-      FROM exams
-      GROUP BY venue
+      SELECT e.venue, COUNT(*) as count
+      FROM exams e
+      WHERE ${scope.clause}
+      GROUP BY e.venue
       ORDER BY count DESC
       LIMIT 10
-    `);
+    `, scope.params);
 
     // Most active creators
     const activeCreators = await getAllRows(`
@@ -303,10 +545,11 @@ async function getExportStats() {
         COUNT(*) as exams_created
       FROM exams e
       JOIN users u ON e.created_by = u.id
+      WHERE ${scope.clause}
       GROUP BY e.created_by
       ORDER BY exams_created DESC
       LIMIT 10
-    `);
+    `, scope.params);
 
     return {
       summary: {
@@ -0,0 +1,555 @@
+import express from 'express';
+import { getAllRows, getRow, runQuery, withTransaction } from '../config/database.js';
+import { config } from '../config/environment.js';
+import { authenticateToken, requireAdmin, requireLecturerOrAdmin } from '../middleware/auth.js';
+import { validateUnavailability } from '../middleware/validation.js';
+import { getExamWindow } from './conflicts.js';
+import { createNotification } from './notifications.js';
+
+const router = express.Router();
+
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+// Your upcoming invigilation duties (?all=true includes past ones)
+router.get('/duties', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const duties = await getInvigilatorDuties(req.user.id, { includePast: req.query.all === 'true' });
+
+    res.json({
+      success: true,
+      data: duties,
+      count: duties.length
+    });
+  } catch (error) {
+    console.error('Error fetching invigilation duties:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Duties and minutes of invigilation per staff member, optionally for a
+// startDate/endDate period (lecturer/admin)
+router.get('/workload', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if ((startDate && !dateRegex.test(startDate)) || (endDate && !dateRegex.test(endDate))) {
+      return res.status(400).json({ error: 'startDate and endDate must be in YYYY-MM-DD format' });
+    }
+
+    const workload = await getAllRows(`
+      SELECT
+        u.id, u.email, u.role,
+        u.first_name || ' ' || u.last_name as name,
+        COUNT(e.id) as duties,
+        COALESCE(SUM(e.duration), 0) as minutes
+      FROM users u
+      LEFT JOIN invigilator_assignments ia ON ia.user_id = u.id
+      LEFT JOIN exams e ON ia.exam_id = e.id
+        AND e.status NOT IN ('draft', 'cancelled')
+        AND e.date BETWEEN ? AND ?
+      WHERE u.role IN ('lecturer', 'admin') AND u.is_active = 1
+      GROUP BY u.id
+      ORDER BY minutes DESC, name ASC
+    `, [startDate || '0000-01-01', endDate || '9999-12-31']);
+
+    res.json({
+      success: true,
+      data: workload,
+      count: workload.length
+    });
+  } catch (error) {
+    console.error('Error fetching invigilation workload:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Fill every upcoming exam in a period up to its required number of
+// invigilators (admin only). Pass dryRun: true to preview the allocation.
+router.post('/allocate', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { startDate, endDate, dryRun = false } = req.body;
+
+    if ((startDate && !dateRegex.test(startDate)) || (endDate && !dateRegex.test(endDate))) {
+      return res.status(400).json({ error: 'startDate and endDate must be in YYYY-MM-DD format' });
+    }
+
+    if (startDate && endDate && startDate > endDate) {
+      return res.status(400).json({ error: 'startDate must be before or equal to endDate' });
+    }
+
+    const result = await allocateInvigilators({ startDate, endDate, dryRun: dryRun === true, assignedBy: req.user.id });
+
+    res.status(dryRun === true ? 200 : 201).json({
+      success: true,
+      dryRun: dryRun === true,
+      message: dryRun === true
+        ? 'Dry run complete - no changes were saved'
+        : `Assigned ${result.assignments.length} invigilation duty(ies)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error allocating invigilators:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List staff unavailability. Lecturers see their own; admins see everyone's
+// or one user's with ?userId=
+router.get('/unavailability', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    let query = `
+      SELECT su.*, u.first_name || ' ' || u.last_name as name
+      FROM staff_unavailability su
+      JOIN users u ON su.user_id = u.id
+    `;
+    const params = [];
+
+    if (req.user.role !== 'admin') {
+      query += ' WHERE su.user_id = ?';
+      params.push(req.user.id);
+    } else if (req.query.userId) {
+      query += ' WHERE su.user_id = ?';
+      params.push(req.query.userId);
+    }
+
+    query += ' ORDER BY su.start_at ASC';
+
+    const windows = await getAllRows(query, params);
+
+    res.json({
+      success: true,
+      data: windows,
+      count: windows.length
+    });
+  } catch (error) {
+    console.error('Error fetching unavailability:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record a window in which a staff member cannot invigilate. Admins may pass
+// userId to record it for someone else. Duties already held in the window
+// are returned so they can be reassigned.
+router.post('/unavailability', authenticateToken, requireLecturerOrAdmin, validateUnavailability, async (req, res) => {
+  try {
+    const { startAt, endAt, reason } = req.body;
+    const userId = req.body.userId || req.user.id;
+
+    if (userId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can record unavailability for other users' });
+    }
+
+    const staff = await getRow('SELECT id, role FROM users WHERE id = ? AND is_active = 1', [userId]);
+    if (!staff) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const window = { start_at: startAt.replace('T', ' '), end_at: endAt.replace('T', ' ') };
+
+    const result = await runQuery(`
+      INSERT INTO staff_unavailability (user_id, start_at, end_at, reason, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `, [userId, window.start_at, window.end_at, reason || null, req.user.id]);
+
+    const created = await getRow('SELECT * FROM staff_unavailability WHERE id = ?', [result.lastID]);
+
+    const duties = await getInvigilatorDuties(userId);
+    const affectedDuties = duties.filter(duty => overlapsWindow(getExamWindow(duty), window));
+
+    res.status(201).json({
+      success: true,
+      message: 'Unavailability recorded',
+      data: created,
+      affectedDuties: affectedDuties
+    });
+  } catch (error) {
+    console.error('Error recording unavailability:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove an unavailability window (its owner or an admin)
+router.delete('/unavailability/:id', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const window = await getRow('SELECT * FROM staff_unavailability WHERE id = ?', [req.params.id]);
+    if (!window || (window.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ error: 'Unavailability not found' });
+    }
+
+    await runQuery('DELETE FROM staff_unavailability WHERE id = ?', [req.params.id]);
+
+    res.json({
+      success: true,
+      message: 'Unavailability removed'
+    });
+  } catch (error) {
+    console.error('Error removing unavailability:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Invigilators of an exam and how many it needs (lecturer/admin)
+router.get('/exams/:examId', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const exam = await getRow('SELECT * FROM exams WHERE id = ?', [req.params.examId]);
+    if (!exam) {
+      return res.status(404).json({ error: 'Exam not found' });
+    }
+
+    const required = await getRequiredInvigilators([exam]);
+    const invigilators = await getAllRows(`
+      SELECT
+        ia.user_id, ia.source, ia.created_at,
+        u.first_name || ' ' || u.last_name as name, u.email
+      FROM invigilator_assignments ia
+      JOIN users u ON ia.user_id = u.id
+      WHERE ia.exam_id = ?
+      ORDER BY name ASC
+    `, [exam.id]);
+
+    res.json({
+      success: true,
+      data: {
+        examId: exam.id,
+        required: required.get(exam.id),
+        invigilators: invigilators
+      },
+      count: invigilators.length
+    });
+  } catch (error) {
+    console.error('Error fetching exam invigilators:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Assign a lecturer or admin to invigilate an exam (admin only). Refused with
+// 409 when they are unavailable or already invigilating at that time unless
+// force is true.
+router.post('/exams/:examId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { userId, force = false } = req.body;
+
+    if (!Number.isInteger(userId) || userId < 1) {
+      return res.status(400).json({ error: 'userId must be a positive integer' });
+    }
+
+    const exam = await getRow('SELECT * FROM exams WHERE id = ?', [req.params.examId]);
+    if (!exam) {
+      return res.status(404).json({ error: 'Exam not found' });
+    }
+
+    if (exam.status !== 'upcoming') {
+      return res.status(409).json({ error: 'Invigilators can only be assigned to upcoming exams' });
+    }
+
+    const staff = await getRow('SELECT id, role FROM users WHERE id = ? AND is_active = 1', [userId]);
+    if (!staff) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!['lecturer', 'admin'].includes(staff.role)) {
+      return res.status(400).json({ error: 'Only lecturers and admins can invigilate' });
+    }
+
+    const existing = await getRow(
+      'SELECT id FROM invigilator_assignments WHERE exam_id = ? AND user_id = ?',
+      [exam.id, userId]
+    );
+    if (existing) {
+      return res.status(409).json({ error: 'User is already invigilating this exam' });
+    }
+
+    const clash = await findInvigilatorClash(userId, exam);
+    if (clash && force !== true) {
+      return res.status(409).json({
+        error: 'Invigilator is not available',
+        message: clash.message,
+        details: clash
+      });
+    }
+
+    await runQuery(`
+      INSERT INTO invigilator_assignments (exam_id, user_id, source, assigned_by)
+      VALUES (?, ?, 'manual', ?)
+    `, [exam.id, userId, req.user.id]);
+
+    await notifyDuty(userId, exam, 'assigned');
+
+    res.status(201).json({
+      success: true,
+      message: 'Invigilator assigned',
+      data: { examId: exam.id, userId: userId, source: 'manual' },
+      warning: clash ? clash.message : undefined
+    });
+  } catch (error) {
+    console.error('Error assigning invigilator:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove an invigilator from an exam (admin only)
+router.delete('/exams/:examId/:userId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { examId, userId } = req.params;
+
+    const result = await runQuery(
+      'DELETE FROM invigilator_assignments WHERE exam_id = ? AND user_id = ?',
+      [examId, userId]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    const exam = await getRow('SELECT * FROM exams WHERE id = ?', [examId]);
+    if (exam && exam.status === 'upcoming') {
+      await notifyDuty(Number(userId), exam, 'removed');
+    }
+
+    res.json({
+      success: true,
+      message: 'Invigilator removed'
+    });
+  } catch (error) {
+    console.error('Error removing invigilator:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Invigilators an exam needs: one per STUDENTS_PER_INVIGILATOR enrolled
+// students, and never fewer than MIN_INVIGILATORS_PER_EXAM.
+// Returns Map<examId, count>.
+export const getRequiredInvigilators = async (exams) => {
+  const codes = [...new Set(exams.map(exam => exam.course_code))];
+  const counts = codes.length === 0 ? [] : await getAllRows(`
+    SELECT c.code, COUNT(en.id) as count
+    FROM courses c
+    JOIN enrollments en ON en.course_id = c.id
+    WHERE c.code IN (${codes.map(() => '?').join(',')})
+    GROUP BY c.code
+  `, codes);
+  const enrolled = Object.fromEntries(counts.map(row => [row.code, row.count]));
+
+  return new Map(exams.map(exam => [
+    exam.id,
+    Math.max(config.MIN_INVIGILATORS_PER_EXAM, Math.ceil((enrolled[exam.course_code] || 0) / config.STUDENTS_PER_INVIGILATOR))
+  ]));
+};
+
+// A staff member's duties, soonest first
+export const getInvigilatorDuties = async (userId, { includePast = false, limit = null } = {}) => {
+  const duties = await getAllRows(`
+    SELECT
+      e.id, e.course_code, e.course_name, e.date, e.time, e.venue, e.duration, e.status,
+      ia.source,
+      (SELECT COUNT(*) FROM invigilator_assignments other WHERE other.exam_id = e.id) as invigilator_count
+    FROM invigilator_assignments ia
+    JOIN exams e ON ia.exam_id = e.id
+    WHERE ia.user_id = ? AND e.status NOT IN ('draft', 'cancelled')
+    ${includePast ? '' : "AND e.date >= date('now')"}
+    ORDER BY e.date ASC, e.time ASC
+    ${limit ? 'LIMIT ?' : ''}
+  `, limit ? [userId, limit] : [userId]);
+
+  return duties.map(duty => ({
+    examId: duty.id,
+    courseCode: duty.course_code,
+    courseName: duty.course_name,
+    date: duty.date,
+    time: duty.time,
+    venue: duty.venue,
+    duration: duty.duration,
+    status: duty.status,
+    source: duty.source,
+    coInvigilators: duty.invigilator_count - 1
+  }));
+};
+
+// Unavailability windows are stored as local "YYYY-MM-DD HH:MM" strings
+const overlapsWindow = ({ start, end }, window) => (
+  start < new Date(window.end_at.replace(' ', 'T')) && end > new Date(window.start_at.replace(' ', 'T'))
+);
+
+const overlapsDuty = ({ start, end }, duty) => {
+  const { start: dutyStart, end: dutyEnd } = getExamWindow(duty);
+  return start < dutyEnd && end > dutyStart;
+};
+
+// Why a staff member cannot invigilate an exam, or null when they can:
+// an unavailability window or another duty overlapping the sitting
+async function findInvigilatorClash(userId, exam) {
+  const sitting = getExamWindow(exam);
+
+  const windows = await getAllRows(
+    'SELECT * FROM staff_unavailability WHERE user_id = ? AND start_at < ? AND end_at > ?',
+    [userId, `${exam.date} 23:59`, `${exam.date} 00:00`]
+  );
+  const unavailable = windows.find(window => overlapsWindow(sitting, window));
+  if (unavailable) {
+    return {
+      type: 'unavailable',
+      unavailabilityId: unavailable.id,
+      message: `Unavailable from ${unavailable.start_at} to ${unavailable.end_at}` +
+        (unavailable.reason ? ` (${unavailable.reason})` : '')
+    };
+  }
+
+  const duties = await getAllRows(`
+    SELECT e.id, e.course_code, e.date, e.time, e.duration
+    FROM invigilator_assignments ia
+    JOIN exams e ON ia.exam_id = e.id
+    WHERE ia.user_id = ? AND e.date = ? AND e.id != ? AND e.status = 'upcoming'
+  `, [userId, exam.date, exam.id]);
+  const busy = duties.find(duty => overlapsDuty(sitting, duty));
+  if (busy) {
+    return {
+      type: 'duty',
+      examId: busy.id,
+      message: `Already invigilating ${busy.course_code} at ${busy.time}`
+    };
+  }
+
+  return null;
+}
+
+// Assign invigilators to the upcoming exams from startDate (default today)
+// to endDate. Exams are filled in date order; each open slot goes to the
+// available lecturer/admin with the fewest invigilation minutes in the
+// period so far, so workload evens out. Staff are never given overlapping
+// sittings or a sitting inside one of their unavailability windows.
+// Existing assignments are kept. Slots nobody can fill are reported as
+// shortfalls.
+export const allocateInvigilators = async ({ startDate = null, endDate = null, dryRun = false, assignedBy = null } = {}) => {
+  const exams = await getAllRows(`
+    SELECT * FROM exams
+    WHERE status = 'upcoming' AND date >= COALESCE(?, date('now')) AND (? IS NULL OR date <= ?)
+    ORDER BY date ASC, time ASC
+  `, [startDate, endDate, endDate]);
+
+  if (exams.length === 0) {
+    return { assignments: [], shortfalls: [], workload: [] };
+  }
+
+  const firstDate = exams[0].date;
+  const lastDate = exams[exams.length - 1].date;
+
+  const staff = await getAllRows(`
+    SELECT id, first_name || ' ' || last_name as name
+    FROM users
+    WHERE role IN ('lecturer', 'admin') AND is_active = 1
+    ORDER BY id ASC
+  `);
+
+  // Duties already held in the period count towards workload and block
+  // overlapping sittings
+  const duties = await getAllRows(`
+    SELECT ia.user_id, e.id as exam_id, e.date, e.time, e.duration
+    FROM invigilator_assignments ia
+    JOIN exams e ON ia.exam_id = e.id
+    WHERE e.status NOT IN ('draft', 'cancelled') AND e.date BETWEEN ? AND ?
+  `, [firstDate, lastDate]);
+
+  const windows = await getAllRows(
+    'SELECT * FROM staff_unavailability WHERE start_at < ? AND end_at > ?',
+    [`${lastDate} 23:59`, `${firstDate} 00:00`]
+  );
+
+  const required = await getRequiredInvigilators(exams);
+
+  const workload = new Map(staff.map(member => [member.id, { userId: member.id, name: member.name, duties: 0, minutes: 0 }]));
+  for (const duty of duties) {
+    const load = workload.get(duty.user_id);
+    if (load) {
+      load.duties++;
+      load.minutes += duty.duration;
+    }
+  }
+
+  const assignments = [];
+  const shortfalls = [];
+
+  for (const exam of exams) {
+    const sitting = getExamWindow(exam);
+    const assigned = duties.filter(duty => duty.exam_id === exam.id).map(duty => duty.user_id);
+    const needed = required.get(exam.id) - assigned.length;
+
+    if (needed <= 0) continue;
+
+    const candidates = staff
+      .filter(member => !assigned.includes(member.id))
+      .filter(member => !windows.some(window => window.user_id === member.id && overlapsWindow(sitting, window)))
+      .filter(member => !duties.some(duty => duty.user_id === member.id && overlapsDuty(sitting, duty)))
+      .sort((a, b) => {
+        const loadA = workload.get(a.id);
+        const loadB = workload.get(b.id);
+        return loadA.minutes - loadB.minutes || loadA.duties - loadB.duties || a.id - b.id;
+      })
+      .slice(0, needed);
+
+    for (const member of candidates) {
+      assignments.push({
+        examId: exam.id,
+        courseCode: exam.course_code,
+        date: exam.date,
+        time: exam.time,
+        venue: exam.venue,
+        userId: member.id,
+        name: member.name
+      });
+      duties.push({ user_id: member.id, exam_id: exam.id, date: exam.date, time: exam.time, duration: exam.duration });
+
+      const load = workload.get(member.id);
+      load.duties++;
+      load.minutes += exam.duration;
+    }
+
+    if (candidates.length < needed) {
+      shortfalls.push({
+        examId: exam.id,
+        courseCode: exam.course_code,
+        date: exam.date,
+        time: exam.time,
+        required: required.get(exam.id),
+        assigned: assigned.length + candidates.length,
+        missing: needed - candidates.length
+      });
+    }
+  }
+
+  if (!dryRun && assignments.length > 0) {
+    await withTransaction(async () => {
+      for (const assignment of assignments) {
+        await runQuery(`
+          INSERT INTO invigilator_assignments (exam_id, user_id, source, assigned_by)
+          VALUES (?, ?, 'auto', ?)
+        `, [assignment.examId, assignment.userId, assignedBy]);
+      }
+    });
+
+    const examsById = new Map(exams.map(exam => [exam.id, exam]));
+    for (const assignment of assignments) {
+      await notifyDuty(assignment.userId, examsById.get(assignment.examId), 'assigned');
+    }
+  }
+
+  return {
+    assignments: assignments,
+    shortfalls: shortfalls,
+    workload: [...workload.values()].sort((a, b) => b.minutes - a.minutes || a.userId - b.userId)
+  };
+};
+
+async function notifyDuty(userId, exam, change) {
+  const assigned = change === 'assigned';
+
+  await createNotification(
+    userId,
+    assigned ? 'Invigilation Duty' : 'Invigilation Duty Removed',
+    assigned
+      ? `You are invigilating ${exam.course_name} (${exam.course_code}) on ${exam.date} at ${exam.time} in ${exam.venue}`
+      : `You are no longer invigilating ${exam.course_name} (${exam.course_code}) on ${exam.date}`,
+    assigned ? 'info' : 'warning'
+  );
+}
+
+export default router;
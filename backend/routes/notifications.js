@@ -1,9 +1,39 @@
 import express from 'express';
 import { getAllRows, getRow, runQuery } from '../config/database.js';
+import { isMailConfigured } from '../config/mailer.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { NOTIFICATION_CHANNELS, NOTIFICATION_EVENTS, validateNotificationPreferences } from '../middleware/validation.js';
+import { queueEmail } from './email.js';
+import { publishEvent } from './events.js';
 
 const router = express.Router();
 
+// Notifications held back by quiet hours stay hidden until their deliver_at
+export const DELIVERED = "(deliver_at IS NULL OR deliver_at <= datetime('now'))";
+
+// Every event is shown in the app unless the user switches it off; changes
+// to exams, reminders and exam request updates are also emailed (when SMTP
+// is configured)
+const DEFAULT_EVENT_CHANNELS = {
+  created: ['in_app', 'email'],
+  updated: ['in_app', 'email'],
+  cancelled: ['in_app', 'email'],
+  reminder: ['in_app', 'email'],
+  conflict: ['in_app'],
+  sync: ['in_app'],
+  request: ['in_app', 'email']
+};
+
+// Exam event names used by createExamNotification, mapped to preference events
+const EXAM_EVENTS = {
+  created: 'created',
+  updated: 'updated',
+  deleted: 'cancelled',
+  restored: 'updated',
+  conflict: 'conflict',
+  reminder: 'reminder'
+};
+
 // Get user notifications (requires authentication)
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -12,7 +42,7 @@ router.get('/', authenticateToken, async (req, res) => {
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    let whereClause = 'WHERE n.user_id = ?';
+    let whereClause = `WHERE n.user_id = ? AND ${DELIVERED}`;
     const params = [userId];
 
     if (status === 'unread') {
@@ -33,7 +63,7 @@ router.get('/', authenticateToken, async (req, res) => {
         END as time_ago
       FROM notifications n
       ${whereClause}
-      ORDER BY n.created_at DESC
+      ORDER BY COALESCE(n.deliver_at, n.created_at) DESC
       LIMIT ? OFFSET ?
     `, [...params, parseInt(limit), offset]);
 
@@ -44,7 +74,7 @@ router.get('/', authenticateToken, async (req, res) => {
 
     // Get unread count for badge
     const unreadCount = await getRow(`
-      SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = 0
+      SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = 0 AND ${DELIVERED}
     `, [userId]);
 
     res.json({
@@ -79,7 +109,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
         SUM(CASE WHEN type = 'success' THEN 1 ELSE 0 END) as successes,
         SUM(CASE WHEN type = 'info' THEN 1 ELSE 0 END) as infos
       FROM notifications
-      WHERE user_id = ?
+      WHERE user_id = ? AND ${DELIVERED}
     `, [userId]);
 
     res.json({
@@ -110,7 +140,7 @@ router.get('/unread-count', authenticateToken, async (req, res) => {
     const result = await getRow(`
       SELECT COUNT(*) as count
       FROM notifications
-      WHERE user_id = ? AND is_read = 0
+      WHERE user_id = ? AND is_read = 0 AND ${DELIVERED}
     `, [userId]);
 
     res.json({
@@ -123,6 +153,58 @@ router.get('/unread-count', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the user's notification preferences (defaults for anything not set)
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.user.id);
+
+    res.json({
+      success: true,
+      data: preferences,
+      options: {
+        events: NOTIFICATION_EVENTS,
+        channels: NOTIFICATION_CHANNELS
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update notification preferences; events not mentioned keep their channels
+router.put('/preferences', authenticateToken, validateNotificationPreferences, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const current = await getNotificationPreferences(userId);
+
+    const events = { ...current.events };
+    for (const [event, channels] of Object.entries(req.body.events || {})) {
+      events[event] = [...new Set(channels)];
+    }
+    const quietHours = req.body.quietHours === undefined ? current.quietHours : req.body.quietHours;
+
+    await runQuery(`
+      INSERT INTO notification_preferences (user_id, events, quiet_hours_start, quiet_hours_end, updated_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT (user_id) DO UPDATE SET
+        events = excluded.events,
+        quiet_hours_start = excluded.quiet_hours_start,
+        quiet_hours_end = excluded.quiet_hours_end,
+        updated_at = CURRENT_TIMESTAMP
+    `, [userId, JSON.stringify(events), quietHours ? quietHours.start : null, quietHours ? quietHours.end : null]);
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: { events, quietHours }
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Create notification (requires authentication)
 router.post('/', authenticateToken, async (req, res) => {
   try {
@@ -143,15 +225,12 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    const result = await runQuery(`
-      INSERT INTO notifications (user_id, title, message, type)
-      VALUES (?, ?, ?, ?)
-    `, [targetUserId, title, message, type]);
+    const notificationId = await createNotification(targetUserId, title, message, type);
 
     res.status(201).json({
       success: true,
       message: 'Notification created successfully',
-      notificationId: result.lastID
+      notificationId: notificationId
     });
   } catch (error) {
     console.error('Error creating notification:', error);
@@ -184,15 +263,12 @@ router.post('/admin/:userId', authenticateToken, async (req, res) => {
       });
     }
 
-    const result = await runQuery(`
-      INSERT INTO notifications (user_id, title, message, type)
-      VALUES (?, ?, ?, ?)
-    `, [userId, title, message, type]);
+    const notificationId = await createNotification(userId, title, message, type);
 
     res.status(201).json({
       success: true,
       message: 'Notification sent successfully',
-      notificationId: result.lastID
+      notificationId: notificationId
     });
   } catch (error) {
     console.error('Error creating admin notification:', error);
@@ -208,7 +284,7 @@ router.put('/bulk/read', authenticateToken, async (req, res) => {
     await runQuery(`
       UPDATE notifications
       SET is_read = 1
-      WHERE user_id = ? AND is_read = 0
+      WHERE user_id = ? AND is_read = 0 AND ${DELIVERED}
     `, [userId]);
 
     res.json({
@@ -331,23 +407,97 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Automatic notification creation utility
-export const createNotification = async (userId, title, message, type = 'info') => {
+// A user's notification preferences, with defaults filled in
+export const getNotificationPreferences = async (userId) => {
+  const row = await getRow('SELECT * FROM notification_preferences WHERE user_id = ?', [userId]);
+  const stored = row ? JSON.parse(row.events) : {};
+
+  return {
+    events: Object.fromEntries(NOTIFICATION_EVENTS.map(event => [event, stored[event] ?? DEFAULT_EVENT_CHANNELS[event]])),
+    quietHours: row && row.quiet_hours_start
+      ? { start: row.quiet_hours_start, end: row.quiet_hours_end }
+      : null
+  };
+};
+
+// When now falls inside the quiet hours (server local time, may span
+// midnight), the moment they end; otherwise null
+export const getQuietHoursEnd = (quietHours, now = new Date()) => {
+  if (!quietHours) return null;
+
+  const [start, end] = [quietHours.start, quietHours.end].map((time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  });
+  const current = now.getHours() * 60 + now.getMinutes();
+  const inside = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+
+  if (!inside) return null;
+
+  const endsAt = new Date(now);
+  endsAt.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (endsAt <= now) {
+    endsAt.setDate(endsAt.getDate() + 1);
+  }
+  return endsAt;
+};
+
+// Automatic notification creation utility. Honours the recipient's
+// preferences: the event goes to the channels they chose for it (in-app
+// and/or email; returns null when there is no in-app notification), and
+// anything created during their quiet hours is held until the quiet hours end,
+// unless that would be after deliverBy (e.g. the start of the exam it is about).
+// exam carries the exam details used by the email templates.
+export const createNotification = async (userId, title, message, type = 'info', { event = null, deliverBy = null, exam = null } = {}) => {
   try {
-    const result = await runQuery(`
-      INSERT INTO notifications (user_id, title, message, type)
-      VALUES (?, ?, ?, ?)
-    `, [userId, title, message, type]);
+    const preferences = await getNotificationPreferences(userId);
+    const channels = event ? preferences.events[event] : ['in_app'];
+
+    let deliverAt = getQuietHoursEnd(preferences.quietHours);
+    if (deliverAt && deliverBy && deliverAt >= deliverBy) {
+      deliverAt = null;
+    }
 
-    return result.lastID;
+    let notificationId = null;
+
+    if (channels.includes('in_app')) {
+      const result = await runQuery(`
+        INSERT INTO notifications (user_id, title, message, type, deliver_at)
+        VALUES (?, ?, ?, ?, ?)
+      `, [userId, title, message, type, deliverAt ? deliverAt.toISOString().replace('T', ' ').slice(0, 19) : null]);
+      notificationId = result.lastID;
+
+      // Notifications held back by quiet hours are not pushed; clients see
+      // them on their next fetch once they are delivered
+      if (!deliverAt) {
+        await publishEvent('notification.created', { id: notificationId, title, message, type }, {
+          audience: 'user',
+          userId: userId
+        });
+      }
+    }
+
+    if (channels.includes('email') && isMailConfigured()) {
+      await queueEmail(userId, { notificationId, event, title, message, exam, sendAt: deliverAt });
+    }
+
+    return notificationId;
   } catch (error) {
     console.error('Error creating automatic notification:', error);
     throw error;
   }
 };
 
-// Create notification for exam events
-export const createExamNotification = async (examData, eventType, targetUsers = null) => {
+// Tell a student how their access arrangement changes an exam
+const describeAccommodation = ({ extraTimeMinutes, endTime, separateRoom }) => [
+  extraTimeMinutes > 0 ? `With your ${extraTimeMinutes} minutes of extra time it ends at ${endTime}` : null,
+  separateRoom ? 'You will sit it in a separate room' : null
+].filter(Boolean).join('. ');
+
+// Create notification for exam events (options are passed on to createNotification)
+export const createExamNotification = async (examData, eventType, targetUsers = null, options = {}) => {
   try {
     let title, message, type;
 
@@ -367,6 +517,11 @@ export const createExamNotification = async (examData, eventType, targetUsers =
         message = `Exam cancelled: ${examData.courseName} (${examData.courseCode})`;
         type = 'warning';
         break;
+      case 'restored':
+        title = 'Exam Reinstated';
+        message = `Exam reinstated: ${examData.courseName} (${examData.courseCode}) on ${examData.date} at ${examData.time}`;
+        type = 'info';
+        break;
       case 'conflict':
         title = 'Schedule Conflict Detected';
         message = `Potential conflict with: ${examData.courseName} (${examData.courseCode})`;
@@ -374,7 +529,8 @@ export const createExamNotification = async (examData, eventType, targetUsers =
         break;
       case 'reminder':
         title = 'Exam Reminder';
-        message = `Upcoming exam: ${examData.courseName} (${examData.courseCode}) tomorrow at ${examData.time}`;
+        message = `Upcoming exam: ${examData.courseName} (${examData.courseCode}) ${examData.startsIn || 'tomorrow'} at ${examData.time}` +
+          (examData.accommodation ? `. ${describeAccommodation(examData.accommodation)}` : '');
         type = 'reminder';
         break;
       default:
@@ -384,13 +540,13 @@ export const createExamNotification = async (examData, eventType, targetUsers =
     // If specific users provided, notify them; otherwise notify all users
     if (targetUsers && Array.isArray(targetUsers)) {
       for (const userId of targetUsers) {
-        await createNotification(userId, title, message, type);
+        await createNotification(userId, title, message, type, { event: EXAM_EVENTS[eventType], exam: examData, ...options });
       }
     } else {
       // Get all users and notify them
       const allUsers = await getAllRows('SELECT id FROM users WHERE is_active = 1');
       for (const user of allUsers) {
-        await createNotification(user.id, title, message, type);
+        await createNotification(user.id, title, message, type, { event: EXAM_EVENTS[eventType], exam: examData, ...options });
       }
     }
   } catch (error) {
@@ -1,7 +1,20 @@
 import express from 'express';
 import { getAllRows, getRow, runQuery } from '../config/database.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { createNotification } from './notifications.js';
+import { can, loadPolicyContext } from '../middleware/policies.js';
+import { DELIVERED, createNotification } from './notifications.js';
+import { getExamVisibilityFilter } from './courses.js';
+import { refreshExamConflicts } from './conflicts.js';
+import { publishExamEvent } from './events.js';
+import { recordExamChange } from './audit.js';
+import { getExamDataErrors } from '../middleware/validation.js';
+import {
+  applyExamUpdate,
+  checkExamWrite,
+  deleteExam,
+  isTimetableLocked,
+  timetableLockedResponse
+} from './exams.js';
 
 const router = express.Router();
 
@@ -19,6 +32,8 @@ router.get('/snapshot', authenticateToken, async (req, res) => {
 
     // Include exams data
     if (includeExams === 'true') {
+      const scope = getExamVisibilityFilter(req.user);
+
       let examsQuery = `
         SELECT
           e.*,
@@ -32,13 +47,14 @@ router.get('/snapshot', authenticateToken, async (req, res) => {
           END as relative_date
         FROM exams e
         LEFT JOIN users u ON e.created_by = u.id
+        WHERE ${scope.clause}
       `;
 
-      const params = [];
+      const params = [...scope.params];
 
       // Only get changes since last sync if provided
       if (lastSync) {
-        examsQuery += ' WHERE e.updated_at > ?';
+        examsQuery += ' AND e.updated_at > ?';
         params.push(lastSync);
       }
 
@@ -51,14 +67,15 @@ router.get('/snapshot', authenticateToken, async (req, res) => {
     if (includeNotifications === 'true') {
       let notificationsQuery = `
         SELECT * FROM notifications
-        WHERE user_id = ?
+        WHERE user_id = ? AND ${DELIVERED}
       `;
 
       const params = [userId];
 
-      // Only get changes since last sync if provided
+      // Only get changes since last sync if provided. Notifications held back
+      // by quiet hours count from when they were delivered
       if (lastSync) {
-        notificationsQuery += ' AND created_at > ?';
+        notificationsQuery += ' AND COALESCE(deliver_at, created_at) > ?';
         params.push(lastSync);
       }
 
@@ -113,10 +130,12 @@ router.post('/sync', authenticateToken, async (req, res) => {
       }
     };
 
+    const policy = await loadPolicyContext(req.user);
+
     // Process each change
     for (const change of changes) {
       try {
-        const result = await processOfflineChange(change, userId, deviceId);
+        const result = await processOfflineChange(change, userId, deviceId, policy);
         syncResults.successful.push(result);
         syncResults.summary.successful++;
       } catch (error) {
@@ -133,7 +152,7 @@ router.post('/sync', authenticateToken, async (req, res) => {
 
     // Create sync notification
     const syncMessage = `Offline sync completed: ${syncResults.summary.successful} successful, ${syncResults.summary.failed} failed`;
-    await createNotification(userId, 'offline_sync', null, syncMessage);
+    await createNotification(userId, 'Offline Sync', syncMessage, syncResults.summary.failed > 0 ? 'warning' : 'success', { event: 'sync' });
 
     // Return sync results
     res.json({
@@ -149,13 +168,14 @@ router.post('/sync', authenticateToken, async (req, res) => {
   }
 });
 
-// Process individual offline change
-async function processOfflineChange(change, userId, deviceId) {
+// Process individual offline change. Exam changes are authorized by the same
+// policies as the REST routes.
+async function processOfflineChange(change, userId, deviceId, policy) {
   const { id, type, action, data, timestamp } = change;
 
   switch (type) {
     case 'exam':
-      return await processExamChange(action, data, userId, deviceId);
+      return await processExamChange(action, data, userId, deviceId, policy);
 
     case 'notification':
       return await processNotificationChange(action, data, userId);
@@ -165,10 +185,45 @@ async function processOfflineChange(change, userId, deviceId) {
   }
 }
 
+// Offline changes carry exams as stored rows; the shared exam checks take the
+// request body shape of POST and PUT /api/exams
+const toExamBody = (data) => ({
+  courseCode: data.course_code,
+  courseName: data.course_name,
+  date: data.date,
+  time: data.time,
+  venue: data.venue,
+  venueId: data.venue_id,
+  duration: data.duration,
+  status: data.status
+});
+
+const refusalError = ({ body }) => new Error(body.message ? `${body.error}: ${body.message}` : body.error);
+
+const validateExamChange = (body) => {
+  const errors = getExamDataErrors(body);
+  if (errors.length > 0) {
+    throw new Error(`Validation failed: ${errors.join('; ')}`);
+  }
+};
+
 // Process exam-related changes
-async function processExamChange(action, data, userId, deviceId) {
+async function processExamChange(action, data, userId, deviceId, policy) {
   switch (action) {
-    case 'create':
+    case 'create': {
+      if (!can(policy, 'exam', 'create', data)) {
+        throw new Error('Permission denied: can only create exams for courses you teach');
+      }
+
+      const body = toExamBody(data);
+      validateExamChange(body);
+
+      const status = body.status || 'upcoming';
+      const { venue: registeredVenue, refusal } = await checkExamWrite(body, { status });
+      if (refusal) {
+        throw refusalError(refusal);
+      }
+
       // Check for conflicts before creating
       const conflicts = await checkExamConflicts(data);
 
@@ -194,59 +249,106 @@ async function processExamChange(action, data, userId, deviceId) {
 
       // Create exam
       const result = await runQuery(
-        `INSERT INTO exams (course_code, course_name, date, time, venue, duration, status, created_by)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [data.course_code, data.course_name, data.date, data.time, data.venue, data.duration, data.status || 'upcoming', userId]
+        `INSERT INTO exams (course_code, course_name, date, time, venue, venue_id, duration, status, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          data.course_code, data.course_name, data.date, data.time,
+          registeredVenue ? registeredVenue.name : data.venue,
+          registeredVenue ? registeredVenue.id : null,
+          data.duration, status, userId
+        ]
       );
 
+      await recordExamChange({
+        after: await getRow('SELECT * FROM exams WHERE id = ?', [result.lastID]),
+        actorId: userId,
+        source: 'offline_sync'
+      });
+      await refreshExamConflicts(result.lastID);
+      await publishExamEvent('created', result.lastID);
+
       return {
         changeId: data.id,
         action: 'created',
         examId: result.lastID,
         message: 'Exam created successfully'
       };
+    }
 
-    case 'update':
+    case 'update': {
       // Check if exam exists and user has permission
-      const existingExam = await getRow('SELECT * FROM exams WHERE id = ?', [data.id]);
+      const existingExam = await getRow('SELECT * FROM exams WHERE id = ? AND deleted_at IS NULL', [data.id]);
 
       if (!existingExam) {
         throw new Error('Exam not found');
       }
 
-      if (existingExam.created_by !== userId && req.user.role !== 'admin') {
-        throw new Error('Permission denied: can only edit own exams');
+      if (!can(policy, 'exam', 'update', existingExam, { course_code: data.course_code })) {
+        throw new Error('Permission denied: can only edit exams for courses you teach');
+      }
+
+      if (await isTimetableLocked(existingExam)) {
+        throw refusalError({ body: timetableLockedResponse });
+      }
+
+      const body = toExamBody(data);
+      validateExamChange(body);
+
+      // As with PUT /api/exams/:id, drafts stay drafts until their timetable is published
+      const nextStatus = existingExam.status === 'draft' ? 'draft' : (body.status || 'upcoming');
+      const { venue: registeredVenue, refusal } = await checkExamWrite(body, {
+        existing: existingExam,
+        status: nextStatus
+      });
+      if (refusal) {
+        throw refusalError(refusal);
       }
 
-      // Update exam
       await runQuery(
         `UPDATE exams SET
          course_code = ?, course_name = ?, date = ?, time = ?,
-         venue = ?, duration = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+         venue = ?, venue_id = ?,
+         duration = ?, status = ?, updated_at = CURRENT_TIMESTAMP
          WHERE id = ?`,
         [data.course_code, data.course_name, data.date, data.time,
-         data.venue, data.duration, data.status, data.id]
+         registeredVenue ? registeredVenue.name : data.venue,
+         registeredVenue ? registeredVenue.id : null,
+         data.duration, nextStatus, data.id]
       );
 
+      const updatedExam = await getRow('SELECT * FROM exams WHERE id = ?', [data.id]);
+      await recordExamChange({
+        before: existingExam,
+        after: updatedExam,
+        actorId: userId,
+        source: 'offline_sync'
+      });
+      await applyExamUpdate(existingExam, updatedExam, userId);
+
       return {
         changeId: data.id,
         action: 'updated',
         examId: data.id,
         message: 'Exam updated successfully'
       };
+    }
 
-    case 'delete':
-      const examToDelete = await getRow('SELECT * FROM exams WHERE id = ?', [data.id]);
+    case 'delete': {
+      const examToDelete = await getRow('SELECT * FROM exams WHERE id = ? AND deleted_at IS NULL', [data.id]);
 
       if (!examToDelete) {
         throw new Error('Exam not found');
       }
 
-      if (examToDelete.created_by !== userId && req.user.role !== 'admin') {
-        throw new Error('Permission denied: can only delete own exams');
+      if (!can(policy, 'exam', 'delete', examToDelete)) {
+        throw new Error('Permission denied: can only delete exams for courses you teach');
       }
 
-      await runQuery('DELETE FROM exams WHERE id = ?', [data.id]);
+      if (await isTimetableLocked(examToDelete)) {
+        throw refusalError({ body: timetableLockedResponse });
+      }
+
+      await deleteExam(examToDelete, userId, 'offline_sync');
 
       return {
         changeId: data.id,
@@ -254,6 +356,7 @@ async function processExamChange(action, data, userId, deviceId) {
         examId: data.id,
         message: 'Exam deleted successfully'
       };
+    }
 
     default:
       throw new Error(`Unknown exam action: ${action}`);
@@ -412,6 +515,7 @@ router.post('/resolve-change/:changeId', authenticateToken, async (req, res) =>
     }
 
     const changeData = JSON.parse(pendingChange.change_data);
+    const policy = await loadPolicyContext(req.user);
 
     if (resolution === 'accept') {
       // Process the change without conflict checking
@@ -421,7 +525,7 @@ router.post('/resolve-change/:changeId', authenticateToken, async (req, res) =>
         action: pendingChange.change_action,
         data: changeData,
         timestamp: pendingChange.created_at
-      }, userId, pendingChange.device_id);
+      }, userId, pendingChange.device_id, policy);
     } else if (resolution === 'modify') {
       // Update the change data and reprocess
       const modifiedData = req.body.modifiedData;
@@ -431,7 +535,7 @@ router.post('/resolve-change/:changeId', authenticateToken, async (req, res) =>
         action: pendingChange.change_action,
         data: modifiedData,
         timestamp: pendingChange.created_at
-      }, userId, pendingChange.device_id);
+      }, userId, pendingChange.device_id, policy);
     }
 
     // Remove from pending changes
@@ -0,0 +1,257 @@
+import express from 'express';
+import { getAllRows, runQuery } from '../config/database.js';
+import { config } from '../config/environment.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { getExamAccommodation, getExamWindow, getSittingStudents, loadCourseStudents, loadSittingChanges } from './conflicts.js';
+import { createExamNotification } from './notifications.js';
+
+const router = express.Router();
+
+// Scheduler state, reported by GET /api/reminders
+const scheduler = {
+  timer: null,
+  activeRun: null,
+  lastRunAt: null,
+  lastResult: null,
+  lastError: null
+};
+
+// Scheduler status and recently sent reminders (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const recent = await getAllRows(`
+      SELECT
+        r.exam_id, r.offset_minutes, r.exam_start, r.sent_at,
+        e.course_code, e.course_name,
+        COUNT(*) as recipients
+      FROM exam_reminders r
+      JOIN exams e ON r.exam_id = e.id
+      WHERE r.skipped = 0
+      GROUP BY r.exam_id, r.offset_minutes, r.exam_start
+      ORDER BY MAX(r.sent_at) DESC, r.exam_id DESC
+      LIMIT 50
+    `);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: config.REMINDERS_ENABLED,
+        running: scheduler.timer !== null,
+        offsetsMinutes: config.REMINDER_OFFSETS_MINUTES,
+        intervalMs: config.REMINDER_INTERVAL_MS,
+        lastRunAt: scheduler.lastRunAt,
+        lastResult: scheduler.lastResult,
+        lastError: scheduler.lastError,
+        recent: recent
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching reminder status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send any due reminders now instead of waiting for the next tick (admin only)
+router.post('/run', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await runReminders();
+
+    res.json({
+      success: true,
+      message: `${result.sent} reminder(s) sent`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error running reminders:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Exam dates and times are stored as local wall-clock values
+const toLocalDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// "today", "tomorrow" or "on YYYY-MM-DD", relative to now
+const describeExamDay = (examDate, now) => {
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+
+  if (examDate === toLocalDate(now)) return 'today';
+  if (examDate === toLocalDate(tomorrow)) return 'tomorrow';
+  return `on ${examDate}`;
+};
+
+// Who is reminded about each exam: the students sitting it (see
+// getSittingStudents), the course lecturer and the staff assigned to
+// invigilate it. students holds the enrolled students by user ID, with their
+// access arrangements. Deleting or restoring an exam notifies the same people.
+export async function loadReminderRecipients(exams) {
+  const codes = [...new Set(exams.map(exam => exam.course_code))];
+  const studentsByCourse = await loadCourseStudents(codes);
+  const sittingChanges = await loadSittingChanges(exams.map(exam => exam.id));
+
+  const lecturers = await getAllRows(`
+    SELECT c.code, c.lecturer_id
+    FROM courses c
+    JOIN users u ON c.lecturer_id = u.id
+    WHERE c.code IN (${codes.map(() => '?').join(',')}) AND u.is_active = 1
+  `, codes);
+
+  const invigilators = await getAllRows(`
+    SELECT ia.exam_id, ia.user_id
+    FROM invigilator_assignments ia
+    JOIN users u ON ia.user_id = u.id
+    WHERE ia.exam_id IN (${exams.map(() => '?').join(',')}) AND u.is_active = 1
+  `, exams.map(exam => exam.id));
+
+  const recipients = new Map(exams.map(exam => [exam.id, [...new Set([
+    ...getSittingStudents(exam, studentsByCourse, sittingChanges).map(student => student.id),
+    ...lecturers.filter(row => row.code === exam.course_code).map(row => row.lecturer_id),
+    ...invigilators.filter(row => row.exam_id === exam.id).map(row => row.user_id)
+  ])]]));
+
+  const students = new Map([...studentsByCourse.values()].flatMap(enrolled => [...enrolled]));
+
+  return { recipients, students };
+}
+
+// Send every reminder whose window has opened for exams that have not started.
+// Each reminder is claimed in exam_reminders before it is sent, so restarts
+// never repeat one, and released again when sending fails so the next pass
+// retries it. After downtime only the most imminent overdue offset is sent;
+// the larger offsets it overtook are recorded as skipped.
+export const processDueReminders = async (now = new Date()) => {
+  const offsets = [...config.REMINDER_OFFSETS_MINUTES].sort((a, b) => a - b);
+  const result = { exams: 0, sent: 0, skipped: 0, failed: 0 };
+
+  if (offsets.length === 0) return result;
+
+  const horizon = new Date(now.getTime() + offsets[offsets.length - 1] * 60000);
+  const candidates = await getAllRows(`
+    SELECT * FROM exams
+    WHERE status = 'upcoming' AND date BETWEEN ? AND ?
+    ORDER BY date ASC, time ASC
+  `, [toLocalDate(now), toLocalDate(horizon)]);
+
+  const due = candidates
+    .map(exam => {
+      const { start } = getExamWindow(exam);
+      const dueOffsets = offsets.filter(offset => start > now && start.getTime() - offset * 60000 <= now.getTime());
+      return { exam, dueOffsets };
+    })
+    .filter(({ dueOffsets }) => dueOffsets.length > 0);
+
+  if (due.length === 0) return result;
+
+  const { recipients, students } = await loadReminderRecipients(due.map(({ exam }) => exam));
+
+  for (const { exam, dueOffsets } of due) {
+    const [current, ...overtaken] = dueOffsets;
+    const examStart = `${exam.date} ${exam.time}`;
+    const notify = [];
+
+    for (const userId of recipients.get(exam.id)) {
+      for (const offset of overtaken) {
+        const skipped = await runQuery(`
+          INSERT OR IGNORE INTO exam_reminders (exam_id, user_id, offset_minutes, exam_start, skipped)
+          VALUES (?, ?, ?, ?, 1)
+        `, [exam.id, userId, offset, examStart]);
+        result.skipped += skipped.changes;
+      }
+
+      const recorded = await runQuery(`
+        INSERT OR IGNORE INTO exam_reminders (exam_id, user_id, offset_minutes, exam_start)
+        VALUES (?, ?, ?, ?)
+      `, [exam.id, userId, current, examStart]);
+
+      if (recorded.changes > 0) {
+        notify.push(userId);
+      }
+    }
+
+    if (notify.length > 0) {
+      const examData = {
+        courseCode: exam.course_code,
+        courseName: exam.course_name,
+        date: exam.date,
+        time: exam.time,
+        startsIn: describeExamDay(exam.date, now)
+      };
+      const options = { deliverBy: getExamWindow(exam).start };
+      let sent = 0;
+
+      for (const userId of notify) {
+        // Students with extra time or a separate room are reminded of their own arrangements
+        const accommodation = getExamAccommodation(exam, students.get(userId));
+
+        try {
+          await createExamNotification(accommodation ? { ...examData, accommodation } : examData, 'reminder', [userId], options);
+          sent++;
+        } catch (error) {
+          console.error(`Error sending reminder for exam ${exam.id} to user ${userId}:`, error);
+          await runQuery(`
+            DELETE FROM exam_reminders
+            WHERE exam_id = ? AND user_id = ? AND offset_minutes = ? AND exam_start = ? AND skipped = 0
+          `, [exam.id, userId, current, examStart]);
+          result.failed++;
+        }
+      }
+
+      if (sent > 0) {
+        result.exams++;
+        result.sent += sent;
+      }
+    }
+  }
+
+  return result;
+};
+
+// Run the reminder pass, sharing the in-flight run if one is already going
+export const runReminders = () => {
+  if (!scheduler.activeRun) {
+    scheduler.activeRun = processDueReminders()
+      .then((result) => {
+        scheduler.lastRunAt = new Date().toISOString();
+        scheduler.lastResult = result;
+        scheduler.lastError = null;
+        return result;
+      })
+      .catch((error) => {
+        scheduler.lastRunAt = new Date().toISOString();
+        scheduler.lastError = error.message;
+        throw error;
+      })
+      .finally(() => {
+        scheduler.activeRun = null;
+      });
+  }
+
+  return scheduler.activeRun;
+};
+
+// Start the background reminder loop. The first pass runs immediately so
+// reminders missed while the server was down are caught up on startup.
+export const startReminderScheduler = ({ intervalMs = config.REMINDER_INTERVAL_MS } = {}) => {
+  if (scheduler.timer) return;
+
+  const tick = () => runReminders()
+    .then((result) => {
+      if (result.sent > 0) {
+        console.log(`🔔 Sent ${result.sent} exam reminder(s) for ${result.exams} exam(s)`);
+      }
+    })
+    .catch(error => console.error('Error sending exam reminders:', error));
+
+  scheduler.timer = setInterval(tick, intervalMs);
+  scheduler.timer.unref();
+  tick();
+};
+
+export const stopReminderScheduler = () => {
+  clearInterval(scheduler.timer);
+  scheduler.timer = null;
+};
+
+export default router;
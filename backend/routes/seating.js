@@ -0,0 +1,558 @@
+import express from 'express';
+import PDFDocument from 'pdfkit';
+import { getAllRows, getRow, runQuery, withTransaction } from '../config/database.js';
+import { config } from '../config/environment.js';
+import { authenticateToken, requireAdmin, requireLecturerOrAdmin } from '../middleware/auth.js';
+import { can, loadPolicyContext, policyDeniedResponse } from '../middleware/policies.js';
+import { validateAccessArrangement } from '../middleware/validation.js';
+import { getExamWindow, refreshExamConflicts } from './conflicts.js';
+import { getSittingCondition } from './courses.js';
+
+const router = express.Router();
+
+// Students with access arrangements (lecturer/admin)
+router.get('/access-arrangements', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const arrangements = await getAllRows(`
+      SELECT
+        aa.*,
+        u.first_name || ' ' || u.last_name as name, u.email, u.student_number
+      FROM access_arrangements aa
+      JOIN users u ON aa.user_id = u.id
+      ORDER BY u.last_name ASC, u.first_name ASC
+    `);
+
+    res.json({
+      success: true,
+      data: arrangements,
+      count: arrangements.length
+    });
+  } catch (error) {
+    console.error('Error fetching access arrangements:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record or update a student's access arrangement (admin only). Clashes for
+// the student's upcoming exams are rechecked, since extra time moves their
+// end times.
+router.put('/access-arrangements/:userId', authenticateToken, requireAdmin, validateAccessArrangement, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { description, designatedSeat = true, extraTimePercent = 0, separateRoom = false } = req.body;
+
+    const student = await getRow('SELECT id, role FROM users WHERE id = ?', [userId]);
+    if (!student) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (student.role !== 'student') {
+      return res.status(400).json({ error: 'Access arrangements can only be recorded for students' });
+    }
+
+    await runQuery(`
+      INSERT INTO access_arrangements (user_id, description, designated_seat, extra_time_percent, separate_room, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET
+        description = excluded.description,
+        designated_seat = excluded.designated_seat,
+        extra_time_percent = excluded.extra_time_percent,
+        separate_room = excluded.separate_room,
+        updated_at = CURRENT_TIMESTAMP
+    `, [student.id, description.trim(), designatedSeat ? 1 : 0, extraTimePercent, separateRoom ? 1 : 0, req.user.id]);
+
+    await refreshStudentConflicts(student.id);
+
+    const arrangement = await getRow('SELECT * FROM access_arrangements WHERE user_id = ?', [student.id]);
+
+    res.json({
+      success: true,
+      message: 'Access arrangement saved successfully',
+      data: arrangement
+    });
+  } catch (error) {
+    console.error('Error saving access arrangement:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a student's access arrangement (admin only)
+router.delete('/access-arrangements/:userId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await runQuery('DELETE FROM access_arrangements WHERE user_id = ?', [req.params.userId]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Access arrangement not found' });
+    }
+
+    await refreshStudentConflicts(req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'Access arrangement deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting access arrangement:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Generate the seating plan for an exam's venue (lecturer/admin). Every
+// upcoming exam sharing the room at an overlapping time is seated together,
+// replacing any plan generated before. Students who sit in a separate room
+// are left out of the hall. As this rewrites the seating of every exam in the
+// session, the user must be allowed to update all of them.
+router.post('/exams/:examId/generate', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const exam = await getRow('SELECT * FROM exams WHERE id = ?', [req.params.examId]);
+    if (!exam) {
+      return res.status(404).json({ error: 'Exam not found' });
+    }
+
+    if (exam.status !== 'upcoming') {
+      return res.status(409).json({ error: 'Seating plans can only be generated for upcoming exams' });
+    }
+
+    const venue = exam.venue_id ? await getRow('SELECT * FROM venues WHERE id = ?', [exam.venue_id]) : null;
+    if (!venue) {
+      return res.status(400).json({ error: 'Exam is not booked in a registered venue' });
+    }
+
+    if (!venue.layout) {
+      return res.status(400).json({
+        error: 'Venue has no seating layout',
+        message: 'Set a layout on the venue with PUT /api/venues/:id'
+      });
+    }
+
+    const session = await getVenueSession(exam, ['upcoming']);
+
+    const policy = await loadPolicyContext(req.user);
+    const refused = session.filter(other => !can(policy, 'exam', 'update', other));
+    if (refused.length > 0) {
+      return res.status(403).json({
+        ...policyDeniedResponse('seat', 'exams'),
+        details: refused.map(other => ({ id: other.id, course_code: other.course_code }))
+      });
+    }
+
+    const students = await getAllRows(`
+      SELECT
+        e.id as exam_id, u.id as user_id, u.first_name || ' ' || u.last_name as name,
+        COALESCE(aa.designated_seat, 0) as designated_seat, COALESCE(aa.separate_room, 0) as separate_room
+      FROM exams e
+      JOIN users u ON u.role = 'student' AND ${getSittingCondition('e', 'u.id')}
+      LEFT JOIN access_arrangements aa ON aa.user_id = u.id
+      WHERE e.id IN (${session.map(() => '?').join(',')})
+      ORDER BY u.last_name ASC, u.first_name ASC, u.id ASC
+    `, session.map(other => other.id));
+
+    const separateRoom = students.filter(student => student.separate_room);
+    const plan = allocateSeats(JSON.parse(venue.layout), session, students.filter(student => !student.separate_room));
+
+    await withTransaction(async () => {
+      await runQuery(
+        `DELETE FROM seat_allocations WHERE exam_id IN (${session.map(() => '?').join(',')})`,
+        session.map(other => other.id)
+      );
+
+      for (const allocation of plan.allocations) {
+        await runQuery(`
+          INSERT INTO seat_allocations (exam_id, user_id, venue_id, seat_label, seat_row, seat_number, access_seat)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+          allocation.examId, allocation.userId, venue.id, allocation.label,
+          allocation.row, allocation.number, allocation.accessSeat ? 1 : 0
+        ]);
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Seated ${plan.allocations.length} of ${students.length - separateRoom.length} student(s) in ${venue.name}`,
+      data: {
+        venue: { id: venue.id, name: venue.name },
+        date: exam.date,
+        exams: session.map(other => ({ id: other.id, courseCode: other.course_code, time: other.time })),
+        seats: plan.seats,
+        allocated: plan.allocations.length,
+        unseated: plan.unseated,
+        separateRoom: separateRoom.map(student => ({ examId: student.exam_id, userId: student.user_id, name: student.name })),
+        warnings: plan.warnings
+      }
+    });
+  } catch (error) {
+    console.error('Error generating seating plan:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Seat list for an exam's venue, in seat order (lecturer/admin; ?format=pdf to print)
+router.get('/exams/:examId/seat-list', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const plan = await loadSeatingPlan(req.params.examId);
+    if (plan.error) {
+      return res.status(404).json({ error: plan.error });
+    }
+
+    if (req.query.format === 'pdf') {
+      return sendSeatingPDF(res, plan, 'Seat List', SEAT_LIST_COLUMNS, plan.allocations);
+    }
+
+    res.json({
+      success: true,
+      data: plan.allocations,
+      count: plan.allocations.length
+    });
+  } catch (error) {
+    console.error('Error fetching seat list:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Door list for an exam's venue: students alphabetically with their seat, to
+// post at the entrance (lecturer/admin; ?format=pdf to print)
+router.get('/exams/:examId/door-list', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const plan = await loadSeatingPlan(req.params.examId);
+    if (plan.error) {
+      return res.status(404).json({ error: plan.error });
+    }
+
+    const students = [...plan.allocations].sort((a, b) => (
+      a.last_name.localeCompare(b.last_name) || a.first_name.localeCompare(b.first_name) || a.user_id - b.user_id
+    ));
+
+    if (req.query.format === 'pdf') {
+      return sendSeatingPDF(res, plan, 'Door List', DOOR_LIST_COLUMNS, students);
+    }
+
+    res.json({
+      success: true,
+      data: students,
+      count: students.length
+    });
+  } catch (error) {
+    console.error('Error fetching door list:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exams in the same venue on the same day whose times overlap the given exam
+const getVenueSession = async (exam, statuses) => {
+  const sameDay = await getAllRows(`
+    SELECT * FROM exams
+    WHERE venue_id = ? AND date = ? AND status IN (${statuses.map(() => '?').join(',')})
+    ORDER BY time ASC, course_code ASC
+  `, [exam.venue_id, exam.date, ...statuses]);
+
+  const { start, end } = getExamWindow(exam);
+  return sameDay.filter(other => {
+    const window = getExamWindow(other);
+    return other.id === exam.id || (start < window.end && end > window.start);
+  });
+};
+
+// The stored seating plan of an exam's venue session, with student and
+// course details. Returns { exam, allocations } or { error }.
+const loadSeatingPlan = async (examId) => {
+  const exam = await getRow(`
+    SELECT e.*, v.name as venue_name
+    FROM exams e
+    LEFT JOIN venues v ON e.venue_id = v.id
+    WHERE e.id = ?
+  `, [examId]);
+  if (!exam) return { error: 'Exam not found' };
+
+  const session = exam.venue_id ? await getVenueSession(exam, ['upcoming', 'ongoing', 'completed']) : [exam];
+  const allocations = await getAllRows(`
+    SELECT
+      sa.exam_id, sa.user_id, sa.seat_label, sa.seat_row, sa.seat_number, sa.access_seat,
+      u.first_name, u.last_name, u.student_number,
+      e.course_code, e.time,
+      aa.description as access_arrangement
+    FROM seat_allocations sa
+    JOIN users u ON sa.user_id = u.id
+    JOIN exams e ON sa.exam_id = e.id
+    LEFT JOIN access_arrangements aa ON aa.user_id = sa.user_id
+    WHERE sa.exam_id IN (${session.map(() => '?').join(',')})
+    ORDER BY sa.seat_row ASC, sa.seat_number ASC
+  `, session.map(other => other.id));
+
+  if (!allocations.some(allocation => allocation.exam_id === exam.id)) {
+    return { error: 'No seating plan has been generated for this exam' };
+  }
+
+  return { exam, allocations };
+};
+
+// A student's access arrangement in the shape loadCourseStudents uses, or
+// null when they have none
+export const getStudentArrangement = async (userId) => {
+  const arrangement = await getRow('SELECT * FROM access_arrangements WHERE user_id = ?', [userId]);
+
+  return arrangement
+    ? {
+        description: arrangement.description,
+        designatedSeat: Boolean(arrangement.designated_seat),
+        extraTimePercent: arrangement.extra_time_percent || 0,
+        separateRoom: Boolean(arrangement.separate_room)
+      }
+    : null;
+};
+
+// Recheck the stored clashes of a student's upcoming exams
+const refreshStudentConflicts = async (userId) => {
+  const exams = await getAllRows(`
+    SELECT e.id FROM exams e
+    WHERE e.status = 'upcoming' AND ${getSittingCondition('e', '?')}
+  `, [userId, userId, userId]);
+
+  for (const exam of exams) {
+    await refreshExamConflicts(exam.id, { notify: false });
+  }
+};
+
+// A student's seat for an exam, or null before a plan is generated
+export const getStudentSeat = async (examId, userId) => {
+  const seat = await getRow(`
+    SELECT sa.seat_label, sa.seat_row, sa.seat_number, sa.access_seat, v.name as venue
+    FROM seat_allocations sa
+    JOIN venues v ON sa.venue_id = v.id
+    WHERE sa.exam_id = ? AND sa.user_id = ?
+  `, [examId, userId]);
+
+  return seat
+    ? {
+        label: seat.seat_label,
+        row: toRowLabel(seat.seat_row),
+        number: seat.seat_number,
+        venue: seat.venue,
+        accessSeat: Boolean(seat.access_seat)
+      }
+    : null;
+};
+
+// Rows are lettered from A at the front of the room
+const toRowLabel = (row) => String.fromCharCode(64 + row);
+
+// Seats of a layout usable in exams. Regular seats keep seatSpacing empty
+// seats and rowSpacing empty rows between candidates, and stay clear of the
+// designated (accessible) seats. Both lists are in front-to-back seat order.
+export const getLayoutSeats = (layout) => {
+  const { rows, seatsPerRow, seatSpacing = 1, rowSpacing = 0 } = layout;
+  const accessible = new Set(layout.accessibleSeats || []);
+  const unavailable = new Set(layout.unavailableSeats || []);
+
+  const seats = [];
+  const accessSeats = [];
+  for (let row = 1; row <= rows; row++) {
+    for (let number = 1; number <= seatsPerRow; number++) {
+      const label = `${toRowLabel(row)}${number}`;
+      if (unavailable.has(label)) continue;
+
+      if (accessible.has(label)) {
+        accessSeats.push({ label, row, number, accessSeat: true });
+      } else if ((row - 1) % (rowSpacing + 1) === 0 && (number - 1) % (seatSpacing + 1) === 0) {
+        seats.push({ label, row, number, accessSeat: false });
+      }
+    }
+  }
+
+  return {
+    seats: seats.filter(seat => !accessSeats.some(access => (
+      access.row === seat.row && Math.abs(access.number - seat.number) <= seatSpacing
+    ))),
+    accessSeats: accessSeats
+  };
+};
+
+// Assign seats to the students of the exams sharing a venue. Students with a
+// designated-seat arrangement get the accessible seats first. Everyone else
+// fills the regular seats front to back; each seat goes to the exam with the
+// most students left whose course differs from the seats beside and in front,
+// so courses alternate when the hall is shared. Unused accessible seats are
+// used last. Students are { exam_id, user_id, name, designated_seat }.
+export const allocateSeats = (layout, exams, students) => {
+  const { seats, accessSeats } = getLayoutSeats(layout);
+  const { seatSpacing = 1, rowSpacing = 0 } = layout;
+  const allocations = [];
+  const warnings = [];
+  const freeAccessSeats = [...accessSeats];
+  const taken = new Map();
+
+  const assign = (student, seat) => {
+    allocations.push({ examId: student.exam_id, userId: student.user_id, ...seat });
+    taken.set(seat.label, student.exam_id);
+  };
+
+  const regular = [];
+  for (const student of students) {
+    if (!student.designated_seat) {
+      regular.push(student);
+    } else if (freeAccessSeats.length > 0) {
+      assign(student, freeAccessSeats.shift());
+    } else {
+      warnings.push(`No designated seat left for ${student.name}`);
+      regular.push(student);
+    }
+  }
+
+  const queues = exams.map(exam => ({
+    examId: exam.id,
+    students: regular.filter(student => student.exam_id === exam.id)
+  }));
+
+  for (const seat of [...seats, ...freeAccessSeats]) {
+    const open = queues.filter(queue => queue.students.length > 0);
+    if (open.length === 0) break;
+
+    const neighbours = [
+      taken.get(`${toRowLabel(seat.row)}${seat.number - seatSpacing - 1}`),
+      taken.get(`${toRowLabel(seat.row - rowSpacing - 1)}${seat.number}`)
+    ];
+    const [next] = open
+      .map(queue => ({ queue, clashes: neighbours.filter(examId => examId === queue.examId).length }))
+      .sort((a, b) => a.clashes - b.clashes || b.queue.students.length - a.queue.students.length);
+
+    assign(next.queue.students.shift(), seat);
+  }
+
+  const unseated = queues.flatMap(queue => queue.students.map(student => ({
+    examId: student.exam_id,
+    userId: student.user_id,
+    name: student.name
+  })));
+  if (unseated.length > 0) {
+    warnings.push(`${unseated.length} student(s) could not be seated: the layout has ${seats.length + accessSeats.length} exam seat(s)`);
+  }
+
+  return {
+    seats: seats.length + accessSeats.length,
+    allocations: allocations,
+    unseated: unseated,
+    warnings: warnings
+  };
+};
+
+// Printable list columns. width is a share of the usable page width.
+const SEAT_LIST_COLUMNS = [
+  { label: 'Seat', width: 0.1, value: row => row.seat_label },
+  { label: 'Student', width: 0.3, value: row => `${row.last_name}, ${row.first_name}` },
+  { label: 'Student No.', width: 0.16, value: row => row.student_number || '' },
+  { label: 'Course', width: 0.14, value: row => row.course_code },
+  { label: 'Access arrangement', width: 0.3, value: row => row.access_arrangement || '' }
+];
+
+const DOOR_LIST_COLUMNS = [
+  { label: 'Student', width: 0.42, value: row => `${row.last_name}, ${row.first_name}` },
+  { label: 'Student No.', width: 0.2, value: row => row.student_number || '' },
+  { label: 'Course', width: 0.2, value: row => row.course_code },
+  { label: 'Seat', width: 0.18, value: row => row.seat_label }
+];
+
+// Render a seat or door list as a PDF, with headings repeated on each page
+export function generateSeatingPDF({ title, subtitle, columns, rows }) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: 80, bottom: 60, left: 40, right: 40 },
+    bufferPages: true,
+    info: { Title: `${config.INSTITUTION_NAME} - ${title}`, Author: 'ExamSync' }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const widths = columns.map(column => column.width * tableWidth);
+  const padding = 4;
+
+  const drawPageHeader = () => {
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#111827')
+      .text(config.INSTITUTION_NAME, left, 30, { width: tableWidth, lineBreak: false });
+    doc.font('Helvetica').fontSize(9).fillColor('#6B7280')
+      .text(`${title} - ${subtitle}`, left, 48, { width: tableWidth, lineBreak: false });
+    doc.moveTo(left, 64).lineTo(left + tableWidth, 64).lineWidth(1).strokeColor('#3B82F6').stroke();
+    doc.x = left;
+    doc.y = doc.page.margins.top;
+  };
+
+  const drawRow = (cells, header = false) => {
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell), { width: widths[i] - padding * 2 }))) + padding * 2;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!header) drawRow(columns.map(column => column.label), true);
+      doc.font('Helvetica').fontSize(10);
+    }
+
+    const y = doc.y;
+    if (header) {
+      doc.rect(left, y, tableWidth, height).fill('#E5E7EB');
+    }
+
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.fillColor('#111827').text(String(cell), x + padding, y + padding, { width: widths[i] - padding * 2 });
+      x += widths[i];
+    });
+
+    doc.moveTo(left, y + height).lineTo(left + tableWidth, y + height).lineWidth(0.5).strokeColor('#D1D5DB').stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  doc.on('pageAdded', drawPageHeader);
+  drawPageHeader();
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#111827').text(title);
+  doc.font('Helvetica').fontSize(10).fillColor('#374151').text(subtitle);
+  doc.moveDown();
+
+  drawRow(columns.map(column => column.label), true);
+  for (const row of rows) {
+    drawRow(columns.map(column => column.value(row)));
+  }
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827').text(`Total Students: ${rows.length}`, left);
+
+  const pages = doc.bufferedPageRange();
+  for (let i = 0; i < pages.count; i++) {
+    doc.switchToPage(pages.start + i);
+
+    // Writing into the bottom margin would otherwise start a new page
+    const marginBottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#6B7280')
+      .text(`Page ${i + 1} of ${pages.count}`, left, doc.page.height - 40, { width: tableWidth, align: 'right', lineBreak: false });
+    doc.page.margins.bottom = marginBottom;
+  }
+
+  doc.end();
+  return done;
+}
+
+const sendSeatingPDF = async (res, plan, title, columns, rows) => {
+  const courses = [...new Set(plan.allocations.map(row => row.course_code))].join(', ');
+  const pdf = await generateSeatingPDF({
+    title: title,
+    subtitle: `${plan.exam.venue_name || plan.exam.venue}, ${plan.exam.date} ${plan.exam.time} - ${courses}`,
+    columns: columns,
+    rows: rows
+  });
+
+  const kind = title.toLowerCase().replace(' ', '-');
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=examsync-${kind}-exam-${plan.exam.id}.pdf`);
+  res.setHeader('Content-Length', pdf.length);
+  res.send(pdf);
+};
+
+export default router;
@@ -0,0 +1,972 @@
+import express from 'express';
+import { getAllRows, getRow, runQuery, withTransaction } from '../config/database.js';
+import { config } from '../config/environment.js';
+import { authenticateToken, requireAdmin, requireLecturerOrAdmin } from '../middleware/auth.js';
+import { validateTimetableRequest } from '../middleware/validation.js';
+import { syncExamsToCalendars } from './calendar.js';
+import { getExamWindow, loadCourseStudents, refreshExamConflicts } from './conflicts.js';
+import { publishExamEvent } from './events.js';
+import { createNotification } from './notifications.js';
+import { recordExamChange } from './audit.js';
+import { checkVenueCapacity } from './venues.js';
+import { detectCalendarConflicts, toWindowDate } from './blackout-dates.js';
+
+const router = express.Router();
+
+const DEFAULT_SLOTS = ['09:00', '14:00'];
+const DEFAULT_DURATION = 120;
+
+// Fields compared between a draft exam and the live exam it revises
+const DIFF_FIELDS = ['course_name', 'date', 'time', 'venue', 'venue_id', 'duration'];
+
+// List timetables (requires lecturer or admin)
+router.get('/', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const timetables = await getAllRows(`
+      SELECT
+        t.*,
+        u.first_name || ' ' || u.last_name as created_by_name,
+        (SELECT COUNT(*) FROM exams e WHERE e.timetable_id = t.id) as exam_count
+      FROM timetables t
+      LEFT JOIN users u ON t.created_by = u.id
+      ORDER BY t.created_at DESC, t.id DESC
+    `);
+
+    res.json({
+      success: true,
+      data: timetables.map(formatTimetable),
+      count: timetables.length
+    });
+  } catch (error) {
+    console.error('Error fetching timetables:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a new draft version for an exam period (admin only)
+// With copyLive the live exams of the period are copied into the draft, and
+// exams removed from the draft are cancelled when it is published.
+router.post('/', authenticateToken, requireAdmin, validateTimetableRequest, async (req, res) => {
+  try {
+    const { name, startDate, endDate, copyLive = false } = req.body;
+
+    let timetableId;
+    await withTransaction(async () => {
+      const timetable = await runQuery(`
+        INSERT INTO timetables (name, start_date, end_date, replaces_live, created_by)
+        VALUES (?, ?, ?, ?, ?)
+      `, [name.trim(), startDate, endDate, copyLive ? 1 : 0, req.user.id]);
+      timetableId = timetable.lastID;
+
+      if (copyLive) {
+        await runQuery(`
+          INSERT INTO exams (course_code, course_name, date, time, venue, venue_id, duration, status, timetable_id, source_exam_id, created_by)
+          SELECT course_code, course_name, date, time, venue, venue_id, duration, 'draft', ?, id, ?
+          FROM exams
+          WHERE status = 'upcoming' AND date BETWEEN ? AND ?
+        `, [timetableId, req.user.id, startDate, endDate]);
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft timetable created successfully',
+      data: await getTimetableWithExams(timetableId)
+    });
+  } catch (error) {
+    console.error('Error creating timetable:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Generate a draft timetable for an exam period (admin only)
+// The same request and seed against the same data always yields the same timetable.
+router.post('/generate', authenticateToken, requireAdmin, validateTimetableRequest, async (req, res) => {
+  try {
+    const {
+      name,
+      startDate,
+      endDate,
+      courseCodes,
+      venueIds,
+      slots = DEFAULT_SLOTS,
+      duration = DEFAULT_DURATION,
+      durations = {},
+      excludedDates = [],
+      includeWeekends = false,
+      maxExamsPerDay = config.MAX_EXAMS_PER_STUDENT_PER_DAY
+    } = req.body;
+    const seed = req.body.seed ?? Math.floor(Math.random() * 2147483647);
+
+    // Courses to examine: the requested ones, or every active course with enrolments
+    let courses;
+    if (courseCodes) {
+      const codes = [...new Set(courseCodes.map(code => code.trim()))];
+      courses = await getAllRows(`
+        SELECT code, name FROM courses
+        WHERE code IN (${codes.map(() => '?').join(',')}) AND is_active = 1
+        ORDER BY code ASC
+      `, codes);
+
+      const missing = codes.filter(code => !courses.some(course => course.code === code));
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: 'Unknown or inactive courses',
+          details: missing
+        });
+      }
+    } else {
+      courses = await getAllRows(`
+        SELECT c.code, c.name FROM courses c
+        WHERE c.is_active = 1
+        AND EXISTS (SELECT 1 FROM enrollments en WHERE en.course_id = c.id)
+        ORDER BY c.code ASC
+      `);
+    }
+
+    if (courses.length === 0) {
+      return res.status(400).json({ error: 'No courses to schedule' });
+    }
+
+    const venueRows = venueIds
+      ? await getAllRows(`
+        SELECT * FROM venues
+        WHERE id IN (${venueIds.map(() => '?').join(',')}) AND is_active = 1
+        ORDER BY id ASC
+      `, venueIds)
+      : await getAllRows('SELECT * FROM venues WHERE is_active = 1 ORDER BY id ASC');
+
+    const venues = venueRows
+      .filter(venue => venue.exam_capacity || venue.capacity)
+      .map(venue => ({ id: venue.id, name: venue.name, capacity: venue.exam_capacity || venue.capacity }));
+
+    if (venues.length === 0) {
+      return res.status(400).json({ error: 'No active venues with a recorded capacity are available' });
+    }
+
+    // Blocking blackout dates are left out of the period like excluded dates
+    const blackouts = await getAllRows(`
+      SELECT name, start_date, end_date FROM blackout_dates
+      WHERE policy = 'block' AND start_date <= ? AND end_date >= ?
+      ORDER BY start_date ASC
+    `, [endDate, startDate]);
+    const blackoutDays = blackouts.flatMap(blackout =>
+      listExamDays(blackout.start_date, blackout.end_date, { includeWeekends: true }));
+
+    const days = listExamDays(startDate, endDate, { includeWeekends, excludedDates: [...excludedDates, ...blackoutDays] });
+    if (days.length === 0) {
+      return res.status(400).json({ error: 'The exam period has no available days' });
+    }
+
+    // Exams already on the live timetable keep their rooms and students busy
+    const existing = await getAllRows(`
+      SELECT id, course_code, date, time, duration, venue_id FROM exams
+      WHERE status = 'upcoming' AND date BETWEEN ? AND ?
+      ORDER BY id ASC
+    `, [startDate, endDate]);
+
+    const studentsByCourse = await loadCourseStudents([
+      ...courses.map(course => course.code),
+      ...existing.map(exam => exam.course_code)
+    ]);
+    const studentIds = (code) => [...(studentsByCourse.get(code)?.keys() || [])];
+
+    // Course lecturers are not given exams while they are unavailable
+    const unavailability = await getAllRows(`
+      SELECT c.code, su.start_at, su.end_at
+      FROM courses c
+      JOIN staff_unavailability su ON su.user_id = c.lecturer_id
+      WHERE c.code IN (${courses.map(() => '?').join(',')}) AND su.start_at <= ? AND su.end_at >= ?
+    `, [...courses.map(course => course.code), `${endDate} 23:59`, `${startDate} 00:00`]);
+
+    const result = generateTimetable({
+      courses: courses.map(course => ({
+        code: course.code,
+        name: course.name,
+        duration: durations[course.code] || duration,
+        students: studentIds(course.code),
+        unavailable: unavailability
+          .filter(window => window.code === course.code)
+          .map(window => ({ start: toWindowDate(window.start_at), end: toWindowDate(window.end_at) }))
+      })),
+      venues: venues,
+      days: days,
+      slots: [...new Set(slots.map(slot => slot.padStart(5, '0')))].sort(),
+      maxExamsPerDay: maxExamsPerDay,
+      seed: seed,
+      bookings: existing.map(exam => ({
+        date: exam.date,
+        time: exam.time,
+        duration: exam.duration,
+        venueId: exam.venue_id,
+        students: studentIds(exam.course_code)
+      }))
+    });
+
+    const warnings = [];
+    const alreadyScheduled = courses.filter(course => existing.some(exam => exam.course_code === course.code));
+    if (alreadyScheduled.length > 0) {
+      warnings.push(`Already on the live timetable: ${alreadyScheduled.map(course => course.code).join(', ')}`);
+    }
+    if (blackouts.length > 0) {
+      warnings.push(`Skipped blackout dates: ${blackouts.map(blackout => blackout.start_date === blackout.end_date
+        ? `${blackout.name} (${blackout.start_date})`
+        : `${blackout.name} (${blackout.start_date} to ${blackout.end_date})`).join(', ')}`);
+    }
+    const unusableVenues = venueRows.filter(venue => !venue.exam_capacity && !venue.capacity);
+    if (unusableVenues.length > 0) {
+      warnings.push(`Skipped venues without a recorded capacity: ${unusableVenues.map(venue => venue.name).join(', ')}`);
+    }
+
+    const settings = {
+      courseCodes: courses.map(course => course.code),
+      venueIds: venues.map(venue => venue.id),
+      slots, duration, durations, excludedDates, includeWeekends, maxExamsPerDay
+    };
+    const report = { ...result.stats, unscheduled: result.unscheduled, warnings };
+
+    let timetableId;
+    await withTransaction(async () => {
+      const timetable = await runQuery(`
+        INSERT INTO timetables (name, start_date, end_date, seed, settings, report, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [name.trim(), startDate, endDate, seed, JSON.stringify(settings), JSON.stringify(report), req.user.id]);
+      timetableId = timetable.lastID;
+
+      for (const exam of result.scheduled) {
+        await runQuery(`
+          INSERT INTO exams (course_code, course_name, date, time, venue, venue_id, duration, status, timetable_id, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?, 'draft', ?, ?)
+        `, [exam.courseCode, exam.courseName, exam.date, exam.time, exam.venue, exam.venueId, exam.duration, timetableId, req.user.id]);
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Draft timetable generated: ${result.scheduled.length} of ${courses.length} exams scheduled`,
+      data: await getTimetableWithExams(timetableId),
+      seed: seed,
+      unscheduled: result.unscheduled,
+      warnings: warnings
+    });
+  } catch (error) {
+    console.error('Error generating timetable:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get single timetable with its exams (requires lecturer or admin)
+router.get('/:id', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const timetable = await getTimetableWithExams(req.params.id);
+
+    if (!timetable) {
+      return res.status(404).json({ error: 'Timetable not found' });
+    }
+
+    res.json({
+      success: true,
+      data: timetable
+    });
+  } catch (error) {
+    console.error('Error fetching timetable:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Compare a pending version with the live timetable (requires lecturer or admin)
+router.get('/:id/diff', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const diff = await diffTimetable(req.params.id);
+
+    if (!diff) {
+      return res.status(404).json({ error: 'Timetable not found' });
+    }
+
+    res.json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    console.error('Error comparing timetable:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Submit a draft for review; its exams are frozen until it is published or rejected
+router.post('/:id/submit', authenticateToken, requireLecturerOrAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const timetable = await getRow('SELECT id, status FROM timetables WHERE id = ?', [id]);
+    if (!timetable) {
+      return res.status(404).json({ error: 'Timetable not found' });
+    }
+
+    if (timetable.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft timetables can be submitted for review' });
+    }
+
+    const { summary } = await diffTimetable(id);
+    if (summary.added + summary.changed + summary.removed === 0) {
+      return res.status(400).json({ error: 'Timetable has no changes to review' });
+    }
+
+    await runQuery(`
+      UPDATE timetables
+      SET status = 'under_review', submitted_by = ?, submitted_at = CURRENT_TIMESTAMP, review_note = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [req.user.id, id]);
+
+    res.json({
+      success: true,
+      message: 'Timetable submitted for review',
+      data: await getTimetableWithExams(id),
+      summary: summary
+    });
+  } catch (error) {
+    console.error('Error submitting timetable:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a timetable under review back to draft with a note (admin only)
+router.post('/:id/reject', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    if (!note || typeof note !== 'string' || note.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: ['note is required and must be a non-empty string']
+      });
+    }
+
+    const timetable = await getRow('SELECT id, status FROM timetables WHERE id = ?', [id]);
+    if (!timetable) {
+      return res.status(404).json({ error: 'Timetable not found' });
+    }
+
+    if (timetable.status !== 'under_review') {
+      return res.status(400).json({ error: 'Only timetables under review can be rejected' });
+    }
+
+    await runQuery(`
+      UPDATE timetables
+      SET status = 'draft', review_note = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [note.trim(), id]);
+
+    res.json({
+      success: true,
+      message: 'Timetable returned to draft',
+      data: await getTimetableWithExams(id)
+    });
+  } catch (error) {
+    console.error('Error rejecting timetable:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Publish a pending version (admin only). The diff against the live timetable
+// is applied in one transaction: revised exams are updated in place so their
+// IDs and calendar events survive, new exams go live, and (for versions that
+// replace the live timetable) dropped exams are cancelled. Moved and cancelled
+// exams lose their seating plans, and the version is rolled back when it would
+// overfill a venue. Affected users get one notification each and calendars are
+// synced as a single batch.
+router.post('/:id/publish', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const timetable = await getRow('SELECT * FROM timetables WHERE id = ?', [id]);
+    if (!timetable) {
+      return res.status(404).json({ error: 'Timetable not found' });
+    }
+
+    if (!['draft', 'under_review'].includes(timetable.status)) {
+      return res.status(400).json({ error: 'Only draft timetables or timetables under review can be published' });
+    }
+
+    const diff = await diffTimetable(id);
+    const drafts = new Map((await getAllRows(
+      "SELECT * FROM exams WHERE timetable_id = ? AND status = 'draft'", [id]
+    )).map(draft => [draft.id, draft]));
+
+    // New exams and exams moved to another date are refused on a blocking
+    // blackout date, like POST and PUT /api/exams; other calendar conflicts
+    // of the exams going live are returned as warnings. Changed exams are
+    // checked under their live id so their invigilators are included.
+    const publishing = [
+      ...diff.added.map(({ exam }) => ({ exam, moved: true })),
+      ...diff.changed.map(({ exam, draftId }) => ({
+        exam: { ...drafts.get(draftId), id: exam.id },
+        moved: drafts.get(draftId).date !== exam.date
+      }))
+    ];
+    const calendarConflicts = await detectCalendarConflicts(publishing.map(entry => entry.exam));
+    const calendarReport = (entry, conflicts) => ({
+      examId: entry.exam.id,
+      courseCode: entry.exam.course_code,
+      date: entry.exam.date,
+      time: entry.exam.time,
+      conflicts: conflicts
+    });
+
+    const onBlackout = publishing
+      .map((entry, index) => calendarReport(entry, entry.moved ? calendarConflicts[index].filter(conflict => conflict.blocking) : []))
+      .filter(report => report.conflicts.length > 0);
+    if (onBlackout.length > 0) {
+      return res.status(409).json({
+        error: 'Timetable has exams on blackout dates',
+        message: onBlackout.flatMap(report => report.conflicts.map(conflict => conflict.description)).join('; '),
+        details: onBlackout
+      });
+    }
+
+    const calendarWarnings = publishing
+      .map((entry, index) => calendarReport(entry, calendarConflicts[index]))
+      .filter(report => report.conflicts.length > 0);
+
+    const overfilled = [];
+    try {
+      await withTransaction(async () => {
+        for (const { exam } of diff.added) {
+          await runQuery(`
+            UPDATE exams
+            SET status = 'upcoming', source_exam_id = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+          `, [exam.id]);
+          await recordPublishedChange(exam, { status: 'upcoming' }, req.user.id);
+        }
+
+        for (const { exam, draftId } of [...diff.changed, ...diff.unchanged]) {
+          const draft = drafts.get(draftId);
+          await runQuery(`
+            UPDATE exams
+            SET course_name = ?, date = ?, time = ?, venue = ?, venue_id = ?, duration = ?, timetable_id = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+          `, [...DIFF_FIELDS.map(field => draft[field]), id, exam.id]);
+          await runQuery('DELETE FROM exams WHERE id = ?', [draftId]);
+          // A seating plan no longer applies once the exam moves
+          if (['date', 'time', 'venue_id'].some(field => String(exam[field] ?? '') !== String(draft[field] ?? ''))) {
+            await runQuery('DELETE FROM seat_allocations WHERE exam_id = ?', [exam.id]);
+          }
+          await recordPublishedChange(exam, {
+            ...Object.fromEntries(DIFF_FIELDS.map(field => [field, draft[field]])),
+            timetable_id: Number(id)
+          }, req.user.id);
+        }
+
+        for (const { exam } of diff.removed) {
+          await runQuery(`
+            UPDATE exams
+            SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+          `, [exam.id]);
+          await runQuery('DELETE FROM seat_allocations WHERE exam_id = ?', [exam.id]);
+          await recordPublishedChange(exam, { status: 'cancelled' }, req.user.id);
+        }
+
+        // With the version applied, every new or changed exam must still fit its
+        // venue alongside the other exams sharing it, at current enrolments
+        for (const { exam } of publishing) {
+          const venue = exam.venue_id ? await getRow('SELECT * FROM venues WHERE id = ?', [exam.venue_id]) : null;
+          const capacity = venue ? await checkVenueCapacity(venue, exam) : null;
+          if (capacity && capacity.exceeded) {
+            overfilled.push({ examId: exam.id, courseCode: exam.course_code, date: exam.date, time: exam.time, ...capacity });
+          }
+        }
+        if (overfilled.length > 0) {
+          throw new Error('Published timetable overfills venues');
+        }
+
+        // The new version supersedes any published version of an overlapping period
+        await runQuery(`
+          UPDATE timetables
+          SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+          WHERE status = 'published' AND id != ? AND start_date <= ? AND end_date >= ?
+        `, [id, timetable.end_date, timetable.start_date]);
+
+        await runQuery(`
+          UPDATE timetables
+          SET status = 'published', published_by = ?, published_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [req.user.id, id]);
+      });
+    } catch (error) {
+      if (overfilled.length === 0) throw error;
+
+      return res.status(409).json({
+        error: 'Venue capacity exceeded',
+        message: overfilled.map(entry => `${entry.courseCode} needs ${entry.required} seat(s) in ${entry.venue} on ${entry.date} at ${entry.time}, ${entry.available} left`).join('; '),
+        details: overfilled
+      });
+    }
+
+    const affected = [
+      ...diff.added.map(entry => ({ ...entry, change: 'added' })),
+      ...diff.changed.map(entry => ({ ...entry, change: 'changed' })),
+      ...diff.removed.map(entry => ({ ...entry, change: 'removed' }))
+    ];
+
+    // Edits to the version may have introduced clashes with the rest of the live timetable
+    for (const { exam } of affected) {
+      await refreshExamConflicts(exam.id, { notify: false });
+    }
+
+    for (const { exam, change } of affected) {
+      await publishExamEvent(change === 'added' ? 'created' : 'updated', exam.id);
+    }
+
+    const notified = await notifyTimetablePublished(timetable, affected);
+
+    syncExamsToCalendars(affected.map(({ exam }) => exam.id))
+      .catch(error => console.error('Error syncing published timetable to calendars:', error));
+
+    const conflicts = await getRow(`
+      SELECT COUNT(*) as count FROM exam_conflicts
+      WHERE resolved = 0
+      AND (exam1_id IN (SELECT id FROM exams WHERE timetable_id = ?)
+        OR exam2_id IN (SELECT id FROM exams WHERE timetable_id = ?))
+    `, [id, id]);
+
+    res.json({
+      success: true,
+      message: `Timetable published: ${diff.summary.added} new, ${diff.summary.changed} changed, ${diff.summary.removed} cancelled`,
+      data: await getTimetableWithExams(id),
+      summary: diff.summary,
+      notifiedUsers: notified,
+      conflictCount: conflicts.count || 0,
+      calendarWarnings: calendarWarnings
+    });
+  } catch (error) {
+    console.error('Error publishing timetable:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Discard a draft timetable and its draft exams (admin only)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const timetable = await getRow('SELECT id, status FROM timetables WHERE id = ?', [id]);
+    if (!timetable) {
+      return res.status(404).json({ error: 'Timetable not found' });
+    }
+
+    if (timetable.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft timetables can be deleted' });
+    }
+
+    await runQuery(`DELETE FROM exams WHERE timetable_id = ? AND status = 'draft'`, [id]);
+    await runQuery('DELETE FROM timetables WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Draft timetable deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting timetable:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Parse the stored settings/report JSON for API responses
+const formatTimetable = (timetable) => ({
+  ...timetable,
+  settings: timetable.settings ? JSON.parse(timetable.settings) : null,
+  report: timetable.report ? JSON.parse(timetable.report) : null
+});
+
+async function getTimetableWithExams(id) {
+  const timetable = await getRow('SELECT * FROM timetables WHERE id = ?', [id]);
+  if (!timetable) return null;
+
+  const exams = await getAllRows(`
+    SELECT * FROM exams
+    WHERE timetable_id = ?
+    ORDER BY date ASC, time ASC, course_code ASC
+  `, [id]);
+
+  return { ...formatTimetable(timetable), exams: exams };
+}
+
+// Log what publishing did to a live exam. The draft copies a version is
+// edited through are working data and are not logged themselves.
+async function recordPublishedChange(exam, changes, actorId) {
+  await recordExamChange({ before: exam, after: { ...exam, ...changes }, actorId, source: 'timetable_publish' });
+}
+
+// Compare the draft exams of a version with the live (upcoming) exams of its
+// period. Drafts are matched to the live exam they were copied from, then by
+// course code; live exams left unmatched only count as removed when the
+// version replaces the live timetable.
+export async function diffTimetable(id) {
+  const timetable = await getRow('SELECT * FROM timetables WHERE id = ?', [id]);
+  if (!timetable) return null;
+
+  const drafts = await getAllRows(`
+    SELECT * FROM exams
+    WHERE timetable_id = ? AND status = 'draft'
+    ORDER BY date ASC, time ASC, course_code ASC
+  `, [id]);
+
+  const live = await getAllRows(`
+    SELECT * FROM exams
+    WHERE status = 'upcoming'
+    AND (date BETWEEN ? AND ?
+      OR id IN (SELECT source_exam_id FROM exams WHERE timetable_id = ? AND status = 'draft'))
+    ORDER BY date ASC, time ASC, course_code ASC
+  `, [timetable.start_date, timetable.end_date, id]);
+
+  const publishedVersion = await getRow(`
+    SELECT id, name, published_at FROM timetables
+    WHERE status = 'published' AND id != ? AND start_date <= ? AND end_date >= ?
+    ORDER BY published_at DESC, id DESC
+    LIMIT 1
+  `, [id, timetable.end_date, timetable.start_date]);
+
+  const matched = new Map();   // draft id -> live exam
+  const claimed = new Set();   // live exam ids
+
+  for (const draft of drafts) {
+    const source = live.find(exam => exam.id === draft.source_exam_id && !claimed.has(exam.id));
+    if (source) {
+      matched.set(draft.id, source);
+      claimed.add(source.id);
+    }
+  }
+
+  for (const draft of drafts.filter(draft => !matched.has(draft.id) && !draft.source_exam_id)) {
+    const sameCourse = live.find(exam => exam.course_code === draft.course_code && !claimed.has(exam.id) &&
+      exam.date >= timetable.start_date && exam.date <= timetable.end_date);
+    if (sameCourse) {
+      matched.set(draft.id, sameCourse);
+      claimed.add(sameCourse.id);
+    }
+  }
+
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+
+  for (const draft of drafts) {
+    const exam = matched.get(draft.id);
+    if (!exam) {
+      added.push({ exam: draft });
+      continue;
+    }
+
+    const changes = {};
+    for (const field of DIFF_FIELDS) {
+      if (String(exam[field] ?? '') !== String(draft[field] ?? '')) {
+        changes[field] = { from: exam[field], to: draft[field] };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({ exam, draftId: draft.id, changes });
+    } else {
+      unchanged.push({ exam, draftId: draft.id });
+    }
+  }
+
+  const removed = timetable.replaces_live
+    ? live
+      .filter(exam => !claimed.has(exam.id) && exam.date >= timetable.start_date && exam.date <= timetable.end_date)
+      .map(exam => ({ exam }))
+    : [];
+
+  return {
+    timetable: formatTimetable(timetable),
+    publishedVersion: publishedVersion || null,
+    added,
+    changed,
+    removed,
+    unchanged,
+    summary: {
+      added: added.length,
+      changed: changed.length,
+      removed: removed.length,
+      unchanged: unchanged.length
+    }
+  };
+}
+
+// One notification per affected user (enrolled students, course lecturers and
+// exam creators) summarising what the published version changed for them
+async function notifyTimetablePublished(timetable, affected) {
+  if (affected.length === 0) return 0;
+
+  const codes = [...new Set(affected.map(({ exam }) => exam.course_code))];
+  const placeholders = codes.map(() => '?').join(',');
+  const members = await getAllRows(`
+    SELECT en.user_id, c.code FROM enrollments en
+    JOIN courses c ON en.course_id = c.id
+    WHERE c.code IN (${placeholders})
+    UNION
+    SELECT c.lecturer_id as user_id, c.code FROM courses c
+    WHERE c.code IN (${placeholders}) AND c.lecturer_id IS NOT NULL
+  `, [...codes, ...codes]);
+
+  const changesByUser = new Map();   // userId -> exam ids per change type
+
+  for (const { exam, change } of affected) {
+    const userIds = new Set([
+      exam.created_by,
+      ...members.filter(member => member.code === exam.course_code).map(member => member.user_id)
+    ]);
+    for (const userId of userIds) {
+      if (!changesByUser.has(userId)) {
+        changesByUser.set(userId, { added: new Set(), changed: new Set(), removed: new Set() });
+      }
+      changesByUser.get(userId)[change].add(exam.id);
+    }
+  }
+
+  for (const [userId, changes] of changesByUser) {
+    const parts = [
+      changes.added.size > 0 && `${changes.added.size} new`,
+      changes.changed.size > 0 && `${changes.changed.size} changed`,
+      changes.removed.size > 0 && `${changes.removed.size} cancelled`
+    ].filter(Boolean);
+
+    await createNotification(
+      userId,
+      'Timetable Published',
+      `${timetable.name} has been published: ${parts.join(', ')} exam(s) affect you. Check your timetable for details.`,
+      changes.changed.size > 0 || changes.removed.size > 0 ? 'warning' : 'info',
+      { event: 'updated' }
+    );
+  }
+
+  return changesByUser.size;
+}
+
+// Days in the exam period, skipping weekends (unless included) and excluded dates
+function listExamDays(startDate, endDate, { includeWeekends = false, excludedDates = [] } = {}) {
+  const days = [];
+  const end = new Date(`${endDate}T00:00:00Z`);
+
+  for (let day = new Date(`${startDate}T00:00:00Z`); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+    const date = day.toISOString().slice(0, 10);
+    const weekday = day.getUTCDay();
+
+    if (!includeWeekends && (weekday === 0 || weekday === 6)) continue;
+    if (excludedDates.includes(date)) continue;
+
+    days.push(date);
+  }
+
+  return days;
+}
+
+// Small seeded PRNG (mulberry32) so generation is reproducible
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Greedy timetable construction. Courses sharing the most students are
+// placed first; each takes the feasible slot that loads its students' days
+// least, in the smallest free venue that seats all its students. Hard
+// constraints: no student sits two overlapping exams, no student exceeds
+// maxExamsPerDay, no venue is double-booked or over capacity, and no exam
+// falls in one of its course's unavailable windows (the lecturer's).
+//
+// courses:  [{ code, name, duration, students: [userId], unavailable: [{ start, end }] }]
+// venues:   [{ id, name, capacity }]
+// bookings: fixed exams already in the period [{ date, time, duration, venueId, students }]
+export const generateTimetable = ({ courses, venues, days, slots, maxExamsPerDay, seed, bookings = [] }) => {
+  const random = createRandom(seed);
+  const studentDays = new Map();   // studentId -> Map<date, [window]>
+  const venueDays = new Map();     // `${venueId}|${date}` -> [window]
+  const slotLoad = new Map();      // `${date} ${time}` -> exams placed
+
+  const studentDay = (studentId, date) => studentDays.get(studentId)?.get(date) || [];
+
+  const book = ({ date, time, duration, venueId, students }) => {
+    const window = getExamWindow({ date, time, duration });
+
+    for (const studentId of students) {
+      if (!studentDays.has(studentId)) studentDays.set(studentId, new Map());
+      const byDate = studentDays.get(studentId);
+      byDate.set(date, [...(byDate.get(date) || []), window]);
+    }
+
+    if (venueId) {
+      const key = `${venueId}|${date}`;
+      venueDays.set(key, [...(venueDays.get(key) || []), window]);
+    }
+
+    slotLoad.set(`${date} ${time}`, (slotLoad.get(`${date} ${time}`) || 0) + 1);
+  };
+
+  bookings.forEach(book);
+
+  // How many other courses share at least one student with each course
+  const coursesByStudent = new Map();
+  for (const course of courses) {
+    for (const studentId of course.students) {
+      coursesByStudent.set(studentId, [...(coursesByStudent.get(studentId) || []), course.code]);
+    }
+  }
+  const sharedWith = new Map(courses.map(course => [
+    course.code,
+    Math.max(new Set(course.students.flatMap(studentId => coursesByStudent.get(studentId))).size - 1, 0)
+  ]));
+
+  const ordered = courses
+    .map(course => ({ course, tieBreak: random() }))
+    .sort((a, b) =>
+      sharedWith.get(b.course.code) - sharedWith.get(a.course.code) ||
+      b.course.students.length - a.course.students.length ||
+      a.tieBreak - b.tieBreak)
+    .map(entry => entry.course);
+
+  const candidates = days.flatMap(date => slots.map(time => ({ date, time })));
+  const largestVenue = Math.max(...venues.map(venue => venue.capacity));
+
+  const scheduled = [];
+  const unscheduled = [];
+
+  for (const course of ordered) {
+    const needed = course.students.length;
+
+    if (needed > largestVenue) {
+      unscheduled.push({
+        courseCode: course.code,
+        students: needed,
+        reason: 'capacity',
+        message: `No venue seats ${needed} students (largest exam capacity is ${largestVenue})`
+      });
+      continue;
+    }
+
+    // Seeded shuffle first so equally good slots are picked reproducibly at random
+    const shuffled = [...candidates];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    const ranked = shuffled
+      .map(slot => ({
+        ...slot,
+        dayLoad: course.students.reduce((total, studentId) => total + studentDay(studentId, slot.date).length, 0),
+        load: slotLoad.get(`${slot.date} ${slot.time}`) || 0
+      }))
+      .sort((a, b) => a.dayLoad - b.dayLoad || a.load - b.load);
+
+    const blocked = { student_clash: 0, daily_limit: 0, staff_unavailable: 0, capacity: 0 };
+    let placement = null;
+
+    for (const slot of ranked) {
+      const window = getExamWindow({ date: slot.date, time: slot.time, duration: course.duration });
+      const overlaps = (other) => window.start < other.end && window.end > other.start;
+
+      let reason = null;
+      for (const studentId of course.students) {
+        const sameDay = studentDay(studentId, slot.date);
+        if (sameDay.some(overlaps)) {
+          reason = 'student_clash';
+          break;
+        }
+        if (sameDay.length >= maxExamsPerDay) {
+          reason = 'daily_limit';
+          break;
+        }
+      }
+
+      if (!reason && (course.unavailable || []).some(overlaps)) {
+        reason = 'staff_unavailable';
+      }
+
+      if (!reason) {
+        // Best fit: the smallest free venue that seats everyone. Rooms are not
+        // shared, since overlapping exams in one venue count as a conflict.
+        const venue = venues
+          .filter(candidate => candidate.capacity >= needed &&
+            !(venueDays.get(`${candidate.id}|${slot.date}`) || []).some(overlaps))
+          .sort((a, b) => a.capacity - b.capacity || a.id - b.id)[0];
+
+        if (venue) {
+          placement = { ...slot, venue };
+          break;
+        }
+        reason = 'capacity';
+      }
+
+      blocked[reason]++;
+    }
+
+    if (!placement) {
+      const reason = Object.keys(blocked).sort((a, b) => blocked[b] - blocked[a])[0];
+      const labels = {
+        student_clash: 'a student clash',
+        daily_limit: `the limit of ${maxExamsPerDay} exams per student per day`,
+        staff_unavailable: 'the lecturer being unavailable',
+        capacity: `no free venue seating ${needed}`
+      };
+
+      unscheduled.push({
+        courseCode: course.code,
+        students: needed,
+        reason: reason,
+        message: `No slot satisfies every constraint: ` + Object.keys(blocked)
+          .filter(key => blocked[key] > 0)
+          .map(key => `${blocked[key]} slot(s) blocked by ${labels[key]}`)
+          .join(', '),
+        blockedSlots: blocked
+      });
+      continue;
+    }
+
+    book({
+      date: placement.date,
+      time: placement.time,
+      duration: course.duration,
+      venueId: placement.venue.id,
+      students: course.students
+    });
+
+    scheduled.push({
+      courseCode: course.code,
+      courseName: course.name,
+      date: placement.date,
+      time: placement.time,
+      duration: course.duration,
+      venueId: placement.venue.id,
+      venue: placement.venue.name,
+      students: needed
+    });
+  }
+
+  scheduled.sort((a, b) =>
+    a.date.localeCompare(b.date) || a.time.localeCompare(b.time) || a.courseCode.localeCompare(b.courseCode));
+
+  return {
+    scheduled: scheduled,
+    unscheduled: unscheduled,
+    stats: {
+      courses: courses.length,
+      scheduled: scheduled.length,
+      unscheduled: unscheduled.length,
+      days: days.length,
+      slots: candidates.length
+    }
+  };
+};
+
+export default router;
@@ -0,0 +1,321 @@
+import express from 'express';
+import { getAllRows, getRow, runQuery } from '../config/database.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { validateVenueData, VENUE_FEATURES } from '../middleware/validation.js';
+import { getExamWindow } from './conflicts.js';
+import { publishExamEvent } from './events.js';
+import { recordExamChange } from './audit.js';
+
+const router = express.Router();
+
+// Get all venues (?building=, ?feature=computers,wheelchair_access, ?minCapacity=, ?includeInactive=true)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { building, feature, minCapacity, includeInactive = 'false' } = req.query;
+
+    const conditions = [];
+    const params = [];
+
+    if (includeInactive !== 'true') {
+      conditions.push('v.is_active = 1');
+    }
+
+    if (building) {
+      conditions.push('v.building LIKE ?');
+      params.push(`%${building}%`);
+    }
+
+    if (feature) {
+      for (const item of feature.split(',').map(f => f.trim()).filter(Boolean)) {
+        if (!VENUE_FEATURES.includes(item)) {
+          return res.status(400).json({
+            error: `feature must be any of: ${VENUE_FEATURES.join(', ')}`
+          });
+        }
+        conditions.push('EXISTS (SELECT 1 FROM json_each(v.features) WHERE json_each.value = ?)');
+        params.push(item);
+      }
+    }
+
+    if (minCapacity) {
+      const seats = parseInt(minCapacity);
+      if (isNaN(seats) || seats < 1) {
+        return res.status(400).json({ error: 'minCapacity must be a positive integer' });
+      }
+      conditions.push('COALESCE(v.exam_capacity, v.capacity) >= ?');
+      params.push(seats);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const venues = await getAllRows(`
+      SELECT v.* FROM venues v
+      ${whereClause}
+      ORDER BY v.building ASC, v.name ASC
+    `, params);
+
+    res.json({
+      success: true,
+      data: venues.map(formatVenue),
+      count: venues.length
+    });
+  } catch (error) {
+    console.error('Error fetching venues:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get single venue with its upcoming bookings
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const venue = await getRow('SELECT * FROM venues WHERE id = ?', [id]);
+    if (!venue) {
+      return res.status(404).json({ error: 'Venue not found' });
+    }
+
+    const upcomingExams = await getAllRows(`
+      SELECT id, course_code, course_name, date, time, duration
+      FROM exams
+      WHERE venue_id = ? AND status = 'upcoming'
+      ORDER BY date ASC, time ASC
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...formatVenue(venue),
+        upcomingExams: upcomingExams
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching venue:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create new venue (admin only)
+router.post('/', authenticateToken, requireAdmin, validateVenueData, async (req, res) => {
+  try {
+    const { name, building = null, room = null, capacity, examCapacity = null, features = [], layout = null } = req.body;
+
+    const existingVenue = await getRow('SELECT id FROM venues WHERE name = ?', [name.trim()]);
+    if (existingVenue) {
+      return res.status(409).json({ error: 'Venue with this name already exists' });
+    }
+
+    const result = await runQuery(`
+      INSERT INTO venues (name, building, room, capacity, exam_capacity, features, layout)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [name.trim(), building, room, capacity, examCapacity, JSON.stringify([...new Set(features)]), toStoredLayout(layout)]);
+
+    // Link exams that were booked against this venue name before it was registered
+    const linked = await runQuery(`
+      UPDATE exams SET venue_id = ? WHERE venue_id IS NULL AND venue = ? COLLATE NOCASE
+    `, [result.lastID, name.trim()]);
+
+    if (linked.changes > 0) {
+      const linkedExams = await getAllRows('SELECT * FROM exams WHERE venue_id = ?', [result.lastID]);
+      for (const exam of linkedExams) {
+        await recordExamChange({ before: { ...exam, venue_id: null }, after: exam, actorId: req.user.id, source: 'venue_update' });
+      }
+    }
+
+    const newVenue = await getRow('SELECT * FROM venues WHERE id = ?', [result.lastID]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Venue created successfully',
+      data: formatVenue(newVenue)
+    });
+  } catch (error) {
+    console.error('Error creating venue:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update venue (admin only)
+router.put('/:id', authenticateToken, requireAdmin, validateVenueData, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, building, room, capacity, examCapacity, features, layout, isActive } = req.body;
+
+    const existingVenue = await getRow('SELECT * FROM venues WHERE id = ?', [id]);
+    if (!existingVenue) {
+      return res.status(404).json({ error: 'Venue not found' });
+    }
+
+    // Optional fields keep their stored value unless they are sent (null clears them)
+    if (examCapacity === undefined && existingVenue.exam_capacity > capacity) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: ['examCapacity cannot exceed capacity']
+      });
+    }
+
+    const duplicate = await getRow('SELECT id FROM venues WHERE name = ? AND id != ?', [name.trim(), id]);
+    if (duplicate) {
+      return res.status(409).json({ error: 'Venue with this name already exists' });
+    }
+
+    await runQuery(`
+      UPDATE venues
+      SET name = ?, building = ?, room = ?, capacity = ?, exam_capacity = ?, features = ?, layout = ?, is_active = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      name.trim(),
+      building === undefined ? existingVenue.building : building,
+      room === undefined ? existingVenue.room : room,
+      capacity,
+      examCapacity === undefined ? existingVenue.exam_capacity : examCapacity,
+      features === undefined ? existingVenue.features : JSON.stringify([...new Set(features)]),
+      layout === undefined ? existingVenue.layout : toStoredLayout(layout),
+      isActive === undefined ? existingVenue.is_active : (isActive ? 1 : 0),
+      id
+    ]);
+
+    // Exams keep the venue name for display, so follow a rename
+    if (existingVenue.name !== name.trim()) {
+      await runQuery(`
+        UPDATE exams
+        SET venue = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE venue_id = ?
+      `, [name.trim(), id]);
+
+      const renamed = await getAllRows('SELECT * FROM exams WHERE venue_id = ?', [id]);
+      for (const exam of renamed) {
+        await recordExamChange({
+          before: { ...exam, venue: existingVenue.name },
+          after: exam,
+          actorId: req.user.id,
+          source: 'venue_update'
+        });
+        await publishExamEvent('updated', exam);
+      }
+    }
+
+    const updatedVenue = await getRow('SELECT * FROM venues WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Venue updated successfully',
+      data: formatVenue(updatedVenue)
+    });
+  } catch (error) {
+    console.error('Error updating venue:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete venue (admin only) - venues with exams must be deactivated instead
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingVenue = await getRow('SELECT id FROM venues WHERE id = ?', [id]);
+    if (!existingVenue) {
+      return res.status(404).json({ error: 'Venue not found' });
+    }
+
+    const bookings = await getRow('SELECT COUNT(*) as count FROM exams WHERE venue_id = ?', [id]);
+    if (bookings.count > 0) {
+      return res.status(409).json({
+        error: 'Venue has exams booked',
+        message: 'Set isActive to false to retire a venue that has been used for exams'
+      });
+    }
+
+    await runQuery('DELETE FROM venues WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Venue deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting venue:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Parse the stored features and layout JSON for API responses
+export const formatVenue = (venue) => ({
+  ...venue,
+  features: JSON.parse(venue.features || '[]'),
+  layout: venue.layout ? JSON.parse(venue.layout) : null
+});
+
+// Store a seating layout with its spacing defaults filled in
+const toStoredLayout = (layout) => layout && JSON.stringify({
+  rows: layout.rows,
+  seatsPerRow: layout.seatsPerRow,
+  seatSpacing: layout.seatSpacing ?? 1,
+  rowSpacing: layout.rowSpacing ?? 0,
+  accessibleSeats: [...new Set(layout.accessibleSeats || [])],
+  unavailableSeats: [...new Set(layout.unavailableSeats || [])]
+});
+
+// Find the venue an exam payload refers to. A venueId must match an active
+// venue; a free-text venue name is linked when it matches a registered venue.
+// Returns { venue } (null for unregistered names) or { error }.
+export const resolveExamVenue = async ({ venueId, venue }) => {
+  if (venueId !== undefined && venueId !== null) {
+    const registered = await getRow('SELECT * FROM venues WHERE id = ? AND is_active = 1', [venueId]);
+    return registered ? { venue: registered } : { error: 'Venue not found' };
+  }
+
+  const registered = await getRow('SELECT * FROM venues WHERE name = ? AND is_active = 1', [venue.trim()]);
+  return { venue: registered || null };
+};
+
+// Seats needed in a venue for an exam: the course's enrolments plus those of
+// any other upcoming exam sharing the room at an overlapping time. Alternate
+// sittings only need seats for the students moved onto them; pass
+// exam.students to set the count for the exam being checked.
+// Returns null when the venue has no recorded capacity.
+export const checkVenueCapacity = async (venue, exam) => {
+  const limit = venue.exam_capacity || venue.capacity;
+  if (!limit) return null;
+
+  const sharing = (await getAllRows(`
+    SELECT
+      e.id, e.course_code, e.date, e.time, e.duration, e.original_exam_id,
+      (SELECT COUNT(*) FROM exam_requests r WHERE r.alternate_exam_id = e.id AND r.status = 'approved') as moved_in
+    FROM exams e
+    WHERE e.venue_id = ? AND e.date = ? AND e.status = 'upcoming' AND e.id != ?
+  `, [venue.id, exam.date, exam.id || 0])).filter(other => {
+    const { start, end } = getExamWindow(exam);
+    const { start: otherStart, end: otherEnd } = getExamWindow(other);
+    return start < otherEnd && end > otherStart;
+  });
+
+  const codes = [exam.course_code, ...sharing.map(other => other.course_code)];
+  const placeholders = codes.map(() => '?').join(',');
+  const counts = await getAllRows(`
+    SELECT c.code, COUNT(en.id) as count
+    FROM courses c
+    JOIN enrollments en ON en.course_id = c.id
+    WHERE c.code IN (${placeholders})
+    GROUP BY c.code
+  `, codes);
+  const enrolled = Object.fromEntries(counts.map(row => [row.code, row.count]));
+
+  const required = exam.students ?? (enrolled[exam.course_code] || 0);
+  const alreadyBooked = sharing.reduce((total, other) => (
+    total + (other.original_exam_id ? other.moved_in : (enrolled[other.course_code] || 0))
+  ), 0);
+
+  return {
+    venueId: venue.id,
+    venue: venue.name,
+    capacity: limit,
+    required: required,
+    alreadyBooked: alreadyBooked,
+    available: Math.max(limit - alreadyBooked, 0),
+    sharedWith: sharing.map(other => other.course_code),
+    exceeded: required + alreadyBooked > limit
+  };
+};
+
+export default router;
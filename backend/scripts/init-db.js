@@ -39,8 +39,8 @@ async function seedDatabase() {
     for (const user of users) {
       try {
         await runQuery(`
-          INSERT INTO users (email, password_hash, first_name, last_name, role)
-          VALUES (?, ?, ?, ?, ?)
+          INSERT INTO users (email, password_hash, first_name, last_name, role, email_verified_at)
+          VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
         `, [user.email, user.password, user.firstName, user.lastName, user.role]);
         console.log(`✅ Created user: ${user.email} (${user.role})`);
       } catch (error) {
@@ -52,6 +52,32 @@ async function seedDatabase() {
       }
     }
 
+    // Insert sample venues
+    console.log('🏫 Creating sample venues...');
+    const venues = [
+      { name: 'Room 101, CS Building', building: 'CS Building', room: '101', capacity: 60, examCapacity: 40, features: ['computers', 'wheelchair_access'] },
+      { name: 'Hall A, Main Building', building: 'Main Building', room: 'Hall A', capacity: 300, examCapacity: 200, features: ['wheelchair_access', 'hearing_loop'] },
+      { name: 'Lab 205, Physics Building', building: 'Physics Building', room: '205', capacity: 40, examCapacity: 30, features: [] },
+      { name: 'Room 301, Liberal Arts', building: 'Liberal Arts', room: '301', capacity: 50, examCapacity: 35, features: ['projector'] },
+      { name: 'Lab 102, Chemistry Building', building: 'Chemistry Building', room: '102', capacity: 40, examCapacity: 30, features: ['wheelchair_access'] }
+    ];
+
+    for (const venue of venues) {
+      try {
+        await runQuery(`
+          INSERT INTO venues (name, building, room, capacity, exam_capacity, features)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [venue.name, venue.building, venue.room, venue.capacity, venue.examCapacity, JSON.stringify(venue.features)]);
+        console.log(`✅ Created venue: ${venue.name}`);
+      } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+          console.log(`ℹ️  Venue ${venue.name} already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
     // Insert sample exams
     console.log('📚 Creating sample exams...');
     const exams = [
@@ -100,9 +126,9 @@ async function seedDatabase() {
     for (const exam of exams) {
       try {
         await runQuery(`
-          INSERT INTO exams (course_code, course_name, date, time, venue, duration, created_by)
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-        `, [exam.courseCode, exam.courseName, exam.date, exam.time, exam.venue, exam.duration, 2]); // Admin user
+          INSERT INTO exams (course_code, course_name, date, time, venue, venue_id, duration, created_by)
+          VALUES (?, ?, ?, ?, ?, (SELECT id FROM venues WHERE name = ?), ?, ?)
+        `, [exam.courseCode, exam.courseName, exam.date, exam.time, exam.venue, exam.venue, exam.duration, 2]); // Admin user
         console.log(`✅ Created exam: ${exam.courseCode} - ${exam.courseName}`);
       } catch (error) {
         if (error.message.includes('UNIQUE constraint failed')) {
@@ -113,6 +139,29 @@ async function seedDatabase() {
       }
     }
 
+    // Insert sample courses and enrol the demo student in each of them
+    console.log('🎓 Creating sample courses...');
+    for (const exam of exams) {
+      try {
+        await runQuery(`
+          INSERT INTO courses (code, name, lecturer_id)
+          VALUES (?, ?, ?)
+        `, [exam.courseCode, exam.courseName, 3]); // Lecturer user
+        console.log(`✅ Created course: ${exam.courseCode}`);
+      } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+          console.log(`ℹ️  Course ${exam.courseCode} already exists`);
+        } else {
+          throw error;
+        }
+      }
+
+      await runQuery(`
+        INSERT OR IGNORE INTO enrollments (course_id, user_id)
+        SELECT id, 1 FROM courses WHERE code = ?
+      `, [exam.courseCode]); // Student user
+    }
+
     // Insert sample notifications
     console.log('🔔 Creating sample notifications...');
     const notifications = [
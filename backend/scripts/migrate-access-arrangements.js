@@ -0,0 +1,56 @@
+import { getRow, runQuery } from '../config/database.js';
+
+/**
+ * Migration script to add extra time and separate room accommodations to an
+ * existing database
+ * Adds access_arrangements.extra_time_percent and access_arrangements.separate_room
+ */
+
+async function migrateAccessArrangements() {
+  try {
+    console.log('🔄 Starting access arrangements migration...');
+
+    const columns = [
+      ['extra_time_percent', 'INTEGER DEFAULT 0 CHECK (extra_time_percent BETWEEN 0 AND 100)'],
+      ['separate_room', 'BOOLEAN DEFAULT 0']
+    ];
+
+    for (const [name, definition] of columns) {
+      const column = await getRow(`
+        SELECT COUNT(*) as count
+        FROM pragma_table_info('access_arrangements')
+        WHERE name = ?
+      `, [name]);
+
+      if (column.count === 0) {
+        console.log(`📝 Adding ${name} column to access_arrangements...`);
+        await runQuery(`ALTER TABLE access_arrangements ADD COLUMN ${name} ${definition}`);
+        console.log(`✅ ${name} column added`);
+      } else {
+        console.log(`ℹ️ ${name} column already exists`);
+      }
+    }
+
+    console.log('🎉 Access arrangements migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    console.error('💡 This might happen if the database is locked or if you have insufficient permissions');
+    process.exit(1);
+  }
+}
+
+// Run migration if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateAccessArrangements()
+    .then(() => {
+      console.log('\n✅ Migration completed! Extra time and separate room arrangements are now available.');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { migrateAccessArrangements };
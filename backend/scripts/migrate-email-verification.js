@@ -0,0 +1,98 @@
+import { getRow, runQuery } from '../config/database.js';
+
+/**
+ * Migration script to add email verification to an existing database
+ * Adds users.email_verified_at. Accounts that already exist are marked as
+ * verified so they keep full access. The auth_sessions table is rebuilt so
+ * a password reset can be recorded as the reason a session was signed out
+ * (SQLite cannot alter constraints). The user_tokens table is created when
+ * the server starts.
+ */
+
+async function migrateEmailVerification() {
+  try {
+    console.log('🔄 Starting email verification migration...');
+
+    const existing = await getRow(`
+      SELECT COUNT(*) as count
+      FROM pragma_table_info('users')
+      WHERE name = 'email_verified_at'
+    `);
+
+    if (existing.count === 0) {
+      console.log('📝 Adding email_verified_at column to users...');
+      await runQuery('ALTER TABLE users ADD COLUMN email_verified_at DATETIME');
+      console.log('✅ email_verified_at column added');
+
+      const result = await runQuery('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP');
+      console.log(`✅ Marked ${result.changes} existing user(s) as verified`);
+    } else {
+      console.log('ℹ️ email_verified_at column already exists');
+    }
+
+    const sessions = await getRow(`
+      SELECT sql FROM sqlite_master
+      WHERE type = 'table' AND name = 'auth_sessions'
+    `);
+
+    if (sessions && !sessions.sql.includes('password_reset')) {
+      console.log('📝 Rebuilding auth_sessions table...');
+
+      // refresh_tokens references auth_sessions; keep its rows while the table is swapped
+      await runQuery('PRAGMA foreign_keys = OFF');
+      await runQuery('BEGIN TRANSACTION');
+
+      try {
+        await runQuery(`
+          CREATE TABLE auth_sessions_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            user_agent TEXT,
+            ip_address TEXT,
+            expires_at DATETIME NOT NULL,
+            last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            revoked_at DATETIME,
+            revoked_reason TEXT CHECK (revoked_reason IN ('logout', 'logout_all', 'revoked', 'reuse_detected', 'password_reset')),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+          )
+        `);
+        await runQuery('INSERT INTO auth_sessions_new SELECT * FROM auth_sessions');
+        await runQuery('DROP TABLE auth_sessions');
+        await runQuery('ALTER TABLE auth_sessions_new RENAME TO auth_sessions');
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON auth_sessions(user_id)');
+
+        await runQuery('COMMIT');
+      } catch (error) {
+        await runQuery('ROLLBACK');
+        throw error;
+      } finally {
+        await runQuery('PRAGMA foreign_keys = ON');
+      }
+
+      console.log('✅ auth_sessions table rebuilt');
+    }
+
+    console.log('🎉 Email verification migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    console.error('💡 This might happen if the database is locked or if you have insufficient permissions');
+    process.exit(1);
+  }
+}
+
+// Run migration if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateEmailVerification()
+    .then(() => {
+      console.log('\n✅ Migration completed! New accounts now verify their email address.');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { migrateEmailVerification };
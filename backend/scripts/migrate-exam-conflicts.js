@@ -0,0 +1,111 @@
+import { getAllRows, getRow, runQuery } from '../config/database.js';
+
+/**
+ * Migration script to upgrade the exam_conflicts table on existing databases
+ * Adds severity, acknowledgement and resolution tracking, one row per exam pair
+ * and conflict type, student-level conflict types and cascading deletes.
+ * SQLite cannot alter constraints, so the table is rebuilt and existing rows
+ * are copied across.
+ */
+
+async function migrateExamConflicts() {
+  try {
+    console.log('🔄 Starting exam conflicts migration...');
+
+    const table = await getRow(`
+      SELECT sql FROM sqlite_master
+      WHERE type = 'table' AND name = 'exam_conflicts'
+    `);
+
+    if (table && table.sql.includes('student_clash')) {
+      console.log('ℹ️ exam_conflicts table is already up to date');
+      console.log('✅ Migration completed - no changes needed');
+      return;
+    }
+
+    console.log('📝 Rebuilding exam_conflicts table...');
+    await runQuery('BEGIN TRANSACTION');
+
+    try {
+      await runQuery(`
+        CREATE TABLE exam_conflicts_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          exam1_id INTEGER NOT NULL,
+          exam2_id INTEGER NOT NULL,
+          conflict_type TEXT NOT NULL CHECK (conflict_type IN ('time_overlap', 'venue_conflict', 'both', 'student_clash', 'back_to_back')),
+          severity TEXT DEFAULT 'warning' CHECK (severity IN ('warning', 'error')),
+          date DATE,
+          description TEXT,
+          affected_students TEXT,
+          acknowledged BOOLEAN DEFAULT 0,
+          acknowledged_by INTEGER,
+          acknowledged_at DATETIME,
+          resolved BOOLEAN DEFAULT 0,
+          resolution_type TEXT CHECK (resolution_type IN ('auto', 'manual')),
+          resolution_note TEXT,
+          resolved_by INTEGER,
+          resolved_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (exam1_id, exam2_id, conflict_type),
+          FOREIGN KEY (exam1_id) REFERENCES exams (id) ON DELETE CASCADE,
+          FOREIGN KEY (exam2_id) REFERENCES exams (id) ON DELETE CASCADE,
+          FOREIGN KEY (acknowledged_by) REFERENCES users (id),
+          FOREIGN KEY (resolved_by) REFERENCES users (id)
+        )
+      `);
+
+      // Copy whichever columns the old table has, normalising pair order
+      // and dropping rows that point at deleted exams
+      const oldColumns = (await getAllRows(`SELECT name FROM pragma_table_info('exam_conflicts')`))
+        .map(column => column.name)
+        .filter(name => !['id', 'exam1_id', 'exam2_id'].includes(name));
+
+      await runQuery(`
+        INSERT OR IGNORE INTO exam_conflicts_new
+          (exam1_id, exam2_id, ${oldColumns.join(', ')})
+        SELECT
+          MIN(ec.exam1_id, ec.exam2_id), MAX(ec.exam1_id, ec.exam2_id),
+          ${oldColumns.map(name => `ec.${name}`).join(', ')}
+        FROM exam_conflicts ec
+        WHERE ec.exam1_id IN (SELECT id FROM exams)
+        AND ec.exam2_id IN (SELECT id FROM exams)
+      `);
+
+      await runQuery('DROP TABLE exam_conflicts');
+      await runQuery('ALTER TABLE exam_conflicts_new RENAME TO exam_conflicts');
+      await runQuery(`
+        CREATE INDEX IF NOT EXISTS idx_exam_conflicts_resolved
+        ON exam_conflicts(resolved)
+      `);
+
+      await runQuery('COMMIT');
+    } catch (error) {
+      await runQuery('ROLLBACK');
+      throw error;
+    }
+
+    console.log('✅ exam_conflicts table rebuilt');
+    console.log('💡 Call POST /api/conflicts/recompute as an admin to populate conflicts for existing exams');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    console.error('💡 This might happen if the database is locked or if you have insufficient permissions');
+    process.exit(1);
+  }
+}
+
+// Run migration if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateExamConflicts()
+    .then(() => {
+      console.log('\n✅ Migration completed! Conflict tracking is now available.');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { migrateExamConflicts };
@@ -0,0 +1,49 @@
+import { getRow, runQuery } from '../config/database.js';
+
+/**
+ * Migration script to add reschedule and deferral requests to an existing database
+ * Adds exams.original_exam_id, which links an alternate sitting to the exam it replaces
+ * (the exam_requests table is created on startup)
+ */
+
+async function migrateExamRequests() {
+  try {
+    console.log('🔄 Starting exam requests migration...');
+
+    const originalColumn = await getRow(`
+      SELECT COUNT(*) as count
+      FROM pragma_table_info('exams')
+      WHERE name = 'original_exam_id'
+    `);
+
+    if (originalColumn.count === 0) {
+      console.log('📝 Adding original_exam_id column to exams...');
+      await runQuery('ALTER TABLE exams ADD COLUMN original_exam_id INTEGER');
+      console.log('✅ original_exam_id column added');
+    } else {
+      console.log('ℹ️ original_exam_id column already exists');
+    }
+
+    console.log('🎉 Exam requests migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    console.error('💡 This might happen if the database is locked or if you have insufficient permissions');
+    process.exit(1);
+  }
+}
+
+// Run migration if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateExamRequests()
+    .then(() => {
+      console.log('\n✅ Migration completed! Students can now request rescheduled and deferred exams.');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { migrateExamRequests };
@@ -0,0 +1,51 @@
+import { createExamRevisionTrigger, getRow, runQuery } from '../config/database.js';
+
+/**
+ * Migration script to add exam revisions to an existing database
+ * Adds exams.revision and the trigger that bumps it when an exam changes
+ */
+
+async function migrateExamRevisions() {
+  try {
+    console.log('🔄 Starting exam revisions migration...');
+
+    const existing = await getRow(`
+      SELECT COUNT(*) as count
+      FROM pragma_table_info('exams')
+      WHERE name = 'revision'
+    `);
+
+    if (existing.count === 0) {
+      console.log('📝 Adding revision column to exams...');
+      await runQuery('ALTER TABLE exams ADD COLUMN revision INTEGER NOT NULL DEFAULT 0');
+      console.log('✅ revision column added');
+    } else {
+      console.log('ℹ️ revision column already exists');
+    }
+
+    await runQuery(createExamRevisionTrigger);
+    console.log('✅ exams_revision trigger ready');
+
+    console.log('🎉 Exam revisions migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    console.error('💡 This might happen if the database is locked or if you have insufficient permissions');
+    process.exit(1);
+  }
+}
+
+// Run migration if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateExamRevisions()
+    .then(() => {
+      console.log('\n✅ Migration completed! Calendar apps now see each exam change as a new event revision.');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { migrateExamRevisions };
@@ -0,0 +1,62 @@
+import { getRow, runQuery } from '../config/database.js';
+
+/**
+ * Migration script to add notification preferences to an existing database
+ * Creates the notification_preferences table and adds notifications.deliver_at,
+ * which holds back notifications created during a user's quiet hours
+ */
+
+async function migrateNotificationPreferences() {
+  try {
+    console.log('🔄 Starting notification preferences migration...');
+
+    console.log('📝 Creating notification_preferences table...');
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INTEGER PRIMARY KEY,
+        events TEXT NOT NULL DEFAULT '{}',
+        quiet_hours_start TEXT,
+        quiet_hours_end TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    console.log('✅ notification_preferences table ready');
+
+    const deliverAtColumn = await getRow(`
+      SELECT COUNT(*) as count
+      FROM pragma_table_info('notifications')
+      WHERE name = 'deliver_at'
+    `);
+
+    if (deliverAtColumn.count === 0) {
+      console.log('📝 Adding deliver_at column to notifications...');
+      await runQuery('ALTER TABLE notifications ADD COLUMN deliver_at DATETIME');
+      console.log('✅ deliver_at column added');
+    } else {
+      console.log('ℹ️ deliver_at column already exists');
+    }
+
+    console.log('🎉 Notification preferences migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    console.error('💡 This might happen if the database is locked or if you have insufficient permissions');
+    process.exit(1);
+  }
+}
+
+// Run migration if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateNotificationPreferences()
+    .then(() => {
+      console.log('\n✅ Migration completed! Notification preferences are now available.');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { migrateNotificationPreferences };
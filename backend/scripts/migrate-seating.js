@@ -0,0 +1,50 @@
+import { getRow, runQuery } from '../config/database.js';
+
+/**
+ * Migration script to add seating plans to an existing database
+ * Adds venues.layout, the seating grid used to generate seat allocations
+ * (the access_arrangements and seat_allocations tables are created on startup)
+ */
+
+async function migrateSeating() {
+  try {
+    console.log('🔄 Starting seating plan migration...');
+
+    const layoutColumn = await getRow(`
+      SELECT COUNT(*) as count
+      FROM pragma_table_info('venues')
+      WHERE name = 'layout'
+    `);
+
+    if (layoutColumn.count === 0) {
+      console.log('📝 Adding layout column to venues...');
+      await runQuery('ALTER TABLE venues ADD COLUMN layout TEXT');
+      console.log('✅ layout column added');
+    } else {
+      console.log('ℹ️ layout column already exists');
+    }
+
+    console.log('🎉 Seating plan migration completed successfully!');
+    console.log('📋 Set a layout on each exam venue via PUT /api/venues/:id before generating seating plans');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    console.error('💡 This might happen if the database is locked or if you have insufficient permissions');
+    process.exit(1);
+  }
+}
+
+// Run migration if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateSeating()
+    .then(() => {
+      console.log('\n✅ Migration completed! Seating plans are now available.');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { migrateSeating };
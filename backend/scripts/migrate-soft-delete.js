@@ -0,0 +1,56 @@
+import { getRow, runQuery } from '../config/database.js';
+
+/**
+ * Migration script to add soft delete and restore to an existing database
+ * Adds exams.deleted_at, exams.deleted_by and exams.deleted_status
+ */
+
+const COLUMNS = [
+  { name: 'deleted_at', definition: 'DATETIME' },
+  { name: 'deleted_by', definition: 'INTEGER' },
+  { name: 'deleted_status', definition: 'TEXT' }
+];
+
+async function migrateSoftDelete() {
+  try {
+    console.log('🔄 Starting soft delete migration...');
+
+    for (const column of COLUMNS) {
+      const existing = await getRow(`
+        SELECT COUNT(*) as count
+        FROM pragma_table_info('exams')
+        WHERE name = ?
+      `, [column.name]);
+
+      if (existing.count === 0) {
+        console.log(`📝 Adding ${column.name} column to exams...`);
+        await runQuery(`ALTER TABLE exams ADD COLUMN ${column.name} ${column.definition}`);
+        console.log(`✅ ${column.name} column added`);
+      } else {
+        console.log(`ℹ️ ${column.name} column already exists`);
+      }
+    }
+
+    console.log('🎉 Soft delete migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    console.error('💡 This might happen if the database is locked or if you have insufficient permissions');
+    process.exit(1);
+  }
+}
+
+// Run migration if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateSoftDelete()
+    .then(() => {
+      console.log('\n✅ Migration completed! Deleted exams can now be restored until they are purged.');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { migrateSoftDelete };
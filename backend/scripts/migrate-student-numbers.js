@@ -0,0 +1,58 @@
+import { getRow, runQuery } from '../config/database.js';
+
+/**
+ * Migration script to add registry student numbers to existing users table
+ * Run this script once before importing enrolment CSV files from the registry
+ */
+
+async function migrateStudentNumbers() {
+  try {
+    console.log('🔄 Starting student number migration...');
+
+    const studentNumberColumn = await getRow(`
+      SELECT COUNT(*) as count
+      FROM pragma_table_info('users')
+      WHERE name = 'student_number'
+    `);
+
+    if (studentNumberColumn.count === 0) {
+      // SQLite cannot add a UNIQUE column, so uniqueness comes from the index below
+      console.log('📝 Adding student_number column...');
+      await runQuery(`
+        ALTER TABLE users ADD COLUMN student_number TEXT
+      `);
+      console.log('✅ student_number column added');
+    } else {
+      console.log('ℹ️ student_number column already exists');
+    }
+
+    console.log('📝 Creating unique index for student numbers...');
+    await runQuery(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_users_student_number
+      ON users(student_number)
+    `);
+
+    console.log('🎉 Student number migration completed successfully!');
+    console.log('📋 Registry enrolment files can now be imported');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    console.error('💡 This might happen if the database is locked or if you have insufficient permissions');
+    process.exit(1);
+  }
+}
+
+// Run migration if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateStudentNumbers()
+    .then(() => {
+      console.log('\n✅ Migration completed! Bulk enrolment import is now available.');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { migrateStudentNumbers };
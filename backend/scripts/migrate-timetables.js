@@ -0,0 +1,164 @@
+import { getAllRows, getRow, runQuery } from '../config/database.js';
+
+/**
+ * Migration script to add timetable versions to an existing database
+ * Creates (or upgrades) the timetables table and rebuilds the exams table so
+ * exams can be held as drafts ('draft' status), grouped by timetable_id and
+ * linked to the live exam they revise through source_exam_id.
+ * SQLite cannot alter CHECK constraints, so affected tables are copied into
+ * new ones.
+ */
+
+// Copy a table into its replacement, keeping whichever columns both share
+async function copyTable(from, to) {
+  const targetColumns = (await getAllRows(`SELECT name FROM pragma_table_info('${to}')`)).map(column => column.name);
+  const columns = (await getAllRows(`SELECT name FROM pragma_table_info('${from}')`))
+    .map(column => column.name)
+    .filter(name => targetColumns.includes(name))
+    .join(', ');
+
+  await runQuery(`INSERT INTO ${to} (${columns}) SELECT ${columns} FROM ${from}`);
+}
+
+async function migrateTimetables() {
+  try {
+    console.log('🔄 Starting timetables migration...');
+
+    console.log('📝 Creating timetables table...');
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS timetables (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'under_review', 'published', 'archived')),
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        replaces_live BOOLEAN DEFAULT 0,
+        seed INTEGER,
+        settings TEXT,
+        report TEXT,
+        created_by INTEGER NOT NULL,
+        submitted_by INTEGER,
+        submitted_at DATETIME,
+        review_note TEXT,
+        published_by INTEGER,
+        published_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id),
+        FOREIGN KEY (submitted_by) REFERENCES users (id),
+        FOREIGN KEY (published_by) REFERENCES users (id)
+      )
+    `);
+
+    const timetables = await getRow(`
+      SELECT sql FROM sqlite_master
+      WHERE type = 'table' AND name = 'timetables'
+    `);
+    const exams = await getRow(`
+      SELECT sql FROM sqlite_master
+      WHERE type = 'table' AND name = 'exams'
+    `);
+
+    if (timetables.sql.includes('under_review') && exams.sql.includes('source_exam_id')) {
+      console.log('ℹ️ timetables and exams tables are already up to date');
+      return;
+    }
+
+    console.log('📝 Rebuilding timetables and exams tables...');
+
+    // Other tables reference exams; keep their rows while the table is swapped
+    await runQuery('PRAGMA foreign_keys = OFF');
+    await runQuery('BEGIN TRANSACTION');
+
+    try {
+      if (!timetables.sql.includes('under_review')) {
+        await runQuery(`
+          CREATE TABLE timetables_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'under_review', 'published', 'archived')),
+            start_date DATE NOT NULL,
+            end_date DATE NOT NULL,
+            replaces_live BOOLEAN DEFAULT 0,
+            seed INTEGER,
+            settings TEXT,
+            report TEXT,
+            created_by INTEGER NOT NULL,
+            submitted_by INTEGER,
+            submitted_at DATETIME,
+            review_note TEXT,
+            published_by INTEGER,
+            published_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (created_by) REFERENCES users (id),
+            FOREIGN KEY (submitted_by) REFERENCES users (id),
+            FOREIGN KEY (published_by) REFERENCES users (id)
+          )
+        `);
+        await copyTable('timetables', 'timetables_new');
+        await runQuery('DROP TABLE timetables');
+        await runQuery('ALTER TABLE timetables_new RENAME TO timetables');
+      }
+
+      await runQuery(`
+        CREATE TABLE exams_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          course_code TEXT NOT NULL,
+          course_name TEXT NOT NULL,
+          date DATE NOT NULL,
+          time TIME NOT NULL,
+          venue TEXT NOT NULL,
+          venue_id INTEGER,
+          duration INTEGER NOT NULL CHECK (duration > 0),
+          status TEXT DEFAULT 'upcoming' CHECK (status IN ('draft', 'upcoming', 'ongoing', 'completed', 'cancelled')),
+          timetable_id INTEGER,
+          source_exam_id INTEGER,
+          created_by INTEGER NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (created_by) REFERENCES users (id),
+          FOREIGN KEY (venue_id) REFERENCES venues (id),
+          FOREIGN KEY (timetable_id) REFERENCES timetables (id)
+        )
+      `);
+
+      // venue_id only exists once migrate:venues has run
+      await copyTable('exams', 'exams_new');
+      await runQuery('DROP TABLE exams');
+      await runQuery('ALTER TABLE exams_new RENAME TO exams');
+      await runQuery('CREATE INDEX IF NOT EXISTS idx_exams_date ON exams(date)');
+      await runQuery('CREATE INDEX IF NOT EXISTS idx_exams_course_code ON exams(course_code)');
+
+      await runQuery('COMMIT');
+    } catch (error) {
+      await runQuery('ROLLBACK');
+      throw error;
+    } finally {
+      await runQuery('PRAGMA foreign_keys = ON');
+    }
+
+    console.log('✅ timetables and exams tables rebuilt');
+    console.log('🎉 Timetables migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    console.error('💡 This might happen if the database is locked or if you have insufficient permissions');
+    process.exit(1);
+  }
+}
+
+// Run migration if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateTimetables()
+    .then(() => {
+      console.log('\n✅ Migration completed! Timetable versions are now available.');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { migrateTimetables };
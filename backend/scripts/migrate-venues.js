@@ -0,0 +1,83 @@
+import { getRow, runQuery } from '../config/database.js';
+
+/**
+ * Migration script to add the venue registry to an existing database
+ * Creates the venues table, adds exams.venue_id and registers every venue
+ * name already used by an exam (capacity is left empty until an admin sets it)
+ */
+
+async function migrateVenues() {
+  try {
+    console.log('🔄 Starting venue registry migration...');
+
+    console.log('📝 Creating venues table...');
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS venues (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        building TEXT,
+        room TEXT,
+        capacity INTEGER CHECK (capacity > 0),
+        exam_capacity INTEGER CHECK (exam_capacity > 0),
+        features TEXT DEFAULT '[]',
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ venues table ready');
+
+    const venueIdColumn = await getRow(`
+      SELECT COUNT(*) as count
+      FROM pragma_table_info('exams')
+      WHERE name = 'venue_id'
+    `);
+
+    if (venueIdColumn.count === 0) {
+      console.log('📝 Adding venue_id column to exams...');
+      await runQuery(`
+        ALTER TABLE exams ADD COLUMN venue_id INTEGER REFERENCES venues (id)
+      `);
+      console.log('✅ venue_id column added');
+    } else {
+      console.log('ℹ️ venue_id column already exists');
+    }
+
+    console.log('📝 Registering venues used by existing exams...');
+    const registered = await runQuery(`
+      INSERT OR IGNORE INTO venues (name)
+      SELECT DISTINCT TRIM(venue) FROM exams WHERE TRIM(venue) != ''
+    `);
+    console.log(`✅ ${registered.changes} venue(s) registered`);
+
+    const linked = await runQuery(`
+      UPDATE exams
+      SET venue_id = (SELECT v.id FROM venues v WHERE v.name = TRIM(exams.venue))
+      WHERE venue_id IS NULL
+    `);
+    console.log(`✅ ${linked.changes} exam(s) linked to venues`);
+
+    console.log('🎉 Venue registry migration completed successfully!');
+    console.log('📋 Set capacity and features on the registered venues via PUT /api/venues/:id');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    console.error('💡 This might happen if the database is locked or if you have insufficient permissions');
+    process.exit(1);
+  }
+}
+
+// Run migration if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateVenues()
+    .then(() => {
+      console.log('\n✅ Migration completed! Venue capacity checks are now available.');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { migrateVenues };
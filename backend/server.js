@@ -8,19 +8,33 @@ import { fileURLToPath } from 'url';
 
 // Import routes
 import authRoutes from './routes/auth.js';
-import examRoutes from './routes/exams.js';
+import examRoutes, { startExamPurgeJob } from './routes/exams.js';
 import notificationRoutes from './routes/notifications.js';
 import dashboardRoutes from './routes/dashboard.js';
 import exportRoutes from './routes/export.js';
 import aiAssistantRoutes from './routes/ai-assistant.js';
 import calendarRoutes from './routes/calendar.js';
 import offlineSyncRoutes from './routes/offline-sync.js';
+import courseRoutes from './routes/courses.js';
+import conflictRoutes from './routes/conflicts.js';
+import venueRoutes from './routes/venues.js';
+import timetableRoutes from './routes/timetables.js';
+import reminderRoutes, { startReminderScheduler } from './routes/reminders.js';
+import emailRoutes, { startEmailQueue } from './routes/email.js';
+import eventRoutes from './routes/events.js';
+import invigilatorRoutes from './routes/invigilators.js';
+import blackoutDateRoutes from './routes/blackout-dates.js';
+import seatingRoutes from './routes/seating.js';
+import examRequestRoutes from './routes/exam-requests.js';
+import auditRoutes from './routes/audit.js';
 
 // Import middleware
 import { authenticateToken, optionalAuth } from './middleware/auth.js';
 
 // Import database initialization
 import { initializeDatabase } from './config/database.js';
+import { config } from './config/environment.js';
+import { describeMailTransport, isMailConfigured } from './config/mailer.js';
 
 // Load environment variables
 dotenv.config();
@@ -89,6 +103,18 @@ app.use('/api/export', exportRoutes);
 app.use('/api/ai-assistant', aiAssistantRoutes);
 app.use('/api/calendar', calendarRoutes);
 app.use('/api/offline-sync', offlineSyncRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/conflicts', conflictRoutes);
+app.use('/api/venues', venueRoutes);
+app.use('/api/timetables', timetableRoutes);
+app.use('/api/reminders', reminderRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/invigilators', invigilatorRoutes);
+app.use('/api/blackout-dates', blackoutDateRoutes);
+app.use('/api/seating', seatingRoutes);
+app.use('/api/exam-requests', examRequestRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Protected routes that require authentication
 app.get('/api/profile', authenticateToken, (req, res) => {
@@ -149,6 +175,22 @@ async function startServer() {
       console.log(`📊 Health check: http://localhost:${PORT}/health`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // Send exam reminders in the background (catches up on missed ones first)
+    if (config.REMINDERS_ENABLED) {
+      startReminderScheduler();
+      console.log(`🔔 Exam reminders every ${config.REMINDER_INTERVAL_MS / 1000}s at ${config.REMINDER_OFFSETS_MINUTES.join(', ')} minutes before each exam`);
+    }
+
+    // Permanently delete exams whose restore window has passed
+    startExamPurgeJob();
+    console.log(`🗑️ Deleted exams purged after ${config.EXAM_RESTORE_DAYS} days`);
+
+    // Deliver queued notification emails, retrying failed sends
+    if (isMailConfigured()) {
+      await startEmailQueue();
+      console.log(`📧 Email queue running every ${config.EMAIL_QUEUE_INTERVAL_MS / 1000}s via ${describeMailTransport()}`);
+    }
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,166 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+
+// Mock the database module
+jest.mock('../config/database.js', () => ({
+  runQuery: jest.fn(),
+  getRow: jest.fn(),
+  getAllRows: jest.fn(),
+  initializeDatabase: jest.fn().mockResolvedValue()
+}));
+
+// Mock auth middleware (role is switched per test through mockRole)
+let mockRole = 'admin';
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1, email: 'admin@example.com', role: mockRole };
+    next();
+  },
+  requireAdmin: (req, res, next) => {
+    if (req.user.role === 'admin') {
+      next();
+    } else {
+      res.status(403).json({ error: 'Insufficient permissions' });
+    }
+  }
+}));
+
+// Import after mocking
+import auditRoutes, { diffExam, getExamHistory, recordExamChange } from '../routes/audit.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/audit', auditRoutes);
+
+// Import mocked modules
+import { runQuery, getRow, getAllRows } from '../config/database.js';
+
+const exam = (overrides = {}) => ({
+  id: 1,
+  course_code: 'CS101',
+  course_name: 'Computer Science',
+  date: '2024-06-10',
+  time: '09:00',
+  venue: 'Main Hall',
+  venue_id: 3,
+  duration: 120,
+  status: 'upcoming',
+  timetable_id: null,
+  original_exam_id: null,
+  created_by: 2,
+  updated_at: '2024-05-01 10:00:00',
+  ...overrides
+});
+
+const entry = (overrides = {}) => ({
+  id: 4,
+  exam_id: 1,
+  course_code: 'CS101',
+  action: 'updated',
+  source: 'api',
+  actor_id: 2,
+  actor_name: 'Lee Lecturer',
+  actor_role: 'lecturer',
+  changes: '{"date":{"from":"2024-06-10","to":"2024-06-11"}}',
+  created_at: '2024-05-02 09:00:00',
+  ...overrides
+});
+
+describe('Audit API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRole = 'admin';
+  });
+
+  describe('diffExam', () => {
+    it('should only report audited fields that changed', () => {
+      const changes = diffExam(exam(), exam({ date: '2024-06-11', venue_id: null, updated_at: '2024-05-02 09:00:00' }));
+
+      expect(changes).toEqual({
+        date: { from: '2024-06-10', to: '2024-06-11' },
+        venue_id: { from: 3, to: null }
+      });
+    });
+
+    it('should treat a missing row as every field being null', () => {
+      const changes = diffExam(null, exam());
+
+      expect(changes.course_code).toEqual({ from: null, to: 'CS101' });
+      expect(changes).not.toHaveProperty('timetable_id');
+      expect(changes).not.toHaveProperty('created_by');
+    });
+  });
+
+  describe('recordExamChange', () => {
+    it('should record a deletion with the exam\'s last values', async () => {
+      runQuery.mockResolvedValueOnce({ lastID: 9, changes: 1 });
+
+      const id = await recordExamChange({ before: exam(), actorId: 2, source: 'offline_sync' });
+
+      expect(id).toBe(9);
+      const [, params] = runQuery.mock.calls[0];
+      expect(params.slice(0, 5)).toEqual([1, 'CS101', 'deleted', 'offline_sync', 2]);
+      expect(JSON.parse(params[5]).date).toEqual({ from: '2024-06-10', to: null });
+    });
+
+    it('should skip updates that change nothing', async () => {
+      const id = await recordExamChange({ before: exam(), after: exam({ updated_at: '2024-05-02 09:00:00' }) });
+
+      expect(id).toBeNull();
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getExamHistory', () => {
+    it('should leave out who made each change when asked', async () => {
+      getAllRows.mockResolvedValueOnce([entry()]);
+
+      const history = await getExamHistory(1, { includeActor: false });
+
+      expect(history[0].changes.date.to).toBe('2024-06-11');
+      expect(history[0]).not.toHaveProperty('actor_id');
+      expect(history[0]).not.toHaveProperty('actor_name');
+    });
+  });
+
+  describe('GET /api/audit/exams', () => {
+    it('should filter by source, changed field and period', async () => {
+      getAllRows.mockResolvedValueOnce([entry({ source: 'import' })]);
+      getRow.mockResolvedValueOnce({ count: 1 });
+
+      const response = await request(app)
+        .get('/api/audit/exams?source=import&field=date&from=2024-05-01&to=2024-05-31');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0].changes).toEqual({ date: { from: '2024-06-10', to: '2024-06-11' } });
+      expect(response.body.pagination).toMatchObject({ total: 1, page: 1, limit: 50 });
+      expect(getAllRows).toHaveBeenCalledWith(
+        expect.stringContaining('json_each(l.changes)'),
+        ['import', 'date', '2024-05-01', '2024-05-31', 50, 0]
+      );
+    });
+
+    it('should reject unknown sources', async () => {
+      const response = await request(app)
+        .get('/api/audit/exams?source=console');
+
+      expect(response.status).toBe(400);
+      expect(getAllRows).not.toHaveBeenCalled();
+    });
+
+    it('should be admin only', async () => {
+      mockRole = 'lecturer';
+
+      const response = await request(app)
+        .get('/api/audit/exams');
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -24,6 +24,33 @@ jest.mock('jsonwebtoken', () => ({
   verify: jest.fn().mockReturnValue({ id: 1, email: 'test@example.com', role: 'student' })
 }));
 
+// Mock auth middleware (the token belongs to session 3; verification is
+// switched per test through mockEmailVerified)
+let mockEmailVerified = true;
+const mockAuthenticate = (req, res, next) => {
+  req.user = { id: 1, email: 'test@example.com', role: 'student', sessionId: 3, emailVerified: mockEmailVerified };
+  next();
+};
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: mockAuthenticate,
+  authenticateUnverified: mockAuthenticate,
+  isSessionActive: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock live event streams
+jest.mock('../routes/events.js', () => ({
+  closeSessionStreams: jest.fn()
+}));
+
+// Mock the mailer and direct email sending
+jest.mock('../config/mailer.js', () => ({
+  isMailConfigured: jest.fn().mockReturnValue(false)
+}));
+
+jest.mock('../routes/email.js', () => ({
+  sendEmailNow: jest.fn().mockResolvedValue('message-1')
+}));
+
 // Import after mocking
 import authRoutes from '../routes/auth.js';
 
@@ -38,10 +65,17 @@ app.use('/api/auth', authRoutes);
 import { runQuery, getRow, getAllRows } from '../config/database.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import { isMailConfigured } from '../config/mailer.js';
+import { sendEmailNow } from '../routes/email.js';
+import { closeSessionStreams } from '../routes/events.js';
+
+// Let work started after the response has been sent finish
+const flushBackgroundWork = () => new Promise(resolve => setImmediate(resolve));
 
 describe('Authentication API', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockEmailVerified = true;
   });
 
   describe('POST /api/auth/register', () => {
@@ -69,6 +103,21 @@ describe('Authentication API', () => {
       expect(response.body.data).toHaveProperty('token');
     });
 
+    it('should leave the account unverified and email a link when mail is configured', async () => {
+      isMailConfigured.mockReturnValueOnce(true);
+      getRow.mockResolvedValue(null);
+      runQuery.mockResolvedValue({ lastID: 4, changes: 1 });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'new@example.com', password: 'password123', firstName: 'New', lastName: 'User' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.user.emailVerified).toBe(false);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO user_tokens'), [4, 'email_verification', expect.any(String), '+48 hours']);
+      expect(sendEmailNow).toHaveBeenCalledWith(4, expect.objectContaining({ message: expect.stringContaining('/verify-email?token=') }));
+    });
+
     it('should return error for existing email', async () => {
       const userData = {
         email: 'existing@example.com',
@@ -218,4 +267,208 @@ describe('Authentication API', () => {
       expect(response.body.error).toBe('Invalid or expired token');
     });
   });
+
+  describe('POST /api/auth/refresh', () => {
+    const storedToken = (overrides = {}) => ({
+      id: 10,
+      used_at: null,
+      session_id: 3,
+      revoked_at: null,
+      unexpired: 1,
+      user_id: 1,
+      email: 'test@example.com',
+      first_name: 'Test',
+      last_name: 'User',
+      role: 'student',
+      is_active: 1,
+      ...overrides
+    });
+
+    it('should rotate the refresh token', async () => {
+      getRow.mockResolvedValueOnce(storedToken());
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'abc' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.token).toBe('mock-jwt-token');
+      expect(response.body.refreshToken).toMatch(/^[0-9a-f]{96}$/);
+      expect(jwt.sign).toHaveBeenCalledWith(expect.objectContaining({ userId: 1, sessionId: 3 }), expect.any(String), expect.any(Object));
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('SET used_at = CURRENT_TIMESTAMP'), [10]);
+      expect(runQuery).toHaveBeenCalledWith('INSERT INTO refresh_tokens (session_id, token_hash) VALUES (?, ?)', [3, expect.any(String)]);
+    });
+
+    it('should revoke the whole session when a used token comes back', async () => {
+      getRow.mockResolvedValueOnce(storedToken({ used_at: '2024-05-01 10:00:00' }));
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'abc' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Refresh token reuse detected');
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('revoked_reason = ?'), ['reuse_detected', 1, 3]);
+      expect(runQuery).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO refresh_tokens'), expect.anything());
+    });
+
+    it('should refuse tokens of a signed-out session', async () => {
+      getRow.mockResolvedValueOnce(storedToken({ revoked_at: '2024-05-01 10:00:00' }));
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'abc' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Session expired');
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sessions', () => {
+    it('should sign out every session on logout-all', async () => {
+      runQuery.mockResolvedValueOnce({ changes: 2 });
+
+      const response = await request(app)
+        .post('/api/auth/logout-all');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('revoked_at IS NULL'), ['logout_all', 1]);
+      expect(closeSessionStreams).toHaveBeenCalledWith(1, { sessionId: null });
+    });
+
+    it('should mark the current session in the listing', async () => {
+      getAllRows.mockResolvedValueOnce([{ id: 3, user_agent: 'Firefox' }, { id: 5, user_agent: 'Safari' }]);
+
+      const response = await request(app)
+        .get('/api/auth/sessions');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(session => session.current)).toEqual([true, false]);
+    });
+
+    it('should return 404 when signing out someone else\'s session', async () => {
+      runQuery.mockResolvedValueOnce({ changes: 0 });
+
+      const response = await request(app)
+        .delete('/api/auth/sessions/9');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('password reset', () => {
+    it('should email a reset link to an existing account', async () => {
+      isMailConfigured.mockReturnValueOnce(true);
+      getRow.mockResolvedValueOnce({ id: 1 });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      expect(response.status).toBe(200);
+      await flushBackgroundWork();
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM user_tokens'), [1, 'password_reset']);
+      expect(sendEmailNow).toHaveBeenCalledWith(1, expect.objectContaining({ message: expect.stringContaining('/reset-password?token=') }));
+    });
+
+    it('should answer the same for unknown emails without sending anything', async () => {
+      isMailConfigured.mockReturnValueOnce(true);
+      getRow.mockResolvedValueOnce(null);
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toMatch(/If an account exists/);
+      await flushBackgroundWork();
+      expect(sendEmailNow).not.toHaveBeenCalled();
+    });
+
+    it('should return 503 when no mail transport is configured', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      expect(response.status).toBe(503);
+    });
+
+    it('should set the new password and sign out every session', async () => {
+      getRow.mockResolvedValueOnce({ id: 20, user_id: 1 });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'abc', password: 'newpassword' });
+
+      expect(response.status).toBe(200);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('SET used_at = CURRENT_TIMESTAMP'), [20]);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('SET password_hash = ?'), ['hashedpassword', 1]);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('revoked_reason = ?'), ['password_reset', 1]);
+    });
+
+    it('should refuse a token that was already used or expired', async () => {
+      getRow.mockResolvedValueOnce(null);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'abc', password: 'newpassword' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Reset link is invalid or has expired');
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('email verification', () => {
+    it('should verify the email with a valid token', async () => {
+      getRow.mockResolvedValueOnce({ id: 21, user_id: 1 });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: 'abc' });
+
+      expect(response.status).toBe(200);
+      expect(getRow).toHaveBeenCalledWith(expect.stringContaining('t.expires_at > datetime(\'now\')'), [expect.any(String), 'email_verification']);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('email_verified_at = COALESCE'), [1]);
+    });
+
+    it('should lose the race when the token is redeemed twice at once', async () => {
+      getRow.mockResolvedValueOnce({ id: 21, user_id: 1 });
+      runQuery.mockResolvedValueOnce({ changes: 0 });
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: 'abc' });
+
+      expect(response.status).toBe(400);
+      expect(runQuery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not resend to an account that is already verified', async () => {
+      const response = await request(app)
+        .post('/api/auth/resend-verification');
+
+      expect(response.status).toBe(409);
+      expect(sendEmailNow).not.toHaveBeenCalled();
+    });
+
+    it('should resend the verification email', async () => {
+      mockEmailVerified = false;
+      isMailConfigured.mockReturnValueOnce(true);
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification');
+
+      expect(response.status).toBe(200);
+      expect(sendEmailNow).toHaveBeenCalledWith(1, expect.objectContaining({ title: 'Verify your email address' }));
+    });
+  });
 });
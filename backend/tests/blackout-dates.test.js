@@ -0,0 +1,128 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+
+// Mock the database module
+jest.mock('../config/database.js', () => ({
+  runQuery: jest.fn(),
+  getRow: jest.fn(),
+  getAllRows: jest.fn(),
+  initializeDatabase: jest.fn().mockResolvedValue()
+}));
+
+// Mock auth middleware
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1, email: 'admin@example.com', role: 'admin' };
+    next();
+  },
+  requireAdmin: (req, res, next) => next()
+}));
+
+// Import after mocking
+import blackoutDateRoutes, { detectCalendarConflicts } from '../routes/blackout-dates.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/blackout-dates', blackoutDateRoutes);
+
+// Import mocked modules
+import { runQuery, getRow, getAllRows } from '../config/database.js';
+
+const blackout = (overrides = {}) => ({
+  id: 1,
+  name: 'Christmas Day',
+  category: 'public_holiday',
+  start_date: '2024-12-25',
+  end_date: '2024-12-25',
+  policy: 'block',
+  notes: null,
+  ...overrides
+});
+
+const exam = { id: 5, course_code: 'CS101', date: '2024-12-25', time: '09:00', duration: 120 };
+
+describe('Blackout Dates API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/blackout-dates', () => {
+    it('should create a blackout date and list the exams already in it', async () => {
+      runQuery.mockResolvedValueOnce({ lastID: 1 });
+      getRow.mockResolvedValueOnce(blackout());
+      getAllRows.mockResolvedValueOnce([{ id: 5, course_code: 'CS101', date: '2024-12-25', time: '09:00' }]);
+
+      const response = await request(app)
+        .post('/api/blackout-dates')
+        .send({ name: 'Christmas Day', category: 'public_holiday', startDate: '2024-12-25' });
+
+      expect(response.status).toBe(201);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO blackout_dates'), [
+        'Christmas Day', 'public_holiday', '2024-12-25', '2024-12-25', 'block', null, 1
+      ]);
+      expect(response.body.affectedExams).toHaveLength(1);
+    });
+
+    it('should reject periods that end before they start', async () => {
+      const response = await request(app)
+        .post('/api/blackout-dates')
+        .send({ name: 'Closure', startDate: '2024-12-27', endDate: '2024-12-24' });
+
+      expect(response.status).toBe(400);
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/blackout-dates/:id', () => {
+    it('should return 404 for an unknown blackout date', async () => {
+      runQuery.mockResolvedValueOnce({ changes: 0 });
+
+      const response = await request(app)
+        .delete('/api/blackout-dates/99');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('detectCalendarConflicts', () => {
+    it('should block exams on a blackout date with the block policy', async () => {
+      getAllRows
+        .mockResolvedValueOnce([blackout(), blackout({ id: 2, name: 'Winter break', start_date: '2024-12-20', end_date: '2025-01-03', policy: 'warn' })])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+
+      const [conflicts] = await detectCalendarConflicts([exam]);
+
+      expect(conflicts.map(c => [c.conflictType, c.severity, c.blocking])).toEqual([
+        ['blackout_date', 'error', true],
+        ['blackout_date', 'warning', false]
+      ]);
+      expect(conflicts[1].description).toBe('CS101 falls on Winter break (2024-12-20 to 2025-01-03)');
+    });
+
+    it('should warn when the lecturer or an invigilator is unavailable', async () => {
+      getAllRows
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ code: 'CS101', id: 2, name: 'Ada Lovelace' }])
+        .mockResolvedValueOnce([{ exam_id: 5, id: 3, name: 'Alan Turing' }])
+        .mockResolvedValueOnce([
+          { user_id: 2, start_at: '2024-12-25 12:00', end_at: '2024-12-25 17:00', reason: null },
+          { user_id: 3, start_at: '2024-12-24 00:00', end_at: '2024-12-26 00:00', reason: 'Leave' }
+        ]);
+
+      const [conflicts] = await detectCalendarConflicts([exam]);
+
+      expect(conflicts).toEqual([expect.objectContaining({
+        conflictType: 'staff_unavailable',
+        severity: 'warning',
+        staff: { id: 3, name: 'Alan Turing', role: 'invigilator' }
+      })]);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+
+// Mock the database module
+jest.mock('../config/database.js', () => ({
+  runQuery: jest.fn(),
+  getRow: jest.fn(),
+  getAllRows: jest.fn(),
+  initializeDatabase: jest.fn().mockResolvedValue()
+}));
+
+// Mock auth middleware
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1, email: 'test@example.com', role: 'student' };
+    next();
+  }
+}));
+
+// Mock Google APIs
+jest.mock('googleapis', () => ({
+  google: {
+    auth: {
+      OAuth2: jest.fn().mockImplementation(() => ({ setCredentials: jest.fn() }))
+    },
+    calendar: jest.fn()
+  }
+}));
+
+// Mock notifications and live event publishing
+jest.mock('../routes/notifications.js', () => ({
+  createNotification: jest.fn().mockResolvedValue(1),
+  createExamNotification: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../routes/events.js', () => ({
+  publishEvent: jest.fn().mockResolvedValue(),
+  publishExamEvent: jest.fn().mockResolvedValue()
+}));
+
+// Import after mocking
+import calendarRoutes, { generateICalendar, removeExamsFromCalendars } from '../routes/calendar.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/calendar', calendarRoutes);
+
+// Import mocked modules
+import { runQuery, getRow, getAllRows } from '../config/database.js';
+import { google } from 'googleapis';
+
+const exam = (overrides = {}) => ({
+  id: 12,
+  course_code: 'CS101',
+  course_name: 'Computer Science',
+  date: '2024-06-10',
+  time: '09:00',
+  venue: 'Main Hall',
+  duration: 120,
+  status: 'upcoming',
+  revision: 0,
+  created_at: '2024-05-01 10:00:00',
+  updated_at: '2024-05-01 10:00:00',
+  ...overrides
+});
+
+describe('Calendar API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generateICalendar', () => {
+    it('should give each exam a stable UID and reminder alarms', () => {
+      const ics = generateICalendar([exam()]);
+
+      expect(ics).toMatch(/^BEGIN:VCALENDAR\r\n/);
+      expect(ics).toContain('UID:exam-12@examsync\r\n');
+      expect(ics).toContain('SEQUENCE:0\r\n');
+      expect(ics).toContain('STATUS:CONFIRMED\r\n');
+      expect(ics).toContain('TRIGGER:-PT60M\r\n');
+      expect(ics).toContain('TRIGGER:-PT1440M\r\n');
+    });
+
+    it('should bump SEQUENCE when an exam is updated', () => {
+      const ics = generateICalendar([exam({ revision: 2, updated_at: '2024-05-01 10:05:00' })]);
+
+      expect(ics).toContain('SEQUENCE:2\r\n');
+    });
+
+    it('should mark cancelled exams as cancelled without alarms', () => {
+      const ics = generateICalendar([exam({ status: 'cancelled' })]);
+
+      expect(ics).toContain('STATUS:CANCELLED\r\n');
+      expect(ics).not.toContain('BEGIN:VALARM');
+    });
+
+    it('should escape text and fold long lines', () => {
+      const ics = generateICalendar([exam({ course_name: 'Data, Structures; and Algorithms for Large Scale Distributed Systems' })]);
+
+      expect(ics).toContain('Data\\, Structures\\; and');
+      expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    });
+
+    it('should extend the event by a student\'s extra time', () => {
+      const standard = generateICalendar([exam()]);
+      const extended = generateICalendar([exam()], { arrangement: { extraTimePercent: 25, separateRoom: true } });
+
+      const dtend = (ics) => ics.match(/DTEND:(\d{8}T\d{6}Z)/)[1];
+      const minutes = (value) => Date.parse(value.replace(/(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z/, '$1-$2-$3T$4:$5:$6Z')) / 60000;
+
+      expect(minutes(dtend(extended)) - minutes(dtend(standard))).toBe(30);
+      expect(extended).toContain('Extra time: 30 minutes (ends 11:30)');
+      expect(extended).toContain('Room: Separate room');
+    });
+  });
+
+  describe('GET /api/calendar/ics', () => {
+    it('should download the visible exams as an .ics file', async () => {
+      getAllRows.mockResolvedValueOnce([exam()]);
+
+      const response = await request(app)
+        .get('/api/calendar/ics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/calendar');
+      expect(response.text).toContain('UID:exam-12@examsync');
+      expect(getAllRows).toHaveBeenCalledWith(expect.stringContaining("e.status != 'draft'"), [1, 1, 1]);
+    });
+  });
+
+  describe('GET /api/calendar/feed', () => {
+    it('should create a subscription URL on first use', async () => {
+      getRow
+        .mockResolvedValueOnce(undefined)
+        .mockResolvedValueOnce({ user_id: 1, token: 'abc123', created_at: '2024-05-01 10:00:00', last_accessed_at: null });
+      runQuery.mockResolvedValueOnce({ changes: 1 });
+
+      const response = await request(app)
+        .get('/api/calendar/feed');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.url).toMatch(/\/api\/calendar\/feed\/abc123\.ics$/);
+      expect(response.body.data.webcalUrl).toMatch(/^webcal:/);
+    });
+  });
+
+  describe('GET /api/calendar/feed/:token.ics', () => {
+    it('should serve the feed for a valid token', async () => {
+      getRow.mockResolvedValueOnce({ id: 1, role: 'student' });
+      runQuery.mockResolvedValueOnce({ changes: 1 });
+      getAllRows.mockResolvedValueOnce([exam()]);
+
+      const response = await request(app)
+        .get('/api/calendar/feed/abc123.ics');
+
+      expect(response.status).toBe(200);
+      expect(getRow).toHaveBeenCalledWith(expect.stringContaining('f.token = ?'), ['abc123']);
+      expect(response.text).toContain('BEGIN:VEVENT');
+    });
+
+    it('should return 404 for an unknown token', async () => {
+      getRow.mockResolvedValueOnce(undefined);
+
+      const response = await request(app)
+        .get('/api/calendar/feed/unknown.ics');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('removeExamsFromCalendars', () => {
+    it('should delete the purged exams\' events from connected calendars', async () => {
+      const events = {
+        list: jest.fn().mockResolvedValue({ data: { items: [{ id: 'evt1' }] } }),
+        delete: jest.fn().mockResolvedValue({})
+      };
+      google.calendar.mockReturnValue({ events });
+      getAllRows.mockResolvedValueOnce([{ id: 4, google_tokens: '{"access_token":"t"}' }]);
+
+      const results = await removeExamsFromCalendars([12]);
+
+      expect(results).toEqual([{ userId: 4, success: true, removed: 1 }]);
+      expect(events.list).toHaveBeenCalledWith(expect.objectContaining({ q: 'ExamSync-12' }));
+      expect(events.delete).toHaveBeenCalledWith({ calendarId: 'primary', eventId: 'evt1' });
+    });
+  });
+});
@@ -0,0 +1,278 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+
+// Mock the database module
+jest.mock('../config/database.js', () => ({
+  runQuery: jest.fn(),
+  getRow: jest.fn(),
+  getAllRows: jest.fn(),
+  initializeDatabase: jest.fn().mockResolvedValue()
+}));
+
+// Mock auth middleware
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1, email: 'lecturer@example.com', role: 'lecturer' };
+    next();
+  },
+  requireAdmin: (req, res, next) => {
+    res.status(403).json({ error: 'Insufficient permissions' });
+  },
+  requireLecturerOrAdmin: (req, res, next) => next()
+}));
+
+// Mock notifications
+jest.mock('../routes/notifications.js', () => ({
+  createExamNotification: jest.fn().mockResolvedValue()
+}));
+
+// Mock live event publishing
+jest.mock('../routes/events.js', () => ({
+  publishEvent: jest.fn().mockResolvedValue(),
+  publishExamEvent: jest.fn().mockResolvedValue()
+}));
+
+// Import after mocking
+import conflictRoutes, {
+  detectPairConflict,
+  detectStudentConflicts,
+  detectStudentOverloads,
+  refreshExamConflicts
+} from '../routes/conflicts.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/conflicts', conflictRoutes);
+
+// Import mocked modules
+import { runQuery, getRow, getAllRows } from '../config/database.js';
+import { createExamNotification } from '../routes/notifications.js';
+
+const exam = (overrides = {}) => ({
+  id: 1,
+  course_code: 'CS101',
+  course_name: 'Computer Science',
+  date: '2024-02-15',
+  time: '10:00',
+  venue: 'Room 101',
+  duration: 120,
+  status: 'upcoming',
+  created_by: 1,
+  ...overrides
+});
+
+const student = (id) => ({ id, name: `Student ${id}`, email: `s${id}@example.com`, studentNumber: `S${id}` });
+
+const enrolments = (byCourse) => new Map(
+  Object.entries(byCourse).map(([code, ids]) => [code, new Map(ids.map(id => [id, student(id)]))])
+);
+
+describe('Conflicts API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('detectPairConflict', () => {
+    it('should flag overlapping exams in the same venue as errors', () => {
+      const conflict = detectPairConflict(exam(), exam({ id: 2, course_code: 'MATH201', time: '11:00' }));
+
+      expect(conflict.conflictType).toBe('both');
+      expect(conflict.severity).toBe('error');
+    });
+
+    it('should flag overlapping exams in different venues as warnings', () => {
+      const conflict = detectPairConflict(exam(), exam({ id: 2, time: '11:00', venue: 'Hall A' }));
+
+      expect(conflict.conflictType).toBe('time_overlap');
+      expect(conflict.severity).toBe('warning');
+    });
+
+    it('should ignore back-to-back exams', () => {
+      expect(detectPairConflict(exam(), exam({ id: 2, time: '12:00' }))).toBeNull();
+    });
+  });
+
+  describe('detectStudentConflicts', () => {
+    it('should flag shared students sitting overlapping exams', () => {
+      const conflicts = detectStudentConflicts(
+        exam(),
+        [exam({ id: 2, course_code: 'MATH201', time: '11:00', venue: 'Hall A' })],
+        enrolments({ CS101: [5, 6], MATH201: [6, 7] })
+      );
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].conflictType).toBe('student_clash');
+      expect(conflicts[0].severity).toBe('error');
+      expect(conflicts[0].students.map(s => s.id)).toEqual([6]);
+    });
+
+    it('should warn about back-to-back exams for shared students', () => {
+      const conflicts = detectStudentConflicts(
+        exam(),
+        [exam({ id: 2, course_code: 'MATH201', time: '12:15' })],
+        enrolments({ CS101: [5], MATH201: [5] })
+      );
+
+      expect(conflicts[0].conflictType).toBe('back_to_back');
+      expect(conflicts[0].gapMinutes).toBe(15);
+    });
+
+    it('should use each student\'s extra time when checking for clashes', () => {
+      const byCourse = enrolments({ CS101: [5, 6], MATH201: [5, 6] });
+      byCourse.get('CS101').get(6).extraTimePercent = 25;
+
+      const conflicts = detectStudentConflicts(
+        exam(),
+        [exam({ id: 2, course_code: 'MATH201', time: '12:15' })],
+        byCourse
+      );
+
+      expect(conflicts.map(c => c.conflictType)).toEqual(['student_clash', 'back_to_back']);
+      expect(conflicts[0].students.map(s => s.id)).toEqual([6]);
+      expect(conflicts[0].description).toContain('once extra time is included');
+      expect(conflicts[1].students.map(s => s.id)).toEqual([5]);
+    });
+
+    it('should leave out students moved off either exam', () => {
+      const conflicts = detectStudentConflicts(
+        exam(),
+        [exam({ id: 2, course_code: 'MATH201', time: '11:00' })],
+        enrolments({ CS101: [5, 6], MATH201: [5, 6] }),
+        { movedOut: new Map([[1, new Set([5])], [2, new Set([6])]]), movedIn: new Map() }
+      );
+
+      expect(conflicts).toEqual([]);
+    });
+
+    it('should ignore exams without shared students', () => {
+      const conflicts = detectStudentConflicts(
+        exam(),
+        [exam({ id: 2, course_code: 'MATH201', time: '11:00' })],
+        enrolments({ CS101: [5], MATH201: [6] })
+      );
+
+      expect(conflicts).toEqual([]);
+    });
+  });
+
+  describe('detectStudentOverloads', () => {
+    it('should report students over the daily limit', () => {
+      const exams = [
+        exam(),
+        exam({ id: 2, course_code: 'MATH201', time: '13:00' }),
+        exam({ id: 3, course_code: 'PHY101', time: '16:00' })
+      ];
+
+      const overloads = detectStudentOverloads(
+        exams,
+        enrolments({ CS101: [5, 6], MATH201: [5], PHY101: [5] }),
+        2
+      );
+
+      expect(overloads).toHaveLength(1);
+      expect(overloads[0].student.id).toBe(5);
+      expect(overloads[0].examCount).toBe(3);
+    });
+  });
+
+  describe('refreshExamConflicts', () => {
+    it('should insert new conflicts and notify the exam owner', async () => {
+      getRow
+        .mockResolvedValueOnce(exam())
+        .mockResolvedValueOnce(null);
+      getAllRows
+        .mockResolvedValueOnce([exam({ id: 2, time: '11:00' })])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+      runQuery.mockResolvedValue({ lastID: 1, changes: 1 });
+
+      const count = await refreshExamConflicts(1);
+
+      expect(count).toBe(1);
+      expect(runQuery).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO exam_conflicts'),
+        [1, 2, 'both', 'error', '2024-02-15', expect.any(String), null]
+      );
+      expect(createExamNotification).toHaveBeenCalled();
+    });
+
+    it('should store the students affected by a student clash', async () => {
+      getRow
+        .mockResolvedValueOnce(exam())
+        .mockResolvedValueOnce(null);
+      getAllRows
+        .mockResolvedValueOnce([exam({ id: 2, course_code: 'MATH201', time: '12:10', created_by: 2 })])
+        .mockResolvedValueOnce([
+          { course_code: 'CS101', id: 5, name: 'Student 5', email: 's5@example.com', student_number: 'S5' },
+          { course_code: 'MATH201', id: 5, name: 'Student 5', email: 's5@example.com', student_number: 'S5' }
+        ])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+      runQuery.mockResolvedValue({ lastID: 1, changes: 1 });
+
+      await refreshExamConflicts(1, { notify: false });
+
+      expect(runQuery).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO exam_conflicts'),
+        [1, 2, 'back_to_back', 'warning', '2024-02-15', expect.any(String), '[5]']
+      );
+    });
+
+    it('should auto-resolve conflicts that no longer exist', async () => {
+      getRow.mockResolvedValueOnce(exam({ status: 'cancelled' }));
+      getAllRows.mockResolvedValueOnce([
+        { id: 7, exam1_id: 1, exam2_id: 2, conflict_type: 'both' }
+      ]);
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      await refreshExamConflicts(1);
+
+      expect(runQuery).toHaveBeenCalledWith(
+        expect.stringContaining("resolution_type = 'auto'"),
+        [7]
+      );
+    });
+  });
+
+  describe('PUT /api/conflicts/:id/resolve', () => {
+    it('should require a resolution note', async () => {
+      const response = await request(app)
+        .put('/api/conflicts/1/resolve')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('A resolution note is required');
+    });
+
+    it('should resolve an open conflict', async () => {
+      getRow
+        .mockResolvedValueOnce({ id: 1, resolved: 0 })
+        .mockResolvedValueOnce({ id: 1, resolved: 1, resolution_note: 'Moved to Hall B' });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .put('/api/conflicts/1/resolve')
+        .send({ note: 'Moved to Hall B' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.resolution_note).toBe('Moved to Hall B');
+    });
+
+    it('should return 404 for unknown conflicts', async () => {
+      getRow.mockResolvedValue(null);
+
+      const response = await request(app)
+        .put('/api/conflicts/99/resolve')
+        .send({ note: 'Done' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,298 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+
+// Mock the database module
+jest.mock('../config/database.js', () => ({
+  runQuery: jest.fn(),
+  getRow: jest.fn(),
+  getAllRows: jest.fn(),
+  initializeDatabase: jest.fn().mockResolvedValue()
+}));
+
+// Mock auth middleware (role is switched per test through mockRole)
+let mockRole = 'admin';
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1, email: 'test@example.com', role: mockRole };
+    next();
+  },
+  requireAdmin: (req, res, next) => {
+    if (req.user.role === 'admin') {
+      next();
+    } else {
+      res.status(403).json({ error: 'Insufficient permissions' });
+    }
+  },
+  requireLecturerOrAdmin: (req, res, next) => {
+    if (req.user.role === 'lecturer' || req.user.role === 'admin') {
+      next();
+    } else {
+      res.status(403).json({ error: 'Insufficient permissions' });
+    }
+  }
+}));
+
+// Mock live event publishing
+jest.mock('../routes/events.js', () => ({
+  publishEvent: jest.fn().mockResolvedValue(),
+  publishExamEvent: jest.fn().mockResolvedValue()
+}));
+
+// Mock conflict tracking
+jest.mock('../routes/conflicts.js', () => ({
+  refreshExamConflicts: jest.fn().mockResolvedValue(0)
+}));
+
+// Import after mocking
+import courseRoutes, { getExamVisibilityFilter } from '../routes/courses.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/courses', courseRoutes);
+
+// Import mocked modules
+import { runQuery, getRow, getAllRows } from '../config/database.js';
+import { refreshExamConflicts } from '../routes/conflicts.js';
+
+describe('Courses API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRole = 'admin';
+  });
+
+  describe('GET /api/courses', () => {
+    it('should return all courses', async () => {
+      getAllRows.mockResolvedValue([
+        { id: 1, code: 'CS101', name: 'Computer Science', enrollment_count: 2 }
+      ]);
+
+      const response = await request(app)
+        .get('/api/courses');
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveLength(1);
+    });
+
+    it('should filter to the current user enrolments', async () => {
+      getAllRows.mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/courses?mine=true');
+
+      expect(getAllRows).toHaveBeenCalledWith(
+        expect.stringContaining('FROM enrollments WHERE user_id = ?'),
+        [1]
+      );
+    });
+  });
+
+  describe('POST /api/courses', () => {
+    it('should create a course', async () => {
+      getRow
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 1, code: 'CS101', name: 'Computer Science' });
+      runQuery.mockResolvedValue({ lastID: 1, changes: 1 });
+
+      const response = await request(app)
+        .post('/api/courses')
+        .send({ code: 'CS101', name: 'Computer Science' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.code).toBe('CS101');
+    });
+
+    it('should reject duplicate course codes', async () => {
+      getRow.mockResolvedValue({ id: 1 });
+
+      const response = await request(app)
+        .post('/api/courses')
+        .send({ code: 'CS101', name: 'Computer Science' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should validate required fields', async () => {
+      const response = await request(app)
+        .post('/api/courses')
+        .send({ name: 'Computer Science' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Validation failed');
+    });
+
+    it('should deny students', async () => {
+      mockRole = 'student';
+
+      const response = await request(app)
+        .post('/api/courses')
+        .send({ code: 'CS101', name: 'Computer Science' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/courses/:id', () => {
+    it('should keep a deactivated course inactive when isActive is not sent', async () => {
+      getRow
+        .mockResolvedValueOnce({ id: 1, code: 'CS101', name: 'Computer Science', department: null, lecturer_id: null, is_active: 0 })
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 1, code: 'CS101', name: 'Computer Science 1', is_active: 0 });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .put('/api/courses/1')
+        .send({ code: 'CS101', name: 'Computer Science 1' });
+
+      expect(response.status).toBe(200);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('UPDATE courses'), ['CS101', 'Computer Science 1', null, null, 0, '1']);
+    });
+
+    it('should keep the department and lecturer unless they are sent', async () => {
+      getRow
+        .mockResolvedValueOnce({ id: 1, code: 'CS101', name: 'Computer Science', department: 'Computing', lecturer_id: 2, is_active: 1 })
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 1, code: 'CS101', name: 'Computer Science 1', department: 'Computing', lecturer_id: 2, is_active: 1 });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .put('/api/courses/1')
+        .send({ code: 'CS101', name: 'Computer Science 1' });
+
+      expect(response.status).toBe(200);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('UPDATE courses'), ['CS101', 'Computer Science 1', 'Computing', 2, 1, '1']);
+    });
+
+    it('should clear the lecturer when lecturerId is null', async () => {
+      getRow
+        .mockResolvedValueOnce({ id: 1, code: 'CS101', name: 'Computer Science', department: 'Computing', lecturer_id: 2, is_active: 1 })
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 1, code: 'CS101', name: 'Computer Science', department: 'Computing', lecturer_id: null, is_active: 1 });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .put('/api/courses/1')
+        .send({ code: 'CS101', name: 'Computer Science', lecturerId: null });
+
+      expect(response.status).toBe(200);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('UPDATE courses'), ['CS101', 'Computer Science', 'Computing', null, 1, '1']);
+    });
+  });
+
+  describe('DELETE /api/courses/:id', () => {
+    it('should recompute the conflicts of the course exams once its enrolments are gone', async () => {
+      getRow.mockResolvedValueOnce({ id: 1 });
+      runQuery.mockResolvedValue({ changes: 1 });
+      getAllRows.mockResolvedValueOnce([{ id: 3 }]);
+
+      const response = await request(app)
+        .delete('/api/courses/1');
+
+      expect(response.status).toBe(200);
+      expect(refreshExamConflicts).toHaveBeenCalledWith(3);
+      expect(runQuery.mock.invocationCallOrder[0]).toBeLessThan(refreshExamConflicts.mock.invocationCallOrder[0]);
+      expect(runQuery).toHaveBeenLastCalledWith('DELETE FROM courses WHERE id = ?', ['1']);
+    });
+  });
+
+  describe('POST /api/courses/:id/enrollments', () => {
+    it('should enrol new users and skip existing ones', async () => {
+      getRow
+        .mockResolvedValueOnce({ id: 1 })
+        .mockResolvedValueOnce({ id: 5 })
+        .mockResolvedValueOnce({ id: 6 });
+      runQuery
+        .mockResolvedValueOnce({ lastID: 1, changes: 1 })
+        .mockResolvedValueOnce({ lastID: 0, changes: 0 });
+      getAllRows.mockResolvedValueOnce([{ id: 3 }]);
+
+      const response = await request(app)
+        .post('/api/courses/1/enrollments')
+        .send({ userIds: [5, 6] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.enrolled).toEqual([5]);
+      expect(response.body.skipped).toEqual([{ userId: 6, reason: 'Already enrolled' }]);
+      expect(refreshExamConflicts).toHaveBeenCalledWith(3);
+    });
+  });
+
+  describe('DELETE /api/courses/:id/enrollments/:userId', () => {
+    it('should recompute the conflicts of the course exams', async () => {
+      runQuery.mockResolvedValueOnce({ changes: 1 });
+      getAllRows.mockResolvedValueOnce([{ id: 3 }, { id: 4 }]);
+
+      const response = await request(app)
+        .delete('/api/courses/1/enrollments/5');
+
+      expect(response.status).toBe(200);
+      expect(getAllRows).toHaveBeenCalledWith(expect.stringContaining("e.status = 'upcoming'"), ['1']);
+      expect(refreshExamConflicts).toHaveBeenCalledWith(3);
+      expect(refreshExamConflicts).toHaveBeenCalledWith(4);
+    });
+  });
+
+  describe('POST /api/courses/enrollments/import', () => {
+    const csv = 'Student Number,Email,Course Code\nS1001,new@example.com,CS101\nS1002,bad-email,CS101\n';
+
+    it('should preview rows without writing on dry run', async () => {
+      getRow.mockImplementation(async (sql) => (
+        sql.includes('FROM courses') ? { id: 1, code: 'CS101' } : null
+      ));
+
+      const response = await request(app)
+        .post('/api/courses/enrollments/import?dryRun=true')
+        .attach('file', Buffer.from(csv), 'enrolments.csv');
+
+      expect(response.status).toBe(200);
+      expect(response.body.dryRun).toBe(true);
+      expect(response.body.summary).toMatchObject({ total: 2, created: 1, rejected: 1 });
+      expect(response.body.rows[1].reason).toContain('Valid email is required');
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    it('should require an uploaded file', async () => {
+      const response = await request(app)
+        .post('/api/courses/enrollments/import');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('File required');
+    });
+  });
+
+  describe('getExamVisibilityFilter', () => {
+    it('should only hide drafts and deleted exams from staff', () => {
+      const scope = getExamVisibilityFilter({ id: 2, role: 'lecturer' });
+
+      expect(scope.clause).toBe("e.status != 'draft' AND e.deleted_at IS NULL");
+      expect(scope.params).toEqual([]);
+    });
+
+    it('should keep deleted exams when asked', () => {
+      const scope = getExamVisibilityFilter({ id: 2, role: 'lecturer' }, 'x', { includeDeleted: true });
+
+      expect(scope.clause).toBe("x.status != 'draft'");
+    });
+
+    it('should restrict students to enrolled courses', () => {
+      const scope = getExamVisibilityFilter({ id: 7, role: 'student' });
+
+      expect(scope.clause).toContain('enrollments');
+      expect(scope.params).toEqual([7, 7, 7]);
+    });
+
+    it('should show anonymous callers no exams', () => {
+      const scope = getExamVisibilityFilter(null);
+
+      expect(scope.clause).toBe('1 = 0');
+      expect(scope.params).toEqual([]);
+    });
+  });
+});
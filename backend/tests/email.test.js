@@ -0,0 +1,171 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+
+// Mock the database module
+jest.mock('../config/database.js', () => ({
+  runQuery: jest.fn(),
+  getRow: jest.fn(),
+  getAllRows: jest.fn(),
+  initializeDatabase: jest.fn().mockResolvedValue()
+}));
+
+// Mock auth middleware
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1, email: 'admin@example.com', role: 'admin' };
+    next();
+  },
+  requireAdmin: (req, res, next) => next()
+}));
+
+// Mock the SMTP transport
+const sendMail = jest.fn();
+
+jest.mock('../config/mailer.js', () => ({
+  getMailTransport: () => ({ sendMail }),
+  getMailFrom: () => 'ExamSync <no-reply@examsync.local>',
+  isMailConfigured: () => true
+}));
+
+// Import after mocking
+import emailRoutes, { processEmailQueue, renderEmail, sendEmailNow } from '../routes/email.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/email', emailRoutes);
+
+// Import mocked modules
+import { runQuery, getRow, getAllRows } from '../config/database.js';
+
+const now = new Date('2024-06-03T09:00:00Z');
+
+const queued = (overrides = {}) => ({
+  id: 1,
+  to_address: 'student@example.com',
+  subject: '[ExamSync] Exam Reminder',
+  text_body: 'text',
+  html_body: '<p>html</p>',
+  status: 'pending',
+  attempts: 0,
+  ...overrides
+});
+
+describe('Email API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('renderEmail', () => {
+    it('should render the exam event template with escaped HTML', () => {
+      const email = renderEmail({
+        event: 'cancelled',
+        title: 'Exam Cancelled',
+        message: 'Exam cancelled: Data <Structures> (CS201)',
+        exam: { courseCode: 'CS201', courseName: 'Data <Structures>', date: '2024-06-10', time: '09:00' }
+      });
+
+      expect(email.subject).toBe('[ExamSync] Exam Cancelled');
+      expect(email.text).toContain('An exam has been cancelled');
+      expect(email.text).toContain('Date: 2024-06-10');
+      expect(email.html).toContain('Data &lt;Structures&gt; (CS201)');
+      expect(email.html).not.toContain('<Structures>');
+    });
+
+    it('should fall back to the notification title without exam details', () => {
+      const email = renderEmail({ event: 'sync', title: 'Calendar Sync', message: 'Synced 3 exams' });
+
+      expect(email.text.split('\n')[0]).toBe('Calendar Sync');
+    });
+  });
+
+  describe('processEmailQueue', () => {
+    it('should send due emails and record the message id', async () => {
+      getAllRows.mockResolvedValueOnce([queued()]);
+      runQuery.mockResolvedValue({ changes: 1 });
+      sendMail.mockResolvedValueOnce({ messageId: '<abc@examsync>' });
+
+      const result = await processEmailQueue(now);
+
+      expect(result).toEqual({ sent: 1, retrying: 0, failed: 0 });
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'student@example.com', html: '<p>html</p>' }));
+      expect(runQuery).toHaveBeenLastCalledWith(expect.stringContaining("status = 'sent'"), [1, '<abc@examsync>', 1]);
+    });
+
+    it('should retry failed sends with a backoff', async () => {
+      getAllRows.mockResolvedValueOnce([queued({ attempts: 2 })]);
+      runQuery.mockResolvedValue({ changes: 1 });
+      sendMail.mockRejectedValueOnce(new Error('Connection refused'));
+
+      const result = await processEmailQueue(now);
+
+      expect(result).toEqual({ sent: 0, retrying: 1, failed: 0 });
+      expect(runQuery).toHaveBeenLastCalledWith(
+        expect.stringContaining('next_attempt_at = ?'),
+        ['pending', 3, 'Connection refused', '2024-06-03 09:04:00', 1]
+      );
+    });
+
+    it('should mark an email failed after the last attempt', async () => {
+      getAllRows.mockResolvedValueOnce([queued({ attempts: 4 })]);
+      runQuery.mockResolvedValue({ changes: 1 });
+      sendMail.mockRejectedValueOnce(new Error('Mailbox unavailable'));
+
+      const result = await processEmailQueue(now);
+
+      expect(result.failed).toBe(1);
+      expect(runQuery.mock.calls[1][1][0]).toBe('failed');
+    });
+
+    it('should skip emails another run has already claimed', async () => {
+      getAllRows.mockResolvedValueOnce([queued()]);
+      runQuery.mockResolvedValueOnce({ changes: 0 });
+
+      const result = await processEmailQueue(now);
+
+      expect(result.sent).toBe(0);
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendEmailNow', () => {
+    it('should send without storing the email in the queue', async () => {
+      getRow.mockResolvedValueOnce({ email: 'student@example.com' });
+      sendMail.mockResolvedValueOnce({ messageId: '<direct@examsync>' });
+
+      const messageId = await sendEmailNow(5, { title: 'Reset your password', message: 'Open /reset-password?token=abc' });
+
+      expect(messageId).toBe('<direct@examsync>');
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'student@example.com', subject: '[ExamSync] Reset your password' }));
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/email/queue/:id/retry', () => {
+    it('should requeue a failed email', async () => {
+      getRow.mockResolvedValueOnce(queued({ status: 'failed', attempts: 5 }));
+      runQuery.mockResolvedValueOnce({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/email/queue/1/retry');
+
+      expect(response.status).toBe(200);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining("status = 'pending', attempts = 0"), [1]);
+    });
+
+    it('should refuse to retry an email that has not failed', async () => {
+      getRow.mockResolvedValueOnce(queued({ status: 'sent' }));
+
+      const response = await request(app)
+        .post('/api/email/queue/1/retry');
+
+      expect(response.status).toBe(409);
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+  });
+});
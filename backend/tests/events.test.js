@@ -0,0 +1,185 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+
+// Mock the database module
+jest.mock('../config/database.js', () => ({
+  runQuery: jest.fn(),
+  getRow: jest.fn(),
+  getAllRows: jest.fn(),
+  initializeDatabase: jest.fn().mockResolvedValue()
+}));
+
+// Mock auth middleware (accepts any bearer token as the student, session 4)
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    if (!req.headers.authorization) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+    req.user = { id: 7, email: 'student@example.com', role: 'student', sessionId: 4 };
+    next();
+  },
+  isSessionActive: jest.fn().mockResolvedValue(true)
+}));
+
+// Import after mocking
+import eventRoutes, { closeSessionStreams, publishEvent, publishExamEvent } from '../routes/events.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/events', eventRoutes);
+
+// Import mocked modules
+import { runQuery, getRow, getAllRows } from '../config/database.js';
+
+// Read the stream until the ready event, then hang up
+const readUntilReady = (res, callback) => {
+  let body = '';
+  res.on('data', (chunk) => {
+    body += chunk;
+    if (body.includes('event: ready')) {
+      res.destroy();
+      callback(null, body);
+    }
+  });
+};
+
+// Once the stream is ready run onReady, then read until the stream ends or
+// contains untilText
+const readStream = (onReady, untilText) => (res, callback) => {
+  let body = '';
+  let ready = false;
+  const finish = () => callback(null, body);
+
+  res.on('data', (chunk) => {
+    body += chunk;
+    if (!ready && body.includes('event: ready')) {
+      ready = true;
+      onReady();
+    }
+    if (untilText && body.includes(untilText)) {
+      res.destroy();
+      finish();
+    }
+  });
+  res.on('end', finish);
+};
+
+describe('Events API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/events/stream', () => {
+    it('should require a token', async () => {
+      const response = await request(app)
+        .get('/api/events/stream');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should accept the token as a query parameter and replay missed events', async () => {
+      getRow.mockResolvedValueOnce({ oldest: 1, latest: 12 });
+      getAllRows.mockResolvedValueOnce([
+        { id: 11, type: 'exam.updated', data: '{"id":3,"courseCode":"CS101"}' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/events/stream?access_token=abc')
+        .set('Last-Event-ID', '10')
+        .buffer(true)
+        .parse(readUntilReady);
+
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      expect(response.body).toContain('id: 11\nevent: exam.updated\ndata: {"id":3,"courseCode":"CS101"}');
+      expect(response.body).not.toContain('event: resync');
+      expect(getAllRows).toHaveBeenCalledWith(expect.stringContaining('id > ?'), [10, 7, 7, 7, 7]);
+    });
+
+    it('should ask the client to resync when missed events were pruned', async () => {
+      getRow.mockResolvedValueOnce({ oldest: 40, latest: 45 });
+      getAllRows.mockResolvedValueOnce([]);
+
+      const response = await request(app)
+        .get('/api/events/stream')
+        .set('Authorization', 'Bearer abc')
+        .set('Last-Event-ID', '10')
+        .buffer(true)
+        .parse(readUntilReady);
+
+      expect(response.body).toContain('event: resync');
+    });
+  });
+
+  describe('open streams', () => {
+    it('should send exam events to students who sit the exam, checked once per event', async () => {
+      getAllRows.mockResolvedValueOnce([{ id: 7 }]);
+      runQuery.mockResolvedValue({ lastID: 12, changes: 1 });
+
+      const response = await request(app)
+        .get('/api/events/stream')
+        .set('Authorization', 'Bearer abc')
+        .buffer(true)
+        .parse(readStream(() => publishExamEvent('updated', { id: 3, course_code: 'CS101', status: 'upcoming' }), 'event: exam.updated'));
+
+      expect(response.body).toContain('id: 12\nevent: exam.updated');
+      expect(getAllRows).toHaveBeenCalledTimes(1);
+      expect(getAllRows).toHaveBeenCalledWith(expect.stringContaining('original_exam_id IS NULL'), [7, 3]);
+    });
+
+    it('should close the stream when its session is signed out', async () => {
+      const response = await request(app)
+        .get('/api/events/stream')
+        .set('Authorization', 'Bearer abc')
+        .buffer(true)
+        .parse(readStream(() => closeSessionStreams(7, { sessionId: 4 })));
+
+      expect(response.body).toContain('event: session_expired\ndata: {"reason":"signed_out"}');
+    });
+  });
+
+  describe('publishEvent', () => {
+    it('should record the event with its audience', async () => {
+      runQuery.mockResolvedValue({ lastID: 5, changes: 1 });
+
+      await publishEvent('notification.created', { id: 1 }, { audience: 'user', userId: 7 });
+
+      expect(runQuery).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO live_events'),
+        ['notification.created', 'user', 7, null, '{"id":1}']
+      );
+    });
+
+    it('should not throw when the event cannot be stored', async () => {
+      runQuery.mockRejectedValueOnce(new Error('SQLITE_BUSY'));
+
+      await expect(publishEvent('conflict.detected', {}, { audience: 'staff' })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('publishExamEvent', () => {
+    it('should publish cancelled exams as exam.cancelled', async () => {
+      runQuery.mockResolvedValue({ lastID: 6, changes: 1 });
+
+      await publishExamEvent('updated', { id: 3, course_code: 'CS101', status: 'cancelled' });
+
+      expect(runQuery).toHaveBeenCalledWith(
+        expect.any(String),
+        ['exam.cancelled', 'course', null, 'CS101', expect.any(String)]
+      );
+    });
+
+    it('should not publish draft exams', async () => {
+      getRow.mockResolvedValueOnce({ id: 3, course_code: 'CS101', status: 'draft' });
+
+      await publishExamEvent('created', 3);
+
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+  });
+});
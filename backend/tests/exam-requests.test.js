@@ -0,0 +1,298 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+
+// Mock the database module (transactions wrap their work in BEGIN and
+// COMMIT or ROLLBACK on the mocked runQuery)
+jest.mock('../config/database.js', () => {
+  const runQuery = jest.fn();
+  return {
+    runQuery,
+    getRow: jest.fn(),
+    getAllRows: jest.fn(),
+    withTransaction: jest.fn(async (work) => {
+      await runQuery('BEGIN TRANSACTION');
+      try {
+        const result = await work();
+        await runQuery('COMMIT');
+        return result;
+      } catch (error) {
+        await runQuery('ROLLBACK');
+        throw error;
+      }
+    }),
+    initializeDatabase: jest.fn().mockResolvedValue()
+  };
+});
+
+// Mock auth middleware (students by default, a lecturer with X-Role: lecturer)
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = req.headers['x-role'] === 'lecturer'
+      ? { id: 2, email: 'lecturer@example.com', role: 'lecturer' }
+      : { id: 5, email: 'student@example.com', role: 'student' };
+    next();
+  },
+  requireLecturerOrAdmin: (req, res, next) => (
+    req.user.role === 'student' ? res.status(403).json({ error: 'Access denied' }) : next()
+  )
+}));
+
+// Mock the modules the approval checks and notifications go through
+jest.mock('../routes/conflicts.js', () => {
+  const actual = jest.requireActual('../routes/conflicts.js');
+  return {
+    getExamWindow: actual.getExamWindow,
+    getStudentExamWindow: actual.getStudentExamWindow,
+    refreshExamConflicts: jest.fn().mockResolvedValue(0)
+  };
+});
+
+jest.mock('../routes/venues.js', () => ({
+  resolveExamVenue: jest.fn().mockResolvedValue({ venue: null }),
+  checkVenueCapacity: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../routes/blackout-dates.js', () => ({
+  detectCalendarConflicts: jest.fn().mockImplementation(async (exams) => exams.map(() => []))
+}));
+
+jest.mock('../routes/seating.js', () => ({
+  getStudentArrangement: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../routes/notifications.js', () => ({
+  createNotification: jest.fn().mockResolvedValue(1)
+}));
+
+jest.mock('../routes/audit.js', () => ({
+  recordExamChange: jest.fn().mockResolvedValue(1)
+}));
+
+// Import after mocking
+import examRequestRoutes from '../routes/exam-requests.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/exam-requests', examRequestRoutes);
+
+// Import mocked modules
+import { runQuery, getRow, getAllRows } from '../config/database.js';
+import { refreshExamConflicts } from '../routes/conflicts.js';
+import { createNotification } from '../routes/notifications.js';
+import { recordExamChange } from '../routes/audit.js';
+
+const exam = {
+  id: 1,
+  course_code: 'CS101',
+  course_name: 'Computer Science',
+  date: '2030-06-10',
+  time: '09:00',
+  venue: 'Main Hall',
+  duration: 120,
+  status: 'upcoming',
+  original_exam_id: null
+};
+
+const examRequest = (overrides = {}) => ({
+  id: 3,
+  exam_id: 1,
+  user_id: 5,
+  request_type: 'reschedule',
+  reason: 'Medical appointment',
+  attachments: '[{"name":"letter.pdf","size":1200}]',
+  status: 'pending',
+  course_code: 'CS101',
+  course_name: 'Computer Science',
+  exam_date: '2030-06-10',
+  student_name: 'Sam Student',
+  ...overrides
+});
+
+describe('Exam Requests API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/exam-requests', () => {
+    it('should file a request and notify the course lecturer', async () => {
+      getRow
+        .mockResolvedValueOnce(exam)
+        .mockResolvedValueOnce(undefined)
+        .mockResolvedValueOnce(examRequest())
+        .mockResolvedValueOnce({ id: 2 });
+      runQuery.mockResolvedValueOnce({ lastID: 3, changes: 1 });
+
+      const response = await request(app)
+        .post('/api/exam-requests')
+        .send({ examId: 1, type: 'reschedule', reason: 'Medical appointment', attachments: [{ name: 'letter.pdf', size: 1200 }] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.attachments).toEqual([{ name: 'letter.pdf', size: 1200 }]);
+      expect(createNotification).toHaveBeenCalledTimes(1);
+      expect(createNotification).toHaveBeenCalledWith(2, 'New Exam Request', expect.stringContaining('Sam Student'), 'info', { event: 'request' });
+    });
+
+    it('should refuse a second open request for the same exam', async () => {
+      getRow
+        .mockResolvedValueOnce(exam)
+        .mockResolvedValueOnce({ id: 3, status: 'pending' });
+
+      const response = await request(app)
+        .post('/api/exam-requests')
+        .send({ examId: 1, type: 'deferral', reason: 'Illness' });
+
+      expect(response.status).toBe(409);
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    it('should validate the request type and attachments', async () => {
+      const response = await request(app)
+        .post('/api/exam-requests')
+        .send({ examId: 1, type: 'holiday', reason: 'x', attachments: [{ size: -1 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toHaveLength(3);
+    });
+  });
+
+  describe('POST /api/exam-requests/:id/approve', () => {
+    it('should create an alternate sitting and notify the student', async () => {
+      getRow
+        .mockResolvedValueOnce(examRequest())
+        .mockResolvedValueOnce(exam)
+        .mockResolvedValueOnce(undefined)
+        .mockResolvedValueOnce({ ...exam, id: 9, date: '2030-06-12', venue: 'Room 2', original_exam_id: 1 })
+        .mockResolvedValueOnce(examRequest({ status: 'approved', alternate_exam_id: 9, alternate_date: '2030-06-12', alternate_time: '09:00', alternate_venue: 'Room 2' }))
+        .mockResolvedValueOnce({ id: 2 })
+        .mockResolvedValueOnce({ ...exam, id: 9, date: '2030-06-12', venue: 'Room 2', original_exam_id: 1 });
+      getAllRows
+        .mockResolvedValueOnce([{ code: 'CS101' }])
+        .mockResolvedValueOnce([]);
+      runQuery.mockResolvedValue({ lastID: 9, changes: 1 });
+
+      const response = await request(app)
+        .post('/api/exam-requests/3/approve')
+        .set('X-Role', 'lecturer')
+        .send({ date: '2030-06-12', time: '09:00', venue: 'Room 2' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.alternateSitting.original_exam_id).toBe(1);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO exams'), expect.arrayContaining([1, 2]));
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining("status = 'approved'"), [null, 2, 9, 3]);
+      expect(runQuery).toHaveBeenCalledWith('COMMIT');
+      expect(recordExamChange).toHaveBeenCalledWith(expect.objectContaining({ actorId: 2, source: 'exam_request' }));
+      expect(refreshExamConflicts).toHaveBeenCalledWith(9);
+      expect(refreshExamConflicts).toHaveBeenCalledWith(1);
+      expect(createNotification).toHaveBeenCalledTimes(1);
+      expect(createNotification).toHaveBeenCalledWith(5, 'Exam Request Approved', expect.stringContaining('2030-06-12'), 'success', { event: 'request' });
+    });
+
+    it('should refuse a sitting that clashes with another of the student\'s exams', async () => {
+      getRow
+        .mockResolvedValueOnce(examRequest())
+        .mockResolvedValueOnce(exam);
+      getAllRows
+        .mockResolvedValueOnce([{ code: 'CS101' }])
+        .mockResolvedValueOnce([{ id: 4, course_code: 'MATH201', date: '2030-06-12', time: '10:00', duration: 60 }]);
+
+      const response = await request(app)
+        .post('/api/exam-requests/3/approve')
+        .set('X-Role', 'lecturer')
+        .send({ date: '2030-06-12', time: '09:00', venue: 'Room 2' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.details[0].course_code).toBe('MATH201');
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    it('should only let the course lecturer approve requests', async () => {
+      getRow.mockResolvedValueOnce(examRequest());
+      getAllRows.mockResolvedValueOnce([{ code: 'MATH201' }]);
+
+      const response = await request(app)
+        .post('/api/exam-requests/3/approve')
+        .set('X-Role', 'lecturer')
+        .send({ date: '2030-06-12', time: '09:00', venue: 'Room 2' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('Lecturers can only review requests for courses they teach');
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    it('should only let staff approve requests', async () => {
+      const response = await request(app)
+        .post('/api/exam-requests/3/approve')
+        .send({ date: '2030-06-12', time: '09:00', venue: 'Room 2' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/exam-requests/:id/reject', () => {
+    it('should require a note', async () => {
+      const response = await request(app)
+        .post('/api/exam-requests/3/reject')
+        .set('X-Role', 'lecturer')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(getRow).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/exam-requests', () => {
+    it('should only list a student\'s own requests', async () => {
+      getAllRows.mockResolvedValueOnce([examRequest()]);
+
+      const response = await request(app)
+        .get('/api/exam-requests?status=pending');
+
+      expect(response.status).toBe(200);
+      expect(getAllRows).toHaveBeenCalledWith(expect.stringContaining('r.user_id = ?'), [5, 'pending']);
+    });
+
+    it('should only list requests for the courses a lecturer teaches', async () => {
+      getAllRows
+        .mockResolvedValueOnce([{ code: 'cs101' }])
+        .mockResolvedValueOnce([examRequest()]);
+
+      const response = await request(app)
+        .get('/api/exam-requests')
+        .set('X-Role', 'lecturer');
+
+      expect(response.status).toBe(200);
+      expect(getAllRows).toHaveBeenLastCalledWith(expect.stringContaining('UPPER(e.course_code) IN (?)'), ['CS101']);
+    });
+  });
+
+  describe('GET /api/exam-requests/:id', () => {
+    it('should hide requests for courses the lecturer does not teach', async () => {
+      getRow.mockResolvedValueOnce(examRequest());
+      getAllRows.mockResolvedValueOnce([{ code: 'MATH201' }]);
+
+      const response = await request(app)
+        .get('/api/exam-requests/3')
+        .set('X-Role', 'lecturer');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should show the course lecturer the request', async () => {
+      getRow.mockResolvedValueOnce(examRequest());
+      getAllRows.mockResolvedValueOnce([{ code: 'CS101' }]);
+
+      const response = await request(app)
+        .get('/api/exam-requests/3')
+        .set('X-Role', 'lecturer');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.attachments).toHaveLength(1);
+    });
+  });
+});
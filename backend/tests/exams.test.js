@@ -4,17 +4,38 @@ import bodyParser from 'body-parser';
 import cors from 'cors';
 import { jest } from '@jest/globals';
 
-// Mock the database module
-jest.mock('../config/database.js', () => ({
-  runQuery: jest.fn(),
-  getRow: jest.fn(),
-  getAllRows: jest.fn(),
-  initializeDatabase: jest.fn().mockResolvedValue()
-}));
+// Mock the database module (transactions wrap their work in BEGIN and
+// COMMIT or ROLLBACK on the mocked runQuery)
+jest.mock('../config/database.js', () => {
+  const runQuery = jest.fn();
+  return {
+    runQuery,
+    getRow: jest.fn(),
+    getAllRows: jest.fn(),
+    withTransaction: jest.fn(async (work) => {
+      await runQuery('BEGIN TRANSACTION');
+      try {
+        const result = await work();
+        await runQuery('COMMIT');
+        return result;
+      } catch (error) {
+        await runQuery('ROLLBACK');
+        throw error;
+      }
+    }),
+    initializeDatabase: jest.fn().mockResolvedValue()
+  };
+});
+
+// Mock auth middleware (tests may switch mockUserRole to act as staff)
+let mockUserRole = 'student';
 
-// Mock auth middleware
 jest.mock('../middleware/auth.js', () => ({
   authenticateToken: (req, res, next) => {
+    req.user = { id: 1, email: 'test@example.com', role: mockUserRole };
+    next();
+  },
+  optionalAuth: (req, res, next) => {
     req.user = { id: 1, email: 'test@example.com', role: 'student' };
     next();
   },
@@ -31,16 +52,93 @@ jest.mock('../middleware/auth.js', () => ({
     } else {
       res.status(403).json({ error: 'Insufficient permissions' });
     }
+  },
+  requireAdmin: (req, res, next) => {
+    if (req.user.role === 'admin') {
+      next();
+    } else {
+      res.status(403).json({ error: 'Insufficient permissions' });
+    }
   }
 }));
 
+// Mock the courses the current user teaches (the policies themselves are real)
+let mockTaughtCourses = ['CS101', 'CS102', 'CS103'];
+
+jest.mock('../middleware/policies.js', () => {
+  const actual = jest.requireActual('../middleware/policies.js');
+  return {
+    ...actual,
+    loadPolicyContext: jest.fn().mockImplementation(async (user) => ({ user, taughtCourses: new Set(mockTaughtCourses) }))
+  };
+});
+
 // Mock notifications
 jest.mock('../routes/notifications.js', () => ({
-  createNotification: jest.fn().mockResolvedValue()
+  createNotification: jest.fn().mockResolvedValue(),
+  createExamNotification: jest.fn().mockResolvedValue()
+}));
+
+// Mock calendar sync and the recipients of exam changes
+jest.mock('../routes/calendar.js', () => ({
+  removeExamsFromCalendars: jest.fn().mockResolvedValue([]),
+  syncExamsToCalendars: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../routes/reminders.js', () => ({
+  loadReminderRecipients: jest.fn().mockResolvedValue({ recipients: new Map([[1, [1, 7]]]), students: new Map() })
+}));
+
+// Mock conflict tracking
+jest.mock('../routes/conflicts.js', () => {
+  const actual = jest.requireActual('../routes/conflicts.js');
+  return {
+    detectPairConflict: actual.detectPairConflict,
+    detectStudentConflicts: actual.detectStudentConflicts,
+    detectStudentOverloads: actual.detectStudentOverloads,
+    getExamAccommodation: actual.getExamAccommodation,
+    loadCourseStudents: jest.fn().mockResolvedValue(new Map()),
+    loadSittingChanges: jest.fn().mockResolvedValue({ movedOut: new Map(), movedIn: new Map() }),
+    refreshExamConflicts: jest.fn().mockResolvedValue(0)
+  };
+});
+
+// Mock venue lookups (exam payloads use free-text venues by default)
+jest.mock('../routes/venues.js', () => ({
+  resolveExamVenue: jest.fn().mockResolvedValue({ venue: null }),
+  checkVenueCapacity: jest.fn().mockResolvedValue(null)
+}));
+
+// Mock calendar checks (no blackout dates or unavailable staff by default)
+jest.mock('../routes/blackout-dates.js', () => ({
+  detectCalendarConflicts: jest.fn().mockImplementation(async (exams) => exams.map(() => []))
+}));
+
+// Mock seat lookups
+jest.mock('../routes/seating.js', () => ({
+  getStudentArrangement: jest.fn().mockResolvedValue(null),
+  getStudentSeat: jest.fn().mockResolvedValue(null)
+}));
+
+// Mock live event publishing
+jest.mock('../routes/events.js', () => ({
+  publishEvent: jest.fn().mockResolvedValue(),
+  publishExamEvent: jest.fn().mockResolvedValue()
+}));
+
+// Mock the audit log
+jest.mock('../routes/audit.js', () => ({
+  getExamHistory: jest.fn(),
+  recordExamChange: jest.fn().mockResolvedValue(1)
 }));
 
 // Import after mocking
-import examRoutes from '../routes/exams.js';
+import examRoutes, { purgeDeletedExams } from '../routes/exams.js';
+import { loadCourseStudents, refreshExamConflicts } from '../routes/conflicts.js';
+import { resolveExamVenue, checkVenueCapacity } from '../routes/venues.js';
+import { detectCalendarConflicts } from '../routes/blackout-dates.js';
+import { getExamHistory, recordExamChange } from '../routes/audit.js';
+import { removeExamsFromCalendars, syncExamsToCalendars } from '../routes/calendar.js';
 
 const app = express();
 
@@ -51,11 +149,12 @@ app.use('/api/exams', examRoutes);
 
 // Import mocked modules
 import { runQuery, getRow, getAllRows } from '../config/database.js';
-import { createNotification } from '../routes/notifications.js';
+import { createNotification, createExamNotification } from '../routes/notifications.js';
 
 describe('Exams API', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockTaughtCourses = ['CS101', 'CS102', 'CS103'];
   });
 
   describe('GET /api/exams', () => {
@@ -209,6 +308,85 @@ describe('Exams API', () => {
     });
   });
 
+  describe('POST /api/exams venue capacity', () => {
+    const examData = {
+      courseCode: 'CS101',
+      courseName: 'Computer Science',
+      date: '2024-02-15',
+      time: '10:00',
+      venueId: 3,
+      duration: 120
+    };
+
+    it('should reject bookings over the venue exam capacity', async () => {
+      resolveExamVenue.mockResolvedValueOnce({ venue: { id: 3, name: 'Room 101', capacity: 40, exam_capacity: 30 } });
+      checkVenueCapacity.mockResolvedValueOnce({
+        venueId: 3, venue: 'Room 101', capacity: 30, required: 45, alreadyBooked: 0, available: 30, sharedWith: [], exceeded: true
+      });
+
+      const response = await request(app)
+        .post('/api/exams')
+        .send(examData);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Venue capacity exceeded');
+      expect(response.body.details.required).toBe(45);
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown venue IDs', async () => {
+      resolveExamVenue.mockResolvedValueOnce({ error: 'Venue not found' });
+
+      const response = await request(app)
+        .post('/api/exams')
+        .send(examData);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Venue not found');
+    });
+  });
+
+  describe('POST /api/exams blackout dates', () => {
+    const examData = {
+      courseCode: 'CS101',
+      courseName: 'Computer Science',
+      date: '2024-12-25',
+      time: '10:00',
+      venue: 'Room 101',
+      duration: 120
+    };
+
+    it('should refuse exams on a blocking blackout date', async () => {
+      getAllRows.mockResolvedValue([]);
+      detectCalendarConflicts.mockResolvedValueOnce([[
+        { conflictType: 'blackout_date', severity: 'error', blocking: true, description: 'CS101 falls on Christmas Day' }
+      ]]);
+
+      const response = await request(app)
+        .post('/api/exams')
+        .send(examData);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Exam falls on a blackout date');
+      expect(response.body.message).toBe('CS101 falls on Christmas Day');
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    it('should create the exam with warnings for other calendar conflicts', async () => {
+      const warning = { conflictType: 'staff_unavailable', severity: 'warning', blocking: false, description: 'Ada Lovelace (lecturer) is unavailable' };
+      getAllRows.mockResolvedValue([]);
+      runQuery.mockResolvedValue({ lastID: 2 });
+      detectCalendarConflicts.mockResolvedValueOnce([[warning]]);
+
+      const response = await request(app)
+        .post('/api/exams')
+        .send(examData);
+
+      expect(response.status).toBe(201);
+      expect(response.body.warnings).toEqual([warning]);
+    });
+  });
+
   describe('PUT /api/exams/:id', () => {
     it('should update exam successfully', async () => {
       const updateData = {
@@ -246,6 +424,27 @@ describe('Exams API', () => {
       expect(response.body.message).toBe('Exam updated successfully');
     });
 
+    it('should release seats, tell students and re-sync calendars when the exam moves', async () => {
+      const existingExam = {
+        id: 1, course_code: 'CS101', course_name: 'Computer Science', date: '2024-02-15', time: '10:00',
+        venue: 'Room 101', venue_id: null, duration: 120, status: 'upcoming', created_by: 1
+      };
+      getRow
+        .mockResolvedValueOnce(existingExam)
+        .mockResolvedValue({ ...existingExam, date: '2024-02-16' });
+      getAllRows.mockResolvedValue([]);
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .put('/api/exams/1')
+        .send({ courseCode: 'CS101', courseName: 'Computer Science', date: '2024-02-16', time: '10:00', venue: 'Room 101', duration: 120 });
+
+      expect(response.status).toBe(200);
+      expect(runQuery).toHaveBeenCalledWith('DELETE FROM seat_allocations WHERE exam_id = ?', [1]);
+      expect(createExamNotification).toHaveBeenCalledWith(expect.objectContaining({ date: '2024-02-16' }), 'updated', [7]);
+      expect(syncExamsToCalendars).toHaveBeenCalledWith([1]);
+    });
+
     it('should return 404 for non-existent exam', async () => {
       getRow.mockResolvedValue(null);
 
@@ -257,10 +456,132 @@ describe('Exams API', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBe('Exam not found');
     });
+
+    it('should not change exams in a timetable under review', async () => {
+      getRow
+        .mockResolvedValueOnce({ id: 1, status: 'draft', timetable_id: 5 })
+        .mockResolvedValueOnce({ status: 'under_review' });
+
+      const response = await request(app)
+        .put('/api/exams/1')
+        .send({
+          courseCode: 'CS101',
+          courseName: 'Computer Science',
+          date: '2024-02-15',
+          time: '10:00',
+          venue: 'Room 101',
+          duration: 120
+        });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Timetable is under review');
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    describe('as a lecturer', () => {
+      const examData = {
+        courseCode: 'CS101',
+        courseName: 'Computer Science',
+        date: '2024-02-15',
+        time: '10:00',
+        venue: 'Room 101',
+        duration: 120
+      };
+
+      beforeEach(() => {
+        mockUserRole = 'lecturer';
+      });
+
+      afterEach(() => {
+        mockUserRole = 'student';
+      });
+
+      it('should refuse exams of courses the lecturer does not teach', async () => {
+        mockTaughtCourses = ['MATH201'];
+        getRow.mockResolvedValueOnce({ id: 1, course_code: 'CS101', status: 'upcoming' });
+
+        const response = await request(app)
+          .put('/api/exams/1')
+          .send(examData);
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toBe('Lecturers can only update exams for courses they teach');
+        expect(runQuery).not.toHaveBeenCalled();
+      });
+
+      it('should refuse moving an exam to a course the lecturer does not teach', async () => {
+        getRow.mockResolvedValueOnce({ id: 1, course_code: 'CS101', status: 'upcoming' });
+
+        const response = await request(app)
+          .put('/api/exams/1')
+          .send({ ...examData, courseCode: 'MATH201' });
+
+        expect(response.status).toBe(403);
+        expect(runQuery).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('POST /api/exams/bulk/status', () => {
+    beforeEach(() => {
+      mockUserRole = 'lecturer';
+    });
+
+    afterEach(() => {
+      mockUserRole = 'student';
+    });
+
+    it('should refuse the whole update when one exam is not the lecturer\'s', async () => {
+      getAllRows.mockResolvedValueOnce([
+        { id: 1, course_code: 'CS101', status: 'upcoming' },
+        { id: 2, course_code: 'MATH201', status: 'upcoming' }
+      ]);
+
+      const response = await request(app)
+        .post('/api/exams/bulk/status')
+        .send({ examIds: [1, 2], status: 'completed' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.details).toEqual([{ id: 2, course_code: 'MATH201' }]);
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    it('should only count and follow up the exams actually updated', async () => {
+      getAllRows.mockResolvedValueOnce([{ id: 1, course_code: 'CS101', status: 'upcoming' }]);
+      getRow.mockResolvedValueOnce({ id: 1, course_code: 'CS101', status: 'completed' });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/exams/bulk/status')
+        .send({ examIds: [1, 99], status: 'completed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.updatedCount).toBe(1);
+      expect(response.body.updatedIds).toEqual([1]);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('UPDATE exams'), ['completed', 1]);
+      expect(refreshExamConflicts).toHaveBeenCalledTimes(1);
+      expect(refreshExamConflicts).toHaveBeenCalledWith(1, { notify: true });
+    });
+
+    it('should release seats, notify participants and sync calendars of cancelled exams', async () => {
+      const exam = { id: 1, course_code: 'CS101', course_name: 'Computer Science', date: '2024-02-15', time: '10:00', status: 'upcoming' };
+      getAllRows.mockResolvedValueOnce([exam]);
+      getRow.mockResolvedValueOnce({ ...exam, status: 'cancelled' });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/exams/bulk/status')
+        .send({ examIds: [1], status: 'cancelled' });
+
+      expect(response.status).toBe(200);
+      expect(runQuery).toHaveBeenCalledWith('DELETE FROM seat_allocations WHERE exam_id = ?', [1]);
+      expect(createExamNotification).toHaveBeenCalledWith(expect.objectContaining({ courseCode: 'CS101' }), 'deleted', [7]);
+      expect(syncExamsToCalendars).toHaveBeenCalledWith([1]);
+    });
   });
 
   describe('DELETE /api/exams/:id', () => {
-    it('should delete exam successfully', async () => {
+    it('should soft-delete the exam and tell everyone sitting it', async () => {
       const existingExam = {
         id: 1,
         course_code: 'CS101',
@@ -282,6 +603,26 @@ describe('Exams API', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Exam deleted successfully');
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining("SET status = 'cancelled', deleted_status = ?"), ['upcoming', 1, 1]);
+      expect(runQuery).not.toHaveBeenCalledWith('DELETE FROM exams WHERE id = ?', expect.anything());
+      expect(recordExamChange).toHaveBeenCalledWith(expect.objectContaining({ before: existingExam, action: 'deleted' }));
+      expect(createExamNotification).toHaveBeenCalledWith(expect.objectContaining({ courseCode: 'CS101' }), 'deleted', [7]);
+      expect(syncExamsToCalendars).toHaveBeenCalledWith([1]);
+    });
+
+    it('should remove draft exams outright', async () => {
+      const draft = { id: 1, course_code: 'CS101', status: 'draft', timetable_id: 5 };
+      getRow
+        .mockResolvedValueOnce(draft)
+        .mockResolvedValueOnce({ status: 'draft' });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .delete('/api/exams/1');
+
+      expect(response.status).toBe(200);
+      expect(runQuery).toHaveBeenCalledWith('DELETE FROM exams WHERE id = ?', [1]);
+      expect(createExamNotification).not.toHaveBeenCalled();
     });
 
     it('should return 404 for non-existent exam', async () => {
@@ -296,6 +637,125 @@ describe('Exams API', () => {
     });
   });
 
+  describe('POST /api/exams/:id/restore', () => {
+    const deletedExam = (overrides = {}) => ({
+      id: 1,
+      course_code: 'CS101',
+      course_name: 'Computer Science',
+      date: '2030-02-15',
+      time: '10:00',
+      venue: 'Room 101',
+      venue_id: null,
+      duration: 120,
+      status: 'cancelled',
+      deleted_at: '2030-01-10 09:00:00',
+      deleted_status: 'upcoming',
+      restorable: 1,
+      ...overrides
+    });
+
+    beforeEach(() => {
+      mockUserRole = 'admin';
+    });
+
+    afterEach(() => {
+      mockUserRole = 'student';
+    });
+
+    it('should put back the status the exam had', async () => {
+      getRow
+        .mockResolvedValueOnce(deletedExam())
+        .mockResolvedValueOnce(deletedExam({ status: 'upcoming', deleted_at: null, deleted_status: null }));
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/exams/1/restore');
+
+      expect(response.status).toBe(200);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('deleted_at = NULL'), ['upcoming', '1']);
+      expect(createExamNotification).toHaveBeenCalledWith(expect.objectContaining({ courseCode: 'CS101' }), 'restored', [7]);
+      expect(syncExamsToCalendars).toHaveBeenCalledWith([1]);
+    });
+
+    it('should refuse once the restore window has passed', async () => {
+      getRow.mockResolvedValueOnce(deletedExam({ restorable: 0 }));
+
+      const response = await request(app)
+        .post('/api/exams/1/restore');
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Restore window has passed');
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purgeDeletedExams', () => {
+    it('should permanently delete expired exams and their calendar events', async () => {
+      getAllRows.mockResolvedValueOnce([{ id: 3, course_code: 'CS101', status: 'cancelled' }]);
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const result = await purgeDeletedExams();
+
+      expect(result).toEqual({ purged: 1 });
+      expect(runQuery).toHaveBeenCalledWith('DELETE FROM exams WHERE id = ?', [3]);
+      expect(recordExamChange).toHaveBeenCalledWith({ before: { id: 3, course_code: 'CS101', status: 'cancelled' }, source: 'purge' });
+      expect(removeExamsFromCalendars).toHaveBeenCalledWith([3]);
+    });
+  });
+
+  describe('GET /api/exams/:id/history', () => {
+    const history = [{
+      id: 1,
+      exam_id: 1,
+      action: 'updated',
+      source: 'api',
+      actor_id: 2,
+      actor_name: 'Lee Lecturer',
+      changes: { date: { from: '2024-02-15', to: '2024-02-16' } }
+    }];
+
+    afterEach(() => {
+      mockUserRole = 'student';
+    });
+
+    it('should show staff the history of a deleted exam', async () => {
+      mockUserRole = 'lecturer';
+      getExamHistory.mockResolvedValueOnce(history);
+
+      const response = await request(app)
+        .get('/api/exams/1/history');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0].actor_name).toBe('Lee Lecturer');
+      expect(getExamHistory).toHaveBeenCalledWith('1', { includeActor: true });
+      expect(getRow).not.toHaveBeenCalled();
+    });
+
+    it('should hide who made each change from students', async () => {
+      getRow
+        .mockResolvedValueOnce({ id: 1 })
+        .mockResolvedValueOnce({ id: 1 });
+      getExamHistory.mockResolvedValueOnce([]);
+
+      const response = await request(app)
+        .get('/api/exams/1/history');
+
+      expect(response.status).toBe(200);
+      expect(getRow).toHaveBeenCalledWith(expect.stringContaining("e.status != 'draft'"), ['1', 1, 1, 1]);
+      expect(getExamHistory).toHaveBeenCalledWith('1', { includeActor: false });
+    });
+
+    it('should return 404 for exams a student cannot see', async () => {
+      getRow.mockResolvedValueOnce(undefined);
+
+      const response = await request(app)
+        .get('/api/exams/1/history');
+
+      expect(response.status).toBe(404);
+      expect(getExamHistory).not.toHaveBeenCalled();
+    });
+  });
+
   describe('GET /api/exams/range/:startDate/:endDate', () => {
     it('should return exams in date range', async () => {
       const mockExams = [
@@ -413,5 +873,151 @@ describe('Exams API', () => {
       expect(response.body.hasConflicts).toBe(true);
       expect(response.body.conflicts).toHaveLength(1);
     });
+
+    it('should report students enrolled in overlapping exams', async () => {
+      const shared = { id: 9, name: 'Jane Student', email: 'jane@example.com', studentNumber: 'S1009' };
+
+      getAllRows.mockResolvedValue([{
+        id: 2,
+        course_code: 'MATH201',
+        course_name: 'Calculus',
+        date: '2024-02-15',
+        time: '11:00',
+        venue: 'Hall A',
+        duration: 90
+      }]);
+      loadCourseStudents.mockResolvedValueOnce(new Map([
+        ['CS101', new Map([[9, shared]])],
+        ['MATH201', new Map([[9, shared]])]
+      ]));
+
+      const response = await request(app)
+        .post('/api/exams/check-conflicts')
+        .send({
+          courseCode: 'CS101',
+          date: '2024-02-15',
+          time: '10:00',
+          venue: 'Room 101',
+          duration: 120
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.studentConflicts).toHaveLength(1);
+      expect(response.body.studentConflicts[0].conflictType).toBe('student_clash');
+      expect(response.body.studentConflicts[0].affectedStudentCount).toBe(1);
+      // optionalAuth signs the request in as a student, who only gets counts
+      expect(response.body.studentConflicts[0].affectedStudents).toBeUndefined();
+      expect(response.body.summary.severity).toBe('error');
+    });
+  });
+
+  describe('POST /api/exams/import', () => {
+    const csv = [
+      'Course Code,Course Name,Date,Time,Venue,Duration,Status,Created By',
+      '"CS101","Computer Science",2024-06-10,9:00,"Main Hall",120,upcoming,"Test User"',
+      '"CS102","Data Structures",2024-06-10,10:00,"Main Hall",90,upcoming,"Test User"',
+      '"CS103","Algorithms",2024-13-40,10:00,"Main Hall",90,upcoming,"Test User"'
+    ].join('\n');
+
+    beforeEach(() => {
+      mockUserRole = 'lecturer';
+    });
+
+    afterEach(() => {
+      mockUserRole = 'student';
+    });
+
+    it('should preview rows with validation errors and clashes on dry run', async () => {
+      getRow.mockResolvedValue(null);
+      getAllRows.mockResolvedValue([]);
+
+      const response = await request(app)
+        .post('/api/exams/import?dryRun=true')
+        .attach('file', Buffer.from(csv), 'timetable.csv');
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toMatchObject({ total: 3, created: 2, rejected: 1, withConflicts: 2 });
+      expect(response.body.rows[0].time).toBe('09:00');
+      expect(response.body.rows[0].conflicts[0]).toMatchObject({ courseCode: 'CS102', row: 3, conflictType: 'both' });
+      expect(response.body.rows[2].reason).toContain('date must be a valid date');
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    it('should reject rows whose venue cannot be resolved', async () => {
+      getRow.mockResolvedValue(null);
+      getAllRows.mockResolvedValue([]);
+      resolveExamVenue.mockResolvedValueOnce({ error: 'Venue not found' });
+
+      const response = await request(app)
+        .post('/api/exams/import?dryRun=true')
+        .attach('file', Buffer.from(csv), 'timetable.csv');
+
+      expect(response.status).toBe(200);
+      expect(response.body.rows[0]).toMatchObject({ status: 'rejected', reason: 'Venue not found' });
+      expect(response.body.rows[1].status).toBe('created');
+    });
+
+    it('should save valid rows in one transaction', async () => {
+      getRow.mockResolvedValue(null);
+      getAllRows.mockResolvedValue([]);
+      runQuery.mockResolvedValue({ lastID: 7, changes: 1 });
+
+      const response = await request(app)
+        .post('/api/exams/import')
+        .attach('file', Buffer.from(csv), 'timetable.csv');
+
+      expect(response.status).toBe(201);
+      expect(response.body.message).toBe('Imported 2 exam(s)');
+      expect(runQuery.mock.calls.map(call => call[0].trim().split(/\s+/)[0])).toEqual(['BEGIN', 'INSERT', 'INSERT', 'COMMIT']);
+      expect(recordExamChange).toHaveBeenCalledTimes(2);
+      expect(recordExamChange).toHaveBeenCalledWith(expect.objectContaining({ source: 'import', actorId: 1 }));
+    });
+
+    it('should update the existing exam for a course code with upsert', async () => {
+      const existing = { id: 1, course_code: 'CS101', course_name: 'Computer Science', date: '2024-06-10', time: '09:00', venue: 'Main Hall', venue_id: null, duration: 120, status: 'upcoming' };
+      getAllRows.mockImplementation(async (sql) => (
+        sql.includes('course_code = ?') ? [existing] : []
+      ));
+      getRow.mockImplementation(async (sql) => (
+        sql.includes('SELECT * FROM exams WHERE id = ?') ? { ...existing, date: '2024-06-11' } : null
+      ));
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/exams/import?upsert=true')
+        .attach('file', Buffer.from('Course Code,Course Name,Date,Time,Venue,Duration\nCS101,Computer Science,2024-06-11,09:00,Main Hall,120\n'), 'timetable.csv');
+
+      expect(response.status).toBe(201);
+      expect(response.body.rows[0]).toMatchObject({ status: 'updated', examId: 1 });
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('UPDATE exams'), expect.arrayContaining(['2024-06-11', 1]));
+
+      // Followed up like PUT /:id once the transaction is committed
+      expect(runQuery).toHaveBeenCalledWith('DELETE FROM seat_allocations WHERE exam_id = ?', [1]);
+      expect(createExamNotification).toHaveBeenCalledWith(expect.objectContaining({ date: '2024-06-11' }), 'updated', [7]);
+      expect(syncExamsToCalendars).toHaveBeenCalledWith([1]);
+    });
+
+    it('should reject rows for courses the lecturer does not teach', async () => {
+      mockTaughtCourses = ['CS101'];
+      getRow.mockResolvedValue(null);
+      getAllRows.mockResolvedValue([]);
+
+      const response = await request(app)
+        .post('/api/exams/import?dryRun=true')
+        .attach('file', Buffer.from(csv), 'timetable.csv');
+
+      expect(response.status).toBe(200);
+      expect(response.body.rows[0].status).toBe('created');
+      expect(response.body.rows[1]).toMatchObject({ status: 'rejected', reason: 'Lecturers can only create exams for courses they teach' });
+    });
+
+    it('should reject files missing required columns', async () => {
+      const response = await request(app)
+        .post('/api/exams/import')
+        .attach('file', Buffer.from('Course Code,Date\nCS101,2024-06-10\n'), 'timetable.csv');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual(['courseName', 'time', 'venue', 'duration']);
+    });
   });
 });
@@ -0,0 +1,149 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+import ExcelJS from 'exceljs';
+
+// Mock the database module
+jest.mock('../config/database.js', () => ({
+  runQuery: jest.fn(),
+  getRow: jest.fn(),
+  getAllRows: jest.fn(),
+  initializeDatabase: jest.fn().mockResolvedValue()
+}));
+
+// Mock auth middleware
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1, email: 'test@example.com', firstName: 'Test', lastName: 'User', role: 'lecturer' };
+    next();
+  }
+}));
+
+// Mock notifications
+jest.mock('../routes/notifications.js', () => ({
+  createExamNotification: jest.fn().mockResolvedValue()
+}));
+
+// Import after mocking
+import exportRoutes, { generateTimetablePDF, generateTimetableWorkbook } from '../routes/export.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/export', exportRoutes);
+
+// Import mocked modules
+import { getAllRows } from '../config/database.js';
+
+const user = { firstName: 'Test', lastName: 'User', role: 'lecturer' };
+
+const exams = (count) => Array.from({ length: count }, (_, i) => ({
+  id: i + 1,
+  course_code: `CS${100 + i}`,
+  course_name: 'Computer Science',
+  date: '2024-06-10',
+  time: '09:00',
+  venue: 'Main Hall',
+  duration: 120,
+  status: 'upcoming',
+  created_by_name: 'Test User'
+}));
+
+// Page objects in the generated document
+const countPages = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+const loadWorkbook = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  return workbook;
+};
+
+const stats = { summary: { totalExams: 2, upcomingExams: 2 }, examsByMonth: [], popularVenues: [], activeCreators: [] };
+
+describe('Export API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/export/pdf', () => {
+    it('should return a real PDF document', async () => {
+      getAllRows.mockResolvedValueOnce(exams(3));
+
+      const response = await request(app)
+        .get('/api/export/pdf')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+      expect(Number(response.headers['content-length'])).toBe(response.body.length);
+    });
+  });
+
+  describe('generateTimetablePDF', () => {
+    it('should paginate long timetables', async () => {
+      const short = await generateTimetablePDF(exams(5), 'detailed', user, 'all');
+      const long = await generateTimetablePDF(exams(120), 'detailed', user, 'all');
+
+      expect(countPages(short)).toBe(1);
+      expect(countPages(long)).toBeGreaterThan(1);
+    });
+
+    it('should fit more rows per page in the compact format', async () => {
+      const detailed = await generateTimetablePDF(exams(120), 'detailed', user, 'all');
+      const compact = await generateTimetablePDF(exams(120), 'compact', user, 'all');
+
+      expect(countPages(compact)).toBeLessThanOrEqual(countPages(detailed));
+    });
+
+    it('should handle an empty timetable', async () => {
+      const pdf = await generateTimetablePDF([], 'detailed', user, 'upcoming');
+
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+      expect(countPages(pdf)).toBe(1);
+    });
+  });
+
+  describe('generateTimetableWorkbook', () => {
+    it('should add timetable, per-venue, conflict and statistics sheets', async () => {
+      const buffer = await generateTimetableWorkbook({
+        exams: [...exams(1), { ...exams(1)[0], id: 2, venue: 'Lab [2]' }],
+        conflicts: [{ date: '2024-06-10', conflict_type: 'time_overlap', severity: 'warning', exam1_code: 'CS100', exam1_time: '09:00', exam2_code: 'CS101', exam2_time: '10:00' }],
+        stats,
+        user,
+        dateRange: 'all'
+      });
+      const workbook = await loadWorkbook(buffer);
+
+      expect(workbook.worksheets.map(sheet => sheet.name)).toEqual([
+        'Timetable', 'Venue - Lab -2-', 'Venue - Main Hall', 'Conflicts', 'Statistics'
+      ]);
+      expect(workbook.getWorksheet('Timetable').views[0]).toMatchObject({ state: 'frozen', ySplit: 1 });
+    });
+
+    it('should write typed date and time cells', async () => {
+      const workbook = await loadWorkbook(await generateTimetableWorkbook({ exams: exams(1), conflicts: null, stats, user, dateRange: 'all' }));
+      const row = workbook.getWorksheet('Timetable').getRow(2);
+
+      expect(row.getCell('A').value).toEqual(new Date('2024-06-10T00:00:00Z'));
+      expect(row.getCell('A').numFmt).toBe('yyyy-mm-dd');
+      expect(row.getCell('C').numFmt).toBe('hh:mm');
+      expect(row.getCell('G').value).toBe(120);
+    });
+
+    it('should leave out the conflicts sheet when conflicts are not shown', async () => {
+      const workbook = await loadWorkbook(await generateTimetableWorkbook({ exams: [], conflicts: null, stats, user, dateRange: 'all' }));
+
+      expect(workbook.getWorksheet('Conflicts')).toBeUndefined();
+    });
+  });
+});
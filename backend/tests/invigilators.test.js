@@ -0,0 +1,175 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+
+// Mock the database module (transactions wrap their work in BEGIN and
+// COMMIT or ROLLBACK on the mocked runQuery)
+jest.mock('../config/database.js', () => {
+  const runQuery = jest.fn();
+  return {
+    runQuery,
+    getRow: jest.fn(),
+    getAllRows: jest.fn(),
+    withTransaction: jest.fn(async (work) => {
+      await runQuery('BEGIN TRANSACTION');
+      try {
+        const result = await work();
+        await runQuery('COMMIT');
+        return result;
+      } catch (error) {
+        await runQuery('ROLLBACK');
+        throw error;
+      }
+    }),
+    initializeDatabase: jest.fn().mockResolvedValue()
+  };
+});
+
+// Mock auth middleware
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1, email: 'admin@example.com', role: 'admin' };
+    next();
+  },
+  requireAdmin: (req, res, next) => next(),
+  requireLecturerOrAdmin: (req, res, next) => next()
+}));
+
+// Mock notifications
+jest.mock('../routes/notifications.js', () => ({
+  createNotification: jest.fn().mockResolvedValue(1)
+}));
+
+// Import after mocking
+import invigilatorRoutes, { allocateInvigilators } from '../routes/invigilators.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/invigilators', invigilatorRoutes);
+
+// Import mocked modules
+import { runQuery, getRow, getAllRows } from '../config/database.js';
+import { createNotification } from '../routes/notifications.js';
+
+const exam = (id, date, time, duration = 120) => ({
+  id,
+  course_code: `CS${100 + id}`,
+  course_name: 'Computer Science',
+  date,
+  time,
+  venue: 'Main Hall',
+  duration,
+  status: 'upcoming'
+});
+
+const staff = [
+  { id: 2, name: 'Ada Lovelace' },
+  { id: 3, name: 'Alan Turing' }
+];
+
+// Queries made by allocateInvigilators, in order
+const mockAllocation = ({ exams, duties = [], windows = [], enrolments = [] }) => {
+  getAllRows
+    .mockResolvedValueOnce(exams)
+    .mockResolvedValueOnce(staff)
+    .mockResolvedValueOnce(duties)
+    .mockResolvedValueOnce(windows)
+    .mockResolvedValueOnce(enrolments);
+};
+
+describe('Invigilators API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('allocateInvigilators', () => {
+    it('should give each slot to the least loaded available invigilator', async () => {
+      mockAllocation({
+        exams: [exam(1, '2024-06-10', '09:00'), exam(2, '2024-06-11', '09:00')],
+        duties: [{ user_id: 2, exam_id: 9, date: '2024-06-12', time: '09:00', duration: 60 }]
+      });
+
+      const result = await allocateInvigilators({ startDate: '2024-06-01', dryRun: true });
+
+      expect(result.assignments.map(a => [a.examId, a.userId])).toEqual([[1, 3], [2, 2]]);
+      expect(result.shortfalls).toEqual([]);
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    it('should skip staff who are unavailable or already invigilating at that time', async () => {
+      mockAllocation({
+        exams: [exam(1, '2024-06-10', '09:00'), exam(2, '2024-06-10', '10:00')],
+        windows: [{ user_id: 3, start_at: '2024-06-10 08:00', end_at: '2024-06-10 12:00' }]
+      });
+
+      const result = await allocateInvigilators({ startDate: '2024-06-01', dryRun: true });
+
+      expect(result.assignments.map(a => [a.examId, a.userId])).toEqual([[1, 2]]);
+      expect(result.shortfalls).toEqual([expect.objectContaining({ examId: 2, missing: 1 })]);
+    });
+
+    it('should require an invigilator per 30 enrolled students', async () => {
+      mockAllocation({
+        exams: [exam(1, '2024-06-10', '09:00')],
+        enrolments: [{ code: 'CS101', count: 45 }]
+      });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const result = await allocateInvigilators({ startDate: '2024-06-01', assignedBy: 1 });
+
+      expect(result.assignments).toHaveLength(2);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining("'auto'"), [1, 2, 1]);
+      expect(createNotification).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('POST /api/invigilators/exams/:examId', () => {
+    it('should refuse to assign someone during their unavailability', async () => {
+      getRow
+        .mockResolvedValueOnce(exam(1, '2024-06-10', '09:00'))
+        .mockResolvedValueOnce({ id: 3, role: 'lecturer' })
+        .mockResolvedValueOnce(undefined);
+      getAllRows.mockResolvedValueOnce([
+        { id: 4, user_id: 3, start_at: '2024-06-10 08:00', end_at: '2024-06-10 17:00', reason: 'Conference' }
+      ]);
+
+      const response = await request(app)
+        .post('/api/invigilators/exams/1')
+        .send({ userId: 3 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.details.type).toBe('unavailable');
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    it('should only assign lecturers and admins', async () => {
+      getRow
+        .mockResolvedValueOnce(exam(1, '2024-06-10', '09:00'))
+        .mockResolvedValueOnce({ id: 7, role: 'student' });
+
+      const response = await request(app)
+        .post('/api/invigilators/exams/1')
+        .send({ userId: 7 });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/invigilators/duties', () => {
+    it('should list my upcoming duties', async () => {
+      getAllRows.mockResolvedValueOnce([{ ...exam(1, '2024-06-10', '09:00'), source: 'auto', invigilator_count: 2 }]);
+
+      const response = await request(app)
+        .get('/api/invigilators/duties');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0]).toMatchObject({ examId: 1, courseCode: 'CS101', coInvigilators: 1 });
+      expect(getAllRows).toHaveBeenCalledWith(expect.stringContaining("e.date >= date('now')"), [1]);
+    });
+  });
+});
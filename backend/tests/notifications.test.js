@@ -27,8 +27,23 @@ jest.mock('../middleware/auth.js', () => ({
   }
 }));
 
+// Mock the email channel
+jest.mock('../config/mailer.js', () => ({
+  isMailConfigured: jest.fn().mockReturnValue(false)
+}));
+
+jest.mock('../routes/email.js', () => ({
+  queueEmail: jest.fn().mockResolvedValue(1)
+}));
+
+// Mock live event publishing
+jest.mock('../routes/events.js', () => ({
+  publishEvent: jest.fn().mockResolvedValue(),
+  publishExamEvent: jest.fn().mockResolvedValue()
+}));
+
 // Import after mocking
-import notificationRoutes from '../routes/notifications.js';
+import notificationRoutes, { createNotification, getQuietHoursEnd } from '../routes/notifications.js';
 
 const app = express();
 
@@ -39,6 +54,8 @@ app.use('/api/notifications', notificationRoutes);
 
 // Import mocked modules
 import { runQuery, getRow, getAllRows } from '../config/database.js';
+import { isMailConfigured } from '../config/mailer.js';
+import { queueEmail } from '../routes/email.js';
 
 describe('Notifications API', () => {
   beforeEach(() => {
@@ -353,4 +370,67 @@ describe('Notifications API', () => {
       expect(response.body.error).toBe('Insufficient permissions');
     });
   });
+
+  describe('Notification preferences', () => {
+    it('should return defaults for users without saved preferences', async () => {
+      getRow.mockResolvedValue(undefined);
+
+      const response = await request(app)
+        .get('/api/notifications/preferences');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.events.reminder).toEqual(['in_app', 'email']);
+      expect(response.body.data.events.sync).toEqual(['in_app']);
+      expect(response.body.data.quietHours).toBeNull();
+    });
+
+    it('should merge updated events with the saved ones', async () => {
+      getRow.mockResolvedValue({ user_id: 1, events: '{"created":[]}', quiet_hours_start: null });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .put('/api/notifications/preferences')
+        .send({ events: { reminder: [] }, quietHours: { start: '22:00', end: '07:00' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.events).toMatchObject({ created: [], reminder: [], updated: ['in_app', 'email'] });
+      expect(runQuery).toHaveBeenCalledWith(
+        expect.stringContaining('ON CONFLICT (user_id)'),
+        [1, expect.any(String), '22:00', '07:00']
+      );
+    });
+
+    it('should reject unknown event types', async () => {
+      const response = await request(app)
+        .put('/api/notifications/preferences')
+        .send({ events: { gossip: ['in_app'] } });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should drop events the user has switched off', async () => {
+      getRow.mockResolvedValue({ user_id: 1, events: '{"reminder":[]}', quiet_hours_start: null });
+
+      expect(await createNotification(1, 'Exam Reminder', 'Soon', 'reminder', { event: 'reminder' })).toBeNull();
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    it('should queue an email when the event is sent to the email channel', async () => {
+      getRow.mockResolvedValue({ user_id: 1, events: '{"reminder":["email"]}', quiet_hours_start: null });
+      isMailConfigured.mockReturnValueOnce(true);
+
+      const exam = { courseCode: 'CS101', courseName: 'Computer Science', date: '2024-06-04', time: '09:00' };
+      expect(await createNotification(1, 'Exam Reminder', 'Soon', 'reminder', { event: 'reminder', exam })).toBeNull();
+      expect(runQuery).not.toHaveBeenCalled();
+      expect(queueEmail).toHaveBeenCalledWith(1, expect.objectContaining({ event: 'reminder', exam, sendAt: null }));
+    });
+
+    it('should work out when overnight quiet hours end', () => {
+      const quietHours = { start: '22:00', end: '07:00' };
+
+      expect(getQuietHoursEnd(quietHours, new Date('2024-06-03T23:30:00'))).toEqual(new Date('2024-06-04T07:00:00'));
+      expect(getQuietHoursEnd(quietHours, new Date('2024-06-03T06:00:00'))).toEqual(new Date('2024-06-03T07:00:00'));
+      expect(getQuietHoursEnd(quietHours, new Date('2024-06-03T12:00:00'))).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+
+// Mock the database module
+jest.mock('../config/database.js', () => ({
+  runQuery: jest.fn(),
+  getRow: jest.fn(),
+  getAllRows: jest.fn(),
+  initializeDatabase: jest.fn().mockResolvedValue()
+}));
+
+// Import after mocking
+import { can, loadPolicyContext } from '../middleware/policies.js';
+
+// Import mocked modules
+import { getAllRows } from '../config/database.js';
+
+const exam = { id: 1, course_code: 'cs101', status: 'upcoming' };
+
+describe('Authorization Policies', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('loadPolicyContext', () => {
+    it('should load the courses a lecturer teaches', async () => {
+      getAllRows.mockResolvedValueOnce([{ code: 'CS101' }]);
+
+      const context = await loadPolicyContext({ id: 2, role: 'lecturer' });
+
+      expect(getAllRows).toHaveBeenCalledWith(expect.stringContaining('lecturer_id = ?'), [2]);
+      expect([...context.taughtCourses]).toEqual(['CS101']);
+    });
+
+    it('should not look up courses for admins and students', async () => {
+      await loadPolicyContext({ id: 1, role: 'admin' });
+      await loadPolicyContext({ id: 5, role: 'student' });
+
+      expect(getAllRows).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exam policies', () => {
+    const lecturer = { user: { id: 2, role: 'lecturer' }, taughtCourses: new Set(['CS101']) };
+
+    it('should let lecturers manage exams of courses they teach, whatever the case', () => {
+      expect(can(lecturer, 'exam', 'create', exam)).toBe(true);
+      expect(can(lecturer, 'exam', 'update', exam, { course_code: 'CS101' })).toBe(true);
+      expect(can(lecturer, 'exam', 'delete', exam)).toBe(true);
+    });
+
+    it('should refuse lecturers other courses\' exams', () => {
+      expect(can(lecturer, 'exam', 'delete', { ...exam, course_code: 'MATH201' })).toBe(false);
+      expect(can(lecturer, 'exam', 'update', exam, { course_code: 'MATH201' })).toBe(false);
+    });
+
+    it('should let admins manage any exam and students none', () => {
+      const admin = { user: { id: 1, role: 'admin' }, taughtCourses: new Set() };
+      const student = { user: { id: 5, role: 'student' }, taughtCourses: new Set(['CS101']) };
+
+      expect(can(admin, 'exam', 'update', exam, { course_code: 'MATH201' })).toBe(true);
+      expect(can(student, 'exam', 'create', exam)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+
+// Mock the database module
+jest.mock('../config/database.js', () => ({
+  runQuery: jest.fn(),
+  getRow: jest.fn(),
+  getAllRows: jest.fn(),
+  initializeDatabase: jest.fn().mockResolvedValue()
+}));
+
+// Mock auth middleware
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1, email: 'admin@example.com', role: 'admin' };
+    next();
+  },
+  requireAdmin: (req, res, next) => next()
+}));
+
+// Mock enrolment lookup and notifications
+jest.mock('../routes/conflicts.js', () => {
+  const actual = jest.requireActual('../routes/conflicts.js');
+  return {
+    getExamAccommodation: actual.getExamAccommodation,
+    getExamWindow: actual.getExamWindow,
+    getSittingStudents: actual.getSittingStudents,
+    loadCourseStudents: jest.fn(),
+    loadSittingChanges: jest.fn()
+  };
+});
+
+jest.mock('../routes/notifications.js', () => ({
+  createExamNotification: jest.fn().mockResolvedValue()
+}));
+
+// Import after mocking
+import reminderRoutes, { processDueReminders } from '../routes/reminders.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/reminders', reminderRoutes);
+
+// Import mocked modules
+import { runQuery, getAllRows } from '../config/database.js';
+import { loadCourseStudents, loadSittingChanges } from '../routes/conflicts.js';
+import { createExamNotification } from '../routes/notifications.js';
+
+const now = new Date('2024-06-03T09:00:00');
+
+const exam = (date, time) => ({
+  id: 1,
+  course_code: 'CS101',
+  course_name: 'Computer Science',
+  date,
+  time,
+  duration: 120,
+  status: 'upcoming'
+});
+
+describe('Reminders API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadCourseStudents.mockResolvedValue(new Map([['CS101', new Map([[7, { id: 7 }]])]]));
+    loadSittingChanges.mockResolvedValue({ movedOut: new Map(), movedIn: new Map() });
+  });
+
+  describe('processDueReminders', () => {
+    it('should catch up with only the most imminent missed reminder', async () => {
+      getAllRows
+        .mockResolvedValueOnce([exam('2024-06-03', '21:00')])
+        .mockResolvedValueOnce([{ code: 'CS101', lecturer_id: 2 }])
+        .mockResolvedValueOnce([{ exam_id: 1, user_id: 3 }]);
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const result = await processDueReminders(now);
+
+      expect(result).toEqual({ exams: 1, sent: 3, skipped: 3, failed: 0 });
+      expect(runQuery).toHaveBeenCalledWith(
+        expect.stringContaining('skipped'),
+        [1, 7, 10080, '2024-06-03 21:00']
+      );
+      expect(createExamNotification).toHaveBeenCalledTimes(3);
+      expect(createExamNotification).toHaveBeenCalledWith(
+        expect.objectContaining({ courseCode: 'CS101', startsIn: 'today' }),
+        'reminder',
+        [7],
+        { deliverBy: new Date('2024-06-03T21:00:00') }
+      );
+    });
+
+    it('should release a reminder that could not be sent', async () => {
+      getAllRows
+        .mockResolvedValueOnce([exam('2024-06-03', '21:00')])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+      runQuery.mockResolvedValue({ changes: 1 });
+      createExamNotification.mockRejectedValueOnce(new Error('SQLITE_BUSY'));
+
+      const result = await processDueReminders(now);
+
+      expect(result).toMatchObject({ exams: 0, sent: 0, failed: 1 });
+      expect(runQuery).toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM exam_reminders'),
+        [1, 7, 1440, '2024-06-03 21:00']
+      );
+    });
+
+    it('should not resend reminders that were already recorded', async () => {
+      getAllRows
+        .mockResolvedValueOnce([exam('2024-06-04', '10:00')])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+      runQuery.mockResolvedValue({ changes: 0 });
+
+      const result = await processDueReminders(now);
+
+      expect(result.sent).toBe(0);
+      expect(createExamNotification).not.toHaveBeenCalled();
+    });
+
+    it('should not remind students moved to an alternate sitting', async () => {
+      getAllRows
+        .mockResolvedValueOnce([exam('2024-06-03', '21:00')])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+      loadSittingChanges.mockResolvedValueOnce({ movedOut: new Map([[1, new Set([7])]]), movedIn: new Map() });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const result = await processDueReminders(now);
+
+      expect(result.sent).toBe(0);
+      expect(createExamNotification).not.toHaveBeenCalled();
+    });
+
+    it('should ignore exams whose reminders are not due yet', async () => {
+      getAllRows.mockResolvedValueOnce([exam('2024-06-09', '10:00')]);
+
+      const result = await processDueReminders(now);
+
+      expect(result.sent).toBe(0);
+      expect(runQuery).not.toHaveBeenCalled();
+      expect(loadCourseStudents).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/reminders/run', () => {
+    it('should send due reminders on demand', async () => {
+      getAllRows.mockResolvedValueOnce([]);
+
+      const response = await request(app)
+        .post('/api/reminders/run');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ exams: 0, sent: 0, skipped: 0, failed: 0 });
+    });
+  });
+});
@@ -0,0 +1,211 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+
+// Mock the database module (transactions wrap their work in BEGIN and
+// COMMIT or ROLLBACK on the mocked runQuery)
+jest.mock('../config/database.js', () => {
+  const runQuery = jest.fn();
+  return {
+    runQuery,
+    getRow: jest.fn(),
+    getAllRows: jest.fn(),
+    withTransaction: jest.fn(async (work) => {
+      await runQuery('BEGIN TRANSACTION');
+      try {
+        const result = await work();
+        await runQuery('COMMIT');
+        return result;
+      } catch (error) {
+        await runQuery('ROLLBACK');
+        throw error;
+      }
+    }),
+    initializeDatabase: jest.fn().mockResolvedValue()
+  };
+});
+
+// Mock auth middleware (role is switched per test through mockRole)
+let mockRole = 'admin';
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1, email: 'admin@example.com', role: mockRole };
+    next();
+  },
+  requireAdmin: (req, res, next) => next(),
+  requireLecturerOrAdmin: (req, res, next) => next()
+}));
+
+// Mock the courses the current user teaches (the policies themselves are real)
+jest.mock('../middleware/policies.js', () => {
+  const actual = jest.requireActual('../middleware/policies.js');
+  return {
+    ...actual,
+    loadPolicyContext: jest.fn().mockImplementation(async (user) => ({ user, taughtCourses: new Set(['CS101']) }))
+  };
+});
+
+// Import after mocking
+import seatingRoutes, { allocateSeats, getLayoutSeats } from '../routes/seating.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/seating', seatingRoutes);
+
+// Import mocked modules
+import { runQuery, getRow, getAllRows } from '../config/database.js';
+
+const exam = (id, courseCode) => ({
+  id,
+  course_code: courseCode,
+  date: '2024-06-10',
+  time: '09:00',
+  duration: 120,
+  venue_id: 3,
+  status: 'upcoming'
+});
+
+const students = (examId, count, designated = []) => Array.from({ length: count }, (_, i) => ({
+  exam_id: examId,
+  user_id: examId * 100 + i,
+  name: `Student ${examId}-${i}`,
+  designated_seat: designated.includes(i) ? 1 : 0
+}));
+
+describe('Seating API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRole = 'admin';
+  });
+
+  describe('getLayoutSeats', () => {
+    it('should leave spacing between candidates and around designated seats', () => {
+      const { seats, accessSeats } = getLayoutSeats({
+        rows: 3, seatsPerRow: 6, seatSpacing: 1, rowSpacing: 1, accessibleSeats: ['A6'], unavailableSeats: ['C3']
+      });
+
+      expect(seats.map(seat => seat.label)).toEqual(['A1', 'A3', 'C1', 'C5']);
+      expect(accessSeats.map(seat => seat.label)).toEqual(['A6']);
+    });
+  });
+
+  describe('allocateSeats', () => {
+    it('should alternate courses sharing a hall', () => {
+      const plan = allocateSeats(
+        { rows: 2, seatsPerRow: 8 },
+        [exam(1, 'CS101'), exam(2, 'MA101')],
+        [...students(1, 4), ...students(2, 4)]
+      );
+
+      expect(plan.allocations.map(a => `${a.label}:${a.examId}`)).toEqual([
+        'A1:1', 'A3:2', 'A5:1', 'A7:2', 'B1:2', 'B3:1', 'B5:2', 'B7:1'
+      ]);
+      expect(plan.unseated).toEqual([]);
+    });
+
+    it('should give designated seats to students with access arrangements', () => {
+      const plan = allocateSeats(
+        { rows: 2, seatsPerRow: 8, accessibleSeats: ['A8'] },
+        [exam(1, 'CS101')],
+        students(1, 3, [2])
+      );
+
+      expect(plan.allocations[0]).toMatchObject({ userId: 102, label: 'A8', accessSeat: true });
+    });
+
+    it('should report students left without a seat', () => {
+      const plan = allocateSeats({ rows: 1, seatsPerRow: 4 }, [exam(1, 'CS101')], students(1, 3));
+
+      expect(plan.allocations).toHaveLength(2);
+      expect(plan.unseated).toEqual([{ examId: 1, userId: 102, name: 'Student 1-2' }]);
+    });
+  });
+
+  describe('POST /api/seating/exams/:examId/generate', () => {
+    it('should replace the plan for every exam sharing the venue', async () => {
+      getRow
+        .mockResolvedValueOnce(exam(1, 'CS101'))
+        .mockResolvedValueOnce({ id: 3, name: 'Main Hall', layout: JSON.stringify({ rows: 2, seatsPerRow: 8 }) });
+      getAllRows
+        .mockResolvedValueOnce([exam(1, 'CS101'), { ...exam(2, 'MA101'), time: '10:00' }, { ...exam(4, 'PH101'), time: '14:00' }])
+        .mockResolvedValueOnce([...students(1, 2), ...students(2, 1)]);
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/seating/exams/1/generate');
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.exams.map(e => e.id)).toEqual([1, 2]);
+      expect(response.body.data.allocated).toBe(3);
+      expect(runQuery).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM seat_allocations'), [1, 2]);
+      expect(runQuery.mock.calls.filter(call => call[0].includes('INSERT INTO seat_allocations'))).toHaveLength(3);
+    });
+
+    it('should leave students who sit in a separate room out of the hall', async () => {
+      getRow
+        .mockResolvedValueOnce(exam(1, 'CS101'))
+        .mockResolvedValueOnce({ id: 3, name: 'Main Hall', layout: JSON.stringify({ rows: 2, seatsPerRow: 8 }) });
+      getAllRows
+        .mockResolvedValueOnce([exam(1, 'CS101')])
+        .mockResolvedValueOnce([...students(1, 2), { ...students(1, 3)[2], separate_room: 1 }]);
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/seating/exams/1/generate');
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.allocated).toBe(2);
+      expect(response.body.data.separateRoom).toEqual([{ examId: 1, userId: 102, name: 'Student 1-2' }]);
+    });
+
+    it('should refuse lecturers when the session includes another course\'s exam', async () => {
+      mockRole = 'lecturer';
+      getRow
+        .mockResolvedValueOnce(exam(1, 'CS101'))
+        .mockResolvedValueOnce({ id: 3, name: 'Main Hall', layout: JSON.stringify({ rows: 2, seatsPerRow: 8 }) });
+      getAllRows.mockResolvedValueOnce([exam(1, 'CS101'), { ...exam(2, 'MA101'), time: '10:00' }]);
+
+      const response = await request(app)
+        .post('/api/seating/exams/1/generate');
+
+      expect(response.status).toBe(403);
+      expect(response.body.details).toEqual([{ id: 2, course_code: 'MA101' }]);
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    it('should require a venue layout', async () => {
+      getRow
+        .mockResolvedValueOnce(exam(1, 'CS101'))
+        .mockResolvedValueOnce({ id: 3, name: 'Main Hall', layout: null });
+
+      const response = await request(app)
+        .post('/api/seating/exams/1/generate');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Venue has no seating layout');
+    });
+  });
+
+  describe('GET /api/seating/exams/:examId/door-list', () => {
+    it('should list students alphabetically with their seats', async () => {
+      getRow.mockResolvedValueOnce({ ...exam(1, 'CS101'), venue_name: 'Main Hall' });
+      getAllRows
+        .mockResolvedValueOnce([exam(1, 'CS101')])
+        .mockResolvedValueOnce([
+          { exam_id: 1, user_id: 5, seat_label: 'A1', first_name: 'Zoe', last_name: 'Young', course_code: 'CS101' },
+          { exam_id: 1, user_id: 6, seat_label: 'A3', first_name: 'Adam', last_name: 'Brown', course_code: 'CS101' }
+        ]);
+
+      const response = await request(app)
+        .get('/api/seating/exams/1/door-list');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(row => row.seat_label)).toEqual(['A3', 'A1']);
+    });
+  });
+});
@@ -0,0 +1,422 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+
+// Mock the database module (transactions wrap their work in BEGIN and
+// COMMIT or ROLLBACK on the mocked runQuery)
+jest.mock('../config/database.js', () => {
+  const runQuery = jest.fn();
+  return {
+    runQuery,
+    getRow: jest.fn(),
+    getAllRows: jest.fn(),
+    withTransaction: jest.fn(async (work) => {
+      await runQuery('BEGIN TRANSACTION');
+      try {
+        const result = await work();
+        await runQuery('COMMIT');
+        return result;
+      } catch (error) {
+        await runQuery('ROLLBACK');
+        throw error;
+      }
+    }),
+    initializeDatabase: jest.fn().mockResolvedValue()
+  };
+});
+
+// Mock auth middleware
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1, email: 'admin@example.com', role: 'admin' };
+    next();
+  },
+  requireAdmin: (req, res, next) => next(),
+  requireLecturerOrAdmin: (req, res, next) => next()
+}));
+
+// Mock conflict tracking
+jest.mock('../routes/conflicts.js', () => ({
+  getExamWindow: jest.requireActual('../routes/conflicts.js').getExamWindow,
+  loadCourseStudents: jest.fn().mockResolvedValue(new Map()),
+  refreshExamConflicts: jest.fn().mockResolvedValue(0)
+}));
+
+// Mock notifications and calendar sync
+jest.mock('../routes/notifications.js', () => ({
+  createNotification: jest.fn().mockResolvedValue(1)
+}));
+
+jest.mock('../routes/calendar.js', () => ({
+  syncExamsToCalendars: jest.fn().mockResolvedValue([])
+}));
+
+// Mock calendar rules (no blackout dates or unavailable staff by default)
+jest.mock('../routes/blackout-dates.js', () => ({
+  detectCalendarConflicts: jest.fn(async (exams) => exams.map(() => [])),
+  toWindowDate: (value) => new Date(value.replace(' ', 'T'))
+}));
+
+// Mock venue capacity checks (every venue fits by default)
+jest.mock('../routes/venues.js', () => ({
+  checkVenueCapacity: jest.fn().mockResolvedValue({ exceeded: false })
+}));
+
+// Mock live event publishing
+jest.mock('../routes/events.js', () => ({
+  publishEvent: jest.fn().mockResolvedValue(),
+  publishExamEvent: jest.fn().mockResolvedValue()
+}));
+
+// Import after mocking
+import timetableRoutes, { diffTimetable, generateTimetable } from '../routes/timetables.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/timetables', timetableRoutes);
+
+// Import mocked modules
+import { runQuery, getRow, getAllRows } from '../config/database.js';
+import { refreshExamConflicts } from '../routes/conflicts.js';
+import { createNotification } from '../routes/notifications.js';
+import { syncExamsToCalendars } from '../routes/calendar.js';
+import { detectCalendarConflicts } from '../routes/blackout-dates.js';
+import { checkVenueCapacity } from '../routes/venues.js';
+
+const course = (code, students, duration = 120) => ({ code, name: `${code} Exam`, duration, students });
+
+const timetable = (overrides = {}) => ({
+  id: 5,
+  name: 'June',
+  status: 'draft',
+  start_date: '2024-06-01',
+  end_date: '2024-06-30',
+  replaces_live: 0,
+  ...overrides
+});
+
+const exam = (id, courseCode, date, overrides = {}) => ({
+  id,
+  course_code: courseCode,
+  course_name: `${courseCode} Exam`,
+  date,
+  time: '09:00',
+  venue: 'Hall A',
+  venue_id: 2,
+  duration: 120,
+  status: 'upcoming',
+  source_exam_id: null,
+  created_by: 1,
+  ...overrides
+});
+
+const hallA = { id: 2, name: 'Hall A', capacity: 200, exam_capacity: null };
+
+const baseOptions = {
+  venues: [{ id: 1, name: 'Room 101', capacity: 30 }, { id: 2, name: 'Hall A', capacity: 200 }],
+  days: ['2024-06-03', '2024-06-04'],
+  slots: ['09:00', '14:00'],
+  maxExamsPerDay: 2,
+  seed: 42
+};
+
+describe('Timetables API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generateTimetable', () => {
+    it('should be deterministic for a given seed', () => {
+      const courses = [course('CS101', [1, 2]), course('MATH201', [2, 3]), course('PHY101', [3, 4])];
+
+      const first = generateTimetable({ ...baseOptions, courses });
+      const second = generateTimetable({ ...baseOptions, courses });
+
+      expect(second.scheduled).toEqual(first.scheduled);
+    });
+
+    it('should never give a student two overlapping exams', () => {
+      const result = generateTimetable({
+        ...baseOptions,
+        days: ['2024-06-03'],
+        courses: [course('CS101', [1]), course('MATH201', [1])]
+      });
+
+      expect(result.scheduled).toHaveLength(2);
+      expect(result.scheduled[0].time).not.toBe(result.scheduled[1].time);
+    });
+
+    it('should respect the daily exam limit', () => {
+      const result = generateTimetable({
+        ...baseOptions,
+        days: ['2024-06-03'],
+        slots: ['09:00', '12:00', '15:00'],
+        maxExamsPerDay: 2,
+        courses: [course('CS101', [1]), course('MATH201', [1]), course('PHY101', [1])]
+      });
+
+      expect(result.scheduled).toHaveLength(2);
+      expect(result.unscheduled[0].blockedSlots.daily_limit).toBe(1);
+      expect(result.unscheduled[0].message).toContain('2 exams per student per day');
+    });
+
+    it('should report courses too large for any venue', () => {
+      const students = Array.from({ length: 250 }, (_, i) => i + 1);
+
+      const result = generateTimetable({ ...baseOptions, courses: [course('BIG100', students)] });
+
+      expect(result.scheduled).toHaveLength(0);
+      expect(result.unscheduled[0]).toMatchObject({ courseCode: 'BIG100', reason: 'capacity' });
+    });
+
+    it('should not place an exam while its lecturer is unavailable', () => {
+      const result = generateTimetable({
+        ...baseOptions,
+        days: ['2024-06-03'],
+        courses: [{
+          ...course('CS101', [1]),
+          unavailable: [{ start: new Date('2024-06-03T08:00'), end: new Date('2024-06-03T12:00') }]
+        }]
+      });
+
+      expect(result.scheduled[0].time).toBe('14:00');
+    });
+
+    it('should place exams in the smallest venue that fits', () => {
+      const result = generateTimetable({ ...baseOptions, courses: [course('CS101', [1, 2, 3])] });
+
+      expect(result.scheduled[0].venue).toBe('Room 101');
+    });
+  });
+
+  describe('POST /api/timetables/generate', () => {
+    it('should validate the exam period', async () => {
+      const response = await request(app)
+        .post('/api/timetables/generate')
+        .send({ name: 'June', startDate: '2024-06-10', endDate: '2024-06-01' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('startDate must be before or equal to endDate');
+    });
+
+    it('should save the proposal as draft exams', async () => {
+      getAllRows
+        .mockResolvedValueOnce([{ code: 'CS101', name: 'Computer Science' }])
+        .mockResolvedValueOnce([{ id: 1, name: 'Room 101', capacity: 30, exam_capacity: null }])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+      getRow.mockResolvedValue({ id: 5, name: 'June', status: 'draft', settings: '{}', report: '{}' });
+      runQuery.mockResolvedValue({ lastID: 5, changes: 1 });
+
+      const response = await request(app)
+        .post('/api/timetables/generate')
+        .send({ name: 'June', startDate: '2024-06-03', endDate: '2024-06-04', courseCodes: ['CS101'], seed: 1 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.seed).toBe(1);
+      expect(runQuery).toHaveBeenCalledWith(
+        expect.stringContaining("'draft'"),
+        expect.arrayContaining(['CS101', 'Computer Science', 'Room 101'])
+      );
+      expect(runQuery).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should leave out blocking blackout dates', async () => {
+      getAllRows
+        .mockResolvedValueOnce([{ code: 'CS101', name: 'Computer Science' }])
+        .mockResolvedValueOnce([{ id: 1, name: 'Room 101', capacity: 30, exam_capacity: null }])
+        .mockResolvedValueOnce([{ name: 'Founders Day', start_date: '2024-06-03', end_date: '2024-06-03' }])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+      getRow.mockResolvedValue({ id: 5, name: 'June', status: 'draft', settings: '{}', report: '{}' });
+      runQuery.mockResolvedValue({ lastID: 5, changes: 1 });
+
+      const response = await request(app)
+        .post('/api/timetables/generate')
+        .send({ name: 'June', startDate: '2024-06-03', endDate: '2024-06-04', courseCodes: ['CS101'], seed: 1 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.warnings).toContain('Skipped blackout dates: Founders Day (2024-06-03)');
+      expect(runQuery).toHaveBeenCalledWith(
+        expect.stringContaining("'draft'"),
+        expect.arrayContaining(['CS101', '2024-06-04'])
+      );
+    });
+  });
+
+  describe('diffTimetable', () => {
+    it('should report added, changed and removed exams', async () => {
+      getRow
+        .mockResolvedValueOnce(timetable({ replaces_live: 1 }))
+        .mockResolvedValueOnce(null);
+      getAllRows
+        .mockResolvedValueOnce([
+          exam(20, 'CS101', '2024-06-05', { status: 'draft', source_exam_id: 1 }),
+          exam(21, 'MATH201', '2024-06-06', { status: 'draft' })
+        ])
+        .mockResolvedValueOnce([
+          exam(1, 'CS101', '2024-06-04'),
+          exam(2, 'PHY101', '2024-06-07')
+        ]);
+
+      const diff = await diffTimetable(5);
+
+      expect(diff.summary).toEqual({ added: 1, changed: 1, removed: 1, unchanged: 0 });
+      expect(diff.changed[0].changes).toEqual({ date: { from: '2024-06-04', to: '2024-06-05' } });
+      expect(diff.added[0].exam.course_code).toBe('MATH201');
+      expect(diff.removed[0].exam.course_code).toBe('PHY101');
+    });
+
+    it('should match drafts to live exams by course code and keep other live exams', async () => {
+      getRow
+        .mockResolvedValueOnce(timetable())
+        .mockResolvedValueOnce(null);
+      getAllRows
+        .mockResolvedValueOnce([exam(20, 'CS101', '2024-06-04', { status: 'draft' })])
+        .mockResolvedValueOnce([exam(1, 'CS101', '2024-06-04'), exam(2, 'PHY101', '2024-06-07')]);
+
+      const diff = await diffTimetable(5);
+
+      expect(diff.unchanged[0]).toMatchObject({ draftId: 20, exam: { id: 1 } });
+      expect(diff.removed).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/timetables/:id/submit', () => {
+    it('should not submit a version without changes', async () => {
+      getRow
+        .mockResolvedValueOnce({ id: 5, status: 'draft' })
+        .mockResolvedValueOnce(timetable())
+        .mockResolvedValueOnce(null);
+      getAllRows
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+
+      const response = await request(app)
+        .post('/api/timetables/5/submit');
+
+      expect(response.status).toBe(400);
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/timetables/:id/reject', () => {
+    it('should require a review note', async () => {
+      const response = await request(app)
+        .post('/api/timetables/5/reject')
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/timetables/:id/publish', () => {
+    it('should apply the diff and notify affected users in one batch', async () => {
+      getRow
+        .mockResolvedValueOnce(timetable())
+        .mockResolvedValueOnce(timetable())
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(hallA)
+        .mockResolvedValueOnce(hallA)
+        .mockResolvedValueOnce({ count: 0 })
+        .mockResolvedValueOnce(timetable({ status: 'published' }));
+      getAllRows
+        .mockResolvedValueOnce([
+          exam(20, 'CS101', '2024-06-04', { status: 'draft' }),
+          exam(21, 'MATH201', '2024-06-08', { status: 'draft', source_exam_id: 2 })
+        ])
+        .mockResolvedValueOnce([exam(2, 'MATH201', '2024-06-06')])
+        .mockResolvedValueOnce([
+          exam(20, 'CS101', '2024-06-04', { status: 'draft' }),
+          exam(21, 'MATH201', '2024-06-08', { status: 'draft', source_exam_id: 2 })
+        ])
+        .mockResolvedValueOnce([{ user_id: 7, code: 'CS101' }, { user_id: 7, code: 'MATH201' }])
+        .mockResolvedValueOnce([]);
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/timetables/5/publish');
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toMatchObject({ added: 1, changed: 1 });
+      expect(runQuery).toHaveBeenCalledWith(
+        expect.stringContaining("SET status = 'upcoming'"),
+        [20]
+      );
+      expect(runQuery).toHaveBeenCalledWith('DELETE FROM exams WHERE id = ?', [21]);
+      expect(runQuery).toHaveBeenCalledWith('DELETE FROM seat_allocations WHERE exam_id = ?', [2]);
+      expect(checkVenueCapacity).toHaveBeenCalledWith(hallA, expect.objectContaining({ id: 2, date: '2024-06-08' }));
+      expect(runQuery).toHaveBeenCalledWith('COMMIT');
+      expect(refreshExamConflicts).toHaveBeenCalledTimes(2);
+      expect(createNotification).toHaveBeenCalledWith(
+        7, 'Timetable Published', expect.stringContaining('1 new, 1 changed'), 'warning', { event: 'updated' }
+      );
+      expect(syncExamsToCalendars).toHaveBeenCalledWith([20, 2]);
+    });
+
+    it('should roll back a version that overfills a venue', async () => {
+      const drafts = [exam(20, 'CS101', '2024-06-04', { status: 'draft' })];
+      getRow
+        .mockResolvedValueOnce(timetable())
+        .mockResolvedValueOnce(timetable())
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(hallA);
+      getAllRows
+        .mockResolvedValueOnce(drafts)
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(drafts);
+      checkVenueCapacity.mockResolvedValueOnce({
+        venueId: 2, venue: 'Hall A', capacity: 200, required: 150, alreadyBooked: 100, available: 100, exceeded: true
+      });
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .post('/api/timetables/5/publish');
+
+      expect(response.status).toBe(409);
+      expect(response.body.details[0]).toMatchObject({ examId: 20, courseCode: 'CS101', required: 150 });
+      expect(runQuery).toHaveBeenCalledWith('ROLLBACK');
+      expect(runQuery).not.toHaveBeenCalledWith('COMMIT');
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a version with a new exam on a blocking blackout date', async () => {
+      const drafts = [exam(20, 'CS101', '2024-06-04', { status: 'draft' })];
+      getRow
+        .mockResolvedValueOnce(timetable())
+        .mockResolvedValueOnce(timetable())
+        .mockResolvedValueOnce(null);
+      getAllRows
+        .mockResolvedValueOnce(drafts)
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(drafts);
+      detectCalendarConflicts.mockResolvedValueOnce([[
+        { conflictType: 'blackout_date', blocking: true, description: 'CS101 falls on Founders Day' }
+      ]]);
+
+      const response = await request(app)
+        .post('/api/timetables/5/publish');
+
+      expect(response.status).toBe(409);
+      expect(response.body.details[0]).toMatchObject({ examId: 20, courseCode: 'CS101' });
+      expect(runQuery).not.toHaveBeenCalled();
+    });
+
+    it('should not publish a timetable twice', async () => {
+      getRow.mockResolvedValueOnce({ id: 5, status: 'published' });
+
+      const response = await request(app)
+        .post('/api/timetables/5/publish');
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import request from 'supertest';
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import { jest } from '@jest/globals';
+
+// Mock the database module
+jest.mock('../config/database.js', () => ({
+  runQuery: jest.fn(),
+  getRow: jest.fn(),
+  getAllRows: jest.fn(),
+  initializeDatabase: jest.fn().mockResolvedValue()
+}));
+
+// Mock auth middleware (role is switched per test through mockRole)
+let mockRole = 'admin';
+jest.mock('../middleware/auth.js', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 1, email: 'test@example.com', role: mockRole };
+    next();
+  },
+  requireAdmin: (req, res, next) => {
+    if (req.user.role === 'admin') {
+      next();
+    } else {
+      res.status(403).json({ error: 'Insufficient permissions' });
+    }
+  },
+  requireLecturerOrAdmin: (req, res, next) => next()
+}));
+
+// Mock notifications (pulled in through the conflicts module)
+jest.mock('../routes/notifications.js', () => ({
+  createExamNotification: jest.fn().mockResolvedValue()
+}));
+
+// Mock live event publishing
+jest.mock('../routes/events.js', () => ({
+  publishEvent: jest.fn().mockResolvedValue(),
+  publishExamEvent: jest.fn().mockResolvedValue()
+}));
+
+// Import after mocking
+import venueRoutes, { checkVenueCapacity, resolveExamVenue } from '../routes/venues.js';
+
+const app = express();
+
+// Setup middleware
+app.use(cors());
+app.use(bodyParser.json());
+app.use('/api/venues', venueRoutes);
+
+// Import mocked modules
+import { runQuery, getRow, getAllRows } from '../config/database.js';
+
+const venue = (overrides = {}) => ({
+  id: 1,
+  name: 'Hall A',
+  building: 'Main Building',
+  room: 'A',
+  capacity: 120,
+  exam_capacity: 80,
+  features: '["wheelchair_access"]',
+  is_active: 1,
+  ...overrides
+});
+
+describe('Venues API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRole = 'admin';
+  });
+
+  describe('GET /api/venues', () => {
+    it('should return venues with parsed features', async () => {
+      getAllRows.mockResolvedValue([venue()]);
+
+      const response = await request(app)
+        .get('/api/venues');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0].features).toEqual(['wheelchair_access']);
+    });
+
+    it('should filter by feature and minimum capacity', async () => {
+      getAllRows.mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/venues?feature=computers&minCapacity=50');
+
+      expect(getAllRows).toHaveBeenCalledWith(
+        expect.stringContaining('json_each(v.features)'),
+        ['computers', 50]
+      );
+    });
+
+    it('should reject unknown features', async () => {
+      const response = await request(app)
+        .get('/api/venues?feature=lasers');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/venues', () => {
+    it('should create a venue', async () => {
+      getRow
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(venue());
+      getAllRows.mockResolvedValueOnce([]);
+      runQuery.mockResolvedValue({ lastID: 1, changes: 1 });
+
+      const response = await request(app)
+        .post('/api/venues')
+        .send({ name: 'Hall A', capacity: 120, examCapacity: 80, features: ['wheelchair_access'] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.name).toBe('Hall A');
+    });
+
+    it('should not allow exam capacity above seat capacity', async () => {
+      const response = await request(app)
+        .post('/api/venues')
+        .send({ name: 'Hall A', capacity: 50, examCapacity: 80 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain('examCapacity cannot exceed capacity');
+    });
+
+    it('should reject designated seats outside the seating layout', async () => {
+      const response = await request(app)
+        .post('/api/venues')
+        .send({ name: 'Hall A', capacity: 120, layout: { rows: 10, seatsPerRow: 12, accessibleSeats: ['A1', 'K1'] } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0]).toContain('invalid: K1');
+    });
+
+    it('should deny non-admins', async () => {
+      mockRole = 'lecturer';
+
+      const response = await request(app)
+        .post('/api/venues')
+        .send({ name: 'Hall A', capacity: 120 });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/venues/:id', () => {
+    it('should keep fields that are not sent', async () => {
+      const layout = '{"rows":10,"seatsPerRow":12,"seatSpacing":1,"rowSpacing":0,"accessibleSeats":[],"unavailableSeats":[]}';
+      getRow
+        .mockResolvedValueOnce(venue({ is_active: 0, layout }))
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(venue({ is_active: 0, layout, capacity: 150 }));
+      runQuery.mockResolvedValue({ changes: 1 });
+
+      const response = await request(app)
+        .put('/api/venues/1')
+        .send({ name: 'Hall A', capacity: 150 });
+
+      expect(response.status).toBe(200);
+      expect(runQuery).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE venues'),
+        ['Hall A', 'Main Building', 'A', 150, 80, '["wheelchair_access"]', layout, 0, '1']
+      );
+    });
+  });
+
+  describe('DELETE /api/venues/:id', () => {
+    it('should refuse to delete venues with exams booked', async () => {
+      getRow
+        .mockResolvedValueOnce({ id: 1 })
+        .mockResolvedValueOnce({ count: 2 });
+
+      const response = await request(app)
+        .delete('/api/venues/1');
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('resolveExamVenue', () => {
+    it('should report unknown venue IDs', async () => {
+      getRow.mockResolvedValue(null);
+
+      expect(await resolveExamVenue({ venueId: 9 })).toEqual({ error: 'Venue not found' });
+    });
+
+    it('should allow unregistered free-text venues', async () => {
+      getRow.mockResolvedValue(null);
+
+      expect(await resolveExamVenue({ venue: 'Somewhere' })).toEqual({ venue: null });
+    });
+  });
+
+  describe('checkVenueCapacity', () => {
+    const exam = { course_code: 'CS101', date: '2024-02-15', time: '10:00', duration: 120 };
+
+    it('should count students of overlapping exams in the same venue', async () => {
+      getAllRows
+        .mockResolvedValueOnce([
+          { id: 2, course_code: 'MATH201', date: '2024-02-15', time: '11:00', duration: 60 },
+          { id: 3, course_code: 'PHY101', date: '2024-02-15', time: '15:00', duration: 60 }
+        ])
+        .mockResolvedValueOnce([
+          { code: 'CS101', count: 50 },
+          { code: 'MATH201', count: 40 }
+        ]);
+
+      const capacity = await checkVenueCapacity(venue(), exam);
+
+      expect(capacity.required).toBe(50);
+      expect(capacity.alreadyBooked).toBe(40);
+      expect(capacity.sharedWith).toEqual(['MATH201']);
+      expect(capacity.exceeded).toBe(true);
+    });
+
+    it('should skip venues without a recorded capacity', async () => {
+      expect(await checkVenueCapacity(venue({ capacity: null, exam_capacity: null }), exam)).toBeNull();
+      expect(getAllRows).not.toHaveBeenCalled();
+    });
+  });
+});